@@ -1,5 +1,5 @@
 "use strict";
-import { DEFAULT_SETTINGS } from "./src/model/settings.js";
+import { DEFAULT_SETTINGS } from "./src/model/defaults.js";
 
 // =============================================================================
 // Convox MV3 Service Worker / Background
@@ -128,22 +128,47 @@
 			return originalSpeak(utter);
 		};
 
+		// Remote TTS engines play audio files, so the patch above never sees them.
+		document.addEventListener("convox-tts", (e) => {
+			const { text, engine, phase } = e.detail || {};
+			if (phase === "start" && engine !== "browser" && text) pushConvo("convox", text, "info");
+			if (phase === "fallback") pushConvo("system", "TTS engine failed; using browser voices.", "warn");
+		});
+
 		pushConvo("system", "TTS capture enabled (Convox speech will appear in transcript).", "info");
 	}
 
+	// Shared TTS service (lib/tts.js); falls back to plain speechSynthesis if it can't load.
+	let ttsService = null;
+	async function loadTtsService() {
+		ttsService ||= await import(chrome.runtime.getURL("lib/tts.js"));
+		return ttsService;
+	}
+
+	async function sayText(msg) {
+		try {
+			await (await loadTtsService()).speakText(msg);
+		} catch {
+			const u = new SpeechSynthesisUtterance(msg);
+			window.speechSynthesis.cancel();
+			window.speechSynthesis.speak(u);
+		}
+	}
+
 	// ===========================================================================
 	// Robust importer with one-time auto-reload
 	// ===========================================================================
 	let reloadedOnce = false;
 
-	async function safeImportActions() {
+	async function safeImportPipeline() {
 		try {
 			if (!isExtensionAlive()) {
 				throw new Error("Extension context invalidated");
 			}
 
 			const ver = chrome?.runtime?.getManifest?.()?.version || "dev";
-			const url = chrome.runtime.getURL(`lib/actions.js?v=${encodeURIComponent(ver)}`);
+			// lib/pipeline.js re-exports the actions runtime hooks, so actions.js loads once
+			const url = chrome.runtime.getURL(`lib/pipeline.js?v=${encodeURIComponent(ver)}`);
 			return await import(url);
 		} catch (err) {
 			const msg = String(err?.message || err);
@@ -179,21 +204,21 @@
 	// ===========================================================================
 	// Actions runner
 	// ===========================================================================
-	async function runUtterance(text) {
+	async function runUtterance(text, source = "typed") {
 		const uiSt = loadUIState();
 		const verbose = !!uiSt.verbose;
 
 		try {
-			const { handleUtterance, initAutoResume } = await safeImportActions();
+			const { routeUtterance, initAutoResume } = await safeImportPipeline();
 			initAutoResume?.();
 
 			pushConvo("user", text, "info");
 
 			const t0 = performance.now();
-			const out = await handleUtterance(text);
+			const out = await routeUtterance(text, { source });
 			const dt = Math.round(performance.now() - t0);
 
-			if (verbose) logToast("handleUtterance output:", out);
+			if (verbose) logToast("routeUtterance output:", out);
 
 			try {
 				const intent = out?.intent || "UNKNOWN";
@@ -205,17 +230,15 @@
 						: `Intent: ${intent}${reason ? ` — ${reason}` : ""} • ${dt}ms`;
 				pushConvo("system", meta, "debug");
 			} catch {}
+			return out;
 		} catch (e) {
 			const msg = String(e?.message || e);
 			pushConvo("system", "Error: " + msg, "error");
 
 			saveUIState({ lastError: msg, lastErrorAt: new Date().toISOString() });
 
-			try {
-				const u = new SpeechSynthesisUtterance("Sorry — I hit an error. Check the console for details.");
-				window.speechSynthesis.cancel();
-				window.speechSynthesis.speak(u);
-			} catch {}
+			sayText("Sorry — I hit an error. Check the console for details.").catch(() => {});
+			return null;
 		}
 	}
 
@@ -225,8 +248,10 @@
 		if (actionsBooted) return;
 		actionsBooted = true;
 		try {
-			const { initAutoResume, resumePendingAnnouncementRead } = await safeImportActions();
+			const { initAutoResume, resumePendingAnnouncementRead, listenForPopupCommands } = await safeImportPipeline();
 			initAutoResume?.();
+			// Commands typed in the toolbar popup show up in this panel like typed ones
+			listenForPopupCommands?.((text) => runUtterance(text, "popup"));
 
 			try {
 				await resumePendingAnnouncementRead?.();
@@ -268,7 +293,7 @@
 		parts.push(`links on page: ${links.length} (sample: ${sample.join(" | ") || "—"})`);
 
 		try {
-			const { speak } = await safeImportActions();
+			const { speak } = await safeImportPipeline();
 			speak?.("Convox self-test: Speech is working.");
 			parts.push("TTS check: attempted to speak a test line.");
 		} catch {
@@ -306,6 +331,10 @@
 	let recognizer = null;
 	let listening = false;
 	let autoSubmitTimer = null;
+	// Wake word / push-to-talk gate (src/model/wakeWord.js) and the mic hotkey it listens for
+	let listenGate = null;
+	let micHotkey = null;
+	let isHotkeyMatch = null;
 
 	// ===========================================================================
 	// Accessibility: live region announcements
@@ -446,17 +475,46 @@
 
 	function stopSpeaking() {
 		try {
+			loadTtsService()
+				.then((tts) => tts.stopSpeaking())
+				.catch(() => {});
 			window.speechSynthesis?.cancel?.();
 			pushConvo("system", "Stopped speaking.", "info");
 		} catch {}
 	}
 
+	function startListening() {
+		if (!recognizer || listening) return;
+		// Wake word and push-to-talk keep the mic open; the gate decides what gets routed
+		recognizer.continuous = !!listenGate && listenGate.getListenMode() !== "always";
+		try {
+			recognizer.start();
+		} catch {}
+	}
+
 	function stopListening() {
 		try {
 			recognizer?.stop?.();
 		} catch {}
 	}
 
+	// wakeWord.js drives the mic through a recognitionState; this one fronts the harness recognizer
+	const micState = {
+		get isRecognizing() {
+			return listening;
+		},
+		set isRecognizing(_) {},
+		recognition: { start: startListening, stop: stopListening },
+	};
+
+	// Keyup only compares the key itself: modifiers may come up first
+	function isPushToTalkKey(e, { keyOnly = false } = {}) {
+		if (!listenGate || !micHotkey || listenGate.getListenMode() !== "pushToTalk") return false;
+		if (!keyOnly) return isHotkeyMatch(e, micHotkey);
+		const key = typeof micHotkey === "string" ? micHotkey : micHotkey.key;
+		return String(e.key || "").toLowerCase() === String(key || "").toLowerCase();
+	}
+
 	// ===========================================================================
 	// Shortcut help
 	// ===========================================================================
@@ -483,11 +541,7 @@
 
 		pushConvo("system", "Help: " + msg, "info");
 
-		try {
-			const u = new SpeechSynthesisUtterance(msg);
-			window.speechSynthesis.cancel();
-			window.speechSynthesis.speak(u);
-		} catch {}
+		sayText(msg).catch(() => {});
 	}
 
 	// ===========================================================================
@@ -1040,7 +1094,7 @@
 		setMinimized(minimized);
 		applyCollapsedState();
 
-		function submitCommand() {
+		function submitCommand(source = "typed") {
 			const text = (inputEl.value || "").trim();
 			if (!text) return;
 
@@ -1048,69 +1102,107 @@
 				pushConvo("user", text, "info");
 				diagnose();
 			} else {
-				runUtterance(text);
+				runUtterance(text, source);
 			}
 			inputEl.value = "";
 			focusInput();
 		}
 
-		submitBtn.addEventListener("click", submitCommand);
+		submitBtn.addEventListener("click", () => submitCommand());
 		inputEl.addEventListener("keydown", (e) => {
 			if (e.key === "Enter") submitCommand();
 		});
 
-		const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-		if (!SpeechRecognition) {
-			logToast("SpeechRecognition not supported in this browser.");
+		// Recognition backend (Web Speech or a local Whisper server) comes from lib/stt.js
+		function disableMic(reason) {
+			logToast(reason);
 			micBtn.disabled = true;
 			micBtn.setAttribute("aria-disabled", "true");
-			pushConvo("system", "SpeechRecognition not supported in this browser.", "warn");
-		} else {
-			recognizer = new SpeechRecognition();
-			recognizer.continuous = false;
-			recognizer.interimResults = true;
-			recognizer.lang = "en-US";
-
-			micBtn.addEventListener("click", () => {
-				if (!listening) {
-					try {
-						recognizer.start();
-					} catch {}
-				} else {
-					stopListening();
-				}
-			});
-
-			recognizer.addEventListener("start", () => {
-				listening = true;
-				micBtn.textContent = "🛑 Stop";
-				micBtn.setAttribute("aria-pressed", "true");
-				inputEl.value = "";
-				pushConvo("system", "Listening…", "info");
-			});
-
-			recognizer.addEventListener("end", () => {
-				listening = false;
-				micBtn.textContent = "🎤 Listen";
-				micBtn.setAttribute("aria-pressed", "false");
-				if (autoSubmitTimer) clearTimeout(autoSubmitTimer);
-				autoSubmitTimer = null;
-				pushConvo("system", "Stopped listening.", "info");
-			});
-
-			recognizer.addEventListener("result", (event) => {
-				const transcript = Array.from(event.results)
-					.map((r) => r[0].transcript)
-					.join("");
-				inputEl.value = transcript;
-
-				if (autoSubmitTimer) clearTimeout(autoSubmitTimer);
-				autoSubmitTimer = setTimeout(() => submitCommand(), 2000);
-			});
-
-			recognizer.addEventListener("speechend", () => stopListening());
+			pushConvo("system", reason, "warn");
 		}
 
+		Promise.all([
+			import(chrome.runtime.getURL("lib/stt.js")),
+			import(chrome.runtime.getURL("lib/barge_in.js")),
+			import(chrome.runtime.getURL("src/model/wakeWord.js")),
+			import(chrome.runtime.getURL("src/model/settings.js")),
+		])
+			.then(async ([{ createRecognizer, recognitionSupported }, { screenTranscript }, wakeWord, settings]) => {
+				if (!recognitionSupported()) {
+					disableMic("Speech recognition not supported in this browser.");
+					return;
+				}
+
+				listenGate = wakeWord;
+				listenGate.initListenGate();
+				isHotkeyMatch = settings.isHotkeyMatch;
+				micHotkey = await settings.getSettingWithDefault(
+					"hotkeyMicrophone",
+					settings.DEFAULT_SETTINGS.hotkeyMicrophone,
+				);
+				chrome.storage.onChanged.addListener((changes, area) => {
+					if (area === "sync" && changes.hotkeyMicrophone) micHotkey = changes.hotkeyMicrophone.newValue;
+				});
+
+				recognizer = createRecognizer();
+				recognizer.continuous = false;
+				recognizer.interimResults = true;
+				recognizer.lang = "en-US";
+
+				micBtn.addEventListener("click", () => {
+					if (!listening) startListening();
+					else stopListening();
+				});
+
+				recognizer.addEventListener("start", () => {
+					listening = true;
+					micBtn.textContent = "🛑 Stop";
+					micBtn.setAttribute("aria-pressed", "true");
+					inputEl.value = "";
+					pushConvo("system", "Listening…", "info");
+				});
+
+				recognizer.addEventListener("end", () => {
+					listening = false;
+					micBtn.textContent = "🎤 Listen";
+					micBtn.setAttribute("aria-pressed", "false");
+					if (autoSubmitTimer) clearTimeout(autoSubmitTimer);
+					autoSubmitTimer = null;
+					pushConvo("system", "Stopped listening.", "info");
+				});
+
+				recognizer.addEventListener("result", (event) => {
+					// Continuous sessions keep earlier phrases in results; only the new ones count
+					const transcript = Array.from(event.results)
+						.slice(event.resultIndex)
+						.map((r) => r[0].transcript)
+						.join("");
+
+					// Wake word / push-to-talk: speech outside the listening window isn't for us
+					const forUs = listenGate.gateTranscript(transcript);
+					if (forUs === null) return;
+
+					// Barge-in: ignore Convox's own voice; talking over it stops the speech
+					const heard = screenTranscript(forUs);
+					if (heard.action === "echo") return;
+					if (heard.action === "stop" && !heard.text) {
+						pushConvo("system", "Stopped speaking.", "info");
+						stopListening();
+						return;
+					}
+					inputEl.value = heard.text;
+
+					if (autoSubmitTimer) clearTimeout(autoSubmitTimer);
+					autoSubmitTimer = setTimeout(() => submitCommand("speech"), 2000);
+				});
+
+				// In the gated modes the window, not the pause, ends listening
+				recognizer.addEventListener("speechend", () => {
+					if (listenGate.getListenMode() === "always") stopListening();
+				});
+			})
+			.catch((err) => disableMic(`Speech recognition unavailable: ${err?.message || err}`));
+
 		function onKeydown(e) {
 			if (e.key === "Escape") {
 				stopListening();
@@ -1141,18 +1233,27 @@
 				shortcutMatches(e, "e") ||
 				shortcutMatches(e, "v");
 
-			if (!handled) return;
+			if (!handled) {
+				// Push-to-talk: listen only while the mic hotkey is held (onKeyup closes the window)
+				if (!isPushToTalkKey(e)) return;
+				e.preventDefault();
+				e.stopPropagation();
+				if (!e.repeat) {
+					loadTtsService()
+						.then((tts) => tts.stopSpeaking())
+						.catch(() => {});
+					listenGate.pushToTalkDown(micState);
+				}
+				return;
+			}
 
 			e.preventDefault();
 			e.stopPropagation();
 
 			if (shortcutMatches(e, "l")) {
 				if (!recognizer) return;
-				if (!listening) {
-					try {
-						recognizer.start();
-					} catch {}
-				} else stopListening();
+				if (!listening) startListening();
+				else stopListening();
 				return;
 			}
 			if (shortcutMatches(e, "s")) return submitCommand();
@@ -1189,8 +1290,15 @@
 			}
 		}
 
+		function onKeyup(e) {
+			if (!isPushToTalkKey(e, { keyOnly: true })) return;
+			e.stopPropagation();
+			listenGate.pushToTalkUp(micState);
+		}
+
 		document.addEventListener("keydown", onKeydown, true);
 		window.addEventListener("keydown", onKeydown, true);
+		window.addEventListener("keyup", onKeyup, true);
 
 		enableDrag(headerTitle);
 		enableDrag(headerSub);
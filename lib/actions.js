@@ -3,13 +3,74 @@
 // Depends on intent enums + Memory from lib/intent.js
 console.log("[CONVOX actions] build 2026-03-30T20:30 guard+no-mutation");
 import { intents, Memory, normalize } from "./intent.js";
-import { fetchPlannerItems, fetchUserTodo, normalizeCanvasItem } from "./canvas_api.js";
+import {
+	registerIntent,
+	getIntentDef,
+	listIntentDefs,
+	isNavIntent,
+	helpPhrases,
+	matchIntentPatterns,
+} from "./intent_registry.js";
+import { normalizeSpoken, fuzzyScore, bestFuzzyMatch, spokenLetter } from "./fuzzy_match.js";
+import { speakText, isSpeaking } from "./tts.js";
+import { createRecognizer, recognitionSupported } from "./stt.js";
+import {
+	createVault,
+	ANY_HOST,
+	getProfile,
+	hasLegacyCredentials,
+	isVaultUnlocked,
+	linkProfileHost,
+	parseSpokenPin,
+	saveProfile,
+	suggestProfileHost,
+	unlockVault,
+	vaultExists,
+	vaultLockedOutFor,
+} from "./vault.js";
+import {
+	fetchPlannerItems,
+	fetchUserTodo,
+	fetchCourses,
+	fetchCourseGrades,
+	fetchSubmissions,
+	fetchAssignment,
+	fetchAssignmentGroups,
+	fetchMyFiles,
+	fetchCalendarEvents,
+	fetchUserProfile,
+	submitAssignment,
+	normalizeCanvasItem,
+	normalizeEnrollmentGrade,
+	gradedPointsPossible,
+	normalizeSubmission,
+	normalizeSubmissionFeedback,
+	normalizeCalendarEvent,
+	fetchConversations,
+	fetchConversation,
+	addConversationMessage,
+	updateConversation,
+	createConversation,
+	searchRecipients,
+	normalizeConversation,
+	normalizeRecipient,
+	fetchDiscussionTopic,
+	fetchDiscussionView,
+	rateDiscussionEntry,
+	markDiscussionEntryRead,
+	postDiscussionReply,
+	normalizeDiscussionView,
+} from "./canvas_api.js";
 import { buildSnapshot } from "./snapshot.js";
-// NOTE: We intentionally avoid any "tiny LLM" or Ollama dependency.
-// Summaries use Chrome's on-device Summarizer API when available, otherwise a
-// fast heuristic fallback.
+// NOTE: Nothing here depends on a language model. Summaries use Chrome's
+// on-device Summarizer API when available, otherwise a fast heuristic fallback.
+// Due answers and general questions try the model selected in lib/llm.js
+// (none by default) and keep their deterministic answer when it doesn't reply.
+import { applyDictation, createDictationDoc, docToHtml, docToText, isDictationDone } from "./dictation.js";
+import { dtParts, zonedTimeToUtc } from "./zoned_time.js";
 import { extractPageMainText } from "./page_text.js";
 import { summarizeTextForSpeech } from "./page_summarize.js";
+import { llmAnswerQuestion, llmChatGeneral, llmRewriteForSpeech } from "./tiny_llm.js";
 
 // =============================================================================
 // GLOBAL GUARDS (prevents "Identifier already declared" when injected twice)
@@ -182,30 +243,20 @@ function shouldBypassNlpSpeech(text, opts = {}) {
 }
 
 export function speak(text, opts = {}) {
-	return new Promise((resolve) => {
-		try {
-			const rawText = String(text ?? "").trim();
-			if (!rawText) return resolve();
-
-			const cleaned = shouldBypassNlpSpeech(rawText, opts) ? rawText : stylizeSpeech(rawText, opts);
-			if (!cleaned) return resolve();
-
-			const utter = new SpeechSynthesisUtterance(cleaned);
-			utter.rate = opts.rate ?? 1.0;
-			utter.pitch = opts.pitch ?? 1.0;
-			utter.volume = opts.volume ?? 1.0;
-			utter.lang = opts.lang ?? "en-US";
+	try {
+		const rawText = String(text ?? "").trim();
+		if (!rawText) return Promise.resolve();
 
-			utter.onend = () => resolve();
-			utter.onerror = () => resolve();
+		const cleaned = shouldBypassNlpSpeech(rawText, opts) ? rawText : stylizeSpeech(rawText, opts);
+		if (!cleaned) return Promise.resolve();
 
-			window.speechSynthesis.cancel();
-			window.speechSynthesis.speak(utter);
-		} catch (e) {
-			console.warn("speech error:", e);
-			resolve();
-		}
-	});
+		// Engine, voice and queueing live in lib/tts.js; explicit opts override the user's settings.
+		const { rate, pitch, volume, lang, voice, engine, interrupt } = opts;
+		return speakText(cleaned, { rate, pitch, volume, lang, voice, engine, interrupt });
+	} catch (e) {
+		console.warn("speech error:", e);
+		return Promise.resolve();
+	}
 }
 
 async function speakChoiceOptions() {
@@ -304,6 +355,21 @@ async function remember(patch) {
 	return await mem.set(patch);
 }
 
+// Popup settings live in chrome.storage.sync; fall back outside the extension.
+function getSyncSetting(key, fallback) {
+	return new Promise((resolve) => {
+		try {
+			chrome.storage.sync.get(key, (result) => {
+				if (chrome.runtime.lastError) console.warn(chrome.runtime.lastError);
+				resolve(result?.[key] ?? fallback);
+			});
+		} catch (e) {
+			console.warn("storage.sync read failed:", e);
+			resolve(fallback);
+		}
+	});
+}
+
 function clickAndNavigate(el) {
 	try {
 		el.setAttribute("tabindex", "-1");
@@ -380,28 +446,6 @@ function findCourseScopedNavLink(courseId, sectionSlug, keywords = []) {
 
 const PLAN_KEY = "plan";
 
-const NAV_INTENTS = new Set([
-	intents.OPEN_DASHBOARD,
-	intents.OPEN_COURSES,
-	intents.OPEN_ASSIGNMENTS,
-	intents.OPEN_GRADES,
-	intents.OPEN_MODULES,
-	intents.OPEN_QUIZZES,
-	intents.OPEN_FILES,
-	intents.GO_BACK,
-	intents.NAVIGATE_TO,
-	intents.OPEN_COURSE_BY_NUMBER,
-	intents.OPEN_COURSE_SECTION,
-	intents.OPEN_ASSIGNMENT_QUERY,
-	intents.CHOOSE_OPTION,
-	intents.OPEN_ASSIGNMENTS_FOR_COURSE,
-	intents.OPEN_ASSIGNMENT_FOR_COURSE,
-	intents.OPEN_HOME,
-	"OPEN_INBOX",
-	"COMPOSE_MESSAGE",
-	"OPEN_ANNOUNCEMENTS",
-]);
-
 async function setPlan(steps, meta = {}) {
 	// ✅ Kill any stale resume payload from a previous chain
 	try {
@@ -414,6 +458,25 @@ async function clearPlan() {
 	await mem.set({ [PLAN_KEY]: null });
 }
 
+// A plan held by a step's question (runPlan) carries on once the step has run;
+// beforeHref is the page the step started on
+async function continueHeldPlan(beforeHref) {
+	const st = await mem.get();
+	const plan = st?.[PLAN_KEY];
+	if (!plan?.held) return;
+	await mem.set({ [PLAN_KEY]: { ...plan, held: false } });
+
+	// After a real page load the plan resumes there
+	const answered = plan.steps?.[Number(plan.i || 0) - 1];
+	if (isNavIntent(answered?.intent) && !(await __CONVOX.actions.waitForUrlChange(beforeHref, 3500))) return;
+	resumePlanIfAny().catch((e) => console.warn("resumePlanIfAny failed:", e));
+}
+
+async function dropHeldPlan() {
+	const st = await mem.get();
+	if (st?.[PLAN_KEY]?.held) await clearPlan();
+}
+
 // =============================================================================
 // 7) Plan "until" helpers (CONDITION barrier)
 // =============================================================================
@@ -635,6 +698,14 @@ async function runPlan(planSteps, { startIdx = 0, meta = {} } = {}) {
 		// Run the step
 		const beforeHref = location.href;
 		const res = await runAction(step.intent, step.slots || {});
+
+		// The step asked a question ("Which course?"): hold the rest until it's answered
+		if (res?.pending) {
+			__CONVOX.actions.clearResumePlan();
+			const held = await mem.get();
+			if (held?.plan) await mem.set({ plan: { ...held.plan, i: i + 1, held: true } });
+			return { ok: true, pending: true, message: "Plan waiting for an answer", last: res };
+		}
 		// ✅ If this step has a barrier, wait a bit for SPA nav to complete
 		if (step.until) {
 			const start = Date.now();
@@ -650,7 +721,7 @@ async function runPlan(planSteps, { startIdx = 0, meta = {} } = {}) {
 		if (st2?.plan) await mem.set({ plan: { ...st2.plan, i: i + 1 } });
 
 		// If this is a navigation step, we must persist resume **before** page unload
-		const isNav = NAV_INTENTS.has(step.intent);
+		const isNav = isNavIntent(step.intent);
 
 		if (isNav) {
 			// Save resume in case the page unloads
@@ -714,7 +785,7 @@ async function resumePlanIfAny() {
 			return;
 		}
 		const p = st?.plan;
-		if (!p?.steps?.length) return;
+		if (!p?.steps?.length || p.held) return;
 
 		return await runPlan(p.steps, {
 			startIdx: Number(p.i || 0),
@@ -868,9 +939,8 @@ function normalizeCourseLabel(label) {
 }
 
 function parseCourseQueryFromUtterance(cleaned) {
-	const s = String(cleaned || "")
-		.toLowerCase()
-		.trim();
+	// "open see ess see e forty nine oh one" -> "open csce 4901"
+	const s = normalizeSpoken(cleaned);
 	if (!s.startsWith("open ")) return null;
 
 	const remainder = s.replace(/^open\s+/, "").trim();
@@ -922,6 +992,7 @@ function scoreCourseCandidate(label, href, q) {
 
 	for (const t of tokens) {
 		if (L.includes(t)) score += 0.7;
+		else if (fuzzyScore(t, L) >= 0.8) score += 0.5;
 	}
 
 	if (isCourseHomeLink({ getAttribute: () => href, href })) score += 0.8;
@@ -1194,11 +1265,19 @@ function parseMonthDay(text = "") {
 		december: 12,
 	};
 
-	const m = t.match(
-		/\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t)?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\b[^0-9]{0,6}\b(0?[1-9]|[12]\d|3[01])\b/,
-	);
+	const monthRe =
+		"(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t)?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+	// "march 3", "march 3rd", "mar. 10th"
+	const m = t.match(new RegExp(`\\b${monthRe}\\b[^0-9]{0,6}\\b(0?[1-9]|[12]\\d|3[01])(?:st|nd|rd|th)?\\b`));
 	if (m) return { month: months[m[1]], day: parseInt(m[2], 10) };
 
+	// "3rd of march", "the 10th march", "10 of october"
+	const dm = t.match(
+		new RegExp(`\\b(0?[1-9]|[12]\\d|3[01])(?:(?:st|nd|rd|th)\\s+(?:of\\s+)?|\\s+of\\s+)${monthRe}\\b`),
+	);
+	if (dm) return { month: months[dm[2]], day: parseInt(dm[1], 10) };
+
 	return null;
 }
 
@@ -1297,7 +1376,7 @@ function collectAssignmentLinks() {
 }
 
 function buildAssignmentVariants(qText) {
-	const q = normalize(qText);
+	const q = normalizeSpoken(normalize(qText));
 	const m = q.match(/\b(\d+)\b/);
 	const n = m ? m[1] : null;
 
@@ -1339,7 +1418,7 @@ async function actOpenAssignmentQuery(qRaw) {
 
 	const searchBox = findAssignmentsSearchBox();
 	if (searchBox) {
-		const num = (qText.match(/\d+/) || [null])[0];
+		const num = (normalizeSpoken(qText).match(/\d+/) || [null])[0];
 		const typed = num ? `hw${num}` : qText;
 
 		setNativeValue(searchBox, typed);
@@ -1365,6 +1444,10 @@ async function actOpenAssignmentQuery(qRaw) {
 				if (dm && text.includes(dm[1])) score += 0.6;
 			}
 
+			// "kind of matics lab" -> "Kinematics Lab"
+			const fz = fuzzyScore(qText, text);
+			if (fz >= 0.8) score += 3 * fz;
+
 			if (href.includes("/assignments/")) score += 0.4;
 
 			const r = a.getBoundingClientRect?.();
@@ -1509,6 +1592,129 @@ async function actOpenAssignmentsForCourse(courseNumRaw) {
 	return await actOpenCourseByNumber(courseNum);
 }
 
+// ---- Course sections + assignment-in-course (OPEN_COURSE_SECTION / OPEN_ASSIGNMENT_FOR_COURSE)
+
+// Spoken section -> course-relative path. Slugs are Canvas's own URL segments.
+const COURSE_SECTIONS = [
+	{ key: "syllabus", re: /\bsyllabus\b/, slug: "assignments/syllabus", label: "syllabus" },
+	{ key: "assignments", re: /\bassignments?\b|\bhomework\b/, slug: "assignments", label: "assignments" },
+	{ key: "grades", re: /\bgrades?\b/, slug: "grades", label: "grades" },
+	{ key: "modules", re: /\bmodules?\b/, slug: "modules", label: "modules" },
+	{ key: "quizzes", re: /\bquiz(?:zes)?\b/, slug: "quizzes", label: "quizzes" },
+	{ key: "files", re: /\bfiles?\b/, slug: "files", label: "files" },
+	{ key: "announcements", re: /\bannouncements?\b/, slug: "announcements", label: "announcements" },
+	{ key: "discussions", re: /\bdiscussions?\b/, slug: "discussion_topics", label: "discussions" },
+	{ key: "pages", re: /\b(?:wiki\s+)?pages?\b/, slug: "pages", label: "pages" },
+	{ key: "people", re: /\b(?:people|classmates|roster)\b/, slug: "users", label: "people" },
+];
+
+function courseSectionFromText(text) {
+	const t = String(text || "").toLowerCase();
+	return COURSE_SECTIONS.find((s) => s.key === t) || COURSE_SECTIONS.find((s) => s.re.test(t)) || null;
+}
+
+async function openSectionInCurrentCourse(sec, pickedCourseId = null) {
+	const state = await mem.get();
+	const courseId = pickedCourseId || getActiveCourseId(state);
+	if (!courseId) {
+		await speak(`Which course? Say: open ${sec.label} for course 4901.`, { mode: "say" });
+		return { ok: false, message: "No course context for section" };
+	}
+
+	const link = findCourseScopedNavLink(courseId, sec.slug, [sec.label, sec.key]);
+	await speakNav(`Opening ${sec.label}.`, { mode: "say" });
+	await remember({ lastIntent: intents.OPEN_COURSE_SECTION, activeCourseId: courseId });
+
+	// Course nav hides tabs the instructor disabled; the URL still works when the page exists.
+	if (link) clickAndNavigate(link);
+	else window.location.href = `/courses/${courseId}/${sec.slug}`;
+	return { ok: true, message: `Opened ${sec.key} in course ${courseId}` };
+}
+
+async function actOpenCourseSection(slots = {}) {
+	const sec = courseSectionFromText(slotValue(slots.section));
+	if (!sec) {
+		await speak("Which section? Like: syllabus, people, pages, discussions, or announcements.", { mode: "say" });
+		return { ok: false, message: "Unknown course section" };
+	}
+
+	// Course picked in a "Which course?" dialogue
+	if (slots.course?.value) return await openSectionInCurrentCourse(sec, slots.course.value);
+
+	const courseNum = String(slots.courseNum || "").trim();
+	const state = await mem.get();
+	if (!courseNum || planUntilSatisfied({ type: "COURSE_NUM", value: courseNum }, state)) {
+		return await openSectionInCurrentCourse(sec);
+	}
+
+	// Different course: open it first, then the section (resumes across the page load).
+	const steps = [
+		{ intent: intents.OPEN_COURSE_BY_NUMBER, slots: { courseNum }, until: { type: "COURSE_NUM", value: courseNum } },
+		{
+			intent: intents.OPEN_COURSE_SECTION,
+			slots: { section: sec.key },
+			until: { type: "PATH_INCLUDES", value: `/${sec.slug}` },
+		},
+	];
+	const meta = { kind: "SECTION_FROM_COURSE", rawUtterance: slots.utterance || "", createdAt: Date.now() };
+
+	await speak(`Opening course ${courseNum}, then ${sec.label}.`, { mode: "say" });
+	await clearPlan();
+	await setPlan(steps, meta);
+	return await runPlan(steps, { startIdx: 0, meta });
+}
+
+async function actOpenAssignmentForCourse(slots = {}) {
+	const courseNum = String(slots.courseNum || "").trim();
+	const q = String(slots.q || "").trim();
+	if (!q) return await actOpenAssignmentsForCourse(courseNum);
+	if (!courseNum) return await actOpenAssignmentQuery(q);
+
+	// API first: the assignment URL comes straight from the submission record.
+	let found = null;
+	try {
+		found = await findMatchingSubmissions({ q, courseText: courseNum });
+	} catch (e) {
+		console.warn("assignment lookup failed:", e);
+	}
+
+	if (found?.noCourse) {
+		await speak(`I can't find course ${courseNum} in your enrollments.`, { mode: "say" });
+		return { ok: false, message: `No course ${courseNum}` };
+	}
+
+	const ranked = (found?.ranked || []).filter((x) => x.s.url);
+	if (ranked.length >= 2 && ranked[1].score >= ranked[0].score - 0.6) {
+		await askChoice(
+			ranked.slice(0, 8).map((x) => ({ label: x.s.title, href: x.s.url })),
+			`I found a few matches for ${q} in course ${courseNum}. Which one?`,
+		);
+		return { ok: true, message: "Asked choice for assignment in course" };
+	}
+	if (ranked.length) {
+		const { s } = ranked[0];
+		await speak(`Opening ${s.title}.`, { mode: "say" });
+		await remember({ lastIntent: intents.OPEN_ASSIGNMENT_FOR_COURSE, lastLinkText: s.title });
+		window.location.href = s.url;
+		return { ok: true, message: `Opened assignment: ${s.title}` };
+	}
+	if (found) {
+		await speak(`I can't find ${q} in course ${courseNum}.`, { mode: "say" });
+		return { ok: false, message: "Assignment not found in course" };
+	}
+
+	// API unreachable: walk the pages instead (course -> assignments -> search).
+	await setQueue(
+		[
+			{ intent: intents.OPEN_ASSIGNMENTS, slots: {} },
+			{ intent: intents.OPEN_ASSIGNMENT_QUERY, slots: { q } },
+		],
+		{ kind: "ASSIGNMENT_IN_COURSE", courseNum, q },
+	);
+	await speak(`Opening course ${courseNum}, then ${q}.`, { mode: "say" });
+	return await actOpenCourseByNumber(courseNum);
+}
+
 function parseCompoundAssignmentsForCourse(cleaned) {
 	const u = String(cleaned || "").toLowerCase();
 	const hasOpen = /\bopen\b/.test(u);
@@ -1977,7 +2183,13 @@ async function actReadPage() {
 		const all = (document.querySelector("main, [role='main'], body")?.textContent || "").trim();
 		const chunk = all.slice(0, 900);
 		await speak(makeSpokenSection(chunk), { mode: "read" });
-		await remember({ lastIntent: intents.READ_PAGE, lastSectionId: null, expectingYesNo: false, pendingAction: null });
+		await remember({
+			lastIntent: intents.READ_PAGE,
+			lastSectionId: null,
+			feedbackReader: null,
+			expectingYesNo: false,
+			pendingAction: null,
+		});
 		return { ok: true, message: "Read page (fallback blob)" };
 	}
 
@@ -1987,6 +2199,7 @@ async function actReadPage() {
 	await remember({
 		lastIntent: intents.READ_PAGE,
 		lastSectionId: first.id,
+		feedbackReader: null,
 		expectingYesNo: false,
 		pendingAction: null,
 	});
@@ -2032,8 +2245,11 @@ async function actSummarizePage() {
 	}
 }
 async function actReadNext() {
-	const secs = getReadableSections();
 	const state = await mem.get();
+	const feedback = activeFeedbackReader(state);
+	if (feedback) return await actReadNextFeedback(feedback);
+
+	const secs = getReadableSections();
 	const lastId = state.lastSectionId;
 
 	if (secs.length === 0) {
@@ -2060,6 +2276,9 @@ async function actReadNext() {
 
 async function actRepeat() {
 	const state = await mem.get();
+	const feedback = activeFeedbackReader(state);
+	if (feedback) return await actRepeatFeedback(feedback);
+
 	if (state.lastSectionId) {
 		const el = document.getElementById(state.lastSectionId);
 		if (el) {
@@ -2075,8 +2294,7 @@ async function actRepeat() {
 }
 
 async function actHelp() {
-	const msg =
-		"Try: open dashboard. Go back. Open grades. Open assignments. Open modules. Open quizzes. Open files. Open courses. Open course 1040. Open homework 2. Read the page. Next section. Repeat.";
+	const msg = `Try: ${helpPhrases().join(". ")}.`;
 	await speak(msg, { mode: "say" });
 	return { ok: true, message: "Help spoken" };
 }
@@ -2107,11 +2325,33 @@ async function actAffirmDeny(isYes) {
 		return { ok: true, message: "Canceled pending action" };
 	}
 
+	if (pending === "RUN_INTENT") {
+		const run = state.pendingIntent;
+		await mem.set({ pendingIntent: null });
+		if (run?.intent) return await runAction(run.intent, { ...run.slots, confirmed: true });
+	}
+
 	if (pending === "READ_PAGE") return await actReadPage();
 	if (pending === "OPEN_DASHBOARD") return await actOpenDashboard();
 	if (pending === "READ_ASSIGNMENTS_SUMMARY") return await actReadAssignmentsSummary();
 	if (pending === "OPEN_COURSES") return await actOpenCourses();
 
+	if (pending === "OPEN_QUIZ_FRAME") {
+		const href = state.pendingHref;
+		await mem.set({ pendingHref: null });
+		if (!href) return await actTakeQuiz();
+		await saveQuizState({ idx: 0, number: 1, pendingRead: true });
+		await speak("Opening the quiz full page.", { mode: "say" });
+		window.location.href = href;
+		return { ok: true, message: "Opened quiz frame top-level" };
+	}
+
+	if (pending === "OPEN_GRADES") {
+		await actOpenGrades();
+		await speak("When it loads, ask me again.", { mode: "say" });
+		return { ok: true, message: "Opened grades then prompted to retry" };
+	}
+
 	if (pending === "OPEN_COURSE_CONFIRM") {
 		const href = state.pendingHref;
 		const label = state.pendingLabel || "that course";
@@ -2143,6 +2383,67 @@ async function actAffirmDeny(isYes) {
 // 17) Credential setup overlay (injected into current page)
 // =============================================================================
 
+// Selector sets covering Canvas native + UNT SSO (Shibboleth)
+const USERNAME_SELECTORS = [
+	"#pseudonym_session_unique_id", // Canvas native
+	"input[name='pseudonym_session[unique_id]']",
+	"#username", // Shibboleth SSO
+	"input[name='username']",
+	"input[name='j_username']",
+	"input[type='email']",
+	"input[autocomplete='username']",
+];
+const PASSWORD_SELECTORS = [
+	"#pseudonym_session_password", // Canvas native
+	"input[name='pseudonym_session[password]']",
+	"#password", // Shibboleth SSO
+	"input[name='password']",
+	"input[name='j_password']",
+	"input[type='password']",
+	"input[autocomplete='current-password']",
+];
+const SUBMIT_SELECTORS = [
+	".Button--login", // Canvas native
+	"button[type='submit']",
+	"input[type='submit']",
+	"#submitbutton", // Shibboleth
+	"button[name='_eventId_proceed']", // Shibboleth SSO proceed
+];
+const REMEMBER_SELECTORS = [
+	"#pseudonym_session_remember_me",
+	"input[name='_shib_idp_revokeConsent']",
+	"input[type='checkbox']",
+];
+
+function findFirst(selectors) {
+	for (const sel of selectors) {
+		const el = document.querySelector(sel);
+		if (el) return el;
+	}
+	return null;
+}
+
+// Login fields: fires native input + change events so React/controlled inputs register the value
+function fillLoginField(el, value) {
+	const nativeInput = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, "value");
+	nativeInput?.set?.call(el, value);
+	el.dispatchEvent(new Event("input", { bubbles: true }));
+	el.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+// Submit and watch for a second-factor screen on the pages that follow (17.6)
+async function submitLogin(submitBtn) {
+	await startMfaWatch();
+	submitBtn.click();
+	sessionStorage.setItem(
+		"canvoxNavigation",
+		JSON.stringify({
+			message: "Successfully logged in to your account. You are now on the Canvas dashboard.",
+			timestamp: Date.now(),
+		}),
+	);
+}
+
 async function injectCredentialSetupOverlay() {
 	// Remove any existing overlay
 	document.getElementById("convox-setup-overlay")?.remove();
@@ -2163,7 +2464,8 @@ async function injectCredentialSetupOverlay() {
 		">
 			<h2 style="color:#ffff00; font-size:1.3rem; margin:0 0 8px;">Convox – Login Setup</h2>
 			<p style="color:#fff; font-size:0.9rem; margin:0 0 24px; line-height:1.5;">
-				Say or type your credentials. They will be saved for future logins.
+				Say or type your credentials and a PIN of six or more digits. They are saved encrypted
+				for this site and unlocked with the PIN.
 			</p>
 
 			<label style="display:block; color:#ffff00; font-size:0.8rem; font-weight:700;
@@ -2181,6 +2483,16 @@ async function injectCredentialSetupOverlay() {
 				Password
 			</label>
 			<input id="convox-pw" type="password" placeholder="Your Canvas password" style="
+				width:100%; padding:10px 14px; background:#000; border:2px solid #fff;
+				border-radius:6px; color:#fff; font-size:1rem; margin-bottom:20px;
+				outline:none; box-sizing:border-box;
+			"/>
+
+			<label style="display:block; color:#ffff00; font-size:0.8rem; font-weight:700;
+				text-transform:uppercase; letter-spacing:0.04em; margin-bottom:6px;">
+				Vault PIN
+			</label>
+			<input id="convox-pin" type="password" inputmode="numeric" autocomplete="off" placeholder="6 or more digits" style="
 				width:100%; padding:10px 14px; background:#000; border:2px solid #fff;
 				border-radius:6px; color:#fff; font-size:1rem; margin-bottom:24px;
 				outline:none; box-sizing:border-box;
@@ -2210,6 +2522,9 @@ async function injectCredentialSetupOverlay() {
 				<div><span style="background:#ffff00;color:#000;font-weight:700;
 					border-radius:3px;padding:1px 6px;font-family:monospace;margin-right:6px;">
 					set password [value]</span> set your password</div>
+				<div><span style="background:#ffff00;color:#000;font-weight:700;
+					border-radius:3px;padding:1px 6px;font-family:monospace;margin-right:6px;">
+					set pin [digits]</span> set the PIN that unlocks them</div>
 				<div><span style="background:#ffff00;color:#000;font-weight:700;
 					border-radius:3px;padding:1px 6px;font-family:monospace;margin-right:6px;">
 					save</span> save and close</div>
@@ -2224,6 +2539,7 @@ async function injectCredentialSetupOverlay() {
 
 	const unInput = overlay.querySelector("#convox-un");
 	const pwInput = overlay.querySelector("#convox-pw");
+	const pinInput = overlay.querySelector("#convox-pin");
 	const saveBtn = overlay.querySelector("#convox-save-btn");
 	const cancelBtn = overlay.querySelector("#convox-cancel-btn");
 	const statusEl = overlay.querySelector("#convox-setup-status");
@@ -2236,33 +2552,47 @@ async function injectCredentialSetupOverlay() {
 	async function saveAndClose() {
 		const username = unInput.value.trim();
 		const password = pwInput.value.trim();
+		const pin = parseSpokenPin(pinInput.value);
 		if (!username && !password) {
 			setStatus("Please enter a username or password.", "#ff4444");
 			await speak("Please enter a username or password.", { mode: "say" });
 			return;
 		}
-		await new Promise((res) => chrome.storage.local.set({ convox_credentials: { username, password } }, res));
+
+		// The PIN creates the vault the first time and unlocks it after that
+		if (!isVaultUnlocked()) {
+			if (!pin) {
+				setStatus("Please enter a PIN of six or more digits.", "#ff4444");
+				await speak("Please say set pin, then six or more digits.", { mode: "say" });
+				return;
+			}
+			if (!(await vaultExists())) {
+				await createVault(pin);
+			} else if (!(await unlockVault(pin))) {
+				const wait = await vaultLockedOutFor();
+				const msg = wait
+					? `Too many wrong PINs. Try again in ${lockoutMinutes(wait)}.`
+					: "That PIN doesn't match your saved PIN. Say set pin to try again.";
+				setStatus(wait ? msg : "That PIN doesn't match your vault.", "#ff4444");
+				await speak(msg, { mode: "say" });
+				return;
+			}
+		}
+		await saveProfile(location.host, { username, password });
 		setStatus("Saved! Logging you in now...");
 		overlay.remove();
 
 		// Fill the login form and submit
 		const uField = findFirst(USERNAME_SELECTORS);
 		const pField = findFirst(PASSWORD_SELECTORS);
-		if (uField && username) setNativeValue(uField, username);
-		if (pField && password) setNativeValue(pField, password);
+		if (uField && username) fillLoginField(uField, username);
+		if (pField && password) fillLoginField(pField, password);
 
 		await speak("Credentials saved. Logging you in now.", { mode: "say" });
 
 		const submitBtn = findFirst(SUBMIT_SELECTORS);
 		if (submitBtn) {
-			submitBtn.click();
-			sessionStorage.setItem(
-				"canvoxNavigation",
-				JSON.stringify({
-					message: "Successfully logged in to your account. You are now on the Canvas dashboard.",
-					timestamp: Date.now(),
-				}),
-			);
+			await submitLogin(submitBtn);
 		}
 	}
 
@@ -2273,12 +2603,11 @@ async function injectCredentialSetupOverlay() {
 	});
 
 	// Voice control for the overlay
-	const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
 	let overlayRec = null;
 
 	function startOverlayRecognition() {
-		if (!SR) return;
-		overlayRec = new SR();
+		if (!recognitionSupported()) return;
+		overlayRec = createRecognizer();
 		overlayRec.lang = "en-US";
 		overlayRec.continuous = false;
 		overlayRec.interimResults = false;
@@ -2288,6 +2617,7 @@ async function injectCredentialSetupOverlay() {
 
 			const unMatch = t.match(/\b(?:set\s+)?(?:username|user|euid)\s+(?:is\s+)?(\S+)/);
 			const pwMatch = t.match(/\b(?:set\s+)?password\s+(?:is\s+)?(\S+)/);
+			const pin = /\bpin\b/.test(t) ? parseSpokenPin(t) : null;
 
 			if (unMatch) {
 				unInput.value = unMatch[1];
@@ -2298,7 +2628,16 @@ async function injectCredentialSetupOverlay() {
 			} else if (pwMatch) {
 				pwInput.value = pwMatch[1];
 				pwInput.style.borderColor = "#ffff00";
-				await speak("Password set. Say save to finish.", { mode: "say" });
+				await speak(
+					isVaultUnlocked()
+						? "Password set. Say save to finish."
+						: "Password set. Now say set pin, then six or more digits.",
+					{ mode: "say" },
+				);
+			} else if (pin) {
+				pinInput.value = pin;
+				pinInput.style.borderColor = "#ffff00";
+				await speak("PIN set. Say save to finish.", { mode: "say" });
 			} else if (/\b(save|done|confirm)\b/.test(t)) {
 				await saveAndClose();
 				return;
@@ -2317,7 +2656,7 @@ async function injectCredentialSetupOverlay() {
 			if (document.getElementById("convox-setup-overlay")) startOverlayRecognition();
 		};
 		overlayRec.onend = () => {
-			if (document.getElementById("convox-setup-overlay") && !window.speechSynthesis.speaking) {
+			if (document.getElementById("convox-setup-overlay") && !isSpeaking()) {
 				startOverlayRecognition();
 			}
 		};
@@ -2328,7 +2667,12 @@ async function injectCredentialSetupOverlay() {
 	// Focus username field and prompt
 	unInput.focus();
 	unInput.style.borderColor = "#ffff00";
-	await speak("Please say or type your username, then say or type your password, then say save.", { mode: "say" });
+	await speak(
+		isVaultUnlocked()
+			? "Please say or type your username, then your password, then say save."
+			: "Please say or type your username, then your password, then a PIN of six or more digits, then say save.",
+		{ mode: "say" },
+	);
 	startOverlayRecognition();
 }
 
@@ -2345,54 +2689,6 @@ async function actOpenSettings() {
 async function actLogIn(slots = {}) {
 	const transcript = slots.utterance || "";
 
-	// ── Selector sets covering Canvas native + UNT SSO (Shibboleth) ──────────
-	const USERNAME_SELECTORS = [
-		"#pseudonym_session_unique_id", // Canvas native
-		"input[name='pseudonym_session[unique_id]']",
-		"#username", // Shibboleth SSO
-		"input[name='username']",
-		"input[name='j_username']",
-		"input[type='email']",
-		"input[autocomplete='username']",
-	];
-	const PASSWORD_SELECTORS = [
-		"#pseudonym_session_password", // Canvas native
-		"input[name='pseudonym_session[password]']",
-		"#password", // Shibboleth SSO
-		"input[name='password']",
-		"input[name='j_password']",
-		"input[type='password']",
-		"input[autocomplete='current-password']",
-	];
-	const SUBMIT_SELECTORS = [
-		".Button--login", // Canvas native
-		"button[type='submit']",
-		"input[type='submit']",
-		"#submitbutton", // Shibboleth
-		"button[name='_eventId_proceed']", // Shibboleth SSO proceed
-	];
-	const REMEMBER_SELECTORS = [
-		"#pseudonym_session_remember_me",
-		"input[name='_shib_idp_revokeConsent']",
-		"input[type='checkbox']",
-	];
-
-	function findFirst(selectors) {
-		for (const sel of selectors) {
-			const el = document.querySelector(sel);
-			if (el) return el;
-		}
-		return null;
-	}
-
-	// Fires native input + change events so React/controlled inputs register the value
-	function setNativeValue(el, value) {
-		const nativeInput = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, "value");
-		nativeInput?.set?.call(el, value);
-		el.dispatchEvent(new Event("input", { bubbles: true }));
-		el.dispatchEvent(new Event("change", { bubbles: true }));
-	}
-
 	// ── 1) Confirm a login form is present on this page ───────────────────────
 	const usernameField = findFirst(USERNAME_SELECTORS);
 	const passwordField = findFirst(PASSWORD_SELECTORS);
@@ -2415,14 +2711,7 @@ async function actLogIn(slots = {}) {
 	if (/\b(submit|go|enter|done)\b/.test(u)) {
 		const submitBtn = findFirst(SUBMIT_SELECTORS);
 		if (submitBtn) {
-			submitBtn.click();
-			sessionStorage.setItem(
-				"canvoxNavigation",
-				JSON.stringify({
-					message: "Successfully logged in to your account. You are now on the Canvas dashboard.",
-					timestamp: Date.now(),
-				}),
-			);
+			await submitLogin(submitBtn);
 			return { ok: true, message: "Submitted login form" };
 		}
 		await speak("I couldn't find the login button.", { mode: "say" });
@@ -2442,35 +2731,45 @@ async function actLogIn(slots = {}) {
 		return { ok: false, message: "Remember-me checkbox not found" };
 	}
 
-	// ── 5) Read saved credentials from storage and fill fields ───────────────
-	const stored = await new Promise((res) =>
-		chrome.storage.local.get("convox_credentials", (d) => res(d?.convox_credentials || null)),
-	);
-
-	if (!stored?.username && !stored?.password) {
+	// ── 5) Unlock the vault (lib/vault.js) and read this site's login ─────────
+	const hasVault = await vaultExists();
+	if (!hasVault && !(await hasLegacyCredentials())) {
 		await speak("No saved credentials found. Let's set them up now.", { mode: "say" });
 		await injectCredentialSetupOverlay();
 		return { ok: false, message: "No credentials — showed setup overlay" };
 	}
 
+	if (!isVaultUnlocked()) {
+		const pin = slots.pin || parseSpokenPin(transcript.match(/\bpin\b.*/i)?.[0]);
+		if (!pin) return await askForVaultPin(hasVault);
+		if (!hasVault) {
+			// Plain-text credentials from before the vault: the first PIN locks them in
+			await createVault(pin);
+		} else if (!(await unlockVault(pin))) {
+			return await askForVaultPin(hasVault, true);
+		}
+	}
+
+	const stored = await getProfile(location.host);
+	if (!stored?.username && !stored?.password) {
+		const suggested = await suggestProfileHost(location.host);
+		if (suggested) return await askToLinkProfile(suggested);
+		await speak(`No saved login for ${location.hostname}. Let's set it up now.`, { mode: "say" });
+		await injectCredentialSetupOverlay();
+		return { ok: false, message: "No credentials for this host — showed setup overlay" };
+	}
+
 	const uField = findFirst(USERNAME_SELECTORS);
 	const pField = findFirst(PASSWORD_SELECTORS);
 
-	if (uField && stored.username) setNativeValue(uField, stored.username);
-	if (pField && stored.password) setNativeValue(pField, stored.password);
+	if (uField && stored.username) fillLoginField(uField, stored.username);
+	if (pField && stored.password) fillLoginField(pField, stored.password);
 
 	await speak("Logging you in now.", { mode: "say" });
 
 	const submitBtn = findFirst(SUBMIT_SELECTORS);
 	if (submitBtn) {
-		submitBtn.click();
-		sessionStorage.setItem(
-			"canvoxNavigation",
-			JSON.stringify({
-				message: "Successfully logged in to your account. You are now on the Canvas dashboard.",
-				timestamp: Date.now(),
-			}),
-		);
+		await submitLogin(submitBtn);
 		return { ok: true, message: "Filled credentials and submitted" };
 	}
 
@@ -2480,6 +2779,255 @@ async function actLogIn(slots = {}) {
 	return { ok: true, message: "Filled credentials, submit button not found" };
 }
 
+const VAULT_PIN_WAIT_MS = 30000;
+
+function lockoutMinutes(ms) {
+	const minutes = Math.ceil(ms / 60000);
+	return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+// Ask for the PIN; the next utterance goes to maybeHandleVaultPin.
+// Wrong PINs are counted by the vault itself, so reloads and new "log in"s don't reset them.
+async function askForVaultPin(hasVault, retry = false) {
+	const wait = await vaultLockedOutFor();
+	if (wait) {
+		await mem.set({ expectingFollowUp: null });
+		await speak(`Too many wrong PINs. Try again in ${lockoutMinutes(wait)}, or log in by typing.`, { mode: "say" });
+		return { ok: false, message: "Vault PIN locked out" };
+	}
+	await mem.set({ expectingFollowUp: { kind: "VAULT_PIN", createdAt: Date.now() } });
+	const prompt = !hasVault
+		? "Your saved login isn't protected yet. Say a PIN of six or more digits to lock it."
+		: retry
+			? "That PIN didn't match. Say your PIN again."
+			: "Say your PIN to unlock your saved login.";
+	await speak(prompt, { mode: "say" });
+	return { ok: true, message: retry ? "Wrong vault PIN; asked again" : "Asked for the vault PIN" };
+}
+
+// No login saved for this host, but one that may belong to it: never fill it without a yes
+async function askToLinkProfile(profileHost) {
+	await mem.set({ expectingFollowUp: { kind: "VAULT_LINK", profileHost, createdAt: Date.now() } });
+	const which =
+		profileHost === ANY_HOST ? "a login saved for any site" : `a login saved for ${profileHost.replace(/^www\./, "")}`;
+	await speak(`There's no saved login for ${location.hostname}, but you have ${which}. Use it here? Say yes or no.`, {
+		mode: "say",
+	});
+	return { ok: true, message: `Asked before using the ${profileHost} login` };
+}
+
+// The yes/no to askToLinkProfile: yes links this host to that login for next time
+async function maybeHandleVaultLink(cleaned, ctx) {
+	const follow = ctx?.expectingFollowUp;
+	if (follow?.kind !== "VAULT_LINK") return null;
+	await mem.set({ expectingFollowUp: null });
+	if (Date.now() - (follow.createdAt || 0) > VAULT_PIN_WAIT_MS) return null;
+
+	const yes = parseYesNo(cleaned);
+	if (yes == null) return null;
+	if (!yes) {
+		await speak("Okay. Let's save a login for this site.", { mode: "say" });
+		await injectCredentialSetupOverlay();
+		return { intent: intents.LOG_IN, result: { ok: true, message: "Declined the suggested login", confidence: 0.9 } };
+	}
+	try {
+		await linkProfileHost(follow.profileHost, location.host);
+	} catch (e) {
+		console.warn("linking the login failed:", e);
+	}
+	const r = await actLogIn({ utterance: "log in" });
+	return { intent: intents.LOG_IN, result: { ...r, confidence: 0.95, reason: "follow-up vault link" } };
+}
+
+// The reply to askForVaultPin. Never recorded as lastHeard.
+async function maybeHandleVaultPin(cleaned, ctx) {
+	const follow = ctx?.expectingFollowUp;
+	if (follow?.kind !== "VAULT_PIN") return null;
+	if (Date.now() - (follow.createdAt || 0) > VAULT_PIN_WAIT_MS) {
+		await mem.set({ expectingFollowUp: null });
+		return null;
+	}
+
+	await mem.set({ expectingFollowUp: null });
+	if (/\b(cancel|never ?mind|stop)\b/i.test(cleaned)) {
+		await speak("Okay, not logging in.", { mode: "say" });
+		return { intent: intents.LOG_IN, result: { ok: true, message: "Vault unlock cancelled", confidence: 0.9 } };
+	}
+
+	const pin = parseSpokenPin(cleaned);
+	if (!pin) return null;
+	const r = await actLogIn({ utterance: "log in", pin });
+	return { intent: intents.LOG_IN, result: { ...r, confidence: 0.95, reason: "follow-up vault pin" } };
+}
+
+// =============================================================================
+// 17.6) Multi-factor sign-in (Duo, Microsoft Authenticator, one-time codes)
+// =============================================================================
+
+const MFA_WATCH_MS = 3 * 60 * 1000;
+const MFA_TICK_MS = 1000;
+
+function pageSays(re) {
+	return re.test(document.body?.innerText || "");
+}
+
+// Second-factor screens, first match wins. Add a row for another provider:
+//   detect()   the element that marks the screen (or true), null when absent
+//   prompt(el) what to say when the screen shows up
+//   input()    where a spoken code goes; screens without one just wait for the user
+//   submit()   the button that sends the code
+//   error()    the element that says the code was wrong
+const MFA_DETECTORS = [
+	{
+		kind: "number-match",
+		label: "Microsoft Authenticator",
+		detect: () => firstMatch(["#idRichContext_DisplaySign", ".displaySign"]),
+		prompt: (el) => `Open Microsoft Authenticator and enter the number ${el.textContent.trim()} in your app.`,
+	},
+	{
+		kind: "duo-verified-push",
+		label: "Duo",
+		detect: () => firstMatch(["[data-testid='verification-code']", ".verification-code"]),
+		prompt: (el) => `Duo sent a push to your phone. Enter the code ${el.textContent.trim()} in the Duo Mobile app.`,
+	},
+	{
+		kind: "duo-passcode",
+		label: "Duo",
+		detect: () => firstMatch(["#passcode-input", "input[name='passcode']"]),
+		prompt: () => "Duo is asking for a passcode. Say the code from Duo Mobile or your text message.",
+		input: () => firstMatch(["#passcode-input", "input[name='passcode']"]),
+		submit: () => firstMatch(["button.verify-button", "button[type='submit']"]),
+		error: () => firstMatch(["[role='alert']", ".error-message", ".message-error"]),
+	},
+	{
+		kind: "duo-push",
+		label: "Duo",
+		detect: () => /duosecurity\.com$/i.test(location.hostname) && pageSays(/\b(push|check for a duo)\b/i),
+		prompt: () => "Duo sent a push to your phone. Approve it in Duo Mobile to continue.",
+	},
+	{
+		kind: "totp",
+		label: "one-time code",
+		detect: () => firstMatch(MFA_CODE_SELECTORS),
+		prompt: () => "Say the six-digit code from your authenticator app or text message.",
+		input: () => firstMatch(MFA_CODE_SELECTORS),
+		submit: () => firstMatch(["#idSubmit_SAOTCC_Continue", "button[type='submit']", "input[type='submit']"]),
+		error: () => firstMatch(["#idSpan_SAOTCC_Error_OTC", "[role='alert']", ".alert-error", ".error"]),
+	},
+];
+
+const MFA_CODE_SELECTORS = [
+	"input[autocomplete='one-time-code']",
+	"#idTxtBx_SAOTCC_OTC", // Microsoft
+	"input[name='otc']",
+	"input[name*='otp' i]",
+	"input[name*='totp' i]",
+	"input[id*='otp' i]",
+	"input[name='code'][inputmode='numeric']",
+];
+
+function detectMfaStage() {
+	for (const d of MFA_DETECTORS) {
+		const el = d.detect();
+		if (el) return { detector: d, el };
+	}
+	return null;
+}
+
+// A challenge that changes (new number, new screen) is announced again
+function mfaStageKey(stage) {
+	return stage ? `${stage.detector.kind}:${stage.el instanceof Element ? stage.el.textContent.trim() : ""}` : "";
+}
+
+async function startMfaWatch() {
+	await remember({ mfaWatch: { startedAt: Date.now(), announced: "", codeSent: false } });
+	// Single-page sign-ins (Microsoft) show the challenge without a page load
+	await resumeMfaWatch();
+}
+
+async function stopMfaWatch() {
+	clearInterval(__CONVOX.actions.mfaTimerId);
+	__CONVOX.actions.mfaTimerId = null;
+	await remember({ mfaWatch: null, expectingFollowUp: null });
+}
+
+async function checkMfaStage() {
+	const { mfaWatch: watch, expectingFollowUp } = await mem.get();
+	if (!watch) return stopMfaWatch();
+	if (Date.now() - watch.startedAt > MFA_WATCH_MS) return stopMfaWatch();
+
+	const stage = detectMfaStage();
+	if (!stage) {
+		// Back in the Canvas app: signed in, with or without a second factor
+		if (document.querySelector(".ic-app") && !/\/login\b/i.test(location.pathname)) {
+			await stopMfaWatch();
+			if (watch.announced) await speak("Verified. You're signed in.", { mode: "say" });
+		}
+		return;
+	}
+
+	const { detector: d } = stage;
+	if (watch.codeSent && d.error?.()?.textContent.trim()) {
+		await remember({ mfaWatch: { ...watch, codeSent: false } });
+		await speak(`That code didn't work: ${d.error().textContent.trim()} Say the code again.`, { mode: "say" });
+		return;
+	}
+
+	const key = mfaStageKey(stage);
+	if (key === watch.announced) return;
+	await remember({
+		mfaWatch: { ...watch, announced: key, codeSent: false },
+		// Spoken codes only mean something on screens with a code box
+		expectingFollowUp: d.input ? { kind: "MFA_CODE", createdAt: Date.now() } : expectingFollowUp,
+	});
+	await speak(d.prompt(stage.el), { mode: "say" });
+}
+
+// Runs on every page load while a login is in progress
+async function resumeMfaWatch() {
+	const { mfaWatch } = await mem.get();
+	if (!mfaWatch || __CONVOX.actions.mfaTimerId) return;
+	__CONVOX.actions.mfaTimerId = setInterval(() => {
+		checkMfaStage().catch((e) => console.warn("checkMfaStage failed:", e));
+	}, MFA_TICK_MS);
+}
+
+// The spoken one-time code, or "repeat" for the challenge
+async function maybeHandleMfaCode(cleaned, ctx) {
+	if (ctx?.expectingFollowUp?.kind !== "MFA_CODE" || !ctx?.mfaWatch) return null;
+	const stage = detectMfaStage();
+	if (!stage?.detector.input) {
+		await mem.set({ expectingFollowUp: null });
+		return null;
+	}
+
+	if (/\b(repeat|again|what)\b/i.test(cleaned)) {
+		await speak(stage.detector.prompt(stage.el), { mode: "say" });
+		return { intent: intents.LOG_IN, result: { ok: true, message: "Repeated the MFA prompt", confidence: 0.9 } };
+	}
+
+	// One-time codes can be shorter than a vault PIN
+	const code = parseSpokenPin(cleaned, { minLength: 4 });
+	if (!code) return null;
+
+	const input = stage.detector.input();
+	fillLoginField(input, code);
+	await remember({ mfaWatch: { ...ctx.mfaWatch, codeSent: true } });
+	await speak("Code entered. Checking it now.", { mode: "say" });
+	const submit = stage.detector.submit?.();
+	if (submit) submit.click();
+	else input.form?.requestSubmit?.();
+	return {
+		intent: intents.LOG_IN,
+		result: {
+			ok: true,
+			message: `Entered a ${stage.detector.label} code`,
+			confidence: 0.95,
+			reason: "follow-up mfa code",
+		},
+	};
+}
+
 function firstMatch(selectors, root = document) {
 	for (const sel of selectors) {
 		const el = root.querySelector(sel);
@@ -2915,6 +3463,12 @@ async function readCurrentMessageDetailWithRetry() {
 }
 
 async function actReadRecentMessage() {
+	try {
+		return await actReadRecentMessageFromApi();
+	} catch (e) {
+		console.warn("conversations API failed, reading the inbox page:", e);
+	}
+
 	if (!isCanvasInboxPage()) {
 		await actOpenInbox();
 		await speak("Opening inbox first. Then say read recent message again.", { mode: "say" });
@@ -3131,7 +3685,8 @@ function scoreAnnouncementTitle(title, query) {
 	for (const tok of q.split(" ").filter((x) => x.length > 2)) {
 		if (t.includes(tok)) score += 4;
 	}
-	return score;
+	const fz = fuzzyScore(query, title);
+	return fz >= 0.75 ? Math.max(score, Math.round(fz * 30)) : score;
 }
 
 function findAnnouncementByTitle(rows, query) {
@@ -3689,10 +4244,13 @@ function extractNumberTokens(s) {
 
 function scoreOptionForUtterance(optionLabel, utterance, mode = "generic") {
 	const label = mode === "course" ? normalizeCourseLabelText(optionLabel) : normalizeChoiceText(optionLabel);
-	const u = mode === "course" ? normalizeCourseLabelText(utterance) : normalizeChoiceText(utterance);
+	const spoken = normalizeSpoken(utterance);
+	const u = mode === "course" ? normalizeCourseLabelText(spoken) : normalizeChoiceText(spoken);
 	if (!label || !u) return Number.NEGATIVE_INFINITY;
 	if (label === u) return 100;
 	let score = 0;
+	const fz = fuzzyScore(u, label);
+	if (fz >= 0.75) score += Math.round(fz * 10);
 	if (label.includes(u)) score += 10;
 	if (u.includes(label) && label.length > 4) score += 5;
 	for (const tok of u.split(" ").filter((x) => x.length > 2)) {
@@ -3939,10 +4497,6 @@ async function applyComposeCourseChoice(choice) {
 	return false;
 }
 
-async function clearComposeWizardState() {
-	await mem.set({ composeWizard: null });
-}
-
 async function openComposeMessage() {
 	if (!isCanvasInboxPage()) {
 		await actOpenInbox();
@@ -3979,181 +4533,35 @@ async function ensureComposeOpen() {
 	return false;
 }
 
-async function startComposeWizard() {
-	const opened = await ensureComposeOpen();
-	if (!opened) return { ok: false, message: "Compose unavailable" };
-
-	openComposeCoursePicker();
-	await delay(180);
-	const courseOptions = getComposeCourseOptions();
+function looksLikeDiscussionTrigger(text) {
+	const lower = String(text || "").toLowerCase();
+	return (
+		/\b(add|create|new|start)\b.*\bdiscussion\b/.test(lower) || /\bdiscussion\b.*\b(add|create|new|start)\b/.test(lower)
+	);
+}
 
-	await mem.set({
-		composeWizard: {
-			active: true,
-			step: "course",
-			course: "",
-			courseOptions,
-			recipient: "",
-			subject: "",
-			body: "",
-		},
-	});
-	await speak("Which course do you want to send the message to? Say list my options if you want me to read them.", {
-		mode: "say",
-	});
-	return { ok: true, message: "Compose wizard started" };
+function parseYesNo(text) {
+	const t = String(text || "").toLowerCase();
+	if (/\b(yes|yeah|yep|sure|ok|okay|do it|please do)\b/.test(t)) return true;
+	if (/\b(no|nope|nah|dont|don’t|do not|stop|not now)\b/.test(t)) return false;
+	return null;
 }
 
-async function handleComposeWizardStep(utterance, wizard) {
-	const u = String(utterance || "").trim();
-	const lower = u.toLowerCase();
-	if (!wizard?.active) return null;
+// Sending and submitting can't be undone, so only a plain go-ahead counts:
+// "don't send it", "no, send it later" and "yes, wait" are not a yes.
+const CONFIRM_NEGATION_RE = /\b(?:don'?t|do not|no|nope|not yet|wait|hold on)\b/;
 
-	if (/\b(cancel|stop|discard|never mind|nevermind)\b/.test(lower)) {
-		const { cancelButton } = getComposeElements();
-		cancelButton?.click?.();
-		await clearComposeWizardState();
-		await speak("Canceled compose message.", { mode: "say" });
-		return { ok: true, message: "Compose canceled" };
-	}
-
-	const els = getComposeElements();
-
-	if (wizard.step === "course") {
-		openComposeCoursePicker();
-		await delay(120);
-		const options = getComposeCourseOptions();
-		wizard.courseOptions = options;
-		await mem.set({ composeWizard: wizard });
-
-		if (wantsOptionList(u)) {
-			if (options.length) {
-				await speakNumberedOptions("Here are your course options.", options);
-				return { ok: true, message: "Read course options" };
-			}
-			await speak("I couldn't read the course options yet. Please open the course dropdown and try again.", {
-				mode: "say",
-			});
-			return { ok: false, message: "Course options unavailable" };
-		}
-
-		if (!options.length) {
-			await speak(
-				"I couldn't find the course options yet. Say list my options, or open the course dropdown and try again.",
-				{
-					mode: "say",
-				},
-			);
-			return { ok: false, message: "Course options unavailable" };
-		}
-
-		const chosen = bestOptionByUtterance(options, u, "course");
-		if (!chosen) {
-			await speak("I couldn't match that course. Say the course name, or say list my options.", { mode: "say" });
-			return { ok: false, message: "Course not matched" };
-		}
-
-		const applied = await applyComposeCourseChoice(chosen);
-		if (!applied) {
-			await speak("I found the course, but I couldn't select it automatically.", { mode: "say" });
-			return { ok: false, message: "Course selection failed" };
-		}
-
-		wizard.course = chosen.label;
-		wizard.step = "recipient";
-		await mem.set({ composeWizard: wizard });
-		await speak(`Selected ${chosen.label}. Who is the recipient?`, { mode: "say" });
-		return { ok: true, message: "Course set" };
-	}
-
-	if (wizard.step === "recipient") {
-		if (!writeField(els.recipient, u)) {
-			await speak("I couldn't fill the recipient field.", { mode: "say" });
-			return { ok: false, message: "Recipient field missing" };
-		}
-		wizard.recipient = u;
-		wizard.step = "subject";
-		await mem.set({ composeWizard: wizard });
-		await speak("What is the subject line?", { mode: "say" });
-		return { ok: true, message: "Recipient set" };
-	}
-
-	if (wizard.step === "subject") {
-		if (!writeField(els.subject, u)) {
-			await speak("I couldn't fill the subject field.", { mode: "say" });
-			return { ok: false, message: "Subject field missing" };
-		}
-		wizard.subject = u;
-		wizard.step = "body";
-		await mem.set({ composeWizard: wizard });
-		await speak("What is the message?", { mode: "say" });
-		return { ok: true, message: "Subject set" };
-	}
-
-	if (wizard.step === "body") {
-		if (!writeField(els.body, u)) {
-			await speak("I couldn't fill the message box.", { mode: "say" });
-			return { ok: false, message: "Body field missing" };
-		}
-		wizard.body = u;
-		wizard.step = "confirm";
-		await mem.set({ composeWizard: wizard });
-		await speak("Say send to send it, or cancel.", { mode: "say" });
-		return { ok: true, message: "Body set" };
-	}
-
-	if (wizard.step === "confirm") {
-		if (/\bsend\b/.test(lower)) {
-			els.sendButton?.click?.();
-			await clearComposeWizardState();
-			await speak("Message sent.", { mode: "say" });
-			return { ok: true, message: "Message sent" };
-		}
-		await speak("Say send to send it, or cancel.", { mode: "say" });
-		return { ok: false, message: "Awaiting send confirmation" };
-	}
-
-	return { ok: false, message: `Unknown compose step: ${wizard.step}` };
-}
-
-async function maybeHandleHandsFreeInbox(utterance) {
-	const state = await mem.get();
-	const wizard = state.composeWizard;
-	const u = String(utterance || "").trim();
-
-	if (looksLikeComposeTrigger(u)) {
-		await clearComposeWizardState();
-		const result = await startComposeWizard();
-		return { intent: intents.COMPOSE_MESSAGE, result: { ...result, confidence: 0.98, reason: "compose wizard start" } };
-	}
-
-	if (wizard?.active) {
-		const result = await handleComposeWizardStep(utterance, wizard);
-		return { intent: "COMPOSE_WIZARD_STEP", result: { ...result, confidence: 0.99, reason: "compose wizard active" } };
-	}
-
-	return null;
-}
-
-async function actComposeMessage(slots = {}) {
-	const utterance = slots.utterance || "compose message";
-	const handled = await maybeHandleHandsFreeInbox(utterance);
-	return handled?.result || { ok: false, message: "Compose wizard not started" };
-}
-
-function looksLikeDiscussionTrigger(text) {
-	const lower = String(text || "").toLowerCase();
-	return (
-		/\b(add|create|new|start)\b.*\bdiscussion\b/.test(lower) || /\bdiscussion\b.*\b(add|create|new|start)\b/.test(lower)
-	);
-}
-
-function parseYesNo(text) {
-	const t = String(text || "").toLowerCase();
-	if (/\b(yes|yeah|yep|sure|ok|okay|do it|please do)\b/.test(t)) return true;
-	if (/\b(no|nope|nah|dont|don’t|do not|stop|not now)\b/.test(t)) return false;
-	return null;
-}
+function isPlainConfirm(text, verbs = ["send"]) {
+	const said = String(text || "")
+		.toLowerCase()
+		.replace(/’/g, "'")
+		.replace(/[.!?,]+/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+	if (!said || CONFIRM_NEGATION_RE.test(said)) return false;
+	const verb = `(?:${verbs.join("|")})(?: it| this| that)?(?: now)?`;
+	return new RegExp(`^(?:(?:yes|yeah|yep|ok|okay)(?: please)?(?: ${verb})?|${verb}(?: please)?|go ahead)$`).test(said);
+}
 
 function findLabelCheckbox(labelPattern) {
 	const labels = Array.from(document.querySelectorAll("label"));
@@ -4250,9 +4658,10 @@ function getDiscussionContentEditable() {
 	);
 }
 
-function writeDiscussionContent(text) {
-	const value = String(text || "").trim();
-	if (!value) return false;
+// dictated: a dictation document; the rich editor gets paragraphs and bold, a plain box the text
+function writeDiscussionContent(dictated) {
+	const html = docToHtml(dictated);
+	if (!html) return false;
 
 	const frame = firstMatch(
 		["iframe.tox-edit-area__iframe", "iframe[id$='_ifr']", "iframe[title*='Rich Text' i]"],
@@ -4264,7 +4673,7 @@ function writeDiscussionContent(text) {
 			const doc = frame.contentDocument || frame.contentWindow?.document;
 			if (doc?.body) {
 				doc.body.focus();
-				doc.body.innerHTML = `<p>${value.replace(/[<>&]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;" })[c])}</p>`;
+				doc.body.innerHTML = html;
 				doc.body.dispatchEvent(new Event("input", { bubbles: true }));
 				doc.body.dispatchEvent(new Event("change", { bubbles: true }));
 				return true;
@@ -4274,7 +4683,14 @@ function writeDiscussionContent(text) {
 		}
 	}
 
-	return writeField(getDiscussionContentEditable(), value);
+	const el = getDiscussionContentEditable();
+	if (el?.isContentEditable) {
+		el.focus?.();
+		el.innerHTML = html;
+		el.dispatchEvent(new Event("input", { bubbles: true }));
+		return true;
+	}
+	return writeField(el, docToText(dictated));
 }
 
 function getDiscussionRequireInitialPostCheckbox() {
@@ -4354,342 +4770,1580 @@ async function openDiscussionComposer() {
 	return false;
 }
 
-async function clearDiscussionWizardState() {
-	await mem.set({ discussionWizard: null });
+// =============================================================================
+// 17.4) Slot-filling dialogues (missing intent slots + compose / discussion)
+//   A dialogue asks for slots one at a time and keeps its progress in Memory
+//   (`dialog`), so an answer still lands after the page reloads. It belongs to
+//   the page it was asked on and is dropped after DIALOG_TTL_MS without an answer.
+// =============================================================================
+
+// Slot fields:
+//   name, kind ("text" | "yesno" | "choice"), prompt (string or fn(values))
+//   when(values)      ask only while true (may be async); a value given up
+//                     front counts as missing while when() is still true
+//   options(values)   choice list [{ label, value }] (may be async)
+//   listOptions       read the numbered options with the prompt (default true)
+//   parse(text)       custom answer parser; undefined = not understood
+//   apply(v, values)  act on the answer; return true, or a sentence to speak and re-ask
+//   ack(v, values)    spoken before the next prompt
+//   retry, noOptions  spoken when the answer isn't understood / there are no options
+//   repeat(values)    ask the same slot again after this answer while true
+//   dictation         long-form text (see dictationSlot): triggers and command rules don't interrupt it
+// parse may return { redo: slotName, text } to go back to an earlier slot.
+const DIALOGS = new Map();
+
+// Only a bare command cancels: "stop at the library" is an answer, not a cancel
+const DIALOG_CANCEL_RE =
+	/^(?:(?:no|okay|ok),? )?(cancel|stop|discard|never mind|nevermind|forget it)( (it|that|this|everything))?[.!]?$/;
+// While dictating, "stop" can be part of the text
+const DICTATION_CANCEL_RE = /^(cancel|discard|never mind|nevermind)( (it|that|this|everything|the message))?[.!]?$/;
+
+function defineDialog(name, spec) {
+	DIALOGS.set(name, { name, ...spec });
+}
+
+// Intents with `required` slots in the registry get an ad-hoc dialogue that
+// re-runs the intent once everything is filled.
+function dialogSpec(name) {
+	if (DIALOGS.has(name)) return DIALOGS.get(name);
+	if (!String(name || "").startsWith("intent:")) return null;
+
+	const def = getIntentDef(name.slice("intent:".length));
+	if (!def?.required?.length) return null;
+	return {
+		name,
+		intent: def.intent,
+		stepIntent: "SLOT_FILL",
+		lenient: true,
+		slots: def.required,
+		finish: async (values) => {
+			const beforeHref = location.href;
+			const res = await runAction(def.intent, { ...values, slotsFilled: true });
+			await continueHeldPlan(beforeHref);
+			return res;
+		},
+		onCancel: () => dropHeldPlan(),
+		canceled: "Okay, canceled.",
+	};
+}
+
+async function clearDialogState() {
+	await mem.set({ dialog: null });
 }
 
-async function startDiscussionWizard() {
-	const opened = await openDiscussionComposer();
-	if (!opened) {
-		await speak("I couldn't open the discussion form.", { mode: "say" });
-		return { ok: false, message: "Discussion form unavailable" };
-	}
+const DIALOG_TTL_MS = 30 * 60 * 1000;
 
-	await mem.set({
-		discussionWizard: {
-			active: true,
-			step: hasDiscussionAutosaveDialog() ? "autosave_prompt" : "title",
-			title: "",
-			content: "",
-			respondBeforeReplies: null,
-			allowLiking: null,
-		},
-	});
-	if (hasDiscussionAutosaveDialog()) {
-		await speak("I found auto saved content. Would you like to load the auto saved content instead? Say yes or no.", {
-			mode: "say",
-		});
-		return { ok: true, message: "Discussion autosave prompt started" };
-	}
-	await speak("What would you want as a topic title?", { mode: "say" });
-	return { ok: true, message: "Discussion wizard started" };
+// The page a dialogue or reader belongs to (query and hash changes don't count)
+function pageKey() {
+	return `${location.origin}${location.pathname}`;
 }
 
-async function handleDiscussionWizardStep(utterance, wizard) {
-	const u = String(utterance || "").trim();
-	const lower = u.toLowerCase();
-	if (!wizard?.active) return null;
+// The dialogue in progress; an abandoned one (old, or asked on another page) is dropped
+async function activeDialog(state) {
+	const dialog = state?.dialog;
+	if (!dialog?.name) return null;
+	if (Date.now() - (dialog.createdAt || 0) <= DIALOG_TTL_MS && dialog.page === pageKey()) return dialog;
+	await clearDialogState();
+	return null;
+}
 
-	if (/\b(cancel|stop|discard|never mind|nevermind)\b/.test(lower)) {
-		await clearDiscussionWizardState();
-		await speak("Canceled add discussion.", { mode: "say" });
-		return { ok: true, message: "Discussion canceled" };
-	}
+async function dialogPrompt(slot, values) {
+	const prompt = typeof slot.prompt === "function" ? slot.prompt(values) : slot.prompt;
+	if (slot.kind !== "choice") return { prompt };
+	const options = (await slot.options?.(values)) || [];
+	return { prompt, options };
+}
 
-	if (wizard.step === "autosave_prompt") {
-		const yn = parseYesNo(u);
-		if (yn == null) {
-			await speak("Please say yes or no for the auto saved content.", { mode: "say" });
-			return { ok: false, message: "Expected yes or no for autosave prompt" };
-		}
-		if (!clickDiscussionAutosaveChoice(yn)) {
-			await speak("I couldn't answer the auto saved content prompt automatically.", { mode: "say" });
-			return { ok: false, message: "Autosave prompt buttons not found" };
-		}
-		await delay(350);
-		wizard.step = "title";
-		await mem.set({ discussionWizard: wizard });
-		await speak("What would you want as a topic title?", { mode: "say" });
-		return { ok: true, message: "Autosave prompt handled" };
+function parseDialogAnswer(slot, text, options = []) {
+	if (slot.parse) return slot.parse(text);
+	if (slot.kind === "yesno") return parseYesNo(text) ?? undefined;
+	if (slot.kind === "choice") {
+		const chosen = bestOptionByUtterance(options, text, slot.matchMode || "generic");
+		return chosen ? { label: chosen.label, value: chosen.value ?? null, el: chosen.el } : undefined;
 	}
+	const t = String(text || "").trim();
+	return t || undefined;
+}
+
+// Walk forward from slot `from`, applying values that were given up front,
+// and either ask the next missing slot or finish.
+async function advanceDialog(spec, values, from = 0, lead = "") {
+	for (let i = from; i < spec.slots.length; i++) {
+		const slot = spec.slots[i];
+		if (slot.when && !(await slot.when(values))) continue;
+
+		if (values[slot.name] != null && slot.apply) {
+			const applied = await slot.apply(values[slot.name], values);
+			if (applied === true) continue;
+			lead = `${lead} ${applied}`.trim();
+			delete values[slot.name];
+		} else if (values[slot.name] != null && !slot.when) {
+			continue;
+		}
 
-	if (wizard.step === "title") {
-		if (!writeField(getDiscussionTitleInput(), u)) {
-			await speak("I couldn't fill the discussion title.", { mode: "say" });
-			return { ok: false, message: "Discussion title field missing" };
+		const { prompt, options } = await dialogPrompt(slot, values);
+		if (slot.kind === "choice" && slot.listOptions !== false && !options.length) {
+			await clearDialogState();
+			await speak(`${lead} ${slot.noOptions || "I couldn't find any options."}`.trim(), { mode: "say" });
+			return { ok: false, message: `No options for ${slot.name}` };
 		}
-		wizard.title = u;
-		wizard.step = "content";
-		await mem.set({ discussionWizard: wizard });
-		await speak("Please speak out the topic content.", { mode: "say" });
-		return { ok: true, message: "Discussion title set" };
+
+		await mem.set({
+			dialog: {
+				name: spec.name,
+				values: stripDialogValues(values),
+				step: slot.name,
+				createdAt: Date.now(),
+				page: pageKey(),
+			},
+		});
+		const text = `${lead} ${prompt}`.trim();
+		if (options?.length && slot.listOptions !== false) await speakNumberedOptions(text, options);
+		else await speak(text, { mode: "say" });
+		// Still waiting on the user, not done: a plan running this step holds until the answer
+		return { ok: true, pending: true, message: `Asked for ${slot.name}` };
 	}
 
-	if (wizard.step === "content") {
-		if (!writeDiscussionContent(u)) {
-			await speak("I couldn't fill the discussion content editor.", { mode: "say" });
-			return { ok: false, message: "Discussion content field missing" };
-		}
-		wizard.content = u;
-		wizard.step = "require_before_reply";
-		await mem.set({ discussionWizard: wizard });
-		await speak(
-			"Participants must respond to the topic before viewing other replies. Do you want this option? Say yes or no.",
-			{ mode: "say" },
-		);
-		return { ok: true, message: "Discussion content set" };
+	await clearDialogState();
+	return await spec.finish(values);
+}
+
+// DOM handles don't survive Memory; keep labels and values only.
+function stripDialogValues(values) {
+	const out = {};
+	for (const [k, v] of Object.entries(values || {})) {
+		out[k] = v && typeof v === "object" && "label" in v ? { label: v.label, value: v.value ?? null } : v;
 	}
+	return out;
+}
 
-	if (wizard.step === "require_before_reply") {
-		const yn = parseYesNo(u);
-		if (yn == null) {
-			await speak("Please say yes or no for the participants must respond option.", { mode: "say" });
-			return { ok: false, message: "Expected yes or no for participants option" };
-		}
+async function startDialog(name, values = {}) {
+	const spec = dialogSpec(name);
+	if (!spec) return null;
+	await clearDialogState();
 
-		const cb =
-			getDiscussionRequireInitialPostCheckbox() ||
-			findLabelCheckbox(/participants must respond to the topic before viewing other replies/i) ||
-			findLabelCheckbox(/respond.*before.*repl/i) ||
-			findLabelCheckbox(/viewing other replies/i);
-		if (!cb || !setCheckboxValue(cb, yn)) {
-			await speak("I could not set that option automatically.", { mode: "say" });
-			return { ok: false, message: "Participants option checkbox not found" };
-		}
+	const opened = spec.open ? await spec.open(values) : null;
+	if (opened && !opened.ok) return opened;
+	return await advanceDialog(spec, { ...values });
+}
+
+async function answerDialog(spec, dialog, utterance) {
+	const u = String(utterance || "").trim();
+	const values = { ...dialog.values };
+	const idx = spec.slots.findIndex((s) => s.name === dialog.step);
+	const slot = spec.slots[idx];
+	if (!slot) {
+		await clearDialogState();
+		return { ok: false, message: `Unknown ${spec.name} step: ${dialog.step}` };
+	}
 
-		wizard.respondBeforeReplies = yn;
-		wizard.step = "allow_liking";
-		await mem.set({ discussionWizard: wizard });
-		await speak("Allow liking. Do you want this option? Say yes or no.", { mode: "say" });
-		return { ok: true, message: "Participants option set" };
+	if ((slot.dictation ? DICTATION_CANCEL_RE : DIALOG_CANCEL_RE).test(u.toLowerCase())) {
+		await clearDialogState();
+		await spec.onCancel?.(values);
+		await speak(spec.canceled || "Canceled.", { mode: "say" });
+		return { ok: true, message: `${spec.name} canceled` };
 	}
 
-	if (wizard.step === "allow_liking") {
-		const yn = parseYesNo(u);
-		if (yn == null) {
-			await speak("Please say yes or no for allow liking.", { mode: "say" });
-			return { ok: false, message: "Expected yes or no for allow liking" };
+	let options = [];
+	if (slot.kind === "choice") {
+		options = (await slot.options?.(values)) || [];
+		if (wantsOptionList(u)) {
+			if (options.length) {
+				await speakNumberedOptions(slot.listPrefix || "Here are your options.", options);
+				return { ok: true, message: "Read options" };
+			}
+			await speak(slot.noOptions || "I couldn't read the options yet.", { mode: "say" });
+			return { ok: false, message: "Options unavailable" };
+		}
+		if (!options.length) {
+			if (spec.lenient) await clearDialogState();
+			await speak(slot.noOptions || "I couldn't find any options.", { mode: "say" });
+			return { ok: false, message: "Options unavailable" };
 		}
+	}
 
-		const cb =
-			getDiscussionAllowLikingCheckbox() || findLabelCheckbox(/allow liking/i) || findLabelCheckbox(/\bliking\b/i);
-		if (!cb || !setCheckboxValue(cb, yn)) {
-			await speak("I could not set allow liking automatically.", { mode: "say" });
-			return { ok: false, message: "Allow liking checkbox not found" };
+	const value = parseDialogAnswer(slot, u, options);
+	if (value === undefined) {
+		// A slot question for a one-shot intent shouldn't swallow an unrelated command.
+		if (spec.lenient) {
+			await clearDialogState();
+			await spec.onCancel?.(values);
+			return null;
 		}
+		await speak(slot.retry || "Sorry, I didn't get that.", { mode: "say" });
+		return { ok: false, message: `Expected ${slot.name}` };
+	}
 
-		wizard.allowLiking = yn;
-		wizard.step = "confirm_submit";
-		await mem.set({ discussionWizard: wizard });
-		await speak("Would you like to submit? Say yes or no.", { mode: "say" });
-		return { ok: true, message: "Allow liking set" };
+	// "change it": back to an earlier slot
+	if (value?.redo) {
+		const back = spec.slots.findIndex((s) => s.name === value.redo);
+		delete values[value.redo];
+		return await advanceDialog(spec, values, back);
 	}
 
-	if (wizard.step === "confirm_submit") {
-		const yn = parseYesNo(u);
-		if (yn == null) {
-			await speak("Please say yes to submit or no to cancel.", { mode: "say" });
-			return { ok: false, message: "Expected yes or no for submit confirmation" };
-		}
-		if (yn) {
-			findDiscussionSubmitButton()?.click?.();
-			await clearDiscussionWizardState();
-			await speak("Discussion submitted.", { mode: "say" });
-			return { ok: true, message: "Discussion submitted" };
-		}
-		await clearDiscussionWizardState();
-		await speak("Okay, I did not submit.", { mode: "say" });
-		return { ok: true, message: "Discussion submit canceled" };
+	const applied = slot.apply ? await slot.apply(value, values) : true;
+	if (applied !== true) {
+		await speak(String(applied || `I couldn't set the ${slot.name}.`), { mode: "say" });
+		return { ok: false, message: `${slot.name} not applied` };
 	}
 
-	return { ok: false, message: `Unknown discussion step: ${wizard.step}` };
+	values[slot.name] = value;
+	const ack = slot.ack ? slot.ack(value, values) : "";
+	// Some slots ask again (one question per ambiguous name)
+	const again = !!slot.repeat?.(values);
+	if (again) delete values[slot.name];
+	const res = await advanceDialog(spec, values, again ? idx : idx + 1, ack);
+	return res?.pending ? { ok: true, message: `${slot.name} set` } : res;
 }
 
-async function maybeHandleDiscussionWizard(utterance) {
-	const state = await mem.get();
-	const wizard = state.discussionWizard;
+// handleUtterance hook: (re)start a dialogue on its trigger, or feed the active one.
+async function maybeHandleDialog(utterance) {
 	const u = String(utterance || "").trim();
-
-	if (looksLikeDiscussionTrigger(u)) {
-		await clearDiscussionWizardState();
-		const result = await startDiscussionWizard();
-		return {
-			intent: intents.ADD_DISCUSSION,
-			result: { ...result, confidence: 0.98, reason: "discussion wizard start" },
-		};
+	const dialog = await activeDialog(await mem.get());
+
+	// "send a message to the group" while dictating is text, not a new compose
+	if (!isDictatingDialog(dialog)) {
+		for (const spec of DIALOGS.values()) {
+			if (!spec.trigger?.(u)) continue;
+			const result = await startDialog(spec.name, spec.fromUtterance?.(u) || {});
+			return { intent: spec.intent, result: { ...result, confidence: 0.98, reason: `${spec.name} start` } };
+		}
 	}
 
-	if (wizard?.active) {
-		const result = await handleDiscussionWizardStep(utterance, wizard);
-		return {
-			intent: "DISCUSSION_WIZARD_STEP",
-			result: { ...result, confidence: 0.99, reason: "discussion wizard active" },
-		};
+	if (!dialog?.name) return null;
+
+	const spec = dialogSpec(dialog.name);
+	if (!spec) {
+		await clearDialogState();
+		return null;
 	}
 
-	return null;
+	const result = await answerDialog(spec, dialog, u);
+	if (!result) return null;
+	return { intent: spec.stepIntent, result: { ...result, confidence: 0.99, reason: `${spec.name} active` } };
 }
 
-async function actAddDiscussion(slots = {}) {
-	const utterance = slots.utterance || "add discussion";
-	const handled = await maybeHandleDiscussionWizard(utterance);
-	return handled?.result || { ok: false, message: "Discussion wizard not started" };
+function isDictatingDialog(dialog) {
+	if (!dialog?.name) return false;
+	return !!dialogSpec(dialog.name)?.slots.find((s) => s.name === dialog.step)?.dictation;
 }
 
-// =============================================================================
-// 18) Router
-// =============================================================================
-
-export async function runAction(intent, slots = {}) {
-	switch (intent) {
-		case intents.LOG_IN:
-			return await actLogIn(slots);
-
-		case intents.OPEN_SETTINGS:
-			return await actOpenSettings();
-
-		case intents.OPEN_INBOX:
-		case "OPEN_INBOX":
-			return await actOpenInbox();
+// handleUtterance hook, ahead of every command rule: while a long-form field is being
+// dictated, what was said is text or an edit for it. Gets the utterance before ASR fixes
+// ("class" must not become "course" in someone's post).
+async function maybeHandleDictation(utterance, ctx) {
+	if (isDictatingDialog(await activeDialog(ctx))) return await maybeHandleDialog(utterance);
+	if (activeSubmitWizard(ctx)?.step === "text") return await maybeHandleSubmitWizard(utterance);
+	return null;
+}
 
-		case intents.COMPOSE_MESSAGE:
-		case "COMPOSE_MESSAGE":
-			return await actComposeMessage(slots);
+// runAction hook for registry intents that declare `required` slots.
+async function fillRequiredSlots(def, slots) {
+	if (!def?.required?.length || slots.slotsFilled) return null;
+	const spec = dialogSpec(`intent:${def.intent}`);
+	for (const slot of spec.slots) {
+		const missing = slot.when ? await slot.when(slots) : slots[slot.name] == null;
+		if (missing) return await startDialog(spec.name, { ...slots });
+	}
+	return null;
+}
 
-		case intents.ADD_DISCUSSION:
-			return await actAddDiscussion(slots);
+// Choice answers are { label, value }; detector slots are plain strings.
+function slotValue(v) {
+	return v && typeof v === "object" ? (v.value ?? v.label) : v;
+}
 
-		case intents.OPEN_GRADES:
-			return await actOpenGrades();
+// ---- Shared slots
 
-		case intents.OPEN_ASSIGNMENTS:
-			return await actOpenAssignments();
+async function enrolledCourseOptions() {
+	try {
+		const courses = await fetchCourses();
+		return courses
+			.filter((c) => c?.id && (c.name || c.course_code))
+			.map((c) => ({ label: c.name || c.course_code, value: String(c.id) }));
+	} catch (e) {
+		console.warn("courses fetch failed:", e);
+		return [];
+	}
+}
+
+// Asked only when the command named no course and we aren't inside one.
+const COURSE_SLOT = {
+	name: "course",
+	kind: "choice",
+	prompt: "Which course?",
+	matchMode: "course",
+	listPrefix: "Here are your courses.",
+	noOptions: "I couldn't load your courses. Say the command again with a course number.",
+	retry: "I couldn't match that course. Say the course name, or say list my options.",
+	options: enrolledCourseOptions,
+	when: async (v) => !v.course?.value && !v.courseNum && !getActiveCourseId(await mem.get()),
+};
 
-		case intents.OPEN_MODULES:
-			return await actOpenModules();
+const SECTION_SLOT = {
+	name: "section",
+	kind: "choice",
+	prompt: "Which section?",
+	options: () => COURSE_SECTIONS.map((s) => ({ label: s.label, value: s.key })),
+	when: (v) => !courseSectionFromText(slotValue(v.section)),
+};
 
-		case intents.OPEN_QUIZZES:
-			return await actOpenQuizzes();
+// ---- Dictation (long-form fields)
+//   Text is added over several turns until "done"; editing commands ("delete last
+//   sentence", "replace X with Y", "undo", "bold that"…) change it. lib/dictation.js
+//   does the editing; the document lives in the dialog values as `${name}Doc`.
 
-		case intents.OPEN_FILES:
-			return await actOpenFiles();
+// Where dictated text is written; rich fields keep bold
+const DICTATION_TARGETS = {
+	discussion: { rich: true, write: (doc) => writeDiscussionContent(doc) },
+	compose: { rich: false, write: (doc) => writeField(getComposeElements().body, docToText(doc)) },
+};
 
-		case intents.OPEN_COURSES:
-			return await actOpenCourses();
+const DICTATION_FEEDBACK = {
+	insert: "Got it.",
+	newParagraph: "New paragraph.",
+	deleteSentence: "Deleted the last sentence.",
+	deleteWord: "Deleted the last word.",
+	scratch: "Removed what you just said.",
+	replace: "Replaced.",
+	undo: "Undone.",
+	bold: "Bolded.",
+	clear: "Cleared. Start again whenever you're ready.",
+};
 
-		case intents.OPEN_DASHBOARD:
-			return await actOpenDashboard();
+function dictationFeedback({ command, changed, detail }) {
+	if (changed) return DICTATION_FEEDBACK[command] || "";
+	if (command === "replace") return `I couldn't find ${detail}.`;
+	if (command === "undo") return "There's nothing to undo.";
+	if (command === "bold") return detail === "plain" ? "This box can't do bold text." : "That's already bold.";
+	if (command === "empty") return "";
+	return "There's no text yet.";
+}
 
-		case intents.GO_BACK:
-			return await actGoBack();
+function dictatedText(values, name) {
+	return values[`${name}Doc`] ? docToText(values[`${name}Doc`]) : String(values[name] || "");
+}
 
-		case intents.SMALL_TALK:
-			return await actSmallTalk(slots.utterance ?? "");
+// target: a DICTATION_TARGETS key, or fn(values) returning one (null: plain text kept in the values only)
+function dictationSlot(name, target, prompt) {
+	const docKey = `${name}Doc`;
+	return {
+		name,
+		kind: "text",
+		dictation: true,
+		prompt: (v) =>
+			docToText(v[docKey]) ? "Keep going, or say done." : typeof prompt === "function" ? prompt(v) : prompt,
+		apply: async (said, v) => {
+			v.dictationNote = "";
+			if (isDictationDone(said)) {
+				return docToText(v[docKey]) ? true : "I don't have any text yet. Go ahead and dictate it.";
+			}
 
-		case intents.OPEN_COURSE_BY_NUMBER:
-			return await actOpenCourseByQuery(`open ${slots.courseNum || ""}`);
+			const field = DICTATION_TARGETS[typeof target === "function" ? target(v) : target] || null;
+			const out = applyDictation(v[docKey], said, { rich: !!field?.rich });
+			if (out.command === "readBack") {
+				await speak(out.detail || "Nothing yet.", { mode: "read", raw: true });
+				return true;
+			}
+			if (out.changed && field && !field.write(out.doc)) return "I couldn't write into the text box.";
 
-		case intents.OPEN_ASSIGNMENT_QUERY:
-			return await actOpenAssignmentQuery(slots.q);
+			v[docKey] = out.doc;
+			v.dictationNote = dictationFeedback(out);
+			return true;
+		},
+		ack: (_said, v) => v.dictationNote || "",
+		repeat: (v) => !isDictationDone(v[name]),
+	};
+}
 
-		case intents.CHOOSE_OPTION:
-			return await actChooseOption(slots.idx);
+// ---- Read back, then send
+//   Shared last step for dictated messages: "send", "change it" (back to the
+//   dictation, text kept for editing), or cancel.
+const DICTATION_EDIT_RE = /^(?:change|edit|redo|rewrite|fix)\b(?:\s+(?:it|that|this|the message|the text))?$/i;
 
-		case intents.NAVIGATE_TO:
-			return await actNavigateTo(slots.target);
+function dictationSendSlot(field, describe) {
+	return {
+		name: "send",
+		kind: "text",
+		prompt: (values) => `${describe(values)}: ${dictatedText(values, field)}. Say send, change it, or cancel.`,
+		retry: "Say send to send it, change it to keep editing, or cancel.",
+		parse: (t) => {
+			const said = String(t || "")
+				.trim()
+				.replace(/[.!?]+$/, "");
+			if (DICTATION_EDIT_RE.test(said)) return { redo: field };
+			return isPlainConfirm(said) ? true : undefined;
+		},
+	};
+}
 
-		case intents.READ_PAGE:
-			return await actReadPage();
+// ---- Recipients by voice
+//   Names, roles ("the instructor", "all TAs") and groups are looked up with
+//   /search/recipients inside the course picked for the message. Several names
+//   can be said at once: "jane doe and the TA".
+
+const RECIPIENT_ROLES = [
+	{ re: /^(?:the |my |our )?(?:instructor|professor|prof|teacher)$/, role: "teachers", one: true },
+	{
+		re: /^(?:all (?:the |my )?|the |my )?(?:instructors|professors|teachers)$/,
+		role: "teachers",
+		label: "all instructors",
+	},
+	{ re: /^(?:the |my |our )?(?:ta|teaching assistant)$/, role: "tas", one: true },
+	{ re: /^(?:all (?:the |my )?|the |my )?(?:tas|teaching assistants)$/, role: "tas", label: "all TAs" },
+	{
+		re: /^(?:all (?:the |my )?|the |my )?(?:students|classmates|class)$|^everyone$/,
+		role: "students",
+		label: "all students",
+	},
+];
 
-		case intents.SUMMARIZE_PAGE:
-			return await actSummarizePage();
+const RECIPIENT_GROUP_RE = /^(?:the )?(?:group|section) (?<a>.+)$|^(?:the )?(?<b>.+?) (?:group|section)$/;
 
-		case intents.READ_RECENT_MESSAGE:
-			return await actReadRecentMessage();
+// One spoken recipient: { picked: [{ label, value }] } | { name, options } | { missing }
+async function resolveRecipientPart(spoken, courseId) {
+	const part = spoken
+		.toLowerCase()
+		.replace(/[.']/g, "")
+		.replace(/\bt a (s)\b|\bt a\b/g, "ta$1")
+		.replace(/\s+/g, " ")
+		.trim();
+	const context = `course_${courseId}`;
+
+	// "all TAs" is a group Canvas can message directly; "the TA" means one person in it
+	const role = RECIPIENT_ROLES.find((r) => r.re.test(part));
+	if (role && !role.one) return { picked: [{ label: role.label, value: `${context}_${role.role}` }] };
+
+	const group = part.match(RECIPIENT_GROUP_RE)?.groups;
+	const found = role
+		? await searchRecipients({ context: `${context}_${role.role}`, type: "user" })
+		: group
+			? await searchRecipients({ search: group.a || group.b, context, type: "context" })
+			: await searchRecipients({ search: part, context, type: "user" });
+
+	const options = found
+		.map(normalizeRecipient)
+		.filter((r) => r.id && r.name)
+		.map((r) => ({ label: r.name, value: r.id }));
+	const exact = options.filter((o) => normalizeChoiceText(o.label) === normalizeChoiceText(part));
+
+	if (exact.length === 1) return { picked: exact };
+	if (options.length === 1) return { picked: options };
+	if (!options.length) return { missing: spoken };
+	return { name: role ? `the ${role.role === "tas" ? "TA" : "instructor"}` : spoken, options: options.slice(0, 8) };
+}
+
+// Recipient slot: look every name up; ambiguous ones queue for the recipientChoice slot
+async function applyComposeRecipients(spoken, values) {
+	const typeIt = () => writeField(getComposeElements().recipient, spoken) || "I couldn't fill the recipient field.";
+	if (!values.courseId) return typeIt();
+
+	const parts = String(spoken)
+		.split(/\s*,\s*|\s+and\s+/i)
+		.map((p) => p.trim())
+		.filter(Boolean);
+	let results;
+	try {
+		results = await Promise.all(parts.map((p) => resolveRecipientPart(p, values.courseId)));
+	} catch (e) {
+		console.warn("recipient search failed:", e);
+		return typeIt();
+	}
 
-		case intents.READ_NEXT:
-			return await actReadNext();
+	const missing = results.filter((r) => r.missing).map((r) => r.missing);
+	if (missing.length) return `I couldn't find ${missing.join(" or ")} in this course. Who is the message for?`;
 
-		case intents.REPEAT:
-			return await actRepeat();
+	values.recipients = [...(values.recipients || []), ...results.flatMap((r) => r.picked || [])];
+	values.recipientQueue = results.filter((r) => r.options).map(({ name, options }) => ({ name, options }));
+	return true;
+}
 
-		case intents.HELP:
-			return await actHelp();
+function recipientListText(values) {
+	const names = (values.recipients || []).map((r) => r.label);
+	if (!names.length) return values.recipient || "";
+	return names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0];
+}
 
-		case intents.AFFIRM:
-			return await actAffirmDeny(true);
+// The Canvas id of the course picked in the compose form
+async function composeCourseId(choice) {
+	const fromValue = String(choice?.value || "").match(/^(?:course_)?(\d+)$/)?.[1];
+	if (fromValue) return fromValue;
 
-		case intents.DENY:
-			return await actAffirmDeny(false);
+	const wanted = normalizeCourseLabelText(choice?.label);
+	const courses = await enrolledCourseOptions();
+	const match =
+		courses.find((c) => normalizeCourseLabelText(c.label) === wanted) ||
+		courses.find((c) => {
+			const label = normalizeCourseLabelText(c.label);
+			return label && wanted && (label.includes(wanted) || wanted.includes(label));
+		});
+	return match?.value || getActiveCourseId(await mem.get()) || null;
+}
 
-		case "OPEN_ASSIGNMENTS_FOR_COURSE":
-			return await actOpenAssignmentsForCourse(slots.courseNum);
+// Recipients found through the API go out through the API too; the form is closed after
+async function sendComposeThroughApi(values) {
+	try {
+		await createConversation({
+			recipients: values.recipients.map((r) => r.value),
+			subject: values.subject,
+			body: dictatedText(values, "body"),
+			contextCode: `course_${values.courseId}`,
+		});
+	} catch (e) {
+		console.warn("conversation create failed:", e);
+		await speak("The message didn't go through. It's still in the compose window.", { mode: "say" });
+		return { ok: false, message: "Message send failed" };
+	}
+	getComposeElements().cancelButton?.click?.();
+	await speak(`Message sent to ${recipientListText(values)}.`, { mode: "say" });
+	return { ok: true, message: "Message sent" };
+}
 
-		case INTERNAL_INTENTS.OPEN_ASSIGNMENT_DUE_IN:
-			return await actOpenAssignmentDueIn(slots.md);
+// ---- Compose message (Inbox)
 
-		case intents.DUE_TODAY:
-			return await actDueToday(slots);
+const COMPOSE_ANYONE_RE = /^(?:a\s+)?(?:someone|somebody)$/i;
 
-		case intents.DUE_THIS_WEEK:
-			return await actDueThisWeek(slots);
+// "message professor smith" / "send a message to jane doe" -> recipient
+function composeValuesFromUtterance(text) {
+	const m = String(text || "").match(
+		/^(?:(?:send|write)\s+(?:a\s+)?(?:message|email)\s+to|message|email)\s+(?<who>[a-z][a-z .'-]{1,60})$/i,
+	);
+	const who = m?.groups?.who?.trim() || "";
+	return who && !COMPOSE_ANYONE_RE.test(who) ? { recipient: who } : {};
+}
 
-		case intents.NEXT_DUE:
-			return await actNextDue();
+defineDialog("compose", {
+	intent: intents.COMPOSE_MESSAGE,
+	stepIntent: "COMPOSE_WIZARD_STEP",
+	trigger: looksLikeComposeTrigger,
+	fromUtterance: composeValuesFromUtterance,
+	open: async () => ((await ensureComposeOpen()) ? null : { ok: false, message: "Compose unavailable" }),
+	slots: [
+		{
+			name: "course",
+			kind: "choice",
+			prompt: "Which course do you want to send the message to? Say list my options if you want me to read them.",
+			listOptions: false,
+			matchMode: "course",
+			listPrefix: "Here are your course options.",
+			noOptions:
+				"I couldn't find the course options yet. Say list my options, or open the course dropdown and try again.",
+			retry: "I couldn't match that course. Say the course name, or say list my options.",
+			options: async () => {
+				openComposeCoursePicker();
+				await delay(120);
+				return getComposeCourseOptions();
+			},
+			apply: async (v, values) => {
+				if (!(await applyComposeCourseChoice(v))) return "I found the course, but I couldn't select it automatically.";
+				values.courseId = await composeCourseId(v);
+				return true;
+			},
+			ack: (v) => `Selected ${v.label}.`,
+		},
+		{
+			name: "recipient",
+			kind: "text",
+			prompt: "Who is the message for? Say a name, the instructor, all TAs, or a group.",
+			apply: applyComposeRecipients,
+		},
+		{
+			name: "recipientChoice",
+			kind: "choice",
+			prompt: (v) => `Which ${v.recipientQueue[0].name}?`,
+			retry: "Say the number of the person you mean, or say list my options.",
+			listPrefix: "Here are the people I found.",
+			when: (v) => !!v.recipientQueue?.length,
+			options: (v) => v.recipientQueue?.[0]?.options || [],
+			apply: (choice, v) => {
+				v.recipients = [...(v.recipients || []), { label: choice.label, value: choice.value }];
+				v.recipientQueue = v.recipientQueue.slice(1);
+				return true;
+			},
+			repeat: (v) => !!v.recipientQueue?.length,
+		},
+		{
+			name: "subject",
+			kind: "text",
+			prompt: "What is the subject line?",
+			apply: (v) => writeField(getComposeElements().subject, v) || "I couldn't fill the subject field.",
+		},
+		dictationSlot("body", "compose", "What is the message? Say done when you're finished."),
+		dictationSendSlot("body", (v) => `To ${recipientListText(v)}. Subject ${v.subject}. Message`),
+	],
+	finish: async (values) => {
+		if (values.recipients?.length && values.courseId) return await sendComposeThroughApi(values);
+		getComposeElements().sendButton?.click?.();
+		await speak("Message sent.", { mode: "say" });
+		return { ok: true, message: "Message sent" };
+	},
+	onCancel: () => getComposeElements().cancelButton?.click?.(),
+	canceled: "Canceled compose message.",
+});
 
-		case intents.OVERDUE:
-			return await actOverdue();
+async function actComposeMessage(slots = {}) {
+	const result = await startDialog("compose", composeValuesFromUtterance(slots.utterance));
+	return result || { ok: false, message: "Compose wizard not started" };
+}
 
-		case intents.QA_GENERAL:
-			return await actGeneralQA(slots.utterance ?? "");
+// ---- Reply / forward (Inbox)
+//   Works on the conversation the inbox reader has open (sent through the API),
+//   or on the message open on the inbox page (typed into Canvas's reply box).
 
-		case intents.OPEN_HOME:
-			return await actOpenDashboard();
+const REPLY_MODES = {
+	reply: { label: "Reply", sent: "Reply sent", button: /^reply$/i, testid: "message-detail-header-reply-btn" },
+	replyAll: { label: "Reply all", sent: "Reply sent", button: /^reply all$/i, testid: "reply-all" },
+	forward: { label: "Forward", sent: "Forwarded", button: /^forward$/i, testid: "forward" },
+};
 
-		case "OPEN_ANNOUNCEMENTS":
-			return await actOpenAnnouncements();
+// The reply box is the compose modal; reply all and forward hide in the "More options" menu
+async function openPageReply(mode) {
+	const panel = findOpenedMessagePanel();
+	if (!panel) return false;
+
+	const { button, testid } = REPLY_MODES[mode];
+	const find = () =>
+		firstMatch([`[data-testid='${testid}']`, `[data-testid*='${testid}' i]`], panel) ||
+		findVisibleButtonByText(button, panel) ||
+		Array.from(document.querySelectorAll("[role='menuitem']")).find(
+			(el) => isVisible(el) && button.test((el.textContent || "").trim()),
+		) ||
+		null;
+
+	let btn = find();
+	if (!btn) {
+		firstMatch(["[data-testid*='more-options' i]", "button[aria-label*='more options' i]"], panel)?.click?.();
+		btn = await waitFor(find, { timeoutMs: 1200 });
+	}
+	if (!btn) return false;
 
-		default:
-			await speak("I missed that. Try: dashboard, courses, assignments, grades, or back.", { mode: "say" });
-			await remember({
-				expectingYesNo: false,
-				pendingAction: null,
-				lastIntent: intents.UNKNOWN,
-				expectingChoice: false,
-				choiceOptions: null,
-			});
-			return { ok: false, message: "Unknown intent; asked clarification" };
+	btn.click?.();
+	return !!(await waitFor(isComposeDialogOpen, { timeoutMs: 3000 }));
+}
+
+// Canvas's To box is an autocomplete: typing only searches, one of its suggestions has to be picked.
+// null when there is no To box.
+async function pageRecipientSuggestions(name) {
+	if (!writeField(getComposeElements().recipient, name)) return null;
+	const wanted = normalizeChoiceText(name);
+	const matches = () =>
+		visiblePopupItems().filter((o) => wanted && normalizeChoiceText(o.label).includes(wanted) && o.el);
+	await waitFor(() => matches().length > 0, { timeoutMs: 3000 });
+	return matches().map((o) => ({ label: o.label, value: null, el: o.el }));
+}
+
+// API path: keep the user id. Page path: click the suggestion, searching again when the
+// answer came from a choice (suggestion elements don't survive Memory).
+async function pickForwardRecipient(choice, v) {
+	if (v.via !== "page") {
+		v.recipientIds = [choice.value];
+		v.to = choice.label;
+		return true;
 	}
+	const el =
+		choice.el ||
+		(await pageRecipientSuggestions(choice.label))?.find(
+			(o) => normalizeChoiceText(o.label) === normalizeChoiceText(choice.label),
+		)?.el;
+	if (!el) return `I couldn't select ${choice.label} in the To box. Say another name, or cancel.`;
+	el.dispatchEvent?.(new MouseEvent("mousedown", { bubbles: true, cancelable: true }));
+	el.click?.();
+	el.dispatchEvent?.(new MouseEvent("mouseup", { bubbles: true, cancelable: true }));
+	v.recipientPicked = true;
+	v.to = choice.label;
+	return true;
 }
 
-// =============================================================================
-// 19) Resume queued steps on page load
-// =============================================================================
-
-let __resumeQueueRunning = false;
-let __lastQueueResumeAt = 0;
-export async function resumePendingQueue() {
-	const now = Date.now();
-	if (now - __lastQueueResumeAt < 800) {
-		return { ok: true, message: "Queue resume cooldown" };
+async function forwardRecipientOptions(name, contextCode) {
+	try {
+		const found = await searchRecipients({ search: name, context: contextCode || undefined, type: "user" });
+		return found.map(normalizeRecipient).map((r) => ({ label: r.name, value: r.id }));
+	} catch (e) {
+		console.warn("recipient search failed:", e);
+		return [];
 	}
-	__lastQueueResumeAt = now;
+}
 
-	if (__resumeQueueRunning) return { ok: true, message: "Queue already running (mutex)" };
-	__resumeQueueRunning = true;
+defineDialog("reply", {
+	intent: intents.REPLY_MESSAGE,
+	stepIntent: "REPLY_WIZARD_STEP",
+	slots: [
+		{
+			name: "forwardTo",
+			kind: "text",
+			prompt: "Who should I forward it to?",
+			when: (v) => v.mode === "forward" && !v.recipientIds?.length && !v.recipientPicked,
+			apply: async (name, v) => {
+				const matches =
+					v.via === "page" ? await pageRecipientSuggestions(name) : await forwardRecipientOptions(name, v.contextCode);
+				if (matches === null) return "I couldn't fill the recipient field.";
+				if (!matches.length) return `I couldn't find anyone called ${name}. Say another name, or cancel.`;
+				const exact = matches.filter((m) => normalizeChoiceText(m.label) === normalizeChoiceText(name));
+				const one = exact.length === 1 ? exact[0] : matches.length === 1 ? matches[0] : null;
+				if (one) return await pickForwardRecipient(one, v);
+				v.matches = matches.map(({ label, value }) => ({ label, value: value ?? null }));
+				return true;
+			},
+		},
+		{
+			name: "recipient",
+			kind: "choice",
+			prompt: "I found a few people with that name. Which one?",
+			retry: "Say the number of the person, or cancel.",
+			when: (v) => v.mode === "forward" && !v.recipientIds?.length && !v.recipientPicked,
+			options: (v) => v.matches || [],
+			apply: (choice, v) => pickForwardRecipient(choice, v),
+		},
+		dictationSlot(
+			"body",
+			(v) => (v.via === "page" ? "compose" : null),
+			(v) =>
+				`${v.mode === "forward" ? "What note should go with it?" : "What should your reply say?"} Say done when you're finished.`,
+		),
+		dictationSendSlot("body", (v) => `${REPLY_MODES[v.mode].label} to ${v.to}`),
+	],
+	finish: async (v) => {
+		const { sent } = REPLY_MODES[v.mode];
+		if (v.via === "page") {
+			getComposeElements().sendButton?.click?.();
+			await speak(`${sent}.`, { mode: "say" });
+			return { ok: true, message: `${sent} from the inbox page` };
+		}
 
-	try {
-		let st = null;
 		try {
-			st = await mem.get();
+			await addConversationMessage({
+				conversationId: v.conversationId,
+				body: dictatedText(v, "body"),
+				recipients: v.recipientIds || [],
+				includedMessages: v.mode === "forward" && v.messageId ? [v.messageId] : [],
+			});
 		} catch (e) {
-			console.warn("Memory.get failed:", e);
-			return;
-		}
-
-		// prevent "ghost" resumes right after manual navigation (like back)
-		if (isAutoResumeSuppressed(st)) {
-			return { ok: true, message: "Resume suppressed" };
+			console.warn("reply failed:", e);
+			await speak("That didn't go through. Try again in a moment.", { mode: "say" });
+			return { ok: false, message: `${v.mode} failed` };
+		}
+		await speak(`${sent} to ${v.to}.`, { mode: "say" });
+		return { ok: true, message: sent };
+	},
+	onCancel: (v) => v.via === "page" && getComposeElements().cancelButton?.click?.(),
+	canceled: "Okay, nothing was sent.",
+});
+
+// Who a reply goes to, and which message it answers, for the conversation the reader has open
+async function replyTargetFromReader(mode) {
+	const reader = activeInboxReader(await mem.get());
+	const thread = reader?.thread;
+	if (!thread?.messages?.length) return null;
+
+	const selfId = await getInboxSelfId();
+	const idx = Math.min(reader.msgIdx ?? thread.messages.length - 1, thread.messages.length - 1);
+	const author = thread.messages
+		.slice(0, idx + 1)
+		.reverse()
+		.find((m) => String(m.authorId) !== String(selfId));
+	const single = mode === "reply" && author;
+
+	return {
+		via: "api",
+		conversationId: thread.id,
+		messageId: thread.messages[idx].id,
+		contextCode: thread.contextCode || null,
+		// Reply all: no recipients means everyone in the conversation
+		recipientIds: mode === "forward" ? null : single ? [String(author.authorId)] : [],
+		to: mode === "forward" ? "" : single ? author.author : inboxPeople(thread, selfId),
+	};
+}
+
+async function replyTargetFromPage(mode) {
+	if (!isCanvasInboxPage() || !findOpenedMessagePanel()) return null;
+	const sender = cleanSenderName(readCurrentMessageDetail()?.sender || "");
+	if (!(await openPageReply(mode))) return null;
+	return { via: "page", to: mode === "replyAll" ? "everyone" : mode === "forward" ? "" : sender || "the sender" };
+}
+
+async function startReplyDialog(mode, { to = "", text = "" } = {}) {
+	let target = null;
+	try {
+		target = await replyTargetFromReader(mode);
+	} catch (e) {
+		console.warn("reply target lookup failed:", e);
+	}
+	target ||= await replyTargetFromPage(mode);
+
+	if (!target && discussionFromPath()) {
+		await speak("Say read this discussion first, then reply to this post.", { mode: "say" });
+		return { ok: false, message: "Discussion reader not started" };
+	}
+	if (!target) {
+		await speak("Open a message first. Say read my most recent message, or any new messages.", { mode: "say" });
+		return { ok: false, message: "No open message to answer" };
+	}
+
+	const values = { ...target, mode };
+	if (to) values.forwardTo = to;
+	if (text) values.body = text;
+	const result = await startDialog("reply", values);
+	return result || { ok: false, message: "Reply wizard not started" };
+}
+
+async function actReplyMessage(slots = {}) {
+	return await startReplyDialog(slots.all ? "replyAll" : "reply", { text: slots.text });
+}
+
+async function actForwardMessage(slots = {}) {
+	return await startReplyDialog("forward", { to: slots.to, text: slots.text });
+}
+
+// ---- Add discussion
+
+function yesNoSlot(name, prompt, retry, apply) {
+	return { name, kind: "yesno", prompt, retry, apply };
+}
+
+defineDialog("discussion", {
+	intent: intents.ADD_DISCUSSION,
+	stepIntent: "DISCUSSION_WIZARD_STEP",
+	trigger: looksLikeDiscussionTrigger,
+	open: async (values) => {
+		if (!(await openDiscussionComposer())) {
+			await speak("I couldn't open the discussion form.", { mode: "say" });
+			return { ok: false, message: "Discussion form unavailable" };
+		}
+		values.hasAutosave = hasDiscussionAutosaveDialog();
+		return null;
+	},
+	slots: [
+		{
+			...yesNoSlot(
+				"loadAutosave",
+				"I found auto saved content. Would you like to load the auto saved content instead? Say yes or no.",
+				"Please say yes or no for the auto saved content.",
+				async (yn) => {
+					if (!clickDiscussionAutosaveChoice(yn))
+						return "I couldn't answer the auto saved content prompt automatically.";
+					await delay(350);
+					return true;
+				},
+			),
+			when: (v) => v.hasAutosave,
+		},
+		{
+			name: "title",
+			kind: "text",
+			prompt: "What would you want as a topic title?",
+			apply: (v) => writeField(getDiscussionTitleInput(), v) || "I couldn't fill the discussion title.",
+		},
+		dictationSlot(
+			"content",
+			"discussion",
+			"Please speak out the topic content. You can say new paragraph, delete last sentence, or undo, and say done when you're finished.",
+		),
+		yesNoSlot(
+			"respondBeforeReplies",
+			"Participants must respond to the topic before viewing other replies. Do you want this option? Say yes or no.",
+			"Please say yes or no for the participants must respond option.",
+			(yn) => {
+				const cb =
+					getDiscussionRequireInitialPostCheckbox() ||
+					findLabelCheckbox(/participants must respond to the topic before viewing other replies/i) ||
+					findLabelCheckbox(/respond.*before.*repl/i) ||
+					findLabelCheckbox(/viewing other replies/i);
+				return (cb && setCheckboxValue(cb, yn)) || "I could not set that option automatically.";
+			},
+		),
+		yesNoSlot(
+			"allowLiking",
+			"Allow liking. Do you want this option? Say yes or no.",
+			"Please say yes or no for allow liking.",
+			(yn) => {
+				const cb =
+					getDiscussionAllowLikingCheckbox() || findLabelCheckbox(/allow liking/i) || findLabelCheckbox(/\bliking\b/i);
+				return (cb && setCheckboxValue(cb, yn)) || "I could not set allow liking automatically.";
+			},
+		),
+		{
+			...yesNoSlot("submit", "Would you like to submit? Say yes or no.", "Please say yes to submit or no to cancel."),
+			// Posting can't be undone: "yes, wait" is asked again
+			parse: (t) => (isPlainConfirm(t, ["submit", "post"]) ? true : parseYesNo(t) === false ? false : undefined),
+		},
+	],
+	finish: async (values) => {
+		if (!values.submit) {
+			await speak("Okay, I did not submit.", { mode: "say" });
+			return { ok: true, message: "Discussion submit canceled" };
+		}
+		findDiscussionSubmitButton()?.click?.();
+		await speak("Discussion submitted.", { mode: "say" });
+		return { ok: true, message: "Discussion submitted" };
+	},
+	canceled: "Canceled add discussion.",
+});
+
+async function actAddDiscussion() {
+	const result = await startDialog("discussion");
+	return result || { ok: false, message: "Discussion wizard not started" };
+}
+
+// =============================================================================
+// 17.5) Submission wizard (text entry / website URL / file from My Files)
+//      Same shape as the compose wizard: state lives in mem.submitWizard, one
+//      step per utterance, "cancel" aborts. Submits through the Canvas API and
+//      then reads the submission back so we only say "submitted" when it is.
+// =============================================================================
+
+const SUBMIT_TYPE_LABELS = {
+	online_text_entry: "text",
+	online_url: "a link",
+	online_upload: "a file",
+};
+
+const SUBMIT_TYPE_STEPS = {
+	online_text_entry: "text",
+	online_url: "url",
+	online_upload: "file",
+};
+
+function looksLikeSubmitTrigger(text) {
+	const t = normalize(text);
+	return (
+		/^(submit|turn in|upload)\b/.test(t) &&
+		/\b(assignment|submission|hw|homework|lab|project|essay|paper|this|it)\b/.test(t)
+	);
+}
+
+// "submit HW 3 for csce 4901" -> { q: "hw 3", course: "csce 4901" }; "submit this" -> { q: "" }
+function parseSubmitQuery(text) {
+	const u = normalize(text).replace(/[?!.,]/g, "");
+	const ref = parseCourseRef(u);
+	const q = u
+		.replace(/\b(in|for|of|to)\s+(?:the\s+)?(?:course\s+)?(?:[a-z]{2,4}\s*)?\d{4}\b/g, "")
+		.replace(/\bassignment\b(?!\s*\d)/g, "")
+		.replace(/\b(submit|turn in|upload|my|the|this|it|a|an|file|to|for|submission)\b/g, "")
+		.replace(/\s+/g, " ")
+		.trim();
+	return { q, course: ref?.raw || "" };
+}
+
+function isWizardCancel(lower) {
+	return /^(cancel|stop|discard|never mind|nevermind|quit)\b/.test(lower) && lower.split(" ").length <= 4;
+}
+
+function escapeHtml(s) {
+	return String(s || "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+// "example dot com slash syllabus" -> "https://example.com/syllabus"
+function spokenToUrl(text) {
+	let t = String(text || "")
+		.trim()
+		.replace(/\s*\bdot\b\s*/gi, ".")
+		.replace(/\s*\bslash\b\s*/gi, "/")
+		.replace(/\s*\bcolon\b\s*/gi, ":")
+		.replace(/\s*\b(dash|hyphen)\b\s*/gi, "-")
+		.replace(/\s*\bunderscore\b\s*/gi, "_")
+		.replace(/\s+/g, "");
+
+	if (!/^https?:\/\//i.test(t)) t = `https://${t}`;
+	try {
+		const url = new URL(t);
+		return url.hostname.includes(".") ? url.toString() : null;
+	} catch {
+		return null;
+	}
+}
+
+function submitTypeFromUtterance(lower, types) {
+	if (/\b(text|type|write|entry|essay|dictate)\b/.test(lower) && types.includes("online_text_entry")) {
+		return "online_text_entry";
+	}
+	if (/\b(link|url|website|web site|address)\b/.test(lower) && types.includes("online_url")) return "online_url";
+	if (/\b(file|upload|document|pdf)\b/.test(lower) && types.includes("online_upload")) return "online_upload";
+
+	const idx = optionIdxFromUtterance(
+		lower,
+		types.map((t) => ({ label: SUBMIT_TYPE_LABELS[t] })),
+	);
+	return idx != null ? types[idx] : null;
+}
+
+function submitStepPrompt(step) {
+	if (step === "text") {
+		return "Dictate your text entry. You can say new paragraph, delete last sentence, or undo. Say done when you're finished, or read it back to hear it.";
+	}
+	if (step === "url") return "What's the link? You can say it like: example dot com slash page.";
+	if (step === "file") return "Which file from your Canvas files? Say part of its name, or say list my files.";
+	return "";
+}
+
+function fileAllowed(name, allowedExtensions) {
+	if (!allowedExtensions?.length) return true;
+	const ext = String(name || "")
+		.split(".")
+		.pop()
+		.toLowerCase();
+	return allowedExtensions.map((x) => String(x).toLowerCase()).includes(ext);
+}
+
+function submitSummary(wizard) {
+	if (wizard.type === "online_text_entry") {
+		const words = docToText(wizard.doc).split(/\s+/).filter(Boolean).length;
+		return `your text entry, ${words} word${words === 1 ? "" : "s"},`;
+	}
+	if (wizard.type === "online_url") return `the link ${wizard.url}`;
+	if (wizard.type === "online_upload") return `the file ${wizard.file?.name || ""}`;
+	return "your submission";
+}
+
+async function clearSubmitWizardState() {
+	await mem.set({ submitWizard: null });
+}
+
+async function saveSubmitWizard(wizard) {
+	await mem.set({ submitWizard: { ...wizard, createdAt: Date.now() } });
+}
+
+// The wizard may cross a page load to reach the assignment, so it only expires
+function activeSubmitWizard(state) {
+	const wizard = state?.submitWizard;
+	if (!wizard?.active || Date.now() - (wizard.createdAt || 0) > DIALOG_TTL_MS) return null;
+	return wizard;
+}
+
+async function resolveSubmitTarget({ q = "", course = "" } = {}) {
+	if (!q) {
+		const here = String(location.pathname || "").match(/\/courses\/(\d+)\/assignments\/(\d+)/i);
+		return here ? { courseId: here[1], assignmentId: here[2] } : null;
+	}
+
+	const found = await findMatchingSubmissions({ q, courseText: course });
+	const best = found.ranked[0]?.s;
+	if (!best?.assignmentId) return null;
+	return { courseId: best.courseId || best.raw?.assignment?.course_id, assignmentId: best.assignmentId };
+}
+
+async function startSubmitWizard({ q = "", course = "" } = {}) {
+	let target = null;
+	let assignment = null;
+	try {
+		target = await resolveSubmitTarget({ q, course });
+		if (target) assignment = await fetchAssignment(target);
+	} catch (e) {
+		console.warn("submit target lookup failed:", e);
+		await speak("I can't reach Canvas to look up that assignment right now.", { mode: "say" });
+		return { ok: false, message: "Assignment lookup failed" };
+	}
+
+	if (!target || !assignment) {
+		const msg = q
+			? `I can't find ${q}. Open the assignment, then say submit this.`
+			: "Open the assignment first, then say submit this. Or say: submit homework 3.";
+		await speak(msg, { mode: "say" });
+		return { ok: false, message: "No assignment to submit" };
+	}
+
+	const title = String(assignment.name || "this assignment").trim();
+
+	if (assignment.locked_for_user) {
+		const why = String(assignment.lock_explanation || "")
+			.replace(/<[^>]+>/g, " ")
+			.replace(/\s+/g, " ")
+			.trim();
+		await speak(`${title} is locked.${why ? ` ${why}` : ""}`, { mode: "say" });
+		return { ok: false, message: "Assignment locked" };
+	}
+
+	const types = (assignment.submission_types || []).filter((t) => SUBMIT_TYPE_LABELS[t]);
+	if (!types.length) {
+		await speak(`${title} doesn't take text, link, or file submissions in Canvas.`, { mode: "say" });
+		return { ok: false, message: "No supported submission types" };
+	}
+
+	const single = types.length === 1 ? types[0] : null;
+	const wizard = {
+		active: true,
+		step: single ? SUBMIT_TYPE_STEPS[single] : "type",
+		courseId: String(target.courseId),
+		assignmentId: String(target.assignmentId),
+		title,
+		types,
+		type: single,
+		allowedExtensions: assignment.allowed_extensions || [],
+		doc: createDictationDoc(),
+		url: "",
+		file: null,
+		fileOptions: [],
+	};
+	await saveSubmitWizard(wizard);
+
+	if (single) {
+		await speak(`Submitting ${SUBMIT_TYPE_LABELS[single]} to ${title}. ${submitStepPrompt(wizard.step)}`, {
+			mode: "say",
+		});
+	} else {
+		const list = types.map((t) => SUBMIT_TYPE_LABELS[t]);
+		const spoken = list.length > 1 ? `${list.slice(0, -1).join(", ")}, or ${list[list.length - 1]}` : list[0];
+		await speak(`Submitting to ${title}. Do you want to submit ${spoken}?`, { mode: "say" });
+	}
+	return { ok: true, message: "Submit wizard started" };
+}
+
+async function pickSubmitFile(wizard, file) {
+	wizard.file = { id: file.id, name: file.display_name || file.filename || "file" };
+	wizard.fileOptions = [];
+	wizard.step = "confirm";
+	await saveSubmitWizard(wizard);
+	await speak(`Ready to submit ${submitSummary(wizard)} to ${wizard.title}. Say submit to turn it in, or cancel.`, {
+		mode: "say",
+	});
+	return { ok: true, message: `File chosen: ${wizard.file.name}` };
+}
+
+async function verifySubmission(wizard, startedAt) {
+	for (let attempt = 0; attempt < 3; attempt++) {
+		try {
+			const rows = await fetchSubmissions({
+				courseId: wizard.courseId,
+				assignmentId: wizard.assignmentId,
+			});
+			const sub = rows[0] ? normalizeSubmission(rows[0]) : null;
+			const at = sub?.submittedAt ? new Date(sub.submittedAt).getTime() : 0;
+			// allow a minute of clock skew between this machine and Canvas
+			if (sub && at >= startedAt - 60000 && /^(submitted|graded|pending_review)$/.test(sub.state || "")) {
+				return sub;
+			}
+		} catch (e) {
+			console.warn("submission verify failed:", e);
+		}
+		await delay(800);
+	}
+	return null;
+}
+
+async function handleSubmitWizardStep(utterance, wizard) {
+	const u = String(utterance || "").trim();
+	const lower = normalize(u);
+	if (!wizard?.active) return null;
+
+	if (isWizardCancel(lower)) {
+		await clearSubmitWizardState();
+		await speak("Canceled the submission. Nothing was turned in.", { mode: "say" });
+		return { ok: true, message: "Submit canceled" };
+	}
+
+	if (wizard.step === "type") {
+		const type = submitTypeFromUtterance(lower, wizard.types);
+		if (!type) {
+			const list = wizard.types.map((t) => SUBMIT_TYPE_LABELS[t]).join(", ");
+			await speak(`Say one of: ${list}. Or say cancel.`, { mode: "say" });
+			return { ok: false, message: "Submission type not matched" };
+		}
+		wizard.type = type;
+		wizard.step = SUBMIT_TYPE_STEPS[type];
+		await saveSubmitWizard(wizard);
+		await speak(submitStepPrompt(wizard.step), { mode: "say" });
+		return { ok: true, message: `Submission type set: ${type}` };
+	}
+
+	if (wizard.step === "text") {
+		if (isDictationDone(u)) {
+			if (!docToText(wizard.doc)) {
+				await speak("I don't have any text yet. Go ahead and dictate it.", { mode: "say" });
+				return { ok: false, message: "Empty text entry" };
+			}
+			wizard.step = "confirm";
+			await saveSubmitWizard(wizard);
+			await speak(
+				`Ready to submit ${submitSummary(wizard)} to ${wizard.title}. Say read it back to hear it, submit to turn it in, or cancel.`,
+				{ mode: "say" },
+			);
+			return { ok: true, message: "Text entry complete" };
+		}
+
+		const out = applyDictation(wizard.doc, u, { rich: true });
+		if (out.command === "readBack") {
+			await speak(out.detail || "Nothing yet.", { mode: "read", raw: true });
+			return { ok: true, message: "Read text entry back" };
+		}
+		wizard.doc = out.doc;
+		await saveSubmitWizard(wizard);
+		const note = dictationFeedback(out);
+		await speak(`${note} Keep going, or say done.`.trim(), { mode: "say" });
+		return { ok: out.changed, message: `Dictation: ${out.command}` };
+	}
+
+	if (wizard.step === "url") {
+		const url = spokenToUrl(u);
+		if (!url) {
+			await speak("That doesn't sound like a web address. Try again, like: example dot com.", { mode: "say" });
+			return { ok: false, message: "Invalid URL" };
+		}
+		wizard.url = url;
+		wizard.step = "confirm";
+		await saveSubmitWizard(wizard);
+		await speak(`Ready to submit ${submitSummary(wizard)} to ${wizard.title}. Say submit to turn it in, or cancel.`, {
+			mode: "say",
+		});
+		return { ok: true, message: "URL set" };
+	}
+
+	if (wizard.step === "file") {
+		const options = Array.isArray(wizard.fileOptions) ? wizard.fileOptions : [];
+		const idx = options.length ? optionIdxFromUtterance(u, options) : null;
+		if (idx != null) return await pickSubmitFile(wizard, options[idx]);
+
+		const listAll = wantsOptionList(u) || /\b(list|read)\b.*\bfiles\b/.test(lower);
+		let files = [];
+		try {
+			files = await fetchMyFiles({ searchTerm: listAll ? "" : u });
+		} catch (e) {
+			console.warn("my files fetch failed:", e);
+			await speak("I can't reach your Canvas files right now.", { mode: "say" });
+			return { ok: false, message: "My Files fetch failed" };
+		}
+
+		files = files.filter((f) => fileAllowed(f.display_name || f.filename, wizard.allowedExtensions));
+		if (!files.length) {
+			const allowed = wizard.allowedExtensions.length
+				? ` This assignment takes ${wizard.allowedExtensions.join(", ")}.`
+				: "";
+			await speak(`I can't find a matching file in your Canvas files.${allowed} Try another name.`, { mode: "say" });
+			return { ok: false, message: "No matching files" };
+		}
+
+		if (files.length === 1 && !listAll) return await pickSubmitFile(wizard, files[0]);
+
+		wizard.fileOptions = files.slice(0, 8).map((f) => ({
+			id: f.id,
+			display_name: f.display_name || f.filename,
+			label: f.display_name || f.filename,
+		}));
+		await saveSubmitWizard(wizard);
+		await speakNumberedOptions(listAll ? "Your newest files." : "I found a few files.", wizard.fileOptions);
+		await speak("Say the number, like: option 1.", { mode: "say" });
+		return { ok: true, message: "Listed file options" };
+	}
+
+	if (wizard.step === "confirm") {
+		if (/\b(read it back|read back)\b/.test(lower)) {
+			const back =
+				wizard.type === "online_text_entry" ? docToText(wizard.doc) : submitSummary(wizard).replace(/,$/, "");
+			await speak(back, { mode: "read", raw: true });
+			return { ok: true, message: "Read submission back" };
+		}
+
+		if (!isPlainConfirm(lower, ["submit", "turn (?:it )?in", "send"])) {
+			await speak("Say submit to turn it in, or cancel.", { mode: "say" });
+			return { ok: false, message: "Awaiting submit confirmation" };
+		}
+
+		const startedAt = Date.now();
+		try {
+			await submitAssignment({
+				courseId: wizard.courseId,
+				assignmentId: wizard.assignmentId,
+				type: wizard.type,
+				body: docToHtml(wizard.doc),
+				url: wizard.url,
+				fileIds: wizard.file ? [wizard.file.id] : [],
+			});
+		} catch (e) {
+			console.warn("submit failed:", e);
+			await speak("Canvas didn't accept the submission. Nothing was turned in. Say submit to try again, or cancel.", {
+				mode: "say",
+			});
+			return { ok: false, message: "Submit API failed" };
+		}
+
+		await clearSubmitWizardState();
+		const sub = await verifySubmission(wizard, startedAt);
+		if (!sub) {
+			await speak(
+				`I sent it, but Canvas doesn't show ${wizard.title} as submitted yet. Check the assignment page to be sure.`,
+				{ mode: "say" },
+			);
+			return { ok: false, message: "Submitted but not verified" };
+		}
+
+		const when = sub.submittedAt ? toLocalDueLabel(sub.submittedAt) : "";
+		await speak(
+			`Submitted. Canvas shows ${wizard.title} received${when ? ` ${when}` : ""}${sub.late ? ", marked late" : ""}.`,
+			{
+				mode: "say",
+			},
+		);
+		await remember({ lastIntent: intents.SUBMIT_ASSIGNMENT, lastLinkText: wizard.title });
+		return { ok: true, message: `Submitted and verified: ${wizard.title}` };
+	}
+
+	return { ok: false, message: `Unknown submit step: ${wizard.step}` };
+}
+
+async function maybeHandleSubmitWizard(utterance) {
+	const wizard = activeSubmitWizard(await mem.get());
+
+	// Active wizard first: "submit it" at the confirm step is an answer, not a restart.
+	if (wizard?.active) {
+		const result = await handleSubmitWizardStep(utterance, wizard);
+		return { intent: "SUBMIT_WIZARD_STEP", result: { ...result, confidence: 0.99, reason: "submit wizard active" } };
+	}
+
+	if (looksLikeSubmitTrigger(utterance)) {
+		await clearSubmitWizardState();
+		const result = await startSubmitWizard(parseSubmitQuery(utterance));
+		return {
+			intent: intents.SUBMIT_ASSIGNMENT,
+			result: { ...result, confidence: 0.98, reason: "submit wizard start" },
+		};
+	}
+
+	return null;
+}
+
+async function actSubmitAssignment(slots = {}) {
+	await clearSubmitWizardState();
+	if (slots.utterance) return await startSubmitWizard(parseSubmitQuery(slots.utterance));
+	return await startSubmitWizard({ q: slots.q || "", course: slots.course || slots.courseNum || "" });
+}
+
+// =============================================================================
+// 18) Router
+// =============================================================================
+
+// Core handlers, help phrases and planner flags. Detection patterns for the
+// same intents are registered in lib/intent.js; both land in the intent
+// registry, which runAction, actHelp and the plan runners read from.
+// Help entries are listed in the order actHelp speaks them.
+const CORE_INTENT_DEFS = [
+	{ intent: intents.OPEN_DASHBOARD, navigates: true, help: "Open dashboard", handler: () => actOpenDashboard() },
+	{ intent: intents.GO_BACK, navigates: true, help: "Go back", handler: () => actGoBack() },
+	{ intent: intents.OPEN_GRADES, navigates: true, help: "Open grades", handler: () => actOpenGrades() },
+	{
+		intent: intents.OPEN_ASSIGNMENTS,
+		required: [COURSE_SLOT],
+		navigates: true,
+		help: "Open assignments",
+		handler: (slots) =>
+			slots.course ? actOpenCourseSection({ ...slots, section: "assignments" }) : actOpenAssignments(),
+	},
+	{
+		intent: intents.OPEN_MODULES,
+		required: [COURSE_SLOT],
+		navigates: true,
+		help: "Open modules",
+		handler: (slots) => (slots.course ? actOpenCourseSection({ ...slots, section: "modules" }) : actOpenModules()),
+	},
+	{
+		intent: intents.OPEN_QUIZZES,
+		required: [COURSE_SLOT],
+		navigates: true,
+		help: "Open quizzes",
+		handler: (slots) => (slots.course ? actOpenCourseSection({ ...slots, section: "quizzes" }) : actOpenQuizzes()),
+	},
+	{ intent: intents.OPEN_FILES, navigates: true, help: "Open files", handler: () => actOpenFiles() },
+	{ intent: intents.OPEN_COURSES, navigates: true, help: "Open courses", handler: () => actOpenCourses() },
+	{
+		intent: intents.OPEN_COURSE_BY_NUMBER,
+		slots: ["courseNum"],
+		navigates: true,
+		help: "Open course 1040",
+		handler: (slots) => actOpenCourseByQuery(`open ${slots.courseNum || ""}`),
+	},
+	{
+		intent: intents.OPEN_COURSE_SECTION,
+		slots: ["courseNum", "section"],
+		required: [SECTION_SLOT, COURSE_SLOT],
+		navigates: true,
+		help: "Open people for course 1040",
+		handler: (slots) => actOpenCourseSection(slots),
+	},
+	{ intent: intents.LIST_UPCOMING, help: "List my upcoming", handler: (slots) => actListUpcoming(slots) },
+	{
+		intent: intents.OPEN_ASSIGNMENT_QUERY,
+		slots: ["q"],
+		navigates: true,
+		help: "Open homework 2",
+		handler: (slots) => actOpenAssignmentQuery(slots.q),
+	},
+	{
+		intent: intents.COURSE_GRADE,
+		slots: ["course", "courseNum"],
+		help: "What's my grade in course 1040",
+		handler: (slots) => actCourseGrade(slots),
+	},
+	{
+		intent: intents.ASSIGNMENT_SCORE,
+		slots: ["q", "course", "courseNum"],
+		help: "What did I get on homework 2",
+		handler: (slots) => actAssignmentScore(slots),
+	},
+	{
+		intent: intents.READ_FEEDBACK,
+		slots: ["q", "course", "courseNum"],
+		help: "Read my feedback on homework 2",
+		handler: (slots) => actReadFeedback(slots),
+	},
+	{
+		intent: intents.CALENDAR_EVENTS,
+		slots: ["utterance"],
+		help: "What's on my calendar tomorrow",
+		handler: (slots) => actCalendarEvents(slots),
+	},
+	{
+		intent: intents.FIND_EVENT,
+		slots: ["q", "utterance"],
+		help: "When is the midterm",
+		handler: (slots) => actFindEvent(slots),
+	},
+	{
+		intent: intents.SUBMIT_ASSIGNMENT,
+		slots: ["q", "courseNum", "utterance"],
+		help: "Submit homework 2",
+		handler: (slots) => actSubmitAssignment(slots),
+	},
+	{
+		intent: intents.INBOX_LIST,
+		slots: ["scope", "course"],
+		help: "Any new messages, then read message 1, reply, archive",
+		handler: (slots) => actInboxList(slots),
+	},
+	{
+		intent: intents.REPLY_MESSAGE,
+		slots: ["all", "text"],
+		help: "Reply, reply all, or forward to Jane Doe",
+		handler: (slots) => actReplyMessage(slots),
+	},
+	{ intent: intents.FORWARD_MESSAGE, slots: ["to", "text"], handler: (slots) => actForwardMessage(slots) },
+	{
+		intent: intents.READ_DISCUSSION,
+		slots: ["unread"],
+		help: "Read this discussion, then next reply, skip thread, like this post, reply to this post",
+		handler: (slots) => actReadDiscussion(slots),
+	},
+	{
+		intent: intents.TAKE_QUIZ,
+		help: "Take quiz, then answer B, next question, mark for review, how much time is left",
+		handler: () => actTakeQuiz(),
+	},
+	{ intent: intents.READ_PAGE, help: "Read the page", handler: () => actReadPage() },
+	{ intent: intents.READ_NEXT, help: "Next section", handler: () => actReadNext() },
+	{ intent: intents.REPEAT, help: "Repeat", handler: () => actRepeat() },
+
+	// No help phrase
+	{ intent: intents.LOG_IN, handler: (slots) => actLogIn(slots) },
+	{ intent: intents.OPEN_SETTINGS, handler: () => actOpenSettings() },
+	{ intent: intents.OPEN_INBOX, navigates: true, handler: () => actOpenInbox() },
+	{
+		intent: intents.COMPOSE_MESSAGE,
+		slots: ["utterance"],
+		navigates: true,
+		handler: (slots) => actComposeMessage(slots),
+	},
+	{ intent: intents.ADD_DISCUSSION, handler: () => actAddDiscussion() },
+	{ intent: intents.OPEN_HOME, navigates: true, handler: () => actOpenDashboard() },
+	{ intent: intents.SMALL_TALK, slots: ["utterance"], handler: (slots) => actSmallTalk(slots.utterance ?? "") },
+	{
+		intent: intents.OPEN_ASSIGNMENT_FOR_COURSE,
+		slots: ["courseNum", "q"],
+		navigates: true,
+		handler: (slots) => actOpenAssignmentForCourse(slots),
+	},
+	{
+		intent: intents.OPEN_ASSIGNMENTS_FOR_COURSE,
+		slots: ["courseNum"],
+		navigates: true,
+		handler: (slots) => actOpenAssignmentsForCourse(slots.courseNum),
+	},
+	{ intent: intents.CHOOSE_OPTION, slots: ["idx"], navigates: true, handler: (slots) => actChooseOption(slots.idx) },
+	{ intent: intents.NAVIGATE_TO, slots: ["target"], navigates: true, handler: (slots) => actNavigateTo(slots.target) },
+	{ intent: intents.SUMMARIZE_PAGE, handler: () => actSummarizePage() },
+	{ intent: intents.READ_RECENT_MESSAGE, handler: () => actReadRecentMessage() },
+	{ intent: intents.HELP, handler: () => actHelp() },
+	{ intent: intents.AFFIRM, handler: () => actAffirmDeny(true) },
+	{ intent: intents.DENY, handler: () => actAffirmDeny(false) },
+	{ intent: intents.DUE_TODAY, handler: (slots) => actDueToday(slots) },
+	{ intent: intents.DUE_THIS_WEEK, handler: (slots) => actDueThisWeek(slots) },
+	{ intent: intents.NEXT_DUE, handler: () => actNextDue() },
+	{ intent: intents.OVERDUE, handler: () => actOverdue() },
+	{ intent: intents.QA_GENERAL, slots: ["utterance"], handler: (slots) => actGeneralQA(slots.utterance ?? "") },
+
+	// Planner-only steps (never detected from speech)
+	{ intent: "OPEN_ANNOUNCEMENTS", navigates: true, handler: () => actOpenAnnouncements() },
+	{
+		intent: INTERNAL_INTENTS.OPEN_ASSIGNMENT_DUE_IN,
+		slots: ["md"],
+		handler: (slots) => actOpenAssignmentDueIn(slots.md),
+	},
+];
+
+for (const def of CORE_INTENT_DEFS) registerIntent(def);
+
+// UNKNOWN is answered by the fallback in runAction on purpose
+// (test/intent_coverage.test.js checks every other intent has a handler).
+export const UNROUTED_INTENTS = new Set([intents.UNKNOWN]);
+
+export async function runAction(intent, slots = {}) {
+	const def = getIntentDef(intent);
+
+	if (!def?.handler) {
+		if (intent && !UNROUTED_INTENTS.has(intent)) console.warn("runAction: no handler registered for", intent);
+		await speak("I missed that. Try: dashboard, courses, assignments, grades, or back.", { mode: "say" });
+		await remember({
+			expectingYesNo: false,
+			pendingAction: null,
+			lastIntent: intents.UNKNOWN,
+			expectingChoice: false,
+			choiceOptions: null,
+		});
+		return { ok: false, message: "Unknown intent; asked clarification" };
+	}
+
+	// Missing required slots are asked for first; the dialogue re-runs the intent.
+	const asked = await fillRequiredSlots(def, slots);
+	if (asked) return asked;
+
+	// Intents declared with `confirm` ask first; actAffirmDeny re-runs them.
+	if (def.confirm && !slots.confirmed) {
+		const question = typeof def.confirm === "string" ? def.confirm : "Are you sure?";
+		await remember({ expectingYesNo: true, pendingAction: "RUN_INTENT", pendingIntent: { intent, slots } });
+		await speak(question, { mode: "say" });
+		return { ok: true, message: `Asked to confirm ${intent}` };
+	}
+
+	return await def.handler(slots, { intent });
+}
+
+// =============================================================================
+// 19) Resume queued steps on page load
+// =============================================================================
+
+let __resumeQueueRunning = false;
+let __lastQueueResumeAt = 0;
+export async function resumePendingQueue() {
+	const now = Date.now();
+	if (now - __lastQueueResumeAt < 800) {
+		return { ok: true, message: "Queue resume cooldown" };
+	}
+	__lastQueueResumeAt = now;
+
+	if (__resumeQueueRunning) return { ok: true, message: "Queue already running (mutex)" };
+	__resumeQueueRunning = true;
+
+	try {
+		let st = null;
+		try {
+			st = await mem.get();
+		} catch (e) {
+			console.warn("Memory.get failed:", e);
+			return;
+		}
+
+		// prevent "ghost" resumes right after manual navigation (like back)
+		if (isAutoResumeSuppressed(st)) {
+			return { ok: true, message: "Resume suppressed" };
 		}
 
 		// ✅ Prefer Memory queue, but fall back to sessionStorage resume queue
@@ -4734,7 +6388,7 @@ export async function resumePendingQueue() {
 			return res;
 		}
 
-		const isNav = NAV_INTENTS.has(step.intent);
+		const isNav = isNavIntent(step.intent);
 
 		if (isNav) {
 			// ✅ Pre-advance before navigation (prevents repeating forever)
@@ -4951,7 +6605,8 @@ async function buildPlanStepsFromChunks(chunks, detector, context) {
 		const intent = det?.intent || intents.UNKNOWN;
 		const confidence = typeof det?.confidence === "number" ? det.confidence : 0;
 
-		if (intent !== intents.UNKNOWN && confidence >= 0.55) {
+		// Unconfirmed model guesses don't run inside a chain
+		if (intent !== intents.UNKNOWN && confidence >= 0.55 && !det?.confirm) {
 			steps.push({ intent, slots: det?.slots || {} });
 		}
 	}
@@ -5084,6 +6739,7 @@ function detectSectionIntentFromText(t) {
 	if (/\bquizzes?\b/.test(u)) return intents.OPEN_QUIZZES;
 	if (/\bfiles?\b/.test(u)) return intents.OPEN_FILES;
 	if (/\bannouncements?\b/.test(u)) return "OPEN_ANNOUNCEMENTS";
+	if (/\b(syllabus|discussions?|pages?|people|classmates|roster)\b/.test(u)) return intents.OPEN_COURSE_SECTION;
 	if (/\bcourses?\b|\bclasses?\b/.test(u)) return intents.OPEN_COURSES;
 	if (/\bdashboard\b|\bhome\b/.test(u)) return intents.OPEN_DASHBOARD;
 	if (/\bgo back\b|\bback\b/.test(u)) return intents.GO_BACK;
@@ -5107,6 +6763,8 @@ function parseSectionFromCourseChunk(chunk) {
 	else if (sectionIntent === intents.OPEN_MODULES) pathNeed = "/modules";
 	else if (sectionIntent === intents.OPEN_QUIZZES) pathNeed = "/quizzes";
 	else if (sectionIntent === intents.OPEN_FILES) pathNeed = "/files";
+	const sec = sectionIntent === intents.OPEN_COURSE_SECTION ? courseSectionFromText(u) : null;
+	if (sec) pathNeed = `/${sec.slug}`;
 	const ref = parseCourseRef(u); // returns { dept, num } or null
 	return [
 		{
@@ -5117,7 +6775,7 @@ function parseSectionFromCourseChunk(chunk) {
 		},
 		{
 			intent: sectionIntent,
-			slots: {},
+			slots: sec ? { section: sec.key } : {},
 			until: { type: "PATH_INCLUDES", value: pathNeed },
 		},
 	];
@@ -5146,13 +6804,26 @@ function parseOpenSectionChunk(chunk) {
 	const u = String(chunk || "").toLowerCase();
 	if (
 		!/\bopen\b/.test(u) &&
-		!/^(grades?|assignments?|modules?|quizzes?|files?|announcements?|courses?|dashboard|home)\b/.test(u)
+		!/^(grades?|assignments?|modules?|quizzes?|files?|announcements?|syllabus|discussions?|people|courses?|dashboard|home)\b/.test(
+			u,
+		)
 	)
 		return null;
 
 	const sec = detectSectionIntentFromText(u);
 	if (!sec) return null;
 
+	if (sec === intents.OPEN_COURSE_SECTION) {
+		const section = courseSectionFromText(u);
+		return section
+			? {
+					intent: sec,
+					slots: { section: section.key },
+					until: { type: "PATH_INCLUDES", value: `/${section.slug}` },
+				}
+			: null;
+	}
+
 	let pathNeed = null;
 	if (sec === intents.OPEN_GRADES) pathNeed = "/grades";
 	else if (sec === intents.OPEN_ASSIGNMENTS) pathNeed = "/assignments";
@@ -5185,14 +6856,24 @@ async function compileChunkToSteps(chunk, detector, context) {
 	const det = await detector(c, context);
 	const intent = det?.intent || intents.UNKNOWN;
 	const confidence = typeof det?.confidence === "number" ? det.confidence : 0;
-	if (intent === intents.UNKNOWN || confidence < 0.55) return [];
+	if (intent === intents.UNKNOWN || confidence < 0.55 || det?.confirm) return [];
 	return [{ intent, slots: det?.slots || {} }];
 }
 
+// Spoken name for an intent: its help phrase when that's generic, else the intent name
+function describeIntent(intent) {
+	const help = getIntentDef(intent)?.help;
+	const phrase = Array.isArray(help) ? help[0] : help;
+	if (phrase && !/\d/.test(phrase)) return phrase.toLowerCase();
+	return String(intent).toLowerCase().replace(/_/g, " ");
+}
+
 // =============================================================================
 // 23) handleUtterance (dynamic chained commands + barriers)
 // =============================================================================
-export async function handleUtterance(utterance, nluDetect) {
+// opts.onUnknown(text, detection) is tried before an unrecognized command falls
+// back to a general answer; lib/pipeline.js hangs its fallback stages there.
+export async function handleUtterance(utterance, nluDetect, opts = {}) {
 	const detector = nluDetect ?? (await import("./intent.js")).detectIntent;
 
 	// Always define these up front (fixes: "cleaned is not defined", "ctx0 before init")
@@ -5201,6 +6882,19 @@ export async function handleUtterance(utterance, nluDetect) {
 	await refreshActiveCourseFromPage();
 	const ctx0 = await mem.get();
 
+	// A vault PIN or one-time code goes straight to the login; it must not reach the detector or memory
+	const pinHandled =
+		(await maybeHandleVaultPin(cleaned, ctx0)) ||
+		(await maybeHandleVaultLink(cleaned, ctx0)) ||
+		(await maybeHandleMfaCode(cleaned, ctx0));
+	if (pinHandled) return pinHandled;
+
+	const dictationHandled = await maybeHandleDictation(String(utterance || "").trim(), ctx0);
+	if (dictationHandled) {
+		await mem.set({ lastHeard: cleaned, lastIntent: dictationHandled.intent });
+		return dictationHandled;
+	}
+
 	if (/^\s*(open|go to|show)\s+(my\s+)?(inbox|messages?)\s*$/i.test(cleaned)) {
 		const r = await runAction("OPEN_INBOX", {});
 		await mem.set({ lastHeard: cleaned, lastIntent: "OPEN_INBOX" });
@@ -5208,7 +6902,7 @@ export async function handleUtterance(utterance, nluDetect) {
 	}
 
 	if (/\b(compose|write|create|start)\b.*\b(message|inbox message)\b/i.test(cleaned)) {
-		const r = await runAction("COMPOSE_MESSAGE", {});
+		const r = await runAction("COMPOSE_MESSAGE", { utterance: cleaned });
 		await mem.set({ lastHeard: cleaned, lastIntent: "COMPOSE_MESSAGE" });
 		return { intent: "COMPOSE_MESSAGE", result: { ...r, confidence: 0.98, reason: "rule: composeMessage" } };
 	}
@@ -5228,16 +6922,35 @@ export async function handleUtterance(utterance, nluDetect) {
 		return announcementHandled;
 	}
 
-	const discussionHandled = await maybeHandleDiscussionWizard(cleaned);
+	const dialogHandled = await maybeHandleDialog(cleaned);
+	if (dialogHandled) {
+		await mem.set({ lastHeard: cleaned, lastIntent: dialogHandled.intent });
+		return dialogHandled;
+	}
+
+	// Quiz first on attempt pages: "submit it" there means the quiz, not the assignment wizard.
+	const quizHandled = await maybeHandleQuizMode(cleaned);
+	if (quizHandled) {
+		await mem.set({ lastHeard: cleaned, lastIntent: quizHandled.intent });
+		return quizHandled;
+	}
+
+	const discussionHandled = await maybeHandleDiscussionMode(cleaned);
 	if (discussionHandled) {
 		await mem.set({ lastHeard: cleaned, lastIntent: discussionHandled.intent });
 		return discussionHandled;
 	}
 
-	const composeHandled = await maybeHandleHandsFreeInbox(cleaned);
-	if (composeHandled) {
-		await mem.set({ lastHeard: cleaned, lastIntent: composeHandled.intent });
-		return composeHandled;
+	const inboxHandled = await maybeHandleInboxMode(cleaned);
+	if (inboxHandled) {
+		await mem.set({ lastHeard: cleaned, lastIntent: inboxHandled.intent });
+		return inboxHandled;
+	}
+
+	const submitHandled = await maybeHandleSubmitWizard(cleaned);
+	if (submitHandled) {
+		await mem.set({ lastHeard: cleaned, lastIntent: submitHandled.intent });
+		return submitHandled;
 	}
 
 	// Continuation = only if we are in an explicit follow-up mode
@@ -5329,6 +7042,7 @@ export async function handleUtterance(utterance, nluDetect) {
 
 				const spoken = slice
 					.map((x) => {
+						if (x.spoken) return x.spoken;
 						const dueLabel = x.dueAt ? toLocalDueLabel(x.dueAt).replace(/\s*,?\s*12:00\s*AM\b/i, "") : "";
 						return dueLabel ? `${x.title} (due ${dueLabel})` : x.title;
 					})
@@ -5379,7 +7093,7 @@ export async function handleUtterance(utterance, nluDetect) {
 
 		const looksLikeNewCommand =
 			/^open\b/.test(u) ||
-			/\b(dashboard|home|courses|assignments|grades|modules|quizzes|files|inbox|messages|go back|back|help|read page|next section|repeat|compose)\b/.test(
+			/\b(dashboard|home|courses|assignments|grades?|modules|quizzes|files|inbox|messages|go back|back|help|read page|next section|repeat|compose)\b/.test(
 				u,
 			) ||
 			/\b(due today|due this week|what'?s due|overdue|next due|upcoming)\b/.test(u);
@@ -5402,6 +7116,26 @@ export async function handleUtterance(utterance, nluDetect) {
 		}
 	}
 
+	// -------------------------------------------------------------------------
+	// 23.35) Grade + feedback questions (must beat section-from-course: "grade in csce 4901")
+	// -------------------------------------------------------------------------
+	const gradeQ = matchIntentPatterns(normalize(cleaned), cleaned);
+	if (GRADE_QUERY_INTENTS.has(gradeQ?.intent)) {
+		const r = await runAction(gradeQ.intent, gradeQ.slots);
+		await mem.set({ lastHeard: cleaned, lastIntent: gradeQ.intent });
+		return { intent: gradeQ.intent, result: { ...r, confidence: gradeQ.confidence, reason: gradeQ.reason } };
+	}
+
+	// -------------------------------------------------------------------------
+	// 23.36) Calendar questions (same reason: "office hours for csce 4901 next week")
+	// -------------------------------------------------------------------------
+	const calendarQ = parseCalendarQuery(cleaned);
+	if (calendarQ) {
+		const r = await runAction(calendarQ.intent, calendarQ.slots);
+		await mem.set({ lastHeard: cleaned, lastIntent: calendarQ.intent });
+		return { intent: calendarQ.intent, result: { ...r, confidence: 0.93, reason: "rule: calendarQuery" } };
+	}
+
 	// -------------------------------------------------------------------------
 	// 23.4) Single-utterance "section from course"
 	// -------------------------------------------------------------------------
@@ -5513,6 +7247,27 @@ export async function handleUtterance(utterance, nluDetect) {
 		slots.utterance = cleaned;
 	}
 
+	// A model guess the detector wasn't sure of: ask first, actAffirmDeny runs it on "yes"
+	if (det?.confirm && getIntentDef(intent)?.handler) {
+		await remember({
+			expectingYesNo: true,
+			pendingAction: "RUN_INTENT",
+			pendingIntent: { intent, slots },
+			lastHeard: cleaned,
+			lastIntent: intent,
+		});
+		await speak(`Did you mean ${describeIntent(intent)}?`, { mode: "say" });
+		return { intent, result: { ok: true, message: `Asked to confirm ${intent}`, confidence, reason } };
+	}
+
+	if (confidence < 0.45 && intent === intents.UNKNOWN && opts.onUnknown) {
+		const fallback = await opts.onUnknown(cleaned, det);
+		if (fallback) {
+			await mem.set({ lastHeard: cleaned, lastIntent: fallback.intent });
+			return fallback;
+		}
+	}
+
 	if (confidence < 0.45 && intent === intents.UNKNOWN) {
 		intent = intents.QA_GENERAL;
 		slots = { ...(slots || {}), utterance: cleaned };
@@ -5538,38 +7293,53 @@ export async function handleUtterance(utterance, nluDetect) {
 }
 
 // =============================================================================
-// 24) Time helpers (America/Chicago safe)
+// 24) Time helpers (user time zone: settings override -> Canvas profile -> browser)
 // =============================================================================
 
-const USER_TZ = "America/Chicago";
+const DEFAULT_TZ = "America/Chicago";
+const USER_TZ_TTL_MS = 30 * 60 * 1000;
 
-function dtParts(date, timeZone = USER_TZ) {
-	const dtf = new Intl.DateTimeFormat("en-US", {
-		timeZone,
-		hour12: false,
-		year: "numeric",
-		month: "2-digit",
-		day: "2-digit",
-		hour: "2-digit",
-		minute: "2-digit",
-		second: "2-digit",
-	});
-	const parts = dtf.formatToParts(date);
-	const map = {};
-	for (const p of parts) if (p.type !== "literal") map[p.type] = p.value;
-	return map;
+// Resolved zone. Helper defaults read it at call time; async entry points call
+// getUserTimeZone() first and pass the result down explicitly.
+let USER_TZ = DEFAULT_TZ;
+let userTzResolvedAt = 0;
+
+function isValidTimeZone(tz) {
+	if (!tz || typeof tz !== "string") return false;
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: tz });
+		return true;
+	} catch {
+		return false;
+	}
 }
 
-function getOffsetMs(date, timeZone = USER_TZ) {
-	const p = dtParts(date, timeZone);
-	const asUTC = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
-	return asUTC - date.getTime();
+async function getUserTimeZone({ refresh = false } = {}) {
+	if (!refresh && userTzResolvedAt && Date.now() - userTzResolvedAt < USER_TZ_TTL_MS) return USER_TZ;
+
+	let tz = String((await getSyncSetting("timeZone", "")) || "").trim();
+
+	if (!isValidTimeZone(tz)) {
+		try {
+			tz = (await fetchUserProfile())?.time_zone || "";
+		} catch (e) {
+			console.warn("profile time zone fetch failed:", e);
+			tz = "";
+		}
+	}
+
+	if (!isValidTimeZone(tz)) tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+	USER_TZ = isValidTimeZone(tz) ? tz : DEFAULT_TZ;
+	userTzResolvedAt = Date.now();
+	return USER_TZ;
 }
 
-function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone = USER_TZ) {
-	const utcGuess = new Date(Date.UTC(year, month - 1, day, hour, minute, second, ms));
-	const offset = getOffsetMs(utcGuess, timeZone);
-	return new Date(utcGuess.getTime() - offset);
+try {
+	chrome.storage?.onChanged?.addListener((changes, area) => {
+		if (area === "sync" && changes.timeZone) userTzResolvedAt = 0;
+	});
+} catch (e) {
+	console.warn("storage.onChanged unavailable:", e);
 }
 
 function startEndOfToday(timeZone = USER_TZ) {
@@ -5583,9 +7353,10 @@ function startEndOfToday(timeZone = USER_TZ) {
 	return { start, end };
 }
 
+// Whole calendar days, so a DST switch inside the window doesn't shift the end by an hour.
 function rangeNextDays(days = 7, timeZone = USER_TZ) {
-	const { start } = startEndOfToday(timeZone);
-	const end = new Date(start.getTime() + days * 24 * 60 * 60 * 1000 - 1);
+	const today = calendarDayOf(new Date(), timeZone);
+	const { start, end } = calendarDayRange(today, addCalendarDays(today, Math.max(1, days) - 1), "", timeZone);
 	return { start, end };
 }
 
@@ -5605,6 +7376,140 @@ function toLocalDueLabel(isoString, timeZone = USER_TZ) {
 	return dtf.format(d);
 }
 
+function toLocalTimeLabel(isoString, timeZone = USER_TZ) {
+	const d = new Date(isoString || "");
+	if (isNaN(d.getTime())) return "";
+	return new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", minute: "2-digit" }).format(d);
+}
+
+function toLocalDayLabel(isoString, timeZone = USER_TZ) {
+	const d = new Date(isoString || "");
+	if (isNaN(d.getTime())) return "";
+	return new Intl.DateTimeFormat("en-US", { timeZone, weekday: "long", month: "long", day: "numeric" }).format(d);
+}
+
+// ---- Calendar-day math ({ year, month, day } in the user's zone) -------------
+
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+function calendarDayOf(date, timeZone = USER_TZ) {
+	const p = dtParts(date, timeZone);
+	return { year: +p.year, month: +p.month, day: +p.day };
+}
+
+function addCalendarDays(d, n) {
+	const x = new Date(Date.UTC(d.year, d.month - 1, d.day + n));
+	return { year: x.getUTCFullYear(), month: x.getUTCMonth() + 1, day: x.getUTCDate() };
+}
+
+function calendarDayDiff(a, b) {
+	return Math.round((Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day)) / 86400000);
+}
+
+function weekdayOfCalendarDay(d) {
+	return new Date(Date.UTC(d.year, d.month - 1, d.day)).getUTCDay();
+}
+
+function firstOfNextMonth(d) {
+	return { ...addCalendarDays({ ...d, day: 1 }, 32), day: 1 };
+}
+
+function calendarDayLabel(d) {
+	return new Intl.DateTimeFormat("en-US", { timeZone: "UTC", weekday: "long", month: "long", day: "numeric" }).format(
+		new Date(Date.UTC(d.year, d.month - 1, d.day)),
+	);
+}
+
+function calendarDayRange(from, to, label, timeZone = USER_TZ) {
+	return {
+		start: zonedTimeToUtc({ ...from, hour: 0, minute: 0, second: 0, ms: 0 }, timeZone),
+		end: zonedTimeToUtc({ ...to, hour: 23, minute: 59, second: 59, ms: 999 }, timeZone),
+		label,
+	};
+}
+
+// One date phrase -> calendar day. Bare days ("the 3rd") land on or after `ref`;
+// month/day dates more than six months back roll into next year.
+function resolveDayPhrase(text, today, ref = today) {
+	const t = String(text || "").toLowerCase();
+
+	if (/\bday after tomorrow\b/.test(t)) return addCalendarDays(today, 2);
+	if (/\b(today|tonight)\b/.test(t)) return today;
+	if (/\btomorrow\b/.test(t)) return addCalendarDays(today, 1);
+	if (/\byesterday\b/.test(t)) return addCalendarDays(today, -1);
+
+	const wd = t.match(/\b(next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+	if (wd) {
+		let ahead = (WEEKDAY_NAMES.indexOf(wd[2]) - weekdayOfCalendarDay(ref) + 7) % 7;
+		if (wd[1] && ahead === 0) ahead = 7;
+		return addCalendarDays(ref, ahead);
+	}
+
+	const md = parseMonthDay(t);
+	if (md) {
+		const d = { year: today.year, month: md.month, day: md.day };
+		return calendarDayDiff(d, today) < -183 ? { ...d, year: today.year + 1 } : d;
+	}
+
+	const bare = t.match(/\b(?:the\s+)?(0?[1-9]|[12]\d|3[01])(?:st|nd|rd|th)\b|\bthe\s+(0?[1-9]|[12]\d|3[01])\b/);
+	if (bare) {
+		const day = parseInt(bare[1] || bare[2], 10);
+		const d = { year: ref.year, month: ref.month, day };
+		return day < ref.day ? { ...firstOfNextMonth(d), day } : d;
+	}
+
+	return null;
+}
+
+// Natural date range -> { start, end, label } (Date objects), or null when the
+// text names no dates. "tomorrow", "next monday", "this weekend", "next week",
+// "next 10 days", "march 3rd", "between the 3rd and the 10th", "from 4/2 to 4/9".
+function parseDateRange(text, timeZone = USER_TZ, now = new Date()) {
+	const t = normalize(text).replace(/[?!.,]/g, " ");
+	const today = calendarDayOf(now, timeZone);
+	const range = (from, to, label) => calendarDayRange(from, to, label, timeZone);
+
+	const between = t.match(/\b(?:between|from)\s+(.+?)\s+(?:and|to|through|thru|until|till)\s+(.+)$/);
+	if (between) {
+		const from = resolveDayPhrase(between[1], today);
+		const to = from && resolveDayPhrase(between[2], today, from);
+		if (from && to) {
+			return range(from, to, `between ${calendarDayLabel(from)} and ${calendarDayLabel(to)}`);
+		}
+	}
+
+	const nextDays = t.match(/\bnext\s+(\d{1,2})\s+days?\b/);
+	if (nextDays) {
+		const n = Math.max(1, parseInt(nextDays[1], 10));
+		return range(today, addCalendarDays(today, n - 1), `in the next ${n} days`);
+	}
+
+	const weekday = weekdayOfCalendarDay(today);
+	if (/\bnext week\b/.test(t)) {
+		const monday = addCalendarDays(today, (8 - weekday) % 7 || 7);
+		return range(monday, addCalendarDays(monday, 6), "next week");
+	}
+	if (/\bthis week\b/.test(t)) return range(today, addCalendarDays(today, 6), "this week");
+	if (/\b(this\s+)?weekend\b/.test(t)) {
+		const saturday = weekday === 0 ? addCalendarDays(today, -1) : addCalendarDays(today, 6 - weekday);
+		const from = calendarDayDiff(saturday, today) < 0 ? today : saturday;
+		return range(from, addCalendarDays(saturday, 1), "this weekend");
+	}
+	if (/\bnext month\b/.test(t)) {
+		const start = firstOfNextMonth(today);
+		return range(start, addCalendarDays(firstOfNextMonth(start), -1), "next month");
+	}
+	if (/\bthis month\b/.test(t)) return range(today, addCalendarDays(firstOfNextMonth(today), -1), "this month");
+
+	const day = resolveDayPhrase(t, today);
+	if (!day) return null;
+
+	const diff = calendarDayDiff(day, today);
+	const label =
+		diff === 0 ? "today" : diff === 1 ? "tomorrow" : diff === -1 ? "yesterday" : `on ${calendarDayLabel(day)}`;
+	return range(day, day, label);
+}
+
 // =============================================================================
 // 25) Due item collection (Canvas API + DOM snapshot merge)
 // =============================================================================
@@ -5714,10 +7619,10 @@ function isAssignmentItem(it) {
 	return String(pt || "").toLowerCase() === "assignment";
 }
 
-async function speakSmartAnswer({ question, items, totalCount, utterance }) {
+async function speakSmartAnswer({ question, items, totalCount, utterance, tz = USER_TZ }) {
 	const count = typeof totalCount === "number" ? totalCount : items?.length || 0;
 	const top = (items || []).slice(0, 3).map((x) => {
-		let dueLabel = x.dueAt ? toLocalDueLabel(x.dueAt) : "";
+		let dueLabel = x.dueAt ? toLocalDueLabel(x.dueAt, tz) : "";
 		if (isMidnightLabel(dueLabel)) {
 			// Cleaner audio: treat midnight as “date-only”
 			dueLabel = dueLabel.replace(/\s*,?\s*12:00\s*AM\b/i, "");
@@ -5737,17 +7642,18 @@ async function speakSmartAnswer({ question, items, totalCount, utterance }) {
 
 	// LLM phrasing (optional; safe fallback)
 	try {
-		const todayISO = new Date().toISOString().slice(0, 10);
+		const p = dtParts(new Date(), tz);
+		const todayISO = `${p.year}-${p.month}-${p.day}`;
 		const llm = await llmAnswerQuestion({
 			question: question || utterance || "What's due?",
 			items: (items || []).slice(0, 8).map((x) => ({
 				title: x.title,
 				dueAt: x.dueAt,
-				dueLabel: x.dueAt ? toLocalDueLabel(x.dueAt) : null,
+				dueLabel: x.dueAt ? toLocalDueLabel(x.dueAt, tz) : null,
 				courseName: x.courseName,
 				type: x.type || null,
 			})),
-			tz: USER_TZ,
+			tz,
 			todayISO,
 		});
 
@@ -5766,7 +7672,8 @@ async function speakSmartAnswer({ question, items, totalCount, utterance }) {
 // =============================================================================
 
 async function actDueToday(slots = {}) {
-	const { start, end } = startEndOfToday(USER_TZ);
+	const tz = await getUserTimeZone();
+	const { start, end } = startEndOfToday(tz);
 	const { items } = await collectRelevantItems({
 		startISO: start.toISOString(),
 		endISO: end.toISOString(),
@@ -5783,11 +7690,13 @@ async function actDueToday(slots = {}) {
 		items: due.slice(0, 3),
 		totalCount: due.length,
 		utterance,
+		tz,
 	});
 }
 
 async function actDueThisWeek(slots = {}) {
-	const { start, end } = rangeNextDays(7, USER_TZ);
+	const tz = await getUserTimeZone();
+	const { start, end } = rangeNextDays(7, tz);
 	const { items } = await collectRelevantItems({
 		startISO: start.toISOString(),
 		endISO: end.toISOString(),
@@ -5815,11 +7724,13 @@ async function actDueThisWeek(slots = {}) {
 		items: due.slice(0, 3),
 		totalCount: due.length,
 		utterance,
+		tz,
 	});
 }
 
 async function actNextDue() {
-	const { start, end } = rangeNextDays(14, USER_TZ); // look slightly ahead
+	const tz = await getUserTimeZone();
+	const { start, end } = rangeNextDays(14, tz); // look slightly ahead
 	const { items } = await collectRelevantItems({
 		startISO: start.toISOString(),
 		endISO: end.toISOString(),
@@ -5827,19 +7738,278 @@ async function actNextDue() {
 
 	const due = sortByDue(filterItemsByRange(items, start, end));
 	const next = due.slice(0, 1);
-	return await speakSmartAnswer({ question: "What is next due?", items: next });
+	return await speakSmartAnswer({ question: "What is next due?", items: next, tz });
 }
 
 async function actOverdue() {
 	// Overdue doesn’t need a date range, but Planner gives better coverage if we fetch a reasonable window:
-	const { start, end } = rangeNextDays(60, USER_TZ);
+	const tz = await getUserTimeZone();
+	const { start, end } = rangeNextDays(60, tz);
 	const { items } = await collectRelevantItems({
 		startISO: start.toISOString(),
 		endISO: end.toISOString(),
 	});
 
 	const overdue = sortByDue(filterOverdue(items, new Date()));
-	return await speakSmartAnswer({ question: "Do I have any overdue assignments?", items: overdue.slice(0, 8) });
+	return await speakSmartAnswer({ question: "Do I have any overdue assignments?", items: overdue.slice(0, 8), tz });
+}
+
+// "list my upcoming" -> first five, then "next five" / "more" / "full list" via DUE_LIST paging.
+async function actListUpcoming(slots = {}) {
+	const tz = await getUserTimeZone();
+	const { start, end } = rangeNextDays(14, tz);
+	const { items } = await collectRelevantItems({
+		startISO: start.toISOString(),
+		endISO: end.toISOString(),
+	});
+
+	let upcoming = sortByDue(filterItemsByRange(items, start, end));
+	if (wantsAssignmentsOnly(slots.utterance || "")) upcoming = upcoming.filter(isAssignmentItem);
+
+	if (!upcoming.length) {
+		await speak("Nothing coming up in the next two weeks.", { mode: "say" });
+		return { ok: true, message: "No upcoming items" };
+	}
+
+	const spoken = upcoming.map((x) => {
+		const dueLabel = x.dueAt ? toLocalDueLabel(x.dueAt, tz).replace(/\s*,?\s*12:00\s*AM\b/i, "") : "";
+		return dueLabel ? `${x.title} (due ${dueLabel})` : x.title;
+	});
+
+	const first = spoken.slice(0, 5);
+	let msg = `${upcoming.length} coming up in the next two weeks. ${first.join(", ")}.`;
+	if (upcoming.length > first.length) {
+		await mem.set({
+			expectingList: {
+				kind: "DUE_LIST",
+				createdAt: Date.now(),
+				items: upcoming.map((x, i) => ({ title: x.title, dueAt: x.dueAt, spoken: spoken[i] })),
+				cursor: first.length,
+			},
+		});
+		msg += " Say next five for more.";
+	}
+
+	await speak(msg, { mode: "say" });
+	return { ok: true, message: `Listed ${first.length} of ${upcoming.length} upcoming` };
+}
+
+// =============================================================================
+// 27.5) Calendar (calendar_events API: course events + assignment due dates)
+// =============================================================================
+
+const CALENDAR_CONTEXT_TTL_MS = 10 * 60 * 1000;
+const CALENDAR_TOPIC_RE =
+	/\b(office hours?|review sessions?|meetings?|lectures?|class(?:es)?|labs?|exams?|midterms?|finals?|tests?|quiz(?:zes)?|events?)\b/;
+
+// "whats on my calendar tomorrow" / "any office hours this week" -> CALENDAR_EVENTS
+// "when is the midterm" / "when is HW 3 due" -> FIND_EVENT
+function parseCalendarQuery(cleaned) {
+	const u = normalize(cleaned).replace(/[?!.,]/g, "");
+	if (!u || /^(open|go to|show me|take me)\b/.test(u) || /\b(grades?|scores?)\b/.test(u)) return null;
+
+	const ref = parseCourseRef(u.replace(/\b(19|20)\d{2}\b/g, ""));
+	const slots = { utterance: cleaned, courseNum: ref?.num || null };
+
+	const when = u.match(
+		/^when\s+(?:is|are|was|s|does|do)\s+(?:the\s+|my\s+|our\s+)?(.+?)(?:\s+(?:due|happening|start|begin))?$/,
+	);
+	if (when && !/^(it|that|this)$/.test(when[1])) {
+		if (/^(next|upcoming)\b/.test(when[1])) return { intent: intents.NEXT_DUE, slots };
+		return { intent: intents.FIND_EVENT, slots: { ...slots, q: when[1] } };
+	}
+
+	const asks = /^(what|whats|any|anything|do i have|is there|are there|list|tell me|read|check)\b/.test(u);
+	if (asks && !/\bdue\b/.test(u) && (/\b(calendar|schedule)\b/.test(u) || CALENDAR_TOPIC_RE.test(u))) {
+		return { intent: intents.CALENDAR_EVENTS, slots };
+	}
+	return null;
+}
+
+let calendarContextCache = null;
+
+// user_self + every active course; calendar_events only searches what we list.
+async function calendarContextCodes() {
+	if (calendarContextCache && Date.now() - calendarContextCache.at < CALENDAR_CONTEXT_TTL_MS) {
+		return calendarContextCache.codes;
+	}
+
+	let courses = [];
+	try {
+		courses = await fetchCourses();
+	} catch (e) {
+		console.warn("courses fetch failed:", e);
+	}
+
+	const codes = [
+		"user_self",
+		...courses
+			.map((c) => c?.id)
+			.filter(Boolean)
+			.map((id) => `course_${id}`),
+	];
+	calendarContextCache = { codes, at: Date.now() };
+	return codes;
+}
+
+async function collectCalendarEntries({ start, end }) {
+	const contextCodes = await calendarContextCodes();
+	const span = { startDateISO: start.toISOString(), endDateISO: end.toISOString(), contextCodes };
+
+	const [events, assignments] = await Promise.allSettled([
+		fetchCalendarEvents({ ...span, type: "event" }),
+		fetchCalendarEvents({ ...span, type: "assignment" }),
+	]);
+	if (events.status === "rejected") console.warn("calendar events fetch failed:", events.reason);
+	if (assignments.status === "rejected") console.warn("calendar assignments fetch failed:", assignments.reason);
+	if (events.status === "rejected" && assignments.status === "rejected") throw events.reason;
+
+	const seen = new Set();
+	const out = [];
+	for (const raw of [...(events.value || []), ...(assignments.value || [])]) {
+		const e = normalizeCalendarEvent(raw);
+		const key = `${e.type}:${e.id}`;
+		if (!e.startAt || seen.has(key)) continue;
+		seen.add(key);
+		out.push(e);
+	}
+
+	return out.sort((a, b) => new Date(a.startAt).getTime() - new Date(b.startAt).getTime());
+}
+
+// "office hours" -> /\boffice hour/ so singular and plural titles both match
+function calendarTopicMatcher(u) {
+	const topic = u.match(CALENDAR_TOPIC_RE)?.[1];
+	if (!topic || /^events?$/.test(topic)) return null;
+	const stem = topic.replace(/zes$/, "").replace(/(?<=ss)es$|s$/, "");
+	return new RegExp(`\\b${stem.replace(/\s+/g, "\\s*")}`, "i");
+}
+
+function calendarEntryMatchesCourse(e, courseNum) {
+	if (!courseNum) return true;
+	return `${e.courseName || ""} ${e.title}`.includes(courseNum);
+}
+
+function calendarEntrySentence(e, { withDate = true } = {}) {
+	const course = e.courseName ? ` for ${speakCourseShort(e.courseName)}` : "";
+
+	if (e.type === "assignment") {
+		const due = withDate ? toLocalDueLabel(e.startAt) : toLocalTimeLabel(e.startAt);
+		return `${e.title}${course}, due ${due.replace(/\s*,?\s*12:00\s*AM\b/i, "")}`;
+	}
+
+	if (e.allDay) return `${e.title}${course}${withDate ? `, ${toLocalDayLabel(e.startAt)}` : ", all day"}`;
+
+	const from = withDate ? toLocalDueLabel(e.startAt) : toLocalTimeLabel(e.startAt);
+	const to = e.endAt && e.endAt !== e.startAt ? ` to ${toLocalTimeLabel(e.endAt)}` : "";
+	const where = e.location ? `, in ${e.location}` : "";
+	return `${e.title}${course}, ${from}${to}${where}`;
+}
+
+async function actCalendarEvents(slots = {}) {
+	const u = normalize(slots.utterance || "").replace(/[?!.,]/g, "");
+	const tz = await getUserTimeZone();
+	const range = parseDateRange(u, tz) || { ...startEndOfToday(tz), label: "today" };
+
+	let entries = [];
+	try {
+		entries = await collectCalendarEntries(range);
+	} catch (e) {
+		console.warn("calendar lookup failed:", e);
+		await speak("I couldn't reach your Canvas calendar right now.", { mode: "say" });
+		return { ok: false, message: "Calendar API failed" };
+	}
+
+	const topic = calendarTopicMatcher(u);
+	entries = entries.filter((e) => calendarEntryMatchesCourse(e, slots.courseNum));
+	if (topic) entries = entries.filter((e) => topic.test(e.title));
+
+	const what = topic ? u.match(CALENDAR_TOPIC_RE)[1] : "on your calendar";
+	if (!entries.length) {
+		await speak(topic ? `No ${what} ${range.label}.` : `Nothing on your calendar ${range.label}.`, { mode: "say" });
+		return { ok: true, message: "No calendar entries" };
+	}
+
+	const oneDay = range.end.getTime() - range.start.getTime() < 24 * 60 * 60 * 1000;
+	const spoken = entries.map((e) => calendarEntrySentence(e, { withDate: !oneDay }));
+	const count = `${entries.length} ${entries.length === 1 ? "item" : "items"}`;
+	const header = topic ? `${count} matching ${what} ${range.label}.` : `${count} on your calendar ${range.label}.`;
+
+	let msg = `${header} ${spoken.slice(0, 3).join(". ")}.`;
+	if (entries.length > 3) {
+		// Reuses the due-list paging ("more" / "next five" / "full list").
+		await mem.set({
+			expectingList: {
+				kind: "DUE_LIST",
+				createdAt: Date.now(),
+				items: entries.map((e, i) => ({ title: e.title, dueAt: e.startAt, spoken: spoken[i] })),
+				cursor: 3,
+			},
+		});
+		msg += " Say more to hear the rest.";
+	}
+
+	await speak(msg, { mode: "say" });
+	await remember({ lastIntent: intents.CALENDAR_EVENTS });
+	return { ok: true, message: `Spoke ${entries.length} calendar entries` };
+}
+
+async function actFindEvent(slots = {}) {
+	const u = normalize(slots.utterance || "").replace(/[?!.,]/g, "");
+	const explicit = parseDateRange(u, await getUserTimeZone());
+
+	// Default window: two weeks back (for "when was") through the rest of the term.
+	const now = new Date();
+	const range = explicit || {
+		start: new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000),
+		end: new Date(now.getTime() + 180 * 24 * 60 * 60 * 1000),
+	};
+
+	const q = normalize(slots.q || "")
+		.replace(
+			/\b(today|tonight|tomorrow|this week|next week|this weekend|this month|next month|on|next|this)\s*(sunday|monday|tuesday|wednesday|thursday|friday|saturday)?\b.*$/,
+			"",
+		)
+		.replace(/\b(in|for)\s+(?:course\s+)?(?:[a-z]{2,4}\s*)?\d{4}\b/g, "")
+		.trim();
+	if (!q) return await actCalendarEvents(slots);
+
+	let entries = [];
+	try {
+		entries = await collectCalendarEntries(range);
+	} catch (e) {
+		console.warn("calendar lookup failed:", e);
+		await speak("I couldn't reach your Canvas calendar right now.", { mode: "say" });
+		return { ok: false, message: "Calendar API failed" };
+	}
+
+	const ranked = entries
+		.filter((e) => calendarEntryMatchesCourse(e, slots.courseNum))
+		.map((e) => ({ e, score: scoreAssignmentTitle(e.title, q) }))
+		.filter((x) => x.score > 0.5);
+	if (!ranked.length) {
+		await speak(`I couldn't find ${q} on your calendar.`, { mode: "say" });
+		return { ok: false, message: `No calendar match for ${q}` };
+	}
+
+	// Best title match; among ties, the next upcoming one beats past ones.
+	const best = Math.max(...ranked.map((x) => x.score));
+	const top = ranked.filter((x) => x.score >= best - 0.5).map((x) => x.e);
+	const upcoming = top.filter((e) => new Date(e.endAt || e.startAt).getTime() >= now.getTime());
+	const ordered = upcoming.length ? upcoming : top.reverse();
+
+	const [first, ...others] = ordered;
+	let msg = `${calendarEntrySentence(first)}.`;
+	if (others.length) {
+		msg += ` Also: ${others
+			.slice(0, 2)
+			.map((e) => calendarEntrySentence(e))
+			.join(". ")}.`;
+	}
+
+	await speak(msg, { mode: "say" });
+	await remember({ lastIntent: intents.FIND_EVENT, lastLinkText: first.title });
+	return { ok: true, message: `Found ${first.title}` };
 }
 
 // =============================================================================
@@ -5848,6 +8018,15 @@ async function actOverdue() {
 async function actGeneralQA(utterance) {
 	const state = await mem.get();
 	const u = normalize(utterance || "");
+	const tz = await getUserTimeZone();
+
+	if (/\btime ?zone\b/.test(u)) {
+		const name = new Intl.DateTimeFormat("en-US", { timeZone: tz, timeZoneName: "long" })
+			.formatToParts(new Date())
+			.find((p) => p.type === "timeZoneName")?.value;
+		await speak(`I'm using ${name || tz}. You can change it in the Canvox popup.`, { mode: "say" });
+		return { ok: true, message: "Answered time zone" };
+	}
 
 	// Deterministic: date / time / “today”
 	if (
@@ -5857,7 +8036,7 @@ async function actGeneralQA(utterance) {
 	) {
 		const d = new Date();
 		const label = new Intl.DateTimeFormat("en-US", {
-			timeZone: USER_TZ,
+			timeZone: tz,
 			weekday: "long",
 			month: "long",
 			day: "numeric",
@@ -5871,7 +8050,7 @@ async function actGeneralQA(utterance) {
 	if (/\b(time)\b/.test(u) && (/\b(now|right now|current)\b/.test(u) || /\bwhat\b/.test(u))) {
 		const d = new Date();
 		const label = new Intl.DateTimeFormat("en-US", {
-			timeZone: USER_TZ,
+			timeZone: tz,
 			hour: "numeric",
 			minute: "2-digit",
 		}).format(d);
@@ -5902,6 +8081,12 @@ async function actGeneralQA(utterance) {
 		return { ok: true, message: "Explained capabilities" };
 	}
 
+	const reply = await llmChatGeneral({ utterance, context: state });
+	if (reply) {
+		await speak(reply, { mode: "say" });
+		return { ok: true, message: "Answered with the language model" };
+	}
+
 	await speak(
 		"I can help with Canvas. Try: what assignments are due today, what’s due this week, open courses, open assignments, open modules, open quizzes, open files, or open grades.",
 		{ mode: "say" },
@@ -5910,15 +8095,1819 @@ async function actGeneralQA(utterance) {
 }
 
 // =============================================================================
-// 29) Bootstrap: always install auto-resume hooks
+// 28.5) Grades (Canvas API first, grades table scrape as fallback)
 // =============================================================================
 
-try {
-	initAutoResume();
-} catch (e) {
-	console.warn("initAutoResume failed:", e);
+// Parsed by the registry patterns in lib/intent.js; handleUtterance only runs
+// them early so "grade in csce 4901" isn't taken as section-from-course.
+const GRADE_QUERY_INTENTS = new Set([intents.READ_FEEDBACK, intents.ASSIGNMENT_SCORE, intents.COURSE_GRADE]);
+
+function formatScore(n) {
+	const x = Number(n);
+	if (!Number.isFinite(x)) return String(n ?? "");
+	return x.toFixed(2).replace(/\.?0+$/, "");
+}
+
+function gradeCourseLabel(g) {
+	return normalizeCourseLabel(`${g.courseCode || ""} ${g.courseName || ""}`) || `course ${g.courseId}`;
+}
+
+async function loadCourseGrades() {
+	const [enrollments, courses] = await Promise.all([
+		fetchCourseGrades(),
+		fetchCourses().catch((e) => {
+			console.warn("courses fetch failed:", e);
+			return [];
+		}),
+	]);
+
+	const byId = new Map((courses || []).map((c) => [String(c.id), c]));
+	return (enrollments || []).map((e) => normalizeEnrollmentGrade(e, byId.get(String(e.course_id)) || null));
+}
+
+// The enrollment has points earned but no total; add it for the courses we speak.
+async function withPointsPossible(g) {
+	if (g.hidden || g.currentPoints == null) return g;
+	try {
+		const pointsPossible = gradedPointsPossible(await fetchAssignmentGroups({ courseId: g.courseId }));
+		return { ...g, pointsPossible };
+	} catch (e) {
+		console.warn("assignment groups fetch failed:", e);
+		return g;
+	}
+}
+
+// Same scoring as "open course ..." so "cse 4901" / "4901" / "course 4901" all behave alike.
+function matchGradeCourses(grades, courseText) {
+	const q = parseCourseQueryFromUtterance(`open ${courseText || ""}`);
+	// No department or number ("linear algebra"): match the course title
+	if (!q) {
+		const hit = bestFuzzyMatch(courseText, grades || [], gradeCourseLabel);
+		return hit ? [hit.item] : [];
+	}
+
+	const scored = (grades || [])
+		.map((g) => ({ g, score: scoreCourseCandidate(gradeCourseLabel(g), `/courses/${g.courseId}`, q) }))
+		.filter((x) => x.score >= 2.2)
+		.sort((a, b) => b.score - a.score);
+
+	if (!scored.length) return [];
+	if (scored[0].score >= 5.0) return [scored[0].g];
+	return scored.filter((x) => x.score >= scored[0].score - 1.3).map((x) => x.g);
+}
+
+function courseGradeSentence(g) {
+	const name = speakCourseShort(gradeCourseLabel(g), "");
+	if (g.hidden) return `${name}: your instructor has hidden the course total.`;
+
+	const parts = [];
+	if (g.currentScore != null) parts.push(`${formatScore(g.currentScore)} percent`);
+	if (g.currentGrade && String(g.currentGrade) !== formatScore(g.currentScore)) {
+		parts.push(`letter grade ${g.currentGrade}`);
+	}
+	if (g.currentPoints != null) {
+		parts.push(
+			g.pointsPossible != null
+				? `${formatScore(g.currentPoints)} out of ${formatScore(g.pointsPossible)} points`
+				: `${formatScore(g.currentPoints)} points earned`,
+		);
+	}
+
+	if (!parts.length) return `${name}: no grade posted yet.`;
+	return `${name}: ${parts.join(", ")}.`;
+}
+
+function submissionScoreSentence(s) {
+	const name = s.title || "That assignment";
+
+	if (s.excused) return `${name} is excused.`;
+	if (s.muted && s.score == null) return `${name} has been graded, but your instructor hasn't posted the grade yet.`;
+
+	if (s.score != null) {
+		let msg = `You got ${formatScore(s.score)}`;
+		if (s.points != null) msg += ` out of ${formatScore(s.points)}`;
+		msg += ` on ${name}`;
+		if (Number(s.points) > 0) msg += `, that's ${formatScore((Number(s.score) / Number(s.points)) * 100)} percent`;
+
+		const letter = String(s.grade || "").trim();
+		if (letter && !/^[\d.]+%?$/.test(letter) && !/^(complete|incomplete)$/i.test(letter)) {
+			msg += `, grade ${letter}`;
+		} else if (/^(complete|incomplete)$/i.test(letter)) {
+			msg += `, marked ${letter.toLowerCase()}`;
+		}
+		if (s.late) msg += `. It was marked late`;
+		if (s.muted) msg += `. Heads up: this grade isn't posted to students yet`;
+		return `${msg}.`;
+	}
+
+	if (s.state === "submitted" || s.state === "pending_review") return `${name} is submitted but not graded yet.`;
+	if (s.missing) return `${name} is marked missing.`;
+	return `${name} has no grade yet.`;
+}
+
+function scoreAssignmentTitle(title, qText) {
+	const text = normalizeSpoken(normalize(title));
+	const q = normalizeSpoken(normalize(qText));
+	if (!text || !q) return 0;
+
+	const variants = buildAssignmentVariants(qText);
+	variants.add(q);
+
+	let score = 0;
+	for (const v of variants) {
+		if (v && text.includes(v)) score += 3;
+	}
+
+	const num = (q.match(/\b(\d+)\b/) || [])[1];
+	if (num) {
+		if (new RegExp(`(?<!\\d)${num}(?!\\d)`).test(text)) score += 1;
+		else score -= 3;
+	}
+
+	for (const tok of q.split(" ").filter((t) => t.length >= 3 && !/^\d+$/.test(t))) {
+		if (text.includes(tok)) score += 0.7;
+	}
+
+	// Misheard names: "thermo dynamics quiz", "kind of matics lab"
+	const fz = fuzzyScore(q, text);
+	if (fz >= 0.75) score += 3 * fz;
+
+	return score;
+}
+
+// ---- Grades table fallback (when the API is blocked) ------------------------
+
+function isGradesPage() {
+	return /\/grades(?:\/|$|\?)/i.test(String(location.pathname || ""));
+}
+
+function cleanGradeCellText(t) {
+	return String(t || "")
+		.replace(/click to test a different score/gi, "")
+		.replace(/\b(score|points possible|out of)\s*:?/gi, " ")
+		.replace(/\s+/g, " ")
+		.trim();
 }
 
+function collectGradeTableRows() {
+	const rows = Array.from(
+		document.querySelectorAll(
+			"#grades_summary tr.student_assignment, #grades_summary tr.final_grade, table[data-testid*='grades'] tbody tr",
+		),
+	);
+
+	return rows
+		.map((row) => {
+			const titleEl = row.querySelector("th.title a, th.title, td.title a, a[href*='/assignments/'], th");
+			const scoreEl = row.querySelector(
+				"td.assignment_score .grade, td.assignment_score, .grade, [data-testid*='score'], td:nth-of-type(3)",
+			);
+			const possibleEl = row.querySelector("td.possible, .points_possible, [data-testid*='possible']");
+
+			const title = cleanGradeCellText(titleEl?.textContent || "");
+			const rowText = String(row.textContent || "");
+			return {
+				title,
+				score: cleanGradeCellText(scoreEl?.textContent || ""),
+				possible: cleanGradeCellText(possibleEl?.textContent || ""),
+				unposted:
+					!!row.querySelector(".icon-off, .icon-muted, [title*='not posted' i]") ||
+					/\b(not posted|hidden from students|instructor has not posted)\b/i.test(rowText),
+				isTotal: row.classList.contains("final_grade") || /^total\b/i.test(title),
+			};
+		})
+		.filter((r) => r.title);
+}
+
+function gradeRowSentence(r) {
+	if (r.unposted) return `${r.title}: the grade isn't posted yet.`;
+	if (!r.score || /^-+$/.test(r.score)) return `${r.title}: no grade yet.`;
+	return r.possible ? `${r.title}: ${r.score} out of ${r.possible}.` : `${r.title}: ${r.score}.`;
+}
+
+async function actReadGradesFromPage({ q = "" } = {}) {
+	if (!isGradesPage()) {
+		await speak(
+			"I can't reach your grades through Canvas right now. Want me to open the grades page and read it there?",
+			{
+				mode: "say",
+			},
+		);
+		await remember({ expectingYesNo: true, pendingAction: "OPEN_GRADES" });
+		return { ok: false, message: "Grades API unavailable; offered grades page" };
+	}
+
+	const rows = collectGradeTableRows();
+	if (!rows.length) {
+		await speak("I can't find the grades table on this page.", { mode: "say" });
+		return { ok: false, message: "Grades table not found" };
+	}
+
+	if (q) {
+		const ranked = rows
+			.filter((r) => !r.isTotal)
+			.map((r) => ({ r, score: scoreAssignmentTitle(r.title, q) }))
+			.filter((x) => x.score >= 2.7)
+			.sort((a, b) => b.score - a.score);
+
+		if (!ranked.length) {
+			await speak(`I can't find ${q} in the grades table.`, { mode: "say" });
+			return { ok: false, message: "Assignment not in grades table" };
+		}
+
+		const top = ranked.filter((x) => x.score >= ranked[0].score - 0.6).slice(0, 3);
+		await speak(top.map((x) => gradeRowSentence(x.r)).join(" "), { mode: "read", raw: true });
+		return { ok: true, message: `Read grade row: ${top[0].r.title} (page)` };
+	}
+
+	const total = rows.find((r) => r.isTotal);
+	const heading = document.querySelector("#grade-summary-content h2, .ic-Layout-contentMain h1, h1");
+	const course = cleanGradeCellText(heading?.textContent || "").replace(/^grades for\s+/i, "");
+
+	if (!total) {
+		await speak("I can't find a course total on this page.", { mode: "say" });
+		return { ok: false, message: "Total row not found" };
+	}
+
+	const msg = total.unposted
+		? "Your course total isn't posted yet."
+		: `${course ? `${course}: ` : ""}your total is ${total.score || "not available"}.`;
+	await speak(msg, { mode: "read", raw: true });
+	return { ok: true, message: "Read course total (page)" };
+}
+
+// ---- Actions -----------------------------------------------------------------
+
+async function actCourseGrade(slots = {}) {
+	const state = await mem.get();
+	const courseText = slots.course || slots.courseNum || "";
+
+	let grades = [];
+	try {
+		grades = await loadCourseGrades();
+	} catch (e) {
+		console.warn("grades fetch failed:", e);
+		return await actReadGradesFromPage();
+	}
+
+	let picked = [];
+	if (courseText) {
+		picked = matchGradeCourses(grades, courseText);
+		if (!picked.length) {
+			await speak(`I can't find a course matching ${courseText} in your enrollments.`, { mode: "say" });
+			return { ok: false, message: "No enrollment matched course" };
+		}
+	} else {
+		const activeId = getActiveCourseId(state);
+		const active = activeId ? grades.filter((g) => String(g.courseId) === String(activeId)) : [];
+		picked = active.length ? active : grades;
+	}
+
+	if (!picked.length) {
+		await speak("I don't see any courses with grades.", { mode: "say" });
+		return { ok: false, message: "No enrollments" };
+	}
+
+	const lines = (await Promise.all(picked.slice(0, 8).map(withPointsPossible))).map(courseGradeSentence);
+	await speak(lines.join(" "), { mode: "read", raw: true });
+	await remember({ lastIntent: intents.COURSE_GRADE, expectingYesNo: false, pendingAction: null });
+	return { ok: true, message: `Spoke ${lines.length} course grade(s)` };
+}
+
+// Finds the student's submissions whose assignment title matches q, searching the
+// named course, else the course on screen, else every active enrollment.
+// Throws when the API is unreachable (callers fall back or apologize).
+async function findMatchingSubmissions({ q, courseText = "", include = ["assignment"] } = {}) {
+	const state = await mem.get();
+
+	let courseIds = [];
+	if (courseText) {
+		const matched = matchGradeCourses(await loadCourseGrades(), courseText);
+		if (!matched.length) return { noCourse: true, ranked: [] };
+		courseIds = [matched[0].courseId];
+	} else {
+		const activeId = getActiveCourseId(state);
+		courseIds = activeId ? [activeId] : (await loadCourseGrades()).map((g) => g.courseId);
+	}
+
+	const subs = [];
+	for (const courseId of courseIds.slice(0, 12)) {
+		const rows = await fetchSubmissions({ courseId, include });
+		subs.push(...rows.map(normalizeSubmission));
+	}
+
+	const ranked = subs
+		.map((s) => ({ s, score: scoreAssignmentTitle(s.title, q) }))
+		.filter((x) => x.score >= 2.7)
+		.sort((a, b) => b.score - a.score);
+
+	return { noCourse: false, ranked };
+}
+
+async function actAssignmentScore(slots = {}) {
+	const q = String(slots.q || "").trim();
+	if (!q) {
+		await speak("Which assignment? Like: what did I get on homework 3.", { mode: "say" });
+		return { ok: false, message: "Missing assignment query" };
+	}
+
+	const courseText = slots.course || slots.courseNum || "";
+
+	let found = null;
+	try {
+		found = await findMatchingSubmissions({ q, courseText });
+	} catch (e) {
+		console.warn("submissions fetch failed:", e);
+		return await actReadGradesFromPage({ q });
+	}
+
+	if (found.noCourse) {
+		await speak(`I can't find a course matching ${courseText} in your enrollments.`, { mode: "say" });
+		return { ok: false, message: "No enrollment matched course" };
+	}
+
+	const { ranked } = found;
+	if (!ranked.length) {
+		await speak(`I can't find ${q} in your grades.`, { mode: "say" });
+		return { ok: false, message: "Assignment not found in submissions" };
+	}
+
+	const top = ranked.filter((x) => x.score >= ranked[0].score - 0.6).slice(0, 3);
+	const lead = top.length > 1 ? `I found ${top.length} matches for ${q}. ` : "";
+	await speak(lead + top.map((x) => submissionScoreSentence(x.s)).join(" "), { mode: "read", raw: true });
+
+	await remember({
+		lastIntent: intents.ASSIGNMENT_SCORE,
+		lastLinkText: top[0].s.title,
+		lastLinkHref: top[0].s.url || null,
+	});
+	return { ok: true, message: `Spoke score: ${top[0].s.title}` };
+}
+
+// =============================================================================
+// 28.6) Feedback read-aloud (submission comments + rubric, one item at a time)
+//      READ_NEXT / REPEAT walk these items while feedbackReader is active.
+// =============================================================================
+
+const FEEDBACK_INCLUDE = ["assignment", "submission_comments", "rubric_assessment"];
+const FEEDBACK_TTL_MS = 15 * 60 * 1000;
+
+// "next" and "repeat" only walk the feedback on the page it was asked on
+function activeFeedbackReader(state) {
+	const fr = state?.feedbackReader;
+	if (!fr || !Array.isArray(fr.items) || !fr.items.length) return null;
+	if (Date.now() - (fr.createdAt || 0) > FEEDBACK_TTL_MS || fr.page !== pageKey()) return null;
+	return fr;
+}
+
+function feedbackCommentText(c) {
+	const when = c.createdAt ? toLocalDueLabel(c.createdAt) : "";
+	let msg = `Comment from ${c.author}${when ? `, ${when}` : ""}: `;
+
+	if (c.text) msg += c.text;
+	else if (c.media) msg += `a ${c.media} comment. Open the submission in Canvas to play it`;
+	else msg += "no text";
+
+	if (c.attachments.length) msg += `. Attached: ${c.attachments.join(", ")}`;
+	return `${msg.replace(/[.!?]\s*$/, "")}.`;
+}
+
+function feedbackCriterionText(cr, i, total) {
+	let msg = `Criterion ${i + 1} of ${total}, ${cr.description || "untitled"}: `;
+
+	if (cr.points != null) {
+		msg += `${formatScore(cr.points)}`;
+		if (cr.maxPoints != null) msg += ` out of ${formatScore(cr.maxPoints)}`;
+	} else {
+		msg += "not scored";
+	}
+	if (cr.rating) msg += `, rated ${cr.rating}`;
+	if (cr.comments) msg += `. Comment: ${cr.comments.replace(/[.!?]\s*$/, "")}`;
+	return `${msg}.`;
+}
+
+function buildFeedbackItems(fb) {
+	const items = fb.comments.map(feedbackCommentText);
+	if (fb.assessed) {
+		fb.criteria.forEach((cr, i) => items.push(feedbackCriterionText(cr, i, fb.criteria.length)));
+	}
+	return items;
+}
+
+async function speakFeedbackItem(reader, idx, prefix = "") {
+	const item = reader.items[idx];
+	const isLast = idx >= reader.items.length - 1;
+	const tail = isLast ? " That's all the feedback." : " Say next to continue.";
+
+	await speak(`${prefix}${item}${tail}`, { mode: "read", raw: true });
+	await remember({
+		feedbackReader: { ...reader, cursor: idx + 1 },
+		lastIntent: intents.READ_FEEDBACK,
+		expectingYesNo: false,
+		pendingAction: null,
+	});
+	return { ok: true, message: `Read feedback item ${idx + 1} of ${reader.items.length}` };
+}
+
+async function actReadFeedback(slots = {}) {
+	const q = String(slots.q || "").trim();
+	const courseText = slots.course || slots.courseNum || "";
+	const here = String(location.pathname || "").match(/\/courses\/(\d+)\/assignments\/(\d+)/i);
+
+	if (!q && !here) {
+		await speak("Which assignment? Like: read my feedback on lab 2.", { mode: "say" });
+		return { ok: false, message: "Missing assignment query" };
+	}
+
+	let sub = null;
+	try {
+		if (!q && here) {
+			const rows = await fetchSubmissions({ courseId: here[1], assignmentId: here[2], include: FEEDBACK_INCLUDE });
+			sub = rows[0] ? normalizeSubmission(rows[0]) : null;
+		} else {
+			const found = await findMatchingSubmissions({ q, courseText, include: FEEDBACK_INCLUDE });
+			if (found.noCourse) {
+				await speak(`I can't find a course matching ${courseText} in your enrollments.`, { mode: "say" });
+				return { ok: false, message: "No enrollment matched course" };
+			}
+			sub = found.ranked[0]?.s || null;
+		}
+	} catch (e) {
+		console.warn("feedback fetch failed:", e);
+		await speak("I can't reach your feedback through Canvas right now. Try again in a moment.", { mode: "say" });
+		return { ok: false, message: "Feedback fetch failed" };
+	}
+
+	if (!sub) {
+		await speak(`I can't find ${q || "that assignment"} in your submissions.`, { mode: "say" });
+		return { ok: false, message: "Submission not found" };
+	}
+
+	const fb = normalizeSubmissionFeedback(sub.raw);
+	const items = buildFeedbackItems(fb);
+
+	if (!items.length) {
+		const why = sub.muted ? " Your instructor hasn't posted grades for it yet." : "";
+		await speak(`There's no feedback on ${fb.title} yet.${why}`, { mode: "say" });
+		await remember({ feedbackReader: null, lastIntent: intents.READ_FEEDBACK });
+		return { ok: true, message: "No feedback on submission" };
+	}
+
+	const nComments = fb.comments.length;
+	const nCriteria = fb.assessed ? fb.criteria.length : 0;
+	const counts = [
+		nComments ? `${nComments} comment${nComments === 1 ? "" : "s"}` : "",
+		nCriteria ? `${nCriteria} rubric criteri${nCriteria === 1 ? "on" : "a"}` : "",
+	]
+		.filter(Boolean)
+		.join(" and ");
+
+	const verb = nComments + nCriteria === 1 ? "is" : "are";
+	const header = `Feedback on ${fb.title}. ${submissionScoreSentence(sub)} There ${verb} ${counts}. `;
+
+	const reader = { title: fb.title, items, cursor: 0, createdAt: Date.now(), page: pageKey() };
+	await remember({ expectingList: null });
+	return await speakFeedbackItem(reader, 0, header);
+}
+
+async function actReadNextFeedback(reader) {
+	if (reader.cursor >= reader.items.length) {
+		await speak("That's the end of the feedback.", { mode: "say" });
+		await remember({ feedbackReader: null, expectingYesNo: false, pendingAction: null });
+		return { ok: false, message: "End of feedback" };
+	}
+	return await speakFeedbackItem(reader, reader.cursor);
+}
+
+async function actRepeatFeedback(reader) {
+	const idx = Math.max(0, (reader.cursor || 1) - 1);
+	return await speakFeedbackItem(reader, idx);
+}
+
+// =============================================================================
+// 28.7) Quiz-taking mode (Classic Quizzes + New Quizzes, question by question)
+// =============================================================================
+
+const QUIZ_TIMER_TICK_MS = 10000;
+const QUIZ_TIMER_WARN_MINUTES = [5, 1];
+const QUIZ_LETTERS = "abcdefghijklmnopqrstuvwxyz";
+// Letter names come from lib/fuzzy_match.js; "eh" is how "A" is often heard
+const QUIZ_LETTER_ALIASES = { eh: "a" };
+
+function quizText(el) {
+	return String(el?.innerText || el?.textContent || "")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+function quizChoiceLabel(input, root) {
+	const label =
+		input.labels?.[0] ||
+		input.closest("label") ||
+		(input.id ? root.querySelector(`label[for="${CSS.escape(input.id)}"]`) : null);
+	return quizText(label) || input.getAttribute("aria-label") || input.value || "";
+}
+
+// Each adapter answers the same questions about the page; the mode below never touches raw selectors.
+const QUIZ_ADAPTERS = {
+	classic: {
+		kind: "classic",
+		detect: () => Boolean(document.querySelector("#submit_quiz_form, #questions .question")),
+		questions: () => Array.from(document.querySelectorAll("#questions .question")).filter(isVisible),
+		stem: (q) => quizText(q.querySelector(".question_text")),
+		choices: (q) =>
+			Array.from(q.querySelectorAll(".answers .answer")).flatMap((row) => {
+				const input = row.querySelector("input[type='radio'], input[type='checkbox']");
+				if (!input) return [];
+				const label = quizText(row.querySelector(".answer_label, label")) || quizChoiceLabel(input, row);
+				return [{ label, input }];
+			}),
+		textInput: (q) => q.querySelector("textarea.question_input, input[type='text'].question_input, textarea"),
+		isFlagged: (q) => q.classList.contains("marked"),
+		flagControl: (q) => q.querySelector(".flag_question"),
+		jumpLinks: () => Array.from(document.querySelectorAll("#question_list .list_question a")),
+		nextButton: () => firstMatch(["button.next-question", ".next-question"]),
+		prevButton: () => firstMatch(["button.previous-question", ".previous-question"]),
+		submitButton: () => firstMatch(["#submit_quiz_button", "#submit_quiz_form button[type='submit']"]),
+		timerEl: () => firstMatch([".time_running", ".time_left", "#timer_container .timer"]),
+	},
+	generic: {
+		kind: "new_quizzes",
+		detect: () => true,
+		questions: () =>
+			Array.from(
+				document.querySelectorAll("[data-automation*='question' i], fieldset, [role='radiogroup'], [role='group']"),
+			).filter((q) => isVisible(q) && q.querySelector("input, textarea, [contenteditable='true']")),
+		stem: (q) =>
+			quizText(q.querySelector("legend, [data-automation*='question-body' i], [class*='questionBody' i]")) ||
+			quizText(q).slice(0, 400),
+		choices: (q) =>
+			Array.from(q.querySelectorAll("input[type='radio'], input[type='checkbox']")).map((input) => ({
+				label: quizChoiceLabel(input, q),
+				input,
+			})),
+		textInput: (q) => q.querySelector("textarea, input[type='text'], [contenteditable='true']"),
+		isFlagged: (q) =>
+			Boolean(
+				q.querySelector("[aria-pressed='true'][aria-label*='flag' i], [aria-checked='true'][aria-label*='flag' i]"),
+			),
+		flagControl: (q) =>
+			q.querySelector("[aria-label*='flag' i], [data-automation*='flag' i]") ||
+			findVisibleButtonByText(/flag|mark for review/i, q),
+		jumpLinks: () => [],
+		nextButton: () => findVisibleButtonByText(/^next\b/i),
+		prevButton: () => findVisibleButtonByText(/^(previous|back)\b/i),
+		submitButton: () => findVisibleButtonByText(/^submit\b/i),
+		timerEl: () => firstMatch(["[role='timer']", "[data-automation*='timer' i]", "[class*='timer' i]"]),
+	},
+};
+
+function currentQuizAdapter() {
+	return QUIZ_ADAPTERS.classic.detect() ? QUIZ_ADAPTERS.classic : QUIZ_ADAPTERS.generic;
+}
+
+function isQuizAttemptPage() {
+	if (/\/quizzes\/\d+\/take\b/i.test(window.location.pathname)) return true;
+	if (document.querySelector("#submit_quiz_form")) return true;
+	return /quiz-lti/i.test(window.location.hostname);
+}
+
+// New Quizzes run in a cross-origin LTI frame the content script can't reach.
+function findQuizToolFrame() {
+	const frame = document.querySelector("iframe#tool_content, iframe[src*='quiz-lti' i]");
+	if (!frame) return null;
+	try {
+		if (frame.contentDocument?.body) return null;
+	} catch {}
+	return frame;
+}
+
+// "1:05:30", "12:04", "1 hour, 5 minutes", "0 Hours, 12 Minutes, 30 Seconds" -> seconds
+function parseTimerSeconds(text) {
+	const s = String(text || "").toLowerCase();
+	const clock = s.match(/\b(?:(\d+):)?(\d{1,2}):(\d{2})\b/);
+	if (clock) return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+
+	const unit = (re) => Number(s.match(re)?.[1] || 0);
+	const total =
+		unit(/(\d+)\s*(?:hours?|hrs?|h)\b/) * 3600 +
+		unit(/(\d+)\s*(?:minutes?|mins?|m)\b/) * 60 +
+		unit(/(\d+)\s*(?:seconds?|secs?|s)\b/);
+	return total || /\b0\b/.test(s) ? total : null;
+}
+
+function formatDuration(seconds) {
+	const s = Math.max(0, Math.round(seconds));
+	const h = Math.floor(s / 3600);
+	const m = Math.floor((s % 3600) / 60);
+	const parts = [];
+	if (h) parts.push(`${h} hour${h === 1 ? "" : "s"}`);
+	if (m) parts.push(`${m} minute${m === 1 ? "" : "s"}`);
+	if (!h && (s < 120 || !m)) parts.push(`${s % 60} second${s % 60 === 1 ? "" : "s"}`);
+	return parts.join(" ");
+}
+
+function readQuizTimer(adapter) {
+	const el = adapter.timerEl();
+	if (!el) return null;
+	const seconds = parseTimerSeconds(quizText(el));
+	if (seconds == null) return null;
+	const context = quizText(el.parentElement) || quizText(el);
+	const remaining = /\b(remaining|left)\b/i.test(context) || el.classList.contains("time_left");
+	return { seconds, remaining };
+}
+
+function quizQuestionAnswered(adapter, q) {
+	if (adapter.choices(q).some((c) => c.input.checked)) return true;
+	const input = adapter.textInput(q);
+	return Boolean(String(input?.value || input?.textContent || "").trim());
+}
+
+// Question number + total: DOM order when all questions are on the page, else the question list.
+function quizPosition(adapter, q, idx, quiz) {
+	const questions = adapter.questions();
+	const links = adapter.jumpLinks();
+	if (questions.length > 1) return { number: idx + 1, total: questions.length };
+
+	const qid = String(q?.id || "").match(/\d+/)?.[0];
+	const linkIdx = qid ? links.findIndex((a) => String(a.getAttribute("href") || "").includes(qid)) : -1;
+	if (linkIdx >= 0) return { number: linkIdx + 1, total: links.length };
+
+	const m = quizText(document.querySelector("main, #content, body")).match(/\bquestion\s+(\d+)\s+of\s+(\d+)\b/i);
+	if (m) return { number: Number(m[1]), total: Number(m[2]) };
+	return { number: quiz?.number || idx + 1, total: links.length || null };
+}
+
+function activeQuizQuestion(adapter, quiz) {
+	const questions = adapter.questions();
+	if (!questions.length) return { q: null, idx: 0 };
+	const idx = Math.min(Math.max(0, quiz?.idx || 0), questions.length - 1);
+	return { q: questions[idx], idx };
+}
+
+async function getQuizState() {
+	const st = await mem.get();
+	return st.quizMode?.active ? st.quizMode : null;
+}
+
+async function saveQuizState(patch) {
+	const current = (await getQuizState()) || {
+		active: true,
+		idx: 0,
+		number: 1,
+		pendingRead: false,
+		confirmSubmit: false,
+	};
+	const next = { ...current, ...patch, path: window.location.pathname };
+	await remember({ quizMode: next });
+	return next;
+}
+
+async function speakQuizQuestion(adapter, quiz, prefix = "") {
+	const { q, idx } = activeQuizQuestion(adapter, quiz);
+	if (!q) {
+		await speak(`${prefix}I can't find a question on this page yet.`, { mode: "say" });
+		return { ok: false, message: "No quiz question found" };
+	}
+
+	q.scrollIntoView?.({ block: "center" });
+	const pos = quizPosition(adapter, q, idx, quiz);
+	const flagged = adapter.isFlagged(q) ? ", marked for review" : "";
+	const header = `${prefix}Question ${pos.number}${pos.total ? ` of ${pos.total}` : ""}${flagged}. ${adapter.stem(q) || "No question text."}`;
+
+	const choices = adapter.choices(q);
+	if (choices.length) {
+		const options = choices.map((c, i) => ({
+			label: `${quizChoiceName(i)}, ${c.label}${c.input.checked ? ", selected" : ""}`,
+		}));
+		await speakNumberedOptions(`${header} Choices:`, options);
+		return { ok: true, message: `Read question ${pos.number}` };
+	}
+
+	const input = adapter.textInput(q);
+	const current = String(input?.value || input?.textContent || "").trim();
+	const tail = input
+		? current
+			? ` Current answer: ${current}.`
+			: " Say answer, then your response."
+		: " This question needs the keyboard.";
+	await speak(`${header}${tail}`, { mode: "read", raw: true });
+	return { ok: true, message: `Read question ${pos.number}` };
+}
+
+// "B", or the option number past Z
+function quizChoiceName(i) {
+	return QUIZ_LETTERS[i]?.toUpperCase() || String(i + 1);
+}
+
+// "b" / "bee" / "2" / "second" / "option 2" / "true" -> choice index
+function quizChoiceIdx(rest, choices) {
+	const t = String(rest || "")
+		.toLowerCase()
+		.replace(/^(letter|choice|option)\s+/, "")
+		.replace(/[^\w\s]/g, "")
+		.trim();
+	// A letter past the last choice may still be a choice's text ("you", "why")
+	const letterIdx = QUIZ_LETTERS.indexOf(QUIZ_LETTER_ALIASES[t] || spokenLetter(t));
+	if (letterIdx >= 0 && letterIdx < choices.length) return letterIdx;
+
+	const idx = optionIdxFromUtterance(`option ${t}`, choices);
+	if (idx != null) return idx;
+
+	const best = bestOptionByUtterance(choices, t);
+	return best ? choices.indexOf(best) : null;
+}
+
+function writeQuizTextAnswer(adapter, q, text) {
+	const frame = q.querySelector("iframe.tox-edit-area__iframe, iframe[id$='_ifr']");
+	if (frame) {
+		try {
+			const doc = frame.contentDocument || frame.contentWindow?.document;
+			if (doc?.body) {
+				doc.body.innerHTML = `<p>${escapeHtml(text)}</p>`;
+				doc.body.dispatchEvent(new Event("input", { bubbles: true }));
+				return true;
+			}
+		} catch (e) {
+			console.warn("quiz editor write failed:", e);
+		}
+	}
+	return writeField(adapter.textInput(q), text);
+}
+
+async function answerQuizQuestion(adapter, quiz, rest) {
+	const { q } = activeQuizQuestion(adapter, quiz);
+	if (!q) {
+		await speak("I can't find a question to answer.", { mode: "say" });
+		return { ok: false, message: "No quiz question found" };
+	}
+
+	const choices = adapter.choices(q);
+	if (!choices.length) {
+		if (!writeQuizTextAnswer(adapter, q, rest)) {
+			await speak("I can't type into this question. Use the keyboard for this one.", { mode: "say" });
+			return { ok: false, message: "Quiz text answer not writable" };
+		}
+		await speak(`Answer entered: ${rest}.`, { mode: "read", raw: true });
+		return { ok: true, message: "Quiz text answer entered" };
+	}
+
+	// "A and C" on multiple-answer questions
+	const parts = choices[0].input.type === "checkbox" ? rest.split(/\s*(?:,|\band\b)\s*/).filter(Boolean) : [rest];
+	const picked = parts.map((p) => quizChoiceIdx(p, choices)).filter((i) => i != null);
+	if (!picked.length) {
+		await speak(
+			choices.length <= QUIZ_LETTERS.length
+				? `I didn't catch which choice. Say a letter from A to ${QUIZ_LETTERS[choices.length - 1].toUpperCase()}.`
+				: `I didn't catch which choice. Say a letter, or the option number.`,
+			{
+				mode: "say",
+			},
+		);
+		return { ok: false, message: "Quiz choice not matched" };
+	}
+
+	for (const i of picked) {
+		const { input } = choices[i];
+		if (input.type === "checkbox" || !input.checked) input.click();
+	}
+
+	const said = picked
+		.map((i) => `${quizChoiceName(i)}${choices[i].input.checked ? "" : " cleared"}, ${choices[i].label}`)
+		.join(". ");
+	await speak(`${said}.`, { mode: "read", raw: true });
+	return { ok: true, message: `Answered ${picked.map(quizChoiceName).join(",")}` };
+}
+
+async function moveQuizQuestion(adapter, quiz, target) {
+	const questions = adapter.questions();
+	const { q, idx } = activeQuizQuestion(adapter, quiz);
+	const pos = quizPosition(adapter, q, idx, quiz);
+	const number = target === "next" ? pos.number + 1 : target === "previous" ? pos.number - 1 : target;
+
+	if (number < 1 || (pos.total && number > pos.total)) {
+		const msg =
+			number < 1 ? "This is the first question." : "That was the last question. Say submit quiz when you're ready.";
+		await speak(msg, { mode: "say" });
+		return { ok: false, message: "Quiz navigation out of range" };
+	}
+
+	// All questions on one page: just move the cursor.
+	if (questions.length > 1) {
+		const next = await saveQuizState({ idx: number - 1, number });
+		return await speakQuizQuestion(adapter, next);
+	}
+
+	// One question at a time: Canvas loads a new page, so read after it arrives.
+	const links = adapter.jumpLinks();
+	const control =
+		target === "next" ? adapter.nextButton() : target === "previous" ? adapter.prevButton() : links[number - 1] || null;
+	if (!control) {
+		await speak("I can't find a way to that question here.", { mode: "say" });
+		return { ok: false, message: "Quiz navigation control not found" };
+	}
+
+	const startHref = window.location.href;
+	await saveQuizState({ idx: 0, number, pendingRead: true });
+	control.click();
+
+	// New Quizzes swaps the question in place without a page load.
+	await sleep(900);
+	if (window.location.href === startHref) {
+		const next = await saveQuizState({ pendingRead: false });
+		return await speakQuizQuestion(adapter, next);
+	}
+	return { ok: true, message: `Moving to question ${number}` };
+}
+
+async function toggleQuizFlag(adapter, quiz, want) {
+	const { q, idx } = activeQuizQuestion(adapter, quiz);
+	const control = q ? adapter.flagControl(q) : null;
+	if (!control) {
+		await speak("I can't find the mark for review button.", { mode: "say" });
+		return { ok: false, message: "Quiz flag control not found" };
+	}
+
+	const { number } = quizPosition(adapter, q, idx, quiz);
+	if (adapter.isFlagged(q) !== want) control.click();
+	await speak(want ? `Question ${number} marked for review.` : `Question ${number} unmarked.`, { mode: "say" });
+	return { ok: true, message: want ? "Quiz question flagged" : "Quiz question unflagged" };
+}
+
+// Answered / flagged numbers across the attempt (question list when paged, DOM otherwise).
+function quizOverview(adapter) {
+	const links = adapter.jumpLinks();
+	if (links.length) {
+		const items = links.map((a) => a.closest("li") || a);
+		return {
+			total: items.length,
+			unanswered: items.flatMap((li, i) => (li.classList.contains("answered") ? [] : [i + 1])),
+			flagged: items.flatMap((li, i) => (li.classList.contains("marked") ? [i + 1] : [])),
+		};
+	}
+
+	const questions = adapter.questions();
+	return {
+		total: questions.length,
+		unanswered: questions.flatMap((q, i) => (quizQuestionAnswered(adapter, q) ? [] : [i + 1])),
+		flagged: questions.flatMap((q, i) => (adapter.isFlagged(q) ? [i + 1] : [])),
+	};
+}
+
+function quizNumberList(nums) {
+	if (nums.length <= 1) return String(nums[0] ?? "");
+	return `${nums.slice(0, -1).join(", ")} and ${nums[nums.length - 1]}`;
+}
+
+async function speakQuizTime(adapter) {
+	const t = readQuizTimer(adapter);
+	if (!t) {
+		await speak("I don't see a timer on this quiz.", { mode: "say" });
+		return { ok: false, message: "Quiz timer not found" };
+	}
+	const msg = t.remaining
+		? `${formatDuration(t.seconds)} left.`
+		: `This quiz isn't timed. You've been working for ${formatDuration(t.seconds)}.`;
+	await speak(msg, { mode: "say" });
+	return { ok: true, message: "Spoke quiz time" };
+}
+
+async function startQuizSubmit(adapter) {
+	const { total, unanswered, flagged } = quizOverview(adapter);
+	const warnings = [
+		unanswered.length
+			? `${unanswered.length} of ${total} question${unanswered.length === 1 ? " is" : "s are"} unanswered: ${quizNumberList(unanswered)}.`
+			: "",
+		flagged.length ? `Marked for review: ${quizNumberList(flagged)}.` : "",
+	]
+		.filter(Boolean)
+		.join(" ");
+
+	await saveQuizState({ confirmSubmit: true });
+	await speak(
+		`${warnings || "All questions are answered."} Submit the quiz? Say yes to submit, or no to keep working.`,
+		{
+			mode: "say",
+		},
+	);
+	return { ok: true, message: "Awaiting quiz submit confirmation" };
+}
+
+async function confirmQuizSubmit(adapter) {
+	const btn = adapter.submitButton();
+	if (!btn) {
+		await speak("I can't find the submit button on this page.", { mode: "say" });
+		return { ok: false, message: "Quiz submit button not found" };
+	}
+
+	await speak("Submitting the quiz. If Canvas asks you to confirm, press Enter.", { mode: "say" });
+	await clearQuizState();
+	btn.click();
+	return { ok: true, message: "Quiz submitted" };
+}
+
+async function clearQuizState() {
+	stopQuizTimerWatch();
+	await remember({ quizMode: null });
+}
+
+function stopQuizTimerWatch() {
+	if (__CONVOX.actions.quizTimerId) clearInterval(__CONVOX.actions.quizTimerId);
+	__CONVOX.actions.quizTimerId = null;
+}
+
+function startQuizTimerWatch() {
+	if (__CONVOX.actions.quizTimerId) return;
+	__CONVOX.actions.quizTimerId = setInterval(() => {
+		tickQuizTimer().catch((e) => console.warn("quiz timer tick failed:", e));
+	}, QUIZ_TIMER_TICK_MS);
+}
+
+// Announce on every N-minute boundary (popup setting) plus the fixed warnings.
+async function tickQuizTimer() {
+	const quiz = await getQuizState();
+	if (!quiz || !isQuizAttemptPage()) return stopQuizTimerWatch();
+
+	const t = readQuizTimer(currentQuizAdapter());
+	if (!t?.remaining || t.seconds <= 0) return;
+
+	const everyMins = Number(await getSyncSetting("quizTimerAnnounceMinutes", 5)) || 0;
+	const mins = Math.ceil(t.seconds / 60);
+	const due = QUIZ_TIMER_WARN_MINUTES.includes(mins) || (everyMins > 0 && mins % everyMins === 0);
+	const announced = Array.isArray(quiz.announced) ? quiz.announced : [];
+	if (!due || announced.includes(mins)) return;
+
+	// Don't talk over a question being read; the next tick retries.
+	if (isSpeaking()) return;
+
+	await saveQuizState({ announced: [...announced, mins] });
+	await speak(`${formatDuration(t.seconds)} left on the quiz.`, { mode: "say" });
+}
+
+async function enterQuizMode(prefix = "") {
+	const adapter = currentQuizAdapter();
+	const existing = await getQuizState();
+	const quiz = existing?.path === window.location.pathname ? existing : await saveQuizState({ idx: 0, number: 1 });
+	startQuizTimerWatch();
+
+	const t = readQuizTimer(adapter);
+	const { total } = quizOverview(adapter);
+	const intro = [
+		prefix,
+		`Quiz mode on${total > 1 ? `, ${total} questions` : ""}.`,
+		t?.remaining ? `${formatDuration(t.seconds)} left.` : "",
+	]
+		.filter(Boolean)
+		.join(" ");
+	return await speakQuizQuestion(adapter, quiz, `${intro} `);
+}
+
+async function actTakeQuiz() {
+	if (isQuizAttemptPage()) return await enterQuizMode();
+
+	const frame = findQuizToolFrame();
+	if (frame) {
+		const src = frame.getAttribute("src") || "";
+		if (/^https?:/i.test(src) || src.startsWith("/")) {
+			await remember({ expectingYesNo: true, pendingAction: "OPEN_QUIZ_FRAME", pendingHref: src });
+			await speak("This quiz runs in an embedded frame I can't read. Open it full page instead?", { mode: "say" });
+			return { ok: true, message: "Offered to open quiz frame" };
+		}
+		await speak("This quiz runs in an embedded frame I can't read. Open it in a new tab, then say take quiz.", {
+			mode: "say",
+		});
+		return { ok: false, message: "Quiz frame not reachable" };
+	}
+
+	const start =
+		firstMatch(["#take_quiz_link", "a[href*='/take']"]) ||
+		findVisibleButtonByText(/\b(take|resume|start)\b.*\bquiz\b/i);
+	if (start) {
+		await saveQuizState({ idx: 0, number: 1, pendingRead: true });
+		await speak("Starting the quiz.", { mode: "say" });
+		start.click();
+		return { ok: true, message: "Started quiz attempt" };
+	}
+
+	await speak("Open a quiz first, then say take quiz.", { mode: "say" });
+	return { ok: false, message: "Not on a quiz page" };
+}
+
+async function maybeHandleQuizMode(utterance) {
+	if (!isQuizAttemptPage()) return null;
+
+	const lower = String(utterance || "")
+		.toLowerCase()
+		.replace(/[?!.]+$/g, "")
+		.trim();
+	const adapter = currentQuizAdapter();
+	const quiz = await getQuizState();
+	const done = (result, reason) => ({ intent: "QUIZ_MODE", result: { ...result, confidence: 0.98, reason } });
+
+	// Submitting only ever happens on the turn right after the warning.
+	if (quiz?.confirmSubmit) {
+		await saveQuizState({ confirmSubmit: false });
+		if (/^(yes|yeah|yep|confirm|submit|submit it|submit (the |my )?quiz|do it)$/.test(lower)) {
+			return done(await confirmQuizSubmit(adapter), "quiz submit confirmed");
+		}
+		if (/^(no|nope|cancel|not yet|wait|keep working)\b/.test(lower)) {
+			await speak("Okay, not submitting.", { mode: "say" });
+			return done({ ok: true, message: "Quiz submit canceled" }, "quiz submit canceled");
+		}
+	}
+
+	if (/^(exit|stop|leave|quit|end)\s+(the\s+)?quiz(\s*mode)?$/.test(lower)) {
+		await clearQuizState();
+		await speak("Quiz mode off. Your answers stay on the page.", { mode: "say" });
+		return done({ ok: true, message: "Quiz mode off" }, "quiz exit");
+	}
+
+	if (/^(take|start|begin|resume)\s+(the\s+|this\s+)?(quiz|exam|test)$|^quiz\s*mode$/.test(lower)) {
+		return done(await enterQuizMode(), "quiz enter");
+	}
+
+	const state = quiz || (await saveQuizState({ idx: 0, number: 1 }));
+	startQuizTimerWatch();
+
+	if (/^(read|repeat)(\s+(the|this))?\s+(question|choices|options)$|^(repeat|what'?s the question)$/.test(lower)) {
+		return done(await speakQuizQuestion(adapter, state), "quiz read");
+	}
+
+	if (/^(next|next question|skip|skip question)$/.test(lower)) {
+		return done(await moveQuizQuestion(adapter, state, "next"), "quiz next");
+	}
+
+	if (/^(previous|previous question|back|go back|last question)$/.test(lower)) {
+		return done(await moveQuizQuestion(adapter, state, "previous"), "quiz previous");
+	}
+
+	const goTo = lower.match(/^(?:go to|jump to|open)?\s*question\s+(?:number\s+)?(\w+)$/);
+	if (goTo) {
+		const idx = ordinalToIdx(goTo[1]);
+		if (idx != null) return done(await moveQuizQuestion(adapter, state, idx + 1), "quiz go to");
+	}
+
+	if (/\b(unmark|unflag|remove (the )?flag|clear (the )?flag)\b/.test(lower)) {
+		return done(await toggleQuizFlag(adapter, state, false), "quiz unflag");
+	}
+	if (/^(mark|flag)\b.*\breview\b|^flag( this| it| (this )?question)?$/.test(lower)) {
+		return done(await toggleQuizFlag(adapter, state, true), "quiz flag");
+	}
+
+	if (/\bhow much time\b|\btime\b.*\b(left|remaining)\b|^time$/.test(lower)) {
+		return done(await speakQuizTime(adapter), "quiz time");
+	}
+
+	if (/\b(flagged|marked)\b/.test(lower) && /\b(list|which|what|read)\b/.test(lower)) {
+		const { flagged } = quizOverview(adapter);
+		await speak(flagged.length ? `Marked for review: ${quizNumberList(flagged)}.` : "Nothing is marked for review.", {
+			mode: "say",
+		});
+		return done({ ok: true, message: "Listed flagged questions" }, "quiz flagged");
+	}
+
+	if (/\b(unanswered|not answered|skipped)\b/.test(lower)) {
+		const { unanswered } = quizOverview(adapter);
+		await speak(unanswered.length ? `Unanswered: ${quizNumberList(unanswered)}.` : "Every question has an answer.", {
+			mode: "say",
+		});
+		return done({ ok: true, message: "Listed unanswered questions" }, "quiz unanswered");
+	}
+
+	if (/^submit(\s+(the|my|this))?(\s+(quiz|exam|test|it))?$/.test(lower)) {
+		return done(await startQuizSubmit(adapter), "quiz submit");
+	}
+
+	const answer = String(utterance || "")
+		.trim()
+		.match(/^(?:answer|choose|pick|select|my answer is)\s+(?:is\s+)?(.+)$/i);
+	if (answer) {
+		return done(await answerQuizQuestion(adapter, state, answer[1].replace(/[.!]+$/, "").trim()), "quiz answer");
+	}
+
+	return null;
+}
+
+// Resume after a one-question-at-a-time page load (or drop state once the attempt is over).
+async function resumeQuizMode() {
+	const quiz = await getQuizState();
+	if (!quiz) return;
+	if (!isQuizAttemptPage()) {
+		await clearQuizState();
+		return;
+	}
+
+	startQuizTimerWatch();
+	if (!quiz.pendingRead) return;
+
+	const adapter = currentQuizAdapter();
+	const ready = await waitFor(() => adapter.questions().length > 0, { timeoutMs: 8000, stepMs: 250 });
+	const next = await saveQuizState({ pendingRead: false, idx: 0 });
+	if (ready) await speakQuizQuestion(adapter, next);
+}
+
+// =============================================================================
+// 28.8) Inbox (Conversations API first, inbox page scrape as fallback)
+//      inboxReader keeps the last list and the open thread; while it is active
+//      maybeHandleInboxMode answers "read message 2", "next message", "archive it"…
+// =============================================================================
+
+const INBOX_TTL_MS = 30 * 60 * 1000;
+const INBOX_LIST_SPOKEN = 5;
+
+const INBOX_SCOPE_WORDS = { inbox: "", unread: "unread ", starred: "starred ", sent: "sent ", archived: "archived " };
+
+let inboxSelfId = null;
+
+// Our own Canvas user id, to tell "you" apart from the other participants
+async function getInboxSelfId() {
+	if (inboxSelfId) return inboxSelfId;
+	try {
+		inboxSelfId = (await fetchUserProfile())?.id ?? null;
+	} catch (e) {
+		console.warn("profile fetch failed:", e);
+	}
+	return inboxSelfId;
+}
+
+function activeInboxReader(state) {
+	const ir = state?.inboxReader;
+	if (!ir || Date.now() - (ir.createdAt || 0) > INBOX_TTL_MS) return null;
+	return ir;
+}
+
+async function saveInboxReader(patch) {
+	const state = await mem.get();
+	const next = {
+		...(activeInboxReader(state) || { list: [], thread: null, msgIdx: 0 }),
+		...patch,
+		createdAt: Date.now(),
+	};
+	await remember({ inboxReader: next, discussionReader: null, lastIntent: "INBOX_MODE" });
+	return next;
+}
+
+function inboxWhen(iso) {
+	return iso ? toLocalDueLabel(iso) : "";
+}
+
+function inboxPeople(c, selfId) {
+	const others = c.participants.filter((p) => String(p.id) !== String(selfId)).map((p) => p.name);
+	if (!others.length) return "you";
+	return others.length > 3 ? `${others.slice(0, 3).join(", ")} and ${others.length - 3} more` : others.join(", ");
+}
+
+function inboxRowSentence(c, i, selfId) {
+	const from = c.audience.length ? c.audience.slice(0, 2).join(" and ") : inboxPeople(c, selfId);
+	const bits = [`${i + 1}: ${c.subject}, from ${from}`];
+	if (c.courseName) bits.push(`in ${speakCourseShort(c.courseName, "")}`);
+	if (c.lastAt) bits.push(inboxWhen(c.lastAt));
+	if (c.unread) bits.push("unread");
+	if (c.starred) bits.push("starred");
+	return `${bits.join(", ")}.`;
+}
+
+function inboxMessageText(thread, idx, selfId) {
+	const m = thread.messages[idx];
+	const who = String(m.authorId) === String(selfId) ? "you" : m.author;
+	let msg = `Message ${idx + 1} of ${thread.messages.length}, from ${who}`;
+	if (m.createdAt) msg += `, ${inboxWhen(m.createdAt)}`;
+	msg += `: ${m.body || (m.media ? `a ${m.media} message. Open it in Canvas to play it` : "no text")}`;
+	if (m.attachments.length) msg += `. Attached: ${m.attachments.join(", ")}`;
+	return `${msg.replace(/[.!?]\s*$/, "")}.`;
+}
+
+// Lean copies for memory: no raw API objects
+function inboxListEntry(c) {
+	return {
+		id: c.id,
+		subject: c.subject,
+		audience: c.audience,
+		participants: c.participants,
+		courseName: c.courseName,
+		contextCode: c.contextCode,
+		lastAt: c.lastAt,
+		unread: c.unread,
+		starred: c.starred,
+	};
+}
+
+function inboxThreadEntry(c) {
+	return { ...inboxListEntry(c), messages: c.messages };
+}
+
+async function actInboxList(slots = {}) {
+	const scope = slots.scope || "inbox";
+	const courseText = String(slots.course || "").trim();
+
+	let courseId = null;
+	let courseLabel = "";
+	try {
+		if (courseText) {
+			const [match] = matchGradeCourses(await loadCourseGrades(), courseText);
+			if (!match) {
+				await speak(`I can't find a course matching ${courseText} in your enrollments.`, { mode: "say" });
+				return { ok: false, message: "No enrollment matched course" };
+			}
+			courseId = match.courseId;
+			courseLabel = speakCourseShort(gradeCourseLabel(match), "");
+		}
+	} catch (e) {
+		console.warn("course lookup failed:", e);
+	}
+
+	let list = [];
+	try {
+		list = (await fetchConversations({ scope, courseId })).map(normalizeConversation);
+	} catch (e) {
+		console.warn("conversations fetch failed:", e);
+		return await actInboxListFromPage();
+	}
+
+	const selfId = await getInboxSelfId();
+	const what = `${INBOX_SCOPE_WORDS[scope] ?? ""}message`;
+	const where = courseLabel ? ` in ${courseLabel}` : "";
+
+	if (!list.length) {
+		await speak(`You have no ${what}s${where}.`, { mode: "say" });
+		await remember({ inboxReader: null, lastIntent: intents.INBOX_LIST });
+		return { ok: true, message: `No ${scope} conversations` };
+	}
+
+	await saveInboxReader({ list: list.map(inboxListEntry), thread: null, msgIdx: 0, scope, courseId });
+
+	const count = list.length >= 20 ? "at least 20" : String(list.length);
+	const spoken = list.slice(0, INBOX_LIST_SPOKEN).map((c, i) => inboxRowSentence(c, i, selfId));
+	const more = list.length > INBOX_LIST_SPOKEN ? ` Say more for the next ${INBOX_LIST_SPOKEN}.` : "";
+	await speak(
+		`You have ${count} ${what}${list.length === 1 ? "" : "s"}${where}. ${spoken.join(" ")}${more} Say read message 1 to open one.`,
+		{ mode: "read", raw: true },
+	);
+	return { ok: true, message: `Listed ${list.length} ${scope} conversation(s)` };
+}
+
+async function actInboxListMore(reader) {
+	const from = reader.listCursor || INBOX_LIST_SPOKEN;
+	const rows = reader.list.slice(from, from + INBOX_LIST_SPOKEN);
+	if (!rows.length) {
+		await speak("That's all of them. Say read message, then a number.", { mode: "say" });
+		return { ok: false, message: "End of inbox list" };
+	}
+	const selfId = await getInboxSelfId();
+	await saveInboxReader({ listCursor: from + rows.length });
+	const more = reader.list.length > from + rows.length ? " Say more to keep going." : "";
+	await speak(`${rows.map((c, i) => inboxRowSentence(c, from + i, selfId)).join(" ")}${more}`, {
+		mode: "read",
+		raw: true,
+	});
+	return { ok: true, message: `Listed inbox rows ${from + 1}-${from + rows.length}` };
+}
+
+// Only used when the API is unreachable: read the rows off the inbox page
+async function actInboxListFromPage() {
+	if (!isCanvasInboxPage()) {
+		await speak("I can't reach your inbox through Canvas right now. Say open inbox and try again there.", {
+			mode: "say",
+		});
+		return { ok: false, message: "Conversations API failed off the inbox page" };
+	}
+	const rows = collectInboxRows();
+	if (!rows.length) {
+		await speak("I can't find messages right now.", { mode: "say" });
+		return { ok: false, message: "No inbox rows found" };
+	}
+	const spoken = rows.slice(0, INBOX_LIST_SPOKEN).map((r, i) => `${i + 1}: ${r.subject}, from ${r.sender}.`);
+	await speak(`Here are your latest messages. ${spoken.join(" ")}`, { mode: "read", raw: true });
+	return { ok: true, message: `Listed ${spoken.length} inbox row(s) from the page` };
+}
+
+async function openInboxThread(conversationId, { latest = false } = {}) {
+	const thread = normalizeConversation(await fetchConversation(conversationId));
+	if (!thread.messages.length) throw new Error(`conversation ${conversationId} has no messages`);
+	const msgIdx = latest ? thread.messages.length - 1 : 0;
+	return { thread: inboxThreadEntry(thread), msgIdx };
+}
+
+async function speakInboxMessage(reader, idx, prefix = "") {
+	const selfId = await getInboxSelfId();
+	const { thread } = reader;
+	const isLast = idx >= thread.messages.length - 1;
+	const tail = isLast
+		? " That's the latest message. Say reply, archive, or next conversation."
+		: " Say next message to continue.";
+
+	const chunks = splitSpeechChunks(`${prefix}${inboxMessageText(thread, idx, selfId)}${tail}`, 900);
+	for (const chunk of chunks) await speak(chunk, { mode: "read", raw: true });
+	await saveInboxReader({ list: reader.list, listIdx: reader.listIdx, thread, msgIdx: idx });
+	return { ok: true, message: `Read message ${idx + 1} of ${thread.messages.length}` };
+}
+
+async function actInboxReadThread(listIdx, opts = {}) {
+	const state = await mem.get();
+	const reader = activeInboxReader(state);
+	const row = reader?.list?.[listIdx];
+	if (!row) {
+		await speak(
+			reader?.list?.length
+				? `Say a number from 1 to ${reader.list.length}.`
+				: "Say any new messages to list them first.",
+			{ mode: "say" },
+		);
+		return { ok: false, message: "No such inbox row" };
+	}
+
+	let opened;
+	try {
+		opened = await openInboxThread(row.id, opts);
+	} catch (e) {
+		console.warn("conversation fetch failed:", e);
+		await speak("I can't open that conversation right now. Try again in a moment.", { mode: "say" });
+		return { ok: false, message: "Conversation fetch failed" };
+	}
+
+	const selfId = await getInboxSelfId();
+	const { thread, msgIdx } = opened;
+	const n = thread.messages.length;
+	const header = `${thread.subject}. ${n} message${n === 1 ? "" : "s"} with ${inboxPeople(thread, selfId)}. `;
+	// Canvas marked it read when we opened it
+	const list = reader.list.map((c, i) => (i === listIdx ? { ...c, unread: false } : c));
+	return await speakInboxMessage({ ...reader, list, listIdx, thread }, msgIdx, header);
+}
+
+async function actInboxMoveMessage(reader, step) {
+	const idx = (reader.msgIdx ?? 0) + step;
+	if (!reader.thread) {
+		await speak("Open a message first. Say read message 1.", { mode: "say" });
+		return { ok: false, message: "No open conversation" };
+	}
+	if (idx < 0) {
+		await speak("That's the first message in this conversation.", { mode: "say" });
+		return { ok: false, message: "Start of conversation" };
+	}
+	if (idx >= reader.thread.messages.length) {
+		await speak("That's the last message. Say next conversation, reply, or archive.", { mode: "say" });
+		return { ok: false, message: "End of conversation" };
+	}
+	return await speakInboxMessage(reader, idx);
+}
+
+async function actInboxNextThread(reader) {
+	const next = (reader.listIdx ?? -1) + 1;
+	if (next >= (reader.list?.length || 0)) {
+		await speak("That was the last conversation in the list.", { mode: "say" });
+		return { ok: false, message: "End of inbox list" };
+	}
+	return await actInboxReadThread(next);
+}
+
+const INBOX_UPDATES = {
+	archive: { patch: { workflowState: "archived" }, done: "Archived.", row: { archived: true } },
+	star: { patch: { starred: true }, done: "Starred.", row: { starred: true } },
+	unstar: { patch: { starred: false }, done: "Removed the star.", row: { starred: false } },
+	read: { patch: { workflowState: "read" }, done: "Marked as read.", row: { unread: false } },
+	unread: { patch: { workflowState: "unread" }, done: "Marked as unread.", row: { unread: true } },
+};
+
+// The open conversation, else the one the user just heard about in the list
+function inboxTarget(reader) {
+	if (reader.thread) return reader.thread;
+	return reader.list?.[reader.listIdx ?? 0] || null;
+}
+
+async function actInboxUpdate(reader, action) {
+	const target = inboxTarget(reader);
+	const upd = INBOX_UPDATES[action];
+	if (!target || !upd) {
+		await speak("Open a message first. Say read message 1.", { mode: "say" });
+		return { ok: false, message: "No conversation to update" };
+	}
+
+	try {
+		await updateConversation(target.id, upd.patch);
+	} catch (e) {
+		console.warn("conversation update failed:", e);
+		await speak("Canvas didn't accept that change. Try again in a moment.", { mode: "say" });
+		return { ok: false, message: `Conversation ${action} failed` };
+	}
+
+	const list = (reader.list || [])
+		.map((c) => (c.id === target.id ? { ...c, ...upd.row } : c))
+		.filter((c) => !c.archived);
+	const thread = reader.thread && action !== "archive" ? { ...reader.thread, ...upd.row } : null;
+	const listIdx = action === "archive" ? Math.max(-1, (reader.listIdx ?? 0) - 1) : reader.listIdx;
+	await saveInboxReader({ list, thread, listIdx });
+	const more = action === "archive" && list.length ? " Say next conversation to keep going." : "";
+	await speak(`${upd.done}${more}`, { mode: "say" });
+	return { ok: true, message: `Conversation ${action}` };
+}
+
+async function maybeHandleInboxMode(utterance) {
+	const state = await mem.get();
+	const reader = activeInboxReader(state);
+	if (!reader) return null;
+
+	const lower = String(utterance || "")
+		.toLowerCase()
+		.replace(/[?!.]+$/g, "")
+		.trim();
+	// Bare "next" / "more" / "repeat" only count right after an inbox turn
+	const inTurn = ["INBOX_MODE", intents.INBOX_LIST, intents.READ_RECENT_MESSAGE].includes(state.lastIntent);
+	const done = (result, reason) => ({ intent: "INBOX_MODE", result: { ...result, confidence: 0.96, reason } });
+
+	if (/^(exit|close|leave|stop)\s+(the\s+)?(inbox|messages)$/.test(lower)) {
+		await remember({ inboxReader: null });
+		await speak("Okay, leaving your messages.", { mode: "say" });
+		return done({ ok: true, message: "Inbox mode off" }, "inbox exit");
+	}
+
+	const open = lower.match(
+		/^(?:read|open|play|hear)\s+(?:the\s+)?(?:message|conversation|number)\s+(?:number\s+)?(\w+)$|^(?:read|open)\s+(?:the\s+)?(\w+)\s+(?:one|message|conversation)$/,
+	);
+	if (open) {
+		const idx = ordinalToIdx(open[1] || open[2]);
+		if (idx != null) return done(await actInboxReadThread(idx), "inbox open");
+	}
+
+	if (/^(next|skip)\s+(conversation|thread)$|^skip( this| it)?$/.test(lower)) {
+		return done(await actInboxNextThread(reader), "inbox next thread");
+	}
+	if (/^next\s+message$/.test(lower) || (inTurn && reader.thread && /^(next|continue|go on)$/.test(lower))) {
+		return done(await actInboxMoveMessage(reader, 1), "inbox next message");
+	}
+	if (/^previous\s+message$/.test(lower) || (inTurn && reader.thread && /^(previous|back)$/.test(lower))) {
+		return done(await actInboxMoveMessage(reader, -1), "inbox previous message");
+	}
+	if (inTurn && reader.thread && /^(repeat|again|say (that|it) again)$/.test(lower)) {
+		return done(await speakInboxMessage(reader, reader.msgIdx ?? 0), "inbox repeat");
+	}
+	if (inTurn && /^(more|next (five|5)|keep going)$/.test(lower)) {
+		return done(await actInboxListMore(reader), "inbox list more");
+	}
+
+	if (/^archive( (this|it|that|the)?\s*(message|conversation)?)?$/.test(lower)) {
+		return done(await actInboxUpdate(reader, "archive"), "inbox archive");
+	}
+	if (/^(unstar|remove (the )?star)( (this|it|that))?\b/.test(lower)) {
+		return done(await actInboxUpdate(reader, "unstar"), "inbox unstar");
+	}
+	if (/^star( (this|it|that))?( (message|conversation))?$/.test(lower)) {
+		return done(await actInboxUpdate(reader, "star"), "inbox star");
+	}
+	const mark = lower.match(/^mark (?:(?:this|it|that)(?: (?:message|conversation))? )?(?:as )?(unread|read)$/);
+	if (mark) return done(await actInboxUpdate(reader, mark[1]), `inbox mark ${mark[1]}`);
+
+	return null;
+}
+
+// "Read my most recent message": newest conversation through the API, else the inbox page
+async function actReadRecentMessageFromApi() {
+	const [latest] = (await fetchConversations({ scope: "inbox", perPage: 1 })).map(normalizeConversation);
+	if (!latest) {
+		await speak("Your inbox is empty.", { mode: "say" });
+		return { ok: true, message: "Inbox empty" };
+	}
+	await saveInboxReader({ list: [inboxListEntry(latest)], thread: null, msgIdx: 0, listIdx: 0 });
+	const { thread, msgIdx } = await openInboxThread(latest.id, { latest: true });
+	const reader = activeInboxReader(await mem.get());
+	return await speakInboxMessage(
+		{ ...reader, thread, listIdx: 0 },
+		msgIdx,
+		`Your most recent message. Subject ${thread.subject}. `,
+	);
+}
+
+// =============================================================================
+// 28.9) Discussion reader (discussion view API: entries and replies in thread order)
+// =============================================================================
+
+const DISCUSSION_TTL_MS = 30 * 60 * 1000;
+
+// Announcements are discussion topics too, so their pages work as well
+function discussionFromPath(path = location.pathname) {
+	const m = String(path || "").match(/\/courses\/(\d+)\/(?:discussion_topics|announcements)\/(\d+)/);
+	return m ? { courseId: m[1], topicId: m[2] } : null;
+}
+
+function activeDiscussionReader(state) {
+	const dr = state?.discussionReader;
+	if (!dr || Date.now() - (dr.createdAt || 0) > DISCUSSION_TTL_MS) return null;
+	return dr;
+}
+
+// One reader at a time: "skip thread" and "next" mean the discussion here, not the inbox
+async function saveDiscussionReader(patch) {
+	const state = await mem.get();
+	const next = { ...(activeDiscussionReader(state) || { entries: [], cursor: -1 }), ...patch, createdAt: Date.now() };
+	await remember({ discussionReader: next, inboxReader: null, lastIntent: "DISCUSSION_MODE" });
+	return next;
+}
+
+function discussionHtmlText(html) {
+	const marked = String(html || "").replace(/<\/(p|div|li|h\d|blockquote)>|<br\s*\/?>/gi, "$& ");
+	const text = new DOMParser().parseFromString(marked, "text/html").body.textContent || "";
+	return text.replace(/\s+/g, " ").trim();
+}
+
+// Lean copies for memory: text instead of HTML
+function discussionEntry(e) {
+	const { message, ...rest } = e;
+	return { ...rest, text: discussionHtmlText(message) };
+}
+
+// Deleted posts are skipped; their replies still say who they answered
+function discussionMatches(reader, e) {
+	return !e.deleted && (!reader.unreadOnly || e.unread);
+}
+
+function discussionWho(id, name, selfId) {
+	return String(id) === String(selfId) ? "you" : name;
+}
+
+function discussionEntryText(reader, idx, selfId) {
+	const e = reader.entries[idx];
+	const visible = reader.entries.filter((x) => !x.deleted);
+	const pos = visible.indexOf(e) + 1;
+	const parent = reader.entries.find((x) => x.id === e.parentId);
+
+	const bits = [`Post ${pos} of ${visible.length}`, discussionWho(e.authorId, e.author, selfId)];
+	if (e.depth > 0) {
+		const to = parent ? discussionWho(parent.authorId, parent.author, selfId) : e.parentAuthor || "a post";
+		bits.push(`${e.depth > 1 ? "nested reply" : "reply"} to ${to}`);
+	}
+	if (e.createdAt) bits.push(toLocalDueLabel(e.createdAt));
+	if (e.unread) bits.push("unread");
+
+	let msg = `${`${bits.join(", ")}: ${e.text || "no text"}`.replace(/[.!?]\s*$/, "")}.`;
+	if (e.likes) msg += ` ${e.likes} like${e.likes === 1 ? "" : "s"}${e.liked ? ", including yours" : ""}.`;
+	return msg;
+}
+
+// Next (step 1) or previous (step -1) entry from `from` that passes the filter;
+// skipThread also skips the rest of the current thread
+function discussionStep(reader, from, step, { skipThread = false } = {}) {
+	const thread = reader.entries[from]?.threadId;
+	for (let i = from + step; i >= 0 && i < reader.entries.length; i += step) {
+		const e = reader.entries[i];
+		if (skipThread && thread != null && e.threadId === thread) continue;
+		if (discussionMatches(reader, e)) return i;
+	}
+	return -1;
+}
+
+async function speakDiscussionEntry(reader, idx, prefix = "") {
+	const selfId = await getInboxSelfId();
+	const e = reader.entries[idx];
+	const isLast = discussionStep(reader, idx, 1) < 0;
+	const tail = isLast
+		? ` That's the last ${reader.unreadOnly ? "unread post" : "post"}. Say reply to this post, or like this post.`
+		: " Say next reply, skip thread, or reply to this post.";
+
+	const chunks = splitSpeechChunks(`${prefix}${discussionEntryText(reader, idx, selfId)}${tail}`, 900);
+	for (const chunk of chunks) await speak(chunk, { mode: "read", raw: true });
+
+	// Heard means read; the entry keeps its "unread" flag so "only unread" still finds it this session
+	if (e.unread && !e.markedRead) {
+		markDiscussionEntryRead({ courseId: reader.courseId, topicId: reader.topicId, entryId: e.id }).catch((err) =>
+			console.warn("mark entry read failed:", err),
+		);
+	}
+	const entries = reader.entries.map((x, i) => (i === idx ? { ...x, markedRead: true } : x));
+	await saveDiscussionReader({ ...reader, entries, cursor: idx });
+	return { ok: true, message: `Read discussion entry ${e.id}` };
+}
+
+async function actReadDiscussion(slots = {}) {
+	const where = discussionFromPath();
+	if (!where) {
+		await speak("Open a discussion first, then say read this discussion.", { mode: "say" });
+		return { ok: false, message: "Not on a discussion page" };
+	}
+
+	let topic, entries;
+	try {
+		const [t, view] = await Promise.all([fetchDiscussionTopic(where), fetchDiscussionView(where)]);
+		topic = t;
+		entries = normalizeDiscussionView(view).map(discussionEntry);
+	} catch (e) {
+		console.warn("discussion fetch failed:", e);
+		await speak("I can't load this discussion right now. Try again in a moment.", { mode: "say" });
+		return { ok: false, message: "Discussion fetch failed" };
+	}
+
+	const title = String(topic?.title || "This discussion").trim();
+	const reader = await saveDiscussionReader({
+		...where,
+		title,
+		entries,
+		cursor: -1,
+		unreadOnly: !!slots.unread,
+		canLike: topic?.allow_rating === true && topic?.only_graders_can_rate !== true,
+	});
+
+	const posts = entries.filter((e) => !e.deleted);
+	const unread = posts.filter((e) => e.unread).length;
+	const author = topic?.author?.display_name;
+	const when = topic?.posted_at ? `, ${toLocalDueLabel(topic.posted_at)}` : "";
+	let header = `${title}${author ? `, posted by ${author}${when}` : ""}. `;
+	header += posts.length
+		? `${posts.length} post${posts.length === 1 ? "" : "s"}${unread ? `, ${unread} unread` : ""}. `
+		: "No replies yet. ";
+
+	if (reader.unreadOnly) {
+		const first = discussionStep(reader, -1, 1);
+		if (first < 0) {
+			await speak(`${header}Nothing unread here.`, { mode: "say" });
+			return { ok: true, message: "No unread discussion entries" };
+		}
+		return await speakDiscussionEntry(reader, first, header);
+	}
+
+	const prompt = discussionHtmlText(topic?.message);
+	const tail = posts.length
+		? " Say next reply to start, or read only unread."
+		: " Say reply to this post to start the conversation.";
+	const chunks = splitSpeechChunks(`${header}${prompt ? `${prompt} ` : ""}${tail}`.trim(), 900);
+	for (const chunk of chunks) await speak(chunk, { mode: "read", raw: true });
+	return { ok: true, message: `Read discussion topic ${where.topicId}` };
+}
+
+async function actDiscussionMove(reader, step, opts = {}) {
+	const idx = discussionStep(reader, reader.cursor ?? -1, step, opts);
+	if (idx >= 0) return await speakDiscussionEntry(reader, idx);
+
+	const what = reader.unreadOnly ? "unread posts" : "posts";
+	const msg =
+		step < 0
+			? "That's the first post."
+			: `No more ${opts.skipThread ? `threads with ${what}` : what}. Say reply to this post, or read this discussion to start over.`;
+	await speak(msg, { mode: "say" });
+	return { ok: false, message: step < 0 ? "Start of discussion" : "End of discussion" };
+}
+
+async function actDiscussionUnreadOnly(reader, unreadOnly) {
+	const next = { ...reader, unreadOnly };
+	if (!unreadOnly) {
+		await saveDiscussionReader({ unreadOnly });
+		await speak("Okay, reading every post. Say next reply.", { mode: "say" });
+		return { ok: true, message: "Discussion filter off" };
+	}
+	// From where the user is, else from the top
+	let idx = discussionStep(next, reader.cursor ?? -1, 1);
+	if (idx < 0) idx = discussionStep(next, -1, 1);
+	if (idx < 0) {
+		await speak("There's nothing unread in this discussion.", { mode: "say" });
+		return { ok: true, message: "No unread discussion entries" };
+	}
+	return await speakDiscussionEntry(next, idx, "Only unread posts. ");
+}
+
+async function actDiscussionLike(reader, like) {
+	const e = reader.entries[reader.cursor ?? -1];
+	if (!e) {
+		await speak("Say next reply first, then like this post.", { mode: "say" });
+		return { ok: false, message: "No discussion entry to like" };
+	}
+	if (!reader.canLike) {
+		await speak("This discussion doesn't allow likes.", { mode: "say" });
+		return { ok: false, message: "Liking disabled" };
+	}
+	if (e.liked === like) {
+		await speak(like ? "You already liked it." : "You haven't liked it.", { mode: "say" });
+		return { ok: true, message: "Like unchanged" };
+	}
+
+	try {
+		await rateDiscussionEntry({
+			courseId: reader.courseId,
+			topicId: reader.topicId,
+			entryId: e.id,
+			rating: like ? 1 : 0,
+		});
+	} catch (err) {
+		console.warn("discussion rating failed:", err);
+		await speak("Canvas didn't accept that. Try again in a moment.", { mode: "say" });
+		return { ok: false, message: "Discussion rating failed" };
+	}
+
+	const likes = Math.max(0, (e.likes || 0) + (like ? 1 : -1));
+	const entries = reader.entries.map((x) => (x.id === e.id ? { ...x, liked: like, likes } : x));
+	await saveDiscussionReader({ entries });
+	await speak(like ? `Liked ${e.author}'s post.` : "Removed your like.", { mode: "say" });
+	return { ok: true, message: like ? "Liked entry" : "Unliked entry" };
+}
+
+defineDialog("discussionReply", {
+	intent: intents.READ_DISCUSSION,
+	stepIntent: "DISCUSSION_REPLY_STEP",
+	slots: [
+		dictationSlot("body", null, (v) => `What should your reply to ${v.to} say? Say done when you're finished.`),
+		dictationSendSlot("body", (v) => `Your reply to ${v.to}`),
+	],
+	finish: async (v) => {
+		try {
+			await postDiscussionReply({
+				courseId: v.courseId,
+				topicId: v.topicId,
+				entryId: v.entryId,
+				message: docToHtml(v.bodyDoc) || `<p>${escapeHtml(dictatedText(v, "body"))}</p>`,
+			});
+		} catch (e) {
+			console.warn("discussion reply failed:", e);
+			await speak("That didn't post. Try again in a moment.", { mode: "say" });
+			return { ok: false, message: "Discussion reply failed" };
+		}
+		await speak(`Posted your reply to ${v.to}.`, { mode: "say" });
+		return { ok: true, message: "Discussion reply posted" };
+	},
+	canceled: "Okay, nothing was posted.",
+});
+
+// "reply to this post" answers the post just read; "reply to the discussion" answers the topic
+async function actDiscussionReply(reader, { topic = false, text = "" } = {}) {
+	const e = topic ? null : reader.entries[reader.cursor ?? -1];
+	const selfId = await getInboxSelfId();
+	const values = {
+		courseId: reader.courseId,
+		topicId: reader.topicId,
+		entryId: e?.id ?? null,
+		to: e ? discussionWho(e.authorId, `${e.author}'s post`, selfId).replace(/^you$/, "your own post") : reader.title,
+	};
+	if (text) values.body = text;
+	const result = await startDialog("discussionReply", values);
+	return result || { ok: false, message: "Discussion reply not started" };
+}
+
+async function maybeHandleDiscussionMode(utterance) {
+	const state = await mem.get();
+	const reader = activeDiscussionReader(state);
+	if (!reader) return null;
+
+	const said = String(utterance || "").trim();
+	const lower = said
+		.toLowerCase()
+		.replace(/[?!.]+$/g, "")
+		.trim();
+	// Bare "next" / "back" / "repeat" only count right after a discussion turn
+	const inTurn = ["DISCUSSION_MODE", intents.READ_DISCUSSION].includes(state.lastIntent);
+	const done = (result, reason) => ({ intent: "DISCUSSION_MODE", result: { ...result, confidence: 0.96, reason } });
+
+	if (/^(exit|close|leave|stop)\s+(reading\s+)?(the\s+|this\s+)?(discussion|thread|replies)$/.test(lower)) {
+		await remember({ discussionReader: null });
+		await speak("Okay, leaving the discussion.", { mode: "say" });
+		return done({ ok: true, message: "Discussion mode off" }, "discussion exit");
+	}
+
+	if (/^(skip|next)\s+(this\s+)?thread$|^skip( this| it)?$/.test(lower)) {
+		return done(await actDiscussionMove(reader, 1, { skipThread: true }), "discussion skip thread");
+	}
+	if (/^next\s+(reply|post|entry)$/.test(lower) || (inTurn && /^(next|continue|go on)$/.test(lower))) {
+		return done(await actDiscussionMove(reader, 1), "discussion next");
+	}
+	if (/^previous\s+(reply|post|entry)$/.test(lower) || (inTurn && /^(previous|back)$/.test(lower))) {
+		return done(await actDiscussionMove(reader, -1), "discussion previous");
+	}
+	if (inTurn && reader.cursor >= 0 && /^(repeat|again|say (that|it) again)$/.test(lower)) {
+		return done(await speakDiscussionEntry(reader, reader.cursor), "discussion repeat");
+	}
+
+	if (/^(?:read\s+)?(?:only\s+(?:the\s+)?unread|unread\s+only)(?:\s+(?:replies|posts))?$/.test(lower)) {
+		return done(await actDiscussionUnreadOnly(reader, true), "discussion unread only");
+	}
+	if (/^read\s+(everything|all(\s+(the\s+)?(replies|posts))?|every\s+(reply|post))$/.test(lower)) {
+		return done(await actDiscussionUnreadOnly(reader, false), "discussion read all");
+	}
+
+	const like = lower.match(/^(un)?like\s+(?:this|that|it)(?:\s+(?:post|reply))?$/);
+	if (like) return done(await actDiscussionLike(reader, !like[1]), like[1] ? "discussion unlike" : "discussion like");
+
+	const reply = said.match(
+		/^reply\s+to\s+(?:(?<post>this|that|the)\s+(?:post|reply|entry)|(?<topic>the\s+(?:discussion|topic)))(?:\s*[,:]\s*|\s+saying\s+)?(?<text>.*)$/i,
+	);
+	if (reply) {
+		const { topic, text } = reply.groups;
+		return done(await actDiscussionReply(reader, { topic: !!topic, text: text.trim() }), "discussion reply");
+	}
+	// Bare "reply" / "reply saying …" right after a post was read
+	const bare = inTurn && said.match(/^reply(?:\s*[,:]\s*|\s+saying\s+|$)(?<text>.*)$/i);
+	if (bare) return done(await actDiscussionReply(reader, { text: bare.groups.text.trim() }), "discussion reply");
+
+	return null;
+}
+
+// =============================================================================
+// 29) Bootstrap: always install auto-resume hooks
+// =============================================================================
+
+try {
+	initAutoResume();
+} catch (e) {
+	console.warn("initAutoResume failed:", e);
+}
+
+getUserTimeZone().catch((e) => console.warn("getUserTimeZone failed:", e));
+resumeQuizMode().catch((e) => console.warn("resumeQuizMode failed:", e));
+resumeMfaWatch().catch((e) => console.warn("resumeMfaWatch failed:", e));
+
 // =============================================================================
 // 30) Other Helpers
 // =============================================================================
@@ -0,0 +1,213 @@
+// lib/barge_in.js
+// Barge-in: let the user talk over Convox.
+//
+// The recognizer keeps running while we speak, so every transcript is screened:
+//   echo    — it's our own voice coming back through the mic; drop it
+//   stop    — "stop", "wait", "be quiet"…; speech stops, anything after the keyword is the command
+//   command — real speech over ours; speech stops and the text is handled normally
+//   pass    — nothing is being spoken; handle as usual
+//
+// startVoiceTrigger() adds the voice-activity side: a loud enough sound on the
+// mic while we talk pauses speech right away, then the transcript decides
+// whether to stop for good or resume.
+
+import { isSpeaking, isPaused, pauseSpeaking, resumeSpeaking, currentSpeech, stopSpeaking } from "./tts.js";
+import { normalizeSpoken } from "./fuzzy_match.js";
+
+export const BARGE_IN_SETTINGS_KEY = "bargeIn";
+
+export const DEFAULT_BARGE_IN_SETTINGS = {
+	enabled: true,
+	// Pause on any speech above the threshold, before a transcript arrives
+	voiceTrigger: true,
+	// Mic RMS level that counts as the user talking (0..1)
+	threshold: 0.06,
+};
+
+const STOP_WORDS_RE =
+	/^(?:(?:ok(?:ay)?|hey|no)\s+)?(?:stop(?:\s+(?:talking|reading|it))?|wait|hold on|pause|quiet|be quiet|shut up|enough|cancel|never mind|nevermind)\b\s*/;
+
+// Share of heard words found, in order, in what we're saying before we call it echo
+const ECHO_OVERLAP = 0.7;
+// How long a voice-triggered pause waits for a real transcript before resuming
+const RESUME_AFTER_MS = 1800;
+// Voice must stay above the threshold this long to count (ignores clicks and bumps)
+const VOICE_MIN_MS = 250;
+const LEVEL_TICK_MS = 50;
+
+function words(text) {
+	return normalizeSpoken(text).split(" ").filter(Boolean);
+}
+
+// How many `heard` words appear in `said` in the same order (longest common subsequence)
+function orderedOverlap(heard, said) {
+	let prev = new Array(said.length + 1).fill(0);
+	for (const w of heard) {
+		const row = [0];
+		for (let j = 0; j < said.length; j++) row.push(w === said[j] ? prev[j] + 1 : Math.max(prev[j + 1], row[j]));
+		prev = row;
+	}
+	return prev[said.length];
+}
+
+/**
+ * True when the heard text is (mostly) the utterance we're playing, in the same word order.
+ * Earlier utterances, and the same words out of order ("grades open"), don't count.
+ * @param {string} heard
+ * @param {string} [spoken]  defaults to what the TTS service is saying / just said
+ */
+export function isEcho(heard, spoken = currentSpeech()) {
+	const h = words(heard);
+	const said = words(spoken);
+	if (!h.length || !said.length) return false;
+	return orderedOverlap(h, said) / h.length >= ECHO_OVERLAP;
+}
+
+let settingsCache = null;
+
+export async function getBargeInSettings() {
+	if (settingsCache) return settingsCache;
+	try {
+		const data = await chrome.storage.sync.get(BARGE_IN_SETTINGS_KEY);
+		settingsCache = { ...DEFAULT_BARGE_IN_SETTINGS, ...data[BARGE_IN_SETTINGS_KEY] };
+	} catch {
+		settingsCache = { ...DEFAULT_BARGE_IN_SETTINGS };
+	}
+	return settingsCache;
+}
+
+try {
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area === "sync" && changes[BARGE_IN_SETTINGS_KEY]) {
+			settingsCache = null;
+			getBargeInSettings();
+		}
+	});
+} catch {}
+// screenTranscript() runs inside recognition handlers, so keep the settings warm
+getBargeInSettings();
+
+let resumeTimer = null;
+
+function cancelResume() {
+	clearTimeout(resumeTimer);
+	resumeTimer = null;
+}
+
+// After the user interrupts, their next transcripts skip the echo check: the
+// final result of the same utterance arrives once we've already gone quiet.
+let userTurnUntil = 0;
+const USER_TURN_MS = 5000;
+// Recognition lags the audio; results this soon after we stop may still be echo
+const ECHO_TAIL_MS = 1500;
+
+function matchStopWords(heard) {
+	const normalized = heard
+		.toLowerCase()
+		.replace(/[^\w\s']/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+	const m = normalized.match(STOP_WORDS_RE);
+	return m ? { words: m[0].trim(), rest: normalized.slice(m[0].length).trim() } : null;
+}
+
+/**
+ * Decide what to do with a transcript that may have arrived while we were talking.
+ * Call it for interim results too, so speech stops as soon as the user is heard.
+ * A "stop" with empty text has nothing left to route.
+ * @param {string} text
+ * @returns {{action: "pass"|"echo"|"stop"|"command", text: string}}
+ */
+export function screenTranscript(text) {
+	const heard = String(text || "").trim();
+	if (settingsCache && !settingsCache.enabled) return { action: "pass", text: heard };
+	const stop = matchStopWords(heard);
+	// "stop" on its own is always the user, even when we happen to be saying it
+	const isStopOnly = !!stop && !stop.rest;
+
+	if (!isSpeaking()) {
+		if (Date.now() < userTurnUntil) return stop ? { action: "stop", text: stop.rest } : { action: "pass", text: heard };
+		if (heard && !isStopOnly && isEcho(heard, currentSpeech(ECHO_TAIL_MS))) return { action: "echo", text: "" };
+		return { action: "pass", text: heard };
+	}
+
+	// Our own words coming back. A stop word we didn't just say still counts.
+	if (!heard || (!isStopOnly && isEcho(heard) && !(stop && !isEcho(stop.words)))) {
+		// A voice-triggered pause was only our echo: carry on talking
+		if (heard && isPaused()) {
+			cancelResume();
+			resumeSpeaking();
+		}
+		return { action: "echo", text: "" };
+	}
+
+	cancelResume();
+	stopSpeaking();
+	userTurnUntil = Date.now() + USER_TURN_MS;
+	return stop ? { action: "stop", text: stop.rest } : { action: "command", text: heard };
+}
+
+/**
+ * Watch the mic while we speak and pause as soon as the user starts talking.
+ * @param {{deviceId?: string, active?: () => boolean}} [opts]
+ *   active: only react while this is true (e.g. a wake-word listening window is open)
+ * @returns {Promise<() => void>} call to stop watching
+ */
+export async function startVoiceTrigger(opts = {}) {
+	const settings = await getBargeInSettings();
+	if (!settings.enabled || !settings.voiceTrigger || !navigator.mediaDevices?.getUserMedia) return () => {};
+
+	let stream;
+	try {
+		const audio =
+			opts.deviceId && opts.deviceId !== "default"
+				? { deviceId: { exact: opts.deviceId }, echoCancellation: true, noiseSuppression: true }
+				: { echoCancellation: true, noiseSuppression: true };
+		stream = await navigator.mediaDevices.getUserMedia({ audio });
+	} catch (e) {
+		console.warn("[barge-in] mic unavailable, voice trigger off:", e);
+		return () => {};
+	}
+
+	const ctx = new AudioContext();
+	const analyser = ctx.createAnalyser();
+	analyser.fftSize = 1024;
+	ctx.createMediaStreamSource(stream).connect(analyser);
+	const samples = new Float32Array(analyser.fftSize);
+	let loudSince = 0;
+
+	const ticker = setInterval(async () => {
+		if (!isSpeaking() || isPaused() || (opts.active && !opts.active())) {
+			loudSince = 0;
+			return;
+		}
+		analyser.getFloatTimeDomainData(samples);
+		let sum = 0;
+		for (const s of samples) sum += s * s;
+		const level = Math.sqrt(sum / samples.length);
+
+		const { threshold } = await getBargeInSettings();
+		if (level < threshold) {
+			loudSince = 0;
+			return;
+		}
+		loudSince ||= Date.now();
+		if (Date.now() - loudSince < VOICE_MIN_MS) return;
+
+		loudSince = 0;
+		if (!pauseSpeaking()) return;
+		// No real transcript in time: it was noise or echo, keep talking
+		cancelResume();
+		resumeTimer = setTimeout(() => {
+			resumeTimer = null;
+			resumeSpeaking();
+		}, RESUME_AFTER_MS);
+	}, LEVEL_TICK_MS);
+
+	return () => {
+		clearInterval(ticker);
+		cancelResume();
+		stream.getTracks().forEach((t) => t.stop());
+		ctx.close().catch(() => {});
+	};
+}
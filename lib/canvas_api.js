@@ -20,11 +20,11 @@ function parseNextLink(linkHeader = "") {
 	return null;
 }
 
-async function fetchJsonPaged(url) {
+async function fetchJsonPaged(url, { maxPages = 25 } = {}) {
 	let out = [];
 	let next = withPerPage(url);
 
-	for (let guard = 0; guard < 25 && next; guard++) {
+	for (let guard = 0; guard < maxPages && next; guard++) {
 		const res = await fetch(next, {
 			method: "GET",
 			credentials: "include",
@@ -47,6 +47,33 @@ async function fetchJsonPaged(url) {
 	return out;
 }
 
+// Canvas rejects same-origin writes without the session's CSRF token, which it
+// keeps (URL-encoded) in the _csrf_token cookie.
+function csrfToken() {
+	const m = String(document.cookie || "").match(/(?:^|;\s*)_csrf_token=([^;]+)/);
+	return m ? decodeURIComponent(m[1]) : "";
+}
+
+async function sendJson(url, { method = "POST", body = null } = {}) {
+	const res = await fetch(new URL(url, window.location.origin).toString(), {
+		method,
+		credentials: "include",
+		headers: {
+			Accept: "application/json",
+			"Content-Type": "application/json",
+			"X-CSRF-Token": csrfToken(),
+		},
+		body: body == null ? undefined : JSON.stringify(body),
+	});
+
+	if (!res.ok) {
+		const txt = await res.text().catch(() => "");
+		throw new Error(`Canvas API failed (${res.status}): ${txt.slice(0, 180)}`);
+	}
+
+	return await res.json().catch(() => null);
+}
+
 // ---- Public API ------------------------------------------------------------
 
 export async function fetchPlannerItems({ startDateISO, endDateISO } = {}) {
@@ -65,6 +92,239 @@ export async function fetchUserTodo() {
 	return await fetchJsonPaged(u.toString());
 }
 
+// Profile carries the user's Canvas time zone (IANA name, e.g. "America/Denver").
+export async function fetchUserProfile() {
+	const u = new URL("/api/v1/users/self/profile", window.location.origin);
+	const [profile] = await fetchJsonPaged(u.toString());
+	return profile || null;
+}
+
+export async function fetchCourses() {
+	const u = new URL("/api/v1/courses", window.location.origin);
+	u.searchParams.set("enrollment_state", "active");
+	return await fetchJsonPaged(u.toString());
+}
+
+// Student enrollments carry the grade summary (current/final score + letter).
+// With courseId we ask only for that course; otherwise every active enrollment.
+export async function fetchCourseGrades({ courseId } = {}) {
+	const u = courseId
+		? new URL(`/api/v1/courses/${encodeURIComponent(courseId)}/enrollments`, window.location.origin)
+		: new URL("/api/v1/users/self/enrollments", window.location.origin);
+	if (courseId) u.searchParams.set("user_id", "self");
+	u.searchParams.append("type[]", "StudentEnrollment");
+	u.searchParams.append("state[]", "active");
+	u.searchParams.append("include[]", "current_points");
+	return await fetchJsonPaged(u.toString());
+}
+
+// Own submissions for a course (or one assignment), with the assignment attached
+// so we know the title and points possible.
+export async function fetchSubmissions({ courseId, assignmentId, include = ["assignment"] } = {}) {
+	if (!courseId) throw new Error("fetchSubmissions: courseId is required");
+
+	const path = assignmentId
+		? `/api/v1/courses/${encodeURIComponent(courseId)}/assignments/${encodeURIComponent(assignmentId)}/submissions/self`
+		: `/api/v1/courses/${encodeURIComponent(courseId)}/students/submissions`;
+	const u = new URL(path, window.location.origin);
+	if (!assignmentId) u.searchParams.append("student_ids[]", "self");
+	for (const inc of include || []) u.searchParams.append("include[]", inc);
+
+	return await fetchJsonPaged(u.toString());
+}
+
+export async function fetchAssignment({ courseId, assignmentId } = {}) {
+	if (!courseId || !assignmentId) throw new Error("fetchAssignment: courseId and assignmentId are required");
+	const u = new URL(
+		`/api/v1/courses/${encodeURIComponent(courseId)}/assignments/${encodeURIComponent(assignmentId)}`,
+		window.location.origin,
+	);
+	const [a] = await fetchJsonPaged(u.toString());
+	return a || null;
+}
+
+// Assignment groups with their assignments and the student's submission on each;
+// the enrollment only carries points earned, so points possible come from here.
+export async function fetchAssignmentGroups({ courseId } = {}) {
+	if (!courseId) throw new Error("fetchAssignmentGroups: courseId is required");
+	const u = new URL(`/api/v1/courses/${encodeURIComponent(courseId)}/assignment_groups`, window.location.origin);
+	u.searchParams.append("include[]", "assignments");
+	u.searchParams.append("include[]", "submission");
+	return await fetchJsonPaged(u.toString());
+}
+
+// Calendar entries in a date window. type: "event" (course/personal events) or
+// "assignment" (due dates). Canvas only searches the contexts passed in
+// context_codes and caps them at 10 per request, so larger lists are chunked.
+export async function fetchCalendarEvents({ startDateISO, endDateISO, type = "event", contextCodes = [] } = {}) {
+	const codes = contextCodes.length ? contextCodes : ["user_self"];
+	let out = [];
+
+	for (let i = 0; i < codes.length; i += 10) {
+		const u = new URL("/api/v1/calendar_events", window.location.origin);
+		u.searchParams.set("type", type);
+		if (startDateISO) u.searchParams.set("start_date", startDateISO);
+		if (endDateISO) u.searchParams.set("end_date", endDateISO);
+		for (const code of codes.slice(i, i + 10)) u.searchParams.append("context_codes[]", code);
+		out = out.concat(await fetchJsonPaged(u.toString()));
+	}
+
+	return out;
+}
+
+// Files in the user's personal "My Files" area, newest first.
+export async function fetchMyFiles({ searchTerm = "" } = {}) {
+	const u = new URL("/api/v1/users/self/files", window.location.origin);
+	// Canvas requires at least 2 characters for search_term
+	if (String(searchTerm || "").trim().length >= 2) u.searchParams.set("search_term", String(searchTerm).trim());
+	u.searchParams.set("sort", "updated_at");
+	u.searchParams.set("order", "desc");
+	return await fetchJsonPaged(u.toString());
+}
+
+// type: "online_text_entry" (body = HTML) | "online_url" (url) | "online_upload" (fileIds).
+// Files picked from My Files are passed by id; Canvas copies them into the
+// submission folder itself.
+export async function submitAssignment({ courseId, assignmentId, type, body, url, fileIds = [], comment } = {}) {
+	if (!courseId || !assignmentId) throw new Error("submitAssignment: courseId and assignmentId are required");
+
+	const submission = { submission_type: type };
+	if (type === "online_text_entry") submission.body = String(body || "");
+	else if (type === "online_url") submission.url = String(url || "");
+	else if (type === "online_upload") submission.file_ids = fileIds;
+	else throw new Error(`submitAssignment: unsupported submission type "${type}"`);
+
+	const payload = { submission };
+	if (comment) payload.comment = { text_comment: String(comment) };
+
+	return await sendJson(
+		`/api/v1/courses/${encodeURIComponent(courseId)}/assignments/${encodeURIComponent(assignmentId)}/submissions`,
+		{ body: payload },
+	);
+}
+
+// ---- Conversations (inbox) --------------------------------------------------
+
+// scope: "inbox" | "unread" | "starred" | "sent" | "archived". courseId narrows to
+// one course. Newest first; one page is plenty to speak.
+export async function fetchConversations({ scope = "inbox", courseId, perPage = 20 } = {}) {
+	const u = new URL("/api/v1/conversations", window.location.origin);
+	if (scope && scope !== "inbox") u.searchParams.set("scope", scope);
+	if (courseId) u.searchParams.append("filter[]", `course_${courseId}`);
+	u.searchParams.set("per_page", String(perPage));
+	return await fetchJsonPaged(u.toString(), { maxPages: 1 });
+}
+
+// One conversation with its messages (newest first). Canvas marks it read.
+export async function fetchConversation(conversationId) {
+	if (!conversationId) throw new Error("fetchConversation: conversationId is required");
+	const u = new URL(`/api/v1/conversations/${encodeURIComponent(conversationId)}`, window.location.origin);
+	const [c] = await fetchJsonPaged(u.toString(), { maxPages: 1 });
+	return c || null;
+}
+
+// Reply in a conversation. Without recipients Canvas sends to every participant
+// (reply all); includedMessages quotes earlier messages for new recipients.
+export async function addConversationMessage({ conversationId, body, recipients = [], includedMessages = [] } = {}) {
+	if (!conversationId || !String(body || "").trim()) {
+		throw new Error("addConversationMessage: conversationId and body are required");
+	}
+	const payload = { body: String(body) };
+	if (recipients.length) payload.recipients = recipients.map(String);
+	if (includedMessages.length) payload.included_messages = includedMessages.map(String);
+	return await sendJson(`/api/v1/conversations/${encodeURIComponent(conversationId)}/add_message`, { body: payload });
+}
+
+// Start a conversation. recipients are user ids or groups ("course_123_tas");
+// groupConversation keeps everyone on one thread instead of one copy each.
+export async function createConversation({
+	recipients = [],
+	subject = "",
+	body,
+	contextCode,
+	groupConversation = true,
+} = {}) {
+	if (!recipients.length || !String(body || "").trim()) {
+		throw new Error("createConversation: recipients and body are required");
+	}
+	const payload = {
+		recipients: recipients.map(String),
+		subject: String(subject || ""),
+		body: String(body),
+		group_conversation: groupConversation,
+	};
+	if (contextCode) payload.context_code = contextCode;
+	return await sendJson("/api/v1/conversations", { body: payload });
+}
+
+// workflowState: "read" | "unread" | "archived"; starred: true | false
+export async function updateConversation(conversationId, { workflowState, starred } = {}) {
+	if (!conversationId) throw new Error("updateConversation: conversationId is required");
+	const conversation = {};
+	if (workflowState) conversation.workflow_state = workflowState;
+	if (typeof starred === "boolean") conversation.starred = starred;
+	return await sendJson(`/api/v1/conversations/${encodeURIComponent(conversationId)}`, {
+		method: "PUT",
+		body: { conversation },
+	});
+}
+
+// People (and groups like "course_123_teachers") the user may message. context
+// ("course_123", "course_123_students"…) narrows the search; type "user" | "context".
+export async function searchRecipients({ search = "", context, type, perPage = 10 } = {}) {
+	const u = new URL("/api/v1/search/recipients", window.location.origin);
+	if (search) u.searchParams.set("search", search);
+	if (context) u.searchParams.set("context", context);
+	if (type) u.searchParams.set("type", type);
+	u.searchParams.set("per_page", String(perPage));
+	return await fetchJsonPaged(u.toString(), { maxPages: 1 });
+}
+
+// ---- Discussions -------------------------------------------------------------
+
+function discussionPath(courseId, topicId, rest = "") {
+	if (!courseId || !topicId) throw new Error("discussion API: courseId and topicId are required");
+	return `/api/v1/courses/${encodeURIComponent(courseId)}/discussion_topics/${encodeURIComponent(topicId)}${rest}`;
+}
+
+export async function fetchDiscussionTopic({ courseId, topicId } = {}) {
+	const [t] = await fetchJsonPaged(new URL(discussionPath(courseId, topicId), window.location.origin).toString(), {
+		maxPages: 1,
+	});
+	return t || null;
+}
+
+// The whole reply tree in one call, with who posted, what is unread and what
+// the user liked. Entries posted since Canvas cached the tree come in new_entries.
+export async function fetchDiscussionView({ courseId, topicId } = {}) {
+	const u = new URL(discussionPath(courseId, topicId, "/view"), window.location.origin);
+	u.searchParams.set("include_new_entries", "1");
+	const [v] = await fetchJsonPaged(u.toString(), { maxPages: 1 });
+	return v || null;
+}
+
+// rating: 1 likes the entry, 0 takes the like back.
+export async function rateDiscussionEntry({ courseId, topicId, entryId, rating = 1 } = {}) {
+	if (!entryId) throw new Error("rateDiscussionEntry: entryId is required");
+	return await sendJson(discussionPath(courseId, topicId, `/entries/${encodeURIComponent(entryId)}/rating`), {
+		body: { rating },
+	});
+}
+
+export async function markDiscussionEntryRead({ courseId, topicId, entryId } = {}) {
+	if (!entryId) throw new Error("markDiscussionEntryRead: entryId is required");
+	return await sendJson(discussionPath(courseId, topicId, `/entries/${encodeURIComponent(entryId)}/read`), {
+		method: "PUT",
+	});
+}
+
+// Reply to one entry, or (without entryId) post to the topic itself. message is HTML.
+export async function postDiscussionReply({ courseId, topicId, entryId, message } = {}) {
+	if (!String(message || "").trim()) throw new Error("postDiscussionReply: message is required");
+	const rest = entryId ? `/entries/${encodeURIComponent(entryId)}/replies` : "/entries";
+	return await sendJson(discussionPath(courseId, topicId, rest), { body: { message: String(message) } });
+}
+
 // ---- Normalization helpers -------------------------------------------------
 
 export function normalizeCanvasItem(x) {
@@ -99,3 +359,214 @@ export function normalizeCanvasItem(x) {
 		type,
 	};
 }
+
+export function normalizeEnrollmentGrade(enr, course = null) {
+	const g = enr?.grades || {};
+
+	return {
+		courseId: enr?.course_id ?? course?.id ?? null,
+		courseName: course?.name || null,
+		courseCode: course?.course_code || null,
+		currentScore: g.current_score ?? enr?.computed_current_score ?? null,
+		currentGrade: g.current_grade ?? enr?.computed_current_grade ?? null,
+		finalScore: g.final_score ?? enr?.computed_final_score ?? null,
+		finalGrade: g.final_grade ?? enr?.computed_final_grade ?? null,
+		currentPoints: enr?.current_points ?? null,
+		// Instructor turned off totals for students ("hide final grades")
+		hidden: course?.hide_final_grades === true,
+		url: g.html_url || enr?.html_url || null,
+		raw: enr,
+	};
+}
+
+// Points possible behind an enrollment's current_points: assignments that count
+// toward the grade and have a posted, non-excused score. Null when none do.
+export function gradedPointsPossible(groups) {
+	let total = 0;
+	let counted = 0;
+	for (const g of groups || []) {
+		for (const a of g?.assignments || []) {
+			const s = a?.submission;
+			if (a?.omit_from_final_grade || s?.excused || s?.score == null) continue;
+			total += Number(a.points_possible) || 0;
+			counted++;
+		}
+	}
+	return counted ? total : null;
+}
+
+export function normalizeSubmission(x) {
+	const a = x?.assignment || {};
+
+	// Older Canvas: assignment.muted. Newer (post policies): manual posting + no posted_at yet.
+	const muted = a.muted === true || (a.post_manually === true && !x?.posted_at);
+
+	return {
+		assignmentId: x?.assignment_id ?? a.id ?? null,
+		courseId: a.course_id ?? null,
+		title: String(a.name || x?.assignment_name || "(Untitled)").trim(),
+		points: a.points_possible ?? null,
+		score: x?.score ?? null,
+		grade: x?.grade ?? null,
+		state: x?.workflow_state || null,
+		submittedAt: x?.submitted_at || null,
+		gradedAt: x?.graded_at || null,
+		late: x?.late === true,
+		missing: x?.missing === true,
+		excused: x?.excused === true,
+		muted,
+		url: a.html_url || x?.preview_url || null,
+		raw: x,
+	};
+}
+
+// Needs fetchSubmissions(..., include: ["assignment", "submission_comments", "rubric_assessment"]).
+// Rubric criteria come from assignment.rubric; the student's marks from rubric_assessment.
+export function normalizeSubmissionFeedback(x) {
+	const a = x?.assignment || {};
+	const assessment = x?.rubric_assessment || {};
+
+	const comments = (x?.submission_comments || []).map((c) => ({
+		author: c?.author_name || c?.author?.display_name || "Someone",
+		text: String(c?.comment || "").trim(),
+		createdAt: c?.created_at || null,
+		media: c?.media_comment ? c.media_comment.media_type || "media" : null,
+		attachments: (c?.attachments || []).map((f) => f?.display_name || f?.filename).filter(Boolean),
+	}));
+
+	const criteria = (a.rubric || []).map((cr) => {
+		const got = assessment[cr.id] || {};
+		const rating = (cr.ratings || []).find((r) => r.id === got.rating_id) || null;
+		return {
+			id: cr.id,
+			description: String(cr.description || "").trim(),
+			points: got.points ?? null,
+			maxPoints: cr.points ?? null,
+			rating: rating?.description || null,
+			comments: String(got.comments || "").trim(),
+		};
+	});
+
+	return {
+		title: String(a.name || "(Untitled)").trim(),
+		comments,
+		criteria,
+		assessed: Object.keys(assessment).length > 0,
+	};
+}
+
+// Events and assignment due dates share one shape; startAt is the due date for assignments.
+export function normalizeCalendarEvent(x) {
+	const a = x?.assignment || null;
+	const courseId = String(x?.context_code || "").match(/^course_(\d+)$/)?.[1] || a?.course_id || null;
+
+	return {
+		id: x?.id ?? null,
+		type: a || String(x?.id || "").startsWith("assignment_") ? "assignment" : "event",
+		title: String(x?.title || a?.name || "(Untitled)").trim(),
+		startAt: x?.start_at || a?.due_at || null,
+		endAt: x?.end_at || null,
+		allDay: x?.all_day === true,
+		location: String(x?.location_name || x?.location_address || "").trim() || null,
+		courseId,
+		courseName: x?.context_name || null,
+		url: x?.html_url || a?.html_url || null,
+		raw: x,
+	};
+}
+
+// Works for list rows and full conversations; messages come back oldest first.
+export function normalizeConversation(x) {
+	const participants = (x?.participants || []).map((p) => ({ id: p?.id ?? null, name: p?.name || "Someone" }));
+	const nameById = new Map(participants.map((p) => [String(p.id), p.name]));
+
+	return {
+		id: x?.id ?? null,
+		subject: String(x?.subject || "").trim() || "No subject",
+		state: x?.workflow_state || null,
+		unread: x?.workflow_state === "unread",
+		starred: x?.starred === true,
+		lastMessage: String(x?.last_message || x?.last_authored_message || "").trim(),
+		lastAt: x?.last_message_at || x?.last_authored_message_at || null,
+		count: x?.message_count ?? null,
+		participants,
+		// For list rows: the people on the last message, most recent first
+		audience: (x?.audience || []).map((id) => nameById.get(String(id))).filter(Boolean),
+		courseName: x?.context_name || null,
+		contextCode: x?.context_code || null,
+		messages: (x?.messages || [])
+			.map((m) => ({
+				id: m?.id ?? null,
+				authorId: m?.author_id ?? null,
+				author: nameById.get(String(m?.author_id)) || "Someone",
+				body: String(m?.body || "").trim(),
+				createdAt: m?.created_at || null,
+				attachments: (m?.attachments || []).map((f) => f?.display_name || f?.filename).filter(Boolean),
+				media: m?.media_comment ? m.media_comment.media_type || "media" : null,
+			}))
+			.reverse(),
+		raw: x,
+	};
+}
+
+// Recipient search result: a person, or a group ("context") of people.
+export function normalizeRecipient(x) {
+	const isGroup = x?.type === "context" || /^(course|group|section)_/.test(String(x?.id || ""));
+	return {
+		id: String(x?.id ?? ""),
+		name: String(x?.name || x?.full_name || "").trim(),
+		type: isGroup ? "group" : "user",
+		userCount: x?.user_count ?? null,
+		raw: x,
+	};
+}
+
+// Flattens a discussion view into reading order: each entry, then its replies.
+// threadId is the top-level entry a reply hangs under; message stays HTML.
+export function normalizeDiscussionView(v) {
+	const nameById = new Map((v?.participants || []).map((p) => [String(p?.id), p?.display_name || "Someone"]));
+	const unread = new Set((v?.unread_entries || []).map(String));
+	const ratings = v?.entry_ratings || {};
+
+	// Graft entries newer than the cached tree onto their parents
+	const roots = [...(v?.view || [])];
+	const byId = new Map();
+	const index = (list) =>
+		list.forEach((e) => {
+			byId.set(String(e.id), e);
+			index(e.replies || []);
+		});
+	index(roots);
+	for (const e of v?.new_entries || []) {
+		if (byId.has(String(e.id))) continue;
+		const parent = e.parent_id != null ? byId.get(String(e.parent_id)) : null;
+		if (parent) parent.replies = [...(parent.replies || []), e];
+		else roots.push(e);
+		byId.set(String(e.id), e);
+	}
+
+	const out = [];
+	const walk = (list, depth, parent, threadId) => {
+		for (const e of list) {
+			const author = nameById.get(String(e?.user_id)) || e?.user_name || "Someone";
+			out.push({
+				id: e?.id ?? null,
+				parentId: parent?.id ?? null,
+				threadId: threadId ?? e?.id ?? null,
+				depth,
+				authorId: e?.user_id ?? null,
+				author,
+				parentAuthor: parent?.author || null,
+				createdAt: e?.created_at || null,
+				message: String(e?.message || "").trim(),
+				deleted: e?.deleted === true,
+				unread: unread.has(String(e?.id)),
+				liked: ratings[String(e?.id)] === 1,
+				likes: e?.rating_sum ?? 0,
+			});
+			walk(e?.replies || [], depth + 1, { id: e?.id, author }, threadId ?? e?.id);
+		}
+	};
+	walk(roots, 0, null, null);
+	return out;
+}
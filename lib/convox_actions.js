@@ -3,22 +3,13 @@
 
 import { intents, detectIntent } from "./intent.js";
 import { Memory } from "./memory.js";
+import { speakText } from "./tts.js";
 
 const mem = new Memory();
 
-// Inline speak() to avoid dependency on missing tts.js
 export function speak(text, opts = {}) {
-	try {
-		const utter = new SpeechSynthesisUtterance(text);
-		utter.rate = opts.rate ?? 1.0;
-		utter.pitch = opts.pitch ?? 1.0;
-		utter.volume = opts.volume ?? 1.0;
-		utter.lang = opts.lang ?? "en-US";
-		window.speechSynthesis.cancel(); // Stop any ongoing speech
-		window.speechSynthesis.speak(utter);
-	} catch (e) {
-		console.warn("Speech synthesis error:", e);
-	}
+	const { rate, pitch, volume, lang } = opts;
+	speakText(text, { rate, pitch, volume, lang }).catch((e) => console.warn("Speech synthesis error:", e));
 }
 
 function findLink(keyword) {
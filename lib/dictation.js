@@ -0,0 +1,253 @@
+// lib/dictation.js
+// Dictation editor for long-form fields (discussion posts, messages, text submissions).
+//
+// A document is plain data, so it can sit in Memory between utterances:
+//   { paragraphs: [[{ text, bold }]], undo: [paragraphs before each change] }
+// Each dictated chunk is one segment; its leading space is part of its text.
+//
+// applyDictation() takes one utterance — more text, or an editing command — and returns the
+// next document. Callers write it into the field (docToText / docToHtml) and decide what to say.
+
+export const UNDO_MAX = 25;
+
+// "new paragraph", "delete last sentence", "replace teh with the", "bold that"…
+const COMMANDS = [
+	{ command: "newParagraph", re: /^(?:new|next) paragraph$/ },
+	{ command: "deleteSentence", re: /^(?:delete|remove|erase) (?:the )?last sentence$/ },
+	{ command: "deleteWord", re: /^(?:delete|remove|erase) (?:the )?last word$/ },
+	{ command: "scratch", re: /^(?:scratch that|delete that|remove that|strike that)$/ },
+	{ command: "replace", re: /^replace (?<from>.+?) with (?<to>.+)$/ },
+	{ command: "readBack", re: /^(?:read (?:it |that |this )?back|read back what i have|what do i have)$/ },
+	{ command: "undo", re: /^undo(?: that)?$/ },
+	{ command: "bold", re: /^(?:bold (?:that|it)|make (?:that|it) bold)$/ },
+	{ command: "clear", re: /^(?:clear (?:it |everything|all)|start over)$/ },
+];
+
+const DONE_RE = /^(?:done|i'?m done|i am done|finished|that'?s it|that'?s all|end dictation|stop dictation)$/;
+
+// Order matters: "semicolon" before "colon", "close paren" before a bare "paren"
+const SPOKEN_PUNCTUATION = [
+	[/\s*\b(?:period|full stop)\b/gi, "."],
+	[/\s*\bcomma\b/gi, ","],
+	[/\s*\bquestion mark\b/gi, "?"],
+	[/\s*\bexclamation (?:point|mark)\b/gi, "!"],
+	[/\s*\bsemicolon\b/gi, ";"],
+	[/\s*\bcolon\b/gi, ":"],
+	[/\s*\bellipsis\b/gi, "..."],
+	[/\s*\bhyphen\b\s*/gi, "-"],
+	[/\s+\bdash\b/gi, " -"],
+	[/\b(?:open|begin) (?:quote|quotation marks?)\s*/gi, '"'],
+	[/\s*\b(?:close|end) (?:quote|quotation marks?)\b/gi, '"'],
+	[/\s*\bclose (?:paren|parenthesis)\b/gi, ")"],
+	[/\b(?:open )?(?:paren|parenthesis)\s*/gi, "("],
+];
+
+function commandText(text) {
+	return String(text || "")
+		.toLowerCase()
+		.replace(/[.!?,]+$/g, "")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+function copyParagraphs(paragraphs) {
+	return paragraphs.map((p) => p.map((s) => ({ ...s })));
+}
+
+function paragraphText(paragraph) {
+	return paragraph.map((s) => s.text).join("");
+}
+
+// Keep the first `len` characters of a paragraph
+function truncateParagraph(paragraph, len) {
+	const out = [];
+	let used = 0;
+	for (const seg of paragraph) {
+		if (used >= len) break;
+		const text = seg.text.slice(0, len - used);
+		used += text.length;
+		if (text.trim()) out.push({ ...seg, text });
+	}
+	return out;
+}
+
+// Last case-insensitive match of `words` as whole words ("the" is not in "there")
+function lastWholeMatch(text, words) {
+	const escaped = words.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+	const matches = [...text.matchAll(new RegExp(`(?<![\\w'])${escaped}(?![\\w'])`, "gi"))];
+	return matches[matches.length - 1] || null;
+}
+
+// The paragraph being edited: the last one with text, so commands skip a fresh "new paragraph"
+function lastFilledIndex(paragraphs) {
+	for (let i = paragraphs.length - 1; i >= 0; i--) if (paragraphText(paragraphs[i]).trim()) return i;
+	return -1;
+}
+
+/**
+ * Turn spoken punctuation into symbols: "see you then comma ok period" → "see you then, ok."
+ * @param {string} text
+ * @returns {string}
+ */
+export function applySpokenPunctuation(text) {
+	let out = String(text || "");
+	for (const [re, symbol] of SPOKEN_PUNCTUATION) out = out.replace(re, symbol);
+	return out.replace(/\s+/g, " ").trim();
+}
+
+function capitalizeSentences(text, startsSentence) {
+	let out = text.replace(/([.?!]["')]?\s+)([a-z])/g, (_m, lead, c) => lead + c.toUpperCase());
+	if (startsSentence) out = out.replace(/^(["'(]?)([a-z])/, (_m, lead, c) => lead + c.toUpperCase());
+	return out;
+}
+
+/**
+ * @param {string} [initial]  text already in the field
+ * @returns {{paragraphs: {text: string, bold: boolean}[][], undo: Array}}
+ */
+export function createDictationDoc(initial = "") {
+	const paragraphs = String(initial || "")
+		.split(/\n\s*\n/)
+		.map((p) => p.trim())
+		.filter(Boolean)
+		.map((text) => [{ text, bold: false }]);
+	return { paragraphs: paragraphs.length ? paragraphs : [[]], undo: [] };
+}
+
+export function isDictationDone(text) {
+	return DONE_RE.test(commandText(text));
+}
+
+export function docToText(doc) {
+	return (doc?.paragraphs || [])
+		.map((p) => paragraphText(p).trim())
+		.filter(Boolean)
+		.join("\n\n");
+}
+
+function escapeHtml(s) {
+	return s.replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+}
+
+export function docToHtml(doc) {
+	return (doc?.paragraphs || [])
+		.filter((p) => paragraphText(p).trim())
+		.map((p) => {
+			const inner = p
+				.map((s, i) => {
+					const text = i === 0 ? s.text.trimStart() : s.text;
+					if (!s.bold) return escapeHtml(text);
+					const lead = text.match(/^\s*/)[0];
+					return `${lead}<strong>${escapeHtml(text.slice(lead.length))}</strong>`;
+				})
+				.join("");
+			return `<p>${inner}</p>`;
+		})
+		.join("");
+}
+
+/**
+ * Apply one utterance: an editing command, or more text.
+ * @param {Object|null} doc        from createDictationDoc (null starts an empty one)
+ * @param {string} utterance
+ * @param {Object} [opts]
+ * @param {boolean} [opts.rich]    the field keeps formatting (bold); plain text boxes don't
+ * @returns {{doc: Object, command: string, changed: boolean, detail?: string}}
+ *   command: "insert" | "newParagraph" | "deleteSentence" | "deleteWord" | "scratch" | "replace" |
+ *            "readBack" | "undo" | "bold" | "clear" | "empty"
+ *   changed: false when nothing could be done (nothing to undo, text to replace not found…)
+ */
+export function applyDictation(doc, utterance, { rich = true } = {}) {
+	const current = doc?.paragraphs ? doc : createDictationDoc();
+	const said = String(utterance || "").trim();
+	const lower = commandText(said);
+	const hit = COMMANDS.map((c) => ({ ...c, m: lower.match(c.re) })).find((c) => c.m);
+	const paragraphs = copyParagraphs(current.paragraphs);
+	const unchanged = (command, detail) => ({ doc: current, command, changed: false, detail });
+	const changed = (command, detail) => ({
+		doc: { paragraphs, undo: [...current.undo, current.paragraphs].slice(-UNDO_MAX) },
+		command,
+		changed: true,
+		detail,
+	});
+
+	if (!hit) {
+		const text = applySpokenPunctuation(said);
+		if (!text) return unchanged("empty");
+		const last = paragraphs[paragraphs.length - 1];
+		const before = paragraphText(last).trimEnd();
+		const startsSentence = !before || /[.?!]["')]?$/.test(before);
+		const glue = !before || /^[,.?!;:)\]]/.test(text) ? "" : " ";
+		last.push({ text: glue + capitalizeSentences(text, startsSentence), bold: false });
+		return changed("insert", text);
+	}
+
+	const idx = lastFilledIndex(paragraphs);
+
+	switch (hit.command) {
+		case "readBack":
+			return unchanged("readBack", docToText(current));
+
+		case "undo": {
+			if (!current.undo.length) return unchanged("undo");
+			return {
+				doc: { paragraphs: current.undo[current.undo.length - 1], undo: current.undo.slice(0, -1) },
+				command: "undo",
+				changed: true,
+			};
+		}
+
+		case "newParagraph":
+			if (!paragraphText(paragraphs[paragraphs.length - 1]).trim()) return unchanged("newParagraph");
+			paragraphs.push([]);
+			return changed("newParagraph");
+
+		case "clear":
+			if (idx < 0) return unchanged("clear");
+			paragraphs.splice(0, paragraphs.length, []);
+			return changed("clear");
+	}
+
+	if (idx < 0) return unchanged(hit.command);
+	// Editing goes back to the paragraph with text; drop an empty "new paragraph" after it
+	paragraphs.length = idx + 1;
+	const par = paragraphs[idx];
+	const text = paragraphText(par);
+
+	switch (hit.command) {
+		case "deleteSentence": {
+			const body = text.replace(/[\s.?!"')]+$/, "");
+			const cut = Math.max(body.lastIndexOf("."), body.lastIndexOf("?"), body.lastIndexOf("!"));
+			paragraphs[idx] = truncateParagraph(par, cut < 0 ? 0 : cut + 1);
+			break;
+		}
+		case "deleteWord": {
+			paragraphs[idx] = truncateParagraph(par, text.replace(/\s*\S+\s*$/, "").length);
+			break;
+		}
+		case "scratch":
+			par.pop();
+			break;
+		case "replace": {
+			const from = hit.m.groups.from.trim();
+			// Last occurrence: corrections are usually about what was just said
+			const seg = [...par].reverse().find((s) => lastWholeMatch(s.text, from));
+			if (!seg) return unchanged("replace", from);
+			const found = lastWholeMatch(seg.text, from);
+			// The replacement keeps the casing it was said with
+			const to = applySpokenPunctuation(said.match(/^replace\s+.+?\s+with\s+(.+?)[.!?]*$/i)?.[1] || hit.m.groups.to);
+			seg.text = seg.text.slice(0, found.index) + to + seg.text.slice(found.index + found[0].length);
+			return changed("replace", from);
+		}
+		case "bold": {
+			if (!rich) return unchanged("bold", "plain");
+			const seg = par[par.length - 1];
+			if (seg.bold) return unchanged("bold");
+			seg.bold = true;
+			break;
+		}
+	}
+
+	if (!paragraphs[idx].length && paragraphs.length > 1) paragraphs.pop();
+	return changed(hit.command);
+}
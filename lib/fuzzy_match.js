@@ -0,0 +1,447 @@
+// lib/fuzzy_match.js
+// Fuzzy matching of spoken text against Canvas labels (courses, assignments,
+// announcements, menu options).
+//
+// Speech recognition rarely gets names exactly right:
+//   "CSCE 4901"      -> "see ess see e forty nine oh one"
+//   "Kinematics Lab" -> "kind of matics lab"
+// so before comparing we spell letters and numbers back into tokens, then score
+// with edit distance on both the text and a Double Metaphone style phonetic key.
+// Pure functions only (no DOM), so it can be used from any module.
+
+// --- Spelled letters ---------------------------------------------------------
+
+const LETTER_NAMES = {
+	ay: "a",
+	bee: "b",
+	be: "b",
+	see: "c",
+	sea: "c",
+	cee: "c",
+	dee: "d",
+	ee: "e",
+	ef: "f",
+	eff: "f",
+	gee: "g",
+	jee: "g",
+	aitch: "h",
+	haitch: "h",
+	eye: "i",
+	jay: "j",
+	kay: "k",
+	el: "l",
+	ell: "l",
+	em: "m",
+	en: "n",
+	oh: "o",
+	pee: "p",
+	pea: "p",
+	cue: "q",
+	queue: "q",
+	ar: "r",
+	are: "r",
+	es: "s",
+	ess: "s",
+	tee: "t",
+	tea: "t",
+	you: "u",
+	vee: "v",
+	ex: "x",
+	why: "y",
+	zee: "z",
+	zed: "z",
+};
+
+// Letter names that are also everyday words; a run made mostly of these is
+// left alone ("are you", "i see").
+const COMMON_LETTER_WORDS = new Set(["a", "i", "o", "be", "see", "sea", "are", "you", "why", "oh", "tea", "pea", "ex"]);
+
+function letterOf(tokens, i) {
+	const t = tokens[i];
+	if (t === "double" && /^(you|u)$/.test(tokens[i + 1] || "")) return { letter: "w", width: 2 };
+	if (/^[a-z]$/.test(t)) return { letter: t, width: 1 };
+	if (LETTER_NAMES[t]) return { letter: LETTER_NAMES[t], width: 1 };
+	return null;
+}
+
+// The one letter a spoken word names: "bee" -> "b", "double you" -> "w", "q" -> "q"; else null
+export function spokenLetter(word) {
+	const tokens = String(word || "")
+		.toLowerCase()
+		.split(" ")
+		.filter(Boolean);
+	const hit = letterOf(tokens, 0);
+	return hit && hit.width === tokens.length ? hit.letter : null;
+}
+
+// "see ess see e" -> "csce", "h w 2" -> "hw 2"
+export function joinSpelledLetters(text) {
+	const tokens = String(text || "")
+		.split(" ")
+		.filter(Boolean);
+	const out = [];
+
+	for (let i = 0; i < tokens.length; ) {
+		const run = [];
+		let j = i;
+		for (let hit = letterOf(tokens, j); hit; hit = letterOf(tokens, j)) {
+			run.push({ ...hit, word: tokens.slice(j, j + hit.width).join(" ") });
+			j += hit.width;
+		}
+
+		const common = run.filter((r) => COMMON_LETTER_WORDS.has(r.word)).length;
+		if (run.length >= 2 && common <= Math.floor(run.length / 2)) {
+			out.push(run.map((r) => r.letter).join(""));
+			i = j;
+		} else {
+			out.push(tokens[i]);
+			i += 1;
+		}
+	}
+	return out.join(" ");
+}
+
+// --- Spelled numbers ---------------------------------------------------------
+
+const UNIT_WORDS = {
+	zero: 0,
+	one: 1,
+	two: 2,
+	three: 3,
+	four: 4,
+	five: 5,
+	six: 6,
+	seven: 7,
+	eight: 8,
+	nine: 9,
+};
+const TEEN_WORDS = {
+	ten: 10,
+	eleven: 11,
+	twelve: 12,
+	thirteen: 13,
+	fourteen: 14,
+	fifteen: 15,
+	sixteen: 16,
+	seventeen: 17,
+	eighteen: 18,
+	nineteen: 19,
+};
+const TENS_WORDS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const SCALE_WORDS = { hundred: 100, thousand: 1000 };
+
+function isNumberWord(t) {
+	return t in UNIT_WORDS || t in TEEN_WORDS || t in TENS_WORDS;
+}
+
+// Digit groups spoken back to back are concatenated, the way course numbers
+// and years are read out: "forty nine oh one" -> "4901", "ten forty" -> "1040",
+// "twenty twenty six" -> "2026". Scales add up: "two thousand twenty six".
+export function joinSpelledNumbers(text) {
+	const tokens = String(text || "")
+		.split(" ")
+		.filter(Boolean);
+	const out = [];
+
+	for (let i = 0; i < tokens.length; ) {
+		if (!isNumberWord(tokens[i])) {
+			out.push(tokens[i]);
+			i += 1;
+			continue;
+		}
+
+		const groups = [];
+		let scale = 0; // set right after "hundred"/"thousand": the next smaller group is added
+		const pushGroup = (n) => {
+			if (scale && n < scale) groups[groups.length - 1] += n;
+			else groups.push(n);
+			scale = 0;
+		};
+
+		let j = i;
+		while (j < tokens.length) {
+			const t = tokens[j];
+			if (t in TENS_WORDS) {
+				const unit = UNIT_WORDS[tokens[j + 1]];
+				pushGroup(TENS_WORDS[t] + (unit > 0 ? unit : 0));
+				j += unit > 0 ? 2 : 1;
+			} else if (t in TEEN_WORDS || t in UNIT_WORDS) {
+				pushGroup(TEEN_WORDS[t] ?? UNIT_WORDS[t]);
+				j += 1;
+			} else if ((t === "oh" || t === "o") && groups.length && !scale) {
+				groups.push(0);
+				j += 1;
+			} else if (t in SCALE_WORDS && groups.length && !scale) {
+				groups[groups.length - 1] *= SCALE_WORDS[t];
+				scale = SCALE_WORDS[t];
+				j += 1;
+			} else if (t === "and" && scale) {
+				j += 1;
+			} else {
+				break;
+			}
+		}
+
+		out.push(groups.join(""));
+		i = j;
+	}
+	return out.join(" ");
+}
+
+/**
+ * Lowercase, strip punctuation, then fold spelled-out letters and numbers.
+ * "See Ess See E forty-nine oh one" -> "csce 4901"
+ */
+export function normalizeSpoken(text) {
+	const base = String(text || "")
+		.toLowerCase()
+		.replace(/[’']/g, "")
+		.replace(/[^a-z0-9]+/g, " ")
+		.trim();
+	return joinSpelledNumbers(joinSpelledLetters(base));
+}
+
+// --- Edit distance -----------------------------------------------------------
+
+// Optimal string alignment distance (Levenshtein + adjacent swaps).
+export function editDistance(a = "", b = "") {
+	if (a === b) return 0;
+	if (!a.length) return b.length;
+	if (!b.length) return a.length;
+
+	let prev2 = null;
+	let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const cur = [i];
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+			if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+			cur.push(d);
+		}
+		prev2 = prev;
+		prev = cur;
+	}
+	return prev[b.length];
+}
+
+// 0..1, 1 = identical
+export function similarity(a = "", b = "") {
+	const len = Math.max(a.length, b.length);
+	return len ? 1 - editDistance(a, b) / len : 1;
+}
+
+// --- Phonetic key (Double Metaphone style) -----------------------------------
+
+const VOWELS = new Set(["a", "e", "i", "o", "u", "y"]);
+
+/**
+ * Primary and alternate phonetic keys for one word. A compact take on Double
+ * Metaphone: the common English rules, plus the alternates that matter for
+ * names (TH -> 0/T, J -> J/H, G before e/i/y -> J/K).
+ * @returns {[string, string]}
+ */
+export function doubleMetaphone(word) {
+	const w = String(word || "")
+		.toLowerCase()
+		.replace(/[^a-z]/g, "");
+	if (!w) return ["", ""];
+
+	let primary = "";
+	let alternate = "";
+	const add = (p, a = p) => {
+		primary += p;
+		alternate += a;
+	};
+	const at = (i) => w[i] || "";
+	const isVowel = (i) => VOWELS.has(at(i));
+
+	let i = 0;
+	if (/^(kn|gn|pn|wr|ps)/.test(w)) i = 1;
+	if (at(0) === "x") {
+		add("S");
+		i = 1;
+	} else if (isVowel(0)) {
+		add("A");
+		i = 1;
+	}
+
+	while (i < w.length) {
+		const c = at(i);
+		// Double letters sound once (except "cc" in "accent")
+		if (c === at(i - 1) && c !== "c") {
+			i += 1;
+			continue;
+		}
+
+		switch (c) {
+			case "a":
+			case "e":
+			case "i":
+			case "o":
+			case "u":
+				break;
+			case "b":
+				if (!(at(i - 1) === "m" && i === w.length - 1)) add("P");
+				break;
+			case "c":
+				if (at(i + 1) === "i" && at(i + 2) === "a") add("X");
+				else if (at(i + 1) === "h") {
+					add("X", "K");
+					i += 1;
+				} else if ("iey".includes(at(i + 1)) && at(i + 1)) add("S");
+				else if (at(i + 1) === "k" || at(i + 1) === "q") {
+					add("K");
+					i += 1;
+				} else add("K");
+				break;
+			case "d":
+				if (at(i + 1) === "g" && "iey".includes(at(i + 2)) && at(i + 2)) {
+					add("J");
+					i += 2;
+				} else add("T");
+				break;
+			case "g":
+				if (at(i + 1) === "h") {
+					if (i > 0 && !isVowel(i + 2)) {
+						i += 1; // "light", "night": silent
+					} else {
+						add("K");
+						i += 1;
+					}
+				} else if (at(i + 1) === "n" && (i + 2 === w.length || w.slice(i + 1) === "ned")) {
+					// "sign", "signed": silent
+				} else if ("iey".includes(at(i + 1)) && at(i + 1)) add("J", "K");
+				else add("K");
+				break;
+			case "h":
+				if (isVowel(i + 1) && !"csptg".includes(at(i - 1))) add("H");
+				break;
+			case "j":
+				add("J", "H");
+				break;
+			case "k":
+				if (at(i - 1) !== "c") add("K");
+				break;
+			case "p":
+				if (at(i + 1) === "h") {
+					add("F");
+					i += 1;
+				} else add("P");
+				break;
+			case "q":
+				add("K");
+				break;
+			case "s":
+				if (at(i + 1) === "h") {
+					add("X");
+					i += 1;
+				} else if (at(i + 1) === "i" && (at(i + 2) === "o" || at(i + 2) === "a")) add("X", "S");
+				else if (at(i + 1) === "c" && at(i + 2) === "h") {
+					add("SK");
+					i += 2;
+				} else add("S");
+				break;
+			case "t":
+				if (at(i + 1) === "i" && (at(i + 2) === "o" || at(i + 2) === "a")) add("X");
+				else if (at(i + 1) === "h") {
+					add("0", "T");
+					i += 1;
+				} else if (!(at(i + 1) === "c" && at(i + 2) === "h")) add("T");
+				break;
+			case "v":
+				add("F");
+				break;
+			case "w":
+			case "y":
+				if (isVowel(i + 1)) add(c.toUpperCase());
+				break;
+			case "x":
+				add("KS");
+				break;
+			case "z":
+				add("S");
+				break;
+			default:
+				add(c.toUpperCase()); // f, l, m, n, r
+		}
+		i += 1;
+	}
+	return [primary, alternate];
+}
+
+// Phonetic key of a whole phrase, encoded as one word so recognizer word
+// breaks ("kind of matics") don't matter. Digits are kept as-is.
+export function phoneticKeys(text) {
+	const s = normalizeSpoken(text);
+	const letters = s.replace(/[^a-z]/g, "");
+	const digits = s.replace(/[^0-9]/g, "");
+	const [p, a] = doubleMetaphone(letters);
+	return [p + digits, a + digits];
+}
+
+function phoneticSimilarity(a, b) {
+	const [ap, aa] = phoneticKeys(a);
+	const [bp, ba] = phoneticKeys(b);
+	if (!ap || !bp) return 0;
+	return Math.max(similarity(ap, bp), similarity(ap, ba), similarity(aa, bp), similarity(aa, ba));
+}
+
+// --- Scoring -----------------------------------------------------------------
+
+const compact = (s) => s.replace(/\s+/g, "");
+
+/**
+ * How well a spoken phrase matches a label, 0..1.
+ * The phrase may cover only part of the label ("capstone" in
+ * "CSCE 4901 Capstone Design"); numbers have to agree ("lab 2" is not "lab 3").
+ */
+export function fuzzyScore(spoken, label) {
+	const q = normalizeSpoken(spoken);
+	const l = normalizeSpoken(label);
+	if (!q || !l) return 0;
+	if (q === l) return 1;
+
+	const qWords = q.split(" ");
+	const lWords = l.split(" ");
+	const qNums = qWords.filter((t) => /^\d+$/.test(t));
+	const numbersAgree = !qNums.length || qNums.every((n) => lWords.includes(n));
+
+	// Very short phrases only count when they're a whole word of the label.
+	if (compact(q).length < 3) return lWords.includes(q) ? 0.9 : 0;
+
+	let best = 0;
+	const qLen = compact(q).length;
+	for (let start = 0; start < lWords.length; start++) {
+		let windowText = "";
+		for (let end = start; end < lWords.length; end++) {
+			windowText = windowText ? `${windowText} ${lWords[end]}` : lWords[end];
+			const wLen = compact(windowText).length;
+			if (wLen > qLen * 2 + 4) break;
+			if (wLen * 2 + 4 < qLen) continue;
+			const text = similarity(compact(q), compact(windowText));
+			const sound = phoneticSimilarity(q, windowText);
+			best = Math.max(best, text, sound * 0.95);
+		}
+	}
+
+	return numbersAgree ? best : best * 0.5;
+}
+
+/**
+ * Best label for a spoken phrase.
+ * @template T
+ * @param {string} spoken
+ * @param {T[]} items
+ * @param {(item: T) => string} [labelOf]
+ * @param {number} [min]
+ * @returns {{ item: T, score: number } | null}
+ */
+export function bestFuzzyMatch(spoken, items, labelOf = (x) => x?.label ?? String(x), min = 0.75) {
+	let best = null;
+	for (const item of items || []) {
+		const score = fuzzyScore(spoken, labelOf(item));
+		if (score >= min && (!best || score > best.score)) best = { item, score };
+	}
+	return best;
+}
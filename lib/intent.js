@@ -3,8 +3,15 @@
 //
 // IMPORTANT:
 // This extension must run smoothly and reliably without depending on any
-// networked "tiny LLM" or local Ollama server. We therefore use ONLY
-// deterministic rules for intent detection.
+// networked "tiny LLM" or local Ollama server. Deterministic rules decide
+// intents; a language model (lib/models.js) is only asked when the rules are
+// unsure, and only if the user selected one and left the fallback on.
+//
+// Rules are declared as patterns in the intent registry (lib/intent_registry.js);
+// detectIntent() only handles the yes/no + choice context itself.
+
+import { registerIntent, matchIntentPatterns, listIntentDefs } from "./intent_registry.js";
+import { classifyWithLLM } from "./models.js";
 
 export const intents = {
 	// Core navigation
@@ -22,6 +29,7 @@ export const intents = {
 
 	// Actions
 	SUBMIT_ASSIGNMENT: "SUBMIT_ASSIGNMENT",
+	TAKE_QUIZ: "TAKE_QUIZ",
 
 	// Targeting
 	OPEN_COURSE_BY_NUMBER: "OPEN_COURSE_BY_NUMBER",
@@ -38,6 +46,10 @@ export const intents = {
 	SUMMARIZE_PAGE: "SUMMARIZE_PAGE",
 	READ_NEXT: "READ_NEXT",
 	READ_RECENT_MESSAGE: "READ_RECENT_MESSAGE",
+	INBOX_LIST: "INBOX_LIST",
+	REPLY_MESSAGE: "REPLY_MESSAGE",
+	FORWARD_MESSAGE: "FORWARD_MESSAGE",
+	READ_DISCUSSION: "READ_DISCUSSION",
 	REPEAT: "REPEAT",
 	HELP: "HELP",
 
@@ -51,6 +63,11 @@ export const intents = {
 	NEXT_DUE: "NEXT_DUE",
 	OVERDUE: "OVERDUE",
 	LIST_UPCOMING: "LIST_UPCOMING",
+	COURSE_GRADE: "COURSE_GRADE",
+	ASSIGNMENT_SCORE: "ASSIGNMENT_SCORE",
+	READ_FEEDBACK: "READ_FEEDBACK",
+	CALENDAR_EVENTS: "CALENDAR_EVENTS",
+	FIND_EVENT: "FIND_EVENT",
 
 	// Conversational
 	SMALL_TALK: "SMALL_TALK",
@@ -149,7 +166,9 @@ const RE = {
 	openInbox: new RegExp(`\\b(${anySyn("open")})\\s+(my\\s+)?(${anySyn("inbox")})\\b`, "i"),
 	openCourses: new RegExp(`\\b(${anySyn("open")})\\s+(my\\s+)?(${anySyn("courses")})\\b`, "i"),
 
-	submitAssignment: /\b(submit|turn\s*in|upload)\b.*\b(assignment|submission)\b/i,
+	submitAssignment: /\b(submit|turn\s*in|upload)\b.*\b(assignment|submission|hw|homework|lab|project|essay|paper)\b/i,
+
+	takeQuiz: /\b(take|start|begin|resume)\s+(the\s+|this\s+|my\s+)?(quiz|exam|test)\b|\bquiz\s*mode\b/i,
 
 	// dashboard vs home (separate!)
 	openDashboard: new RegExp(`\\b(${anySyn("open")})\\s+(my\\s+)?(${anySyn("dashboard")})\\b`, "i"),
@@ -174,11 +193,24 @@ const RE = {
 	readDocument: new RegExp(`\\b(${anySyn("read")})\\b.*\\b(${anySyn("document")})\\b`, "i"),
 	readRecentMessage:
 		/\b(read|open|check)\b.*\b(recent|latest|last|newest|most recent)\b.*\b(message|email|inbox)\b|\b(read|open)\b.*\brecent message\b/i,
+	// "any new messages", "read my unread messages in csce 4901", "check my inbox", "list starred messages"
+	inboxList:
+		/\b(read|list|check|any|what|whats|show|do i have|go through)\b.*?\b(?:(?<scope>unread|new|starred|sent|archived)\s+)?(?:messages|conversations|inbox)\b/i,
+	// "reply", "reply all: see you then", "reply saying thanks" (to the message just read)
+	replyMessage:
+		/^(?:please\s+)?reply\b(?<all>\s+(?:to\s+)?(?:all|everyone)\b)?(?:\s+to\s+(?:this|that|it|him|her|them|the message|the sender)\b)?(?:\s*[,:]\s*|\s+(?:saying|with|that)\s+|\s+)?(?<text>.*)$/i,
+	// "forward this to jane doe", "forward it to the ta saying please see below"
+	forwardMessage:
+		/^(?:please\s+)?forward\b(?:\s+(?:this|that|it)(?:\s+message)?|\s+the message)?(?:\s+to\s+(?<to>.+?))?(?:(?:\s*[,:]\s*|\s+(?:saying|with a note)\s+)(?<text>.+))?$/i,
+
+	// "read this discussion", "go through the replies", "read the unread posts"
+	readDiscussion: /\b(read|go through|walk me through)\b.*\b(discussion|thread|replies|posts)\b/i,
 
 	logIn: /\b(log\s*in|sign\s*in|login|signin|authenticate|log\s*me\s*in|sign\s*me\s*in)\b/i,
 	openSettings:
 		/\b(settings|options|setup|preferences|credentials|change\s*(my\s*)?(username|password|credentials))\b/i,
-	composeMessage: /\b(compose|write|create|send|new)\b.*\b(message|email|inbox)\b|\bnew message\b/i,
+	composeMessage:
+		/\b(compose|write|create|send|new)\b.*\b(message|email|inbox)\b|\bnew message\b|^(message|email)\s+(?!sent\b)\w/i,
 	addDiscussion: /\b(add|create|new|start)\b.*\bdiscussion\b|\bdiscussion\b.*\b(add|create|new|start)\b/i,
 
 	help: /\b(help|what can you do|how to|commands)\b/i,
@@ -204,7 +236,7 @@ const RE = {
 
 	// "open assignments of csce 3530"
 	openCourseSection: new RegExp(
-		`\\b(?:open|go|go to|show|navigate to)\\s+(?<section>assignments|grades|modules|announcements|discussions|quizzes|files|pages|people)\\s+(?:of|for|in)\\s+(?:csce|cse|csc|cs|course)?\\s*(?<courseNum>\\d{4})\\b`,
+		`\\b(?:open|go|go to|show|navigate to)\\s+(?<section>assignments|grades|modules|announcements|discussions|quizzes|files|pages|people|syllabus)\\s+(?:of|for|in)\\s+(?:csce|cse|csc|cs|course)?\\s*(?<courseNum>\\d{4})\\b`,
 		"i",
 	),
 
@@ -229,8 +261,370 @@ const RE = {
 	nextDue: /\b(what('| i)?s|what is)?\s*(next|soonest)\s*(due|deadline)\b|\bnext due\b/i,
 	overdue: /\b(any|what('| i)?s|what is)?\s*(overdue|past due|late|missed)\b/i,
 	listUpcoming: /\b(list|show|tell me)\s*(my\s*)?(upcoming|coming up)\b/i,
+
+	// grade questions: "whats my grade in csce 4901" / "what did i get on hw 3"
+	gradeQuestion:
+		/\b(what|whats|how|hows|tell me|check)\b.*\b(grades?|scores?|marks?)\b|\bwhat did i (get|score|make)\b|\bhow (did|am) i do(ing)?\b/i,
+	// "read my feedback on lab 2", "any comments on my essay"; not "read the discussion comments"
+	readFeedback:
+		/^(?:(?:can|could|would) you |please )?(?:read|hear|check|tell me|play|give me|what(?:s| is| was| are| were)?|any|is there(?: any)?|are there(?: any)?|did i get(?: any)?|do i have(?: any)?)\b(?: (?:me|out|back|the|my|any|all|of|instructors?|teachers?|professors?|graders?))* (?:feedback|comments?|rubric(?: scores?)?)\b/i,
+	gradeItem: /\b(?:on|for)\s+(?:the\s+|my\s+)?(?<item>.+)$/i,
+	// "... in linear algebra": a course named after "in" (numbers go through extractCourseNum)
+	gradeCourse: /\s*\bin\s+(?:the\s+|my\s+)?(?<course>.+)$/i,
+
+	// calendar: "whats on my calendar tomorrow" / "any office hours this week" / "when is the midterm"
+	calendarCue: /^(what|whats|any|anything|do i have|is there|are there|list|tell me|read|check)\b/i,
+	calendarTopic:
+		/\b(calendar|schedule|events?|office hours?|meetings?|lectures?|class(es)?|exams?|midterms?|finals?|tests?|quiz(zes)?|review sessions?)\b/i,
+	whenIs: /^when\s+(?:is|are|was|s|does|do)\s+(?:the\s+|my\s+|our\s+)?(?<q>.+?)(?:\s+(?:due|happening|start|begin))?$/i,
+};
+
+// --- Core patterns -----------------------------------------------------------
+// Ranks keep the old rule order: lower bands win. Handlers, help and planner
+// flags for these intents are attached in lib/actions.js.
+
+const RANK = {
+	compound: 100, // must beat the course matcher
+	feedback: 200, // before readPage + grade questions
+	grade: 300, // before due helpers + section opens: "grade in csce 4901" is not navigation
+	due: 400,
+	calendar: 500, // after due helpers: "whats due this week" stays a due question
+	courseSection: 600,
+	open: 700,
+	reading: 800,
+	misc: 900,
+	assignmentQuery: 1000,
+	courseNumber: 1100,
+	generic: 1200,
+	keyword: 1300,
 };
 
+const notOpen = (u) => !/^open\b/.test(u);
+const isPronoun = (q) => /^(it|that|this)$/.test(q);
+
+const INBOX_SCOPES = { new: "unread", unread: "unread", starred: "starred", sent: "sent", archived: "archived" };
+
+function inboxSlots(m, u) {
+	const course = extractCourseNum(u) || u.match(/\b(?:in|for|from)\s+(?:the\s+)?(?:course|class)\s+(.+)$/)?.[1] || null;
+	return { scope: INBOX_SCOPES[m.groups?.scope] || "inbox", course };
+}
+
+// Dictated text keeps the casing and punctuation it was heard with
+function dictatedSlots(re, raw) {
+	const g = String(raw || "").match(re)?.groups || {};
+	return { to: g.to?.trim() || null, text: g.text?.trim() || null };
+}
+
+// The question without end punctuation or the course it names: "hw 3 in csce 4901?" -> "hw 3"
+function withoutGradeCourse(u) {
+	return stripCourseTail(u.replace(/[?!.,]+$/, "")).replace(RE.gradeCourse, "");
+}
+
+function feedbackItem(u) {
+	const item = withoutGradeCourse(u).match(RE.gradeItem)?.groups?.item?.trim() || "";
+	return /^(it|that|this|this assignment)$/.test(item) ? "" : item;
+}
+
+function gradeItem(u) {
+	const item = withoutGradeCourse(u).match(RE.gradeItem)?.groups?.item?.trim() || "";
+	return item && !/^(it|that|this|this course|the course|my course|this semester)$/.test(item) ? item : "";
+}
+
+// Null for the course on screen; actions.js matches the name against the enrollments
+function gradeCourse(u) {
+	const course =
+		stripCourseTail(u.replace(/[?!.,]+$/, ""))
+			.match(RE.gradeCourse)
+			?.groups?.course?.trim() || "";
+	return course && !/^(it|that|this|here|this course|the course|my course|this semester)$/.test(course) ? course : null;
+}
+
+const CORE_PATTERNS = [
+	// Answering the message just read: anchored on the first word, so dictated text can say anything
+	[
+		intents.REPLY_MESSAGE,
+		{
+			re: RE.replyMessage,
+			rank: RANK.compound,
+			confidence: 0.96,
+			reason: "rule: replyMessage",
+			slots: (m, u, raw) => ({ all: !!m.groups?.all, text: dictatedSlots(RE.replyMessage, raw).text }),
+		},
+	],
+	[
+		intents.FORWARD_MESSAGE,
+		{
+			re: RE.forwardMessage,
+			rank: RANK.compound,
+			confidence: 0.96,
+			reason: "rule: forwardMessage",
+			slots: (m, u, raw) => dictatedSlots(RE.forwardMessage, raw),
+		},
+	],
+	// "open assignments for/in/of course csce 4901"
+	[
+		intents.OPEN_ASSIGNMENTS_FOR_COURSE,
+		{
+			re: RE.openAssignmentsForCourse,
+			rank: RANK.compound,
+			confidence: 0.96,
+			reason: "compound: assignmentsForCourse",
+			slots: (m, u) => {
+				const courseNum = extractCourseNum(u);
+				return courseNum ? { courseNum } : null;
+			},
+		},
+	],
+	// "open assignment <something> for course csce 4901"
+	[
+		intents.OPEN_ASSIGNMENT_FOR_COURSE,
+		{
+			re: RE.openAssignmentForCourse,
+			rank: RANK.compound,
+			confidence: 0.96,
+			reason: "compound: assignmentForCourse",
+			slots: (m, u) => {
+				const courseNum = extractCourseNum(u);
+				if (!courseNum) return null;
+				const q = stripCourseTail(u)
+					.replace(/\b(open|go|go to|navigate to|show)\b/gi, "")
+					.replace(/\bassignment\b/gi, "")
+					.replace(/\s+/g, " ")
+					.trim();
+				return { courseNum, q: q || "" };
+			},
+		},
+	],
+
+	// Feedback read-aloud: "read my feedback on lab 2"
+	[
+		intents.READ_FEEDBACK,
+		{
+			re: RE.readFeedback,
+			rank: RANK.feedback,
+			confidence: 0.93,
+			when: notOpen,
+			reason: "rule: readFeedback",
+			slots: (m, u) => ({ q: feedbackItem(u), course: gradeCourse(u), courseNum: extractCourseNum(u) }),
+		},
+	],
+
+	// Grade questions
+	[
+		intents.ASSIGNMENT_SCORE,
+		{
+			re: RE.gradeQuestion,
+			rank: RANK.grade,
+			confidence: 0.93,
+			when: (u) => notOpen(u) && !/\bdue\b/.test(u),
+			reason: "rule: assignmentScore",
+			slots: (m, u) => {
+				const q = gradeItem(u);
+				return q ? { q, course: gradeCourse(u), courseNum: extractCourseNum(u) } : null;
+			},
+		},
+	],
+	[
+		intents.COURSE_GRADE,
+		{
+			re: RE.gradeQuestion,
+			rank: RANK.grade,
+			confidence: 0.93,
+			when: (u) => notOpen(u) && !/\bdue\b/.test(u),
+			reason: "rule: courseGrade",
+			slots: (m, u) => ({ course: gradeCourse(u), courseNum: extractCourseNum(u) }),
+		},
+	],
+
+	// “Real helper” queries
+	[intents.DUE_TODAY, { re: RE.dueToday, rank: RANK.due, confidence: 0.95, reason: "rule: dueToday" }],
+	[intents.DUE_THIS_WEEK, { re: RE.dueThisWeek, rank: RANK.due, confidence: 0.95, reason: "rule: dueThisWeek" }],
+	[intents.NEXT_DUE, { re: RE.nextDue, rank: RANK.due, confidence: 0.92, reason: "rule: nextDue" }],
+	[intents.OVERDUE, { re: RE.overdue, rank: RANK.due, confidence: 0.92, reason: "rule: overdue" }],
+	[intents.LIST_UPCOMING, { re: RE.listUpcoming, rank: RANK.due, confidence: 0.88, reason: "rule: listUpcoming" }],
+
+	// Calendar
+	[
+		intents.CALENDAR_EVENTS,
+		{
+			re: RE.calendarCue,
+			rank: RANK.calendar,
+			confidence: 0.9,
+			when: (u) => RE.calendarTopic.test(u) && !/\b(grades?|scores?)\b/.test(u),
+			reason: "rule: calendarEvents",
+			slots: (m, u, raw) => ({ utterance: raw }),
+		},
+	],
+	[
+		intents.NEXT_DUE,
+		{
+			re: RE.whenIs,
+			rank: RANK.calendar,
+			confidence: 0.88,
+			reason: "rule: whenIs next",
+			slots: (m) => (/^(next|upcoming)\b/.test(m.groups?.q || "") ? {} : null),
+		},
+	],
+	[
+		intents.FIND_EVENT,
+		{
+			re: RE.whenIs,
+			rank: RANK.calendar,
+			confidence: 0.9,
+			reason: "rule: whenIs",
+			slots: (m, u, raw) => (m.groups?.q && !isPronoun(m.groups.q) ? { q: m.groups.q, utterance: raw } : null),
+		},
+	],
+
+	// One-shot: "open assignments of csce 3530"
+	[
+		intents.OPEN_COURSE_SECTION,
+		{
+			re: RE.openCourseSection,
+			rank: RANK.courseSection,
+			confidence: 0.93,
+			reason: "rule: openCourseSection",
+			slots: (m) =>
+				m.groups?.courseNum && m.groups?.section ? { courseNum: m.groups.courseNum, section: m.groups.section } : null,
+		},
+	],
+
+	// Strong rules
+	[intents.OPEN_DASHBOARD, { re: RE.openDashboard, rank: RANK.open, confidence: 0.98, reason: "rule: openDashboard" }],
+	[intents.OPEN_HOME, { re: RE.openHome, rank: RANK.open, confidence: 0.95, reason: "rule: openHome" }],
+	[intents.OPEN_GRADES, { re: RE.openGrades, rank: RANK.open, confidence: 0.98, reason: "rule: openGrades" }],
+	[
+		intents.SUBMIT_ASSIGNMENT,
+		{
+			re: RE.submitAssignment,
+			rank: RANK.open,
+			confidence: 0.97,
+			reason: "rule: submitAssignment",
+			slots: (m, u, raw) => ({ courseNum: extractCourseNum(u), utterance: raw }),
+		},
+	],
+	[intents.TAKE_QUIZ, { re: RE.takeQuiz, rank: RANK.open, confidence: 0.95, reason: "rule: takeQuiz" }],
+	[
+		intents.OPEN_ASSIGNMENTS,
+		{ re: RE.openAssignments, rank: RANK.open, confidence: 0.97, reason: "rule: openAssignments" },
+	],
+	[intents.OPEN_MODULES, { re: RE.openModules, rank: RANK.open, confidence: 0.97, reason: "rule: openModules" }],
+	[intents.OPEN_QUIZZES, { re: RE.openQuizzes, rank: RANK.open, confidence: 0.97, reason: "rule: openQuizzes" }],
+	[intents.OPEN_FILES, { re: RE.openFiles, rank: RANK.open, confidence: 0.97, reason: "rule: openFiles" }],
+	[intents.OPEN_INBOX, { re: RE.openInbox, rank: RANK.open, confidence: 0.97, reason: "rule: openInbox" }],
+	[intents.OPEN_COURSES, { re: RE.openCourses, rank: RANK.open, confidence: 0.96, reason: "rule: openCourses" }],
+
+	// Summarize / reading
+	[
+		intents.SUMMARIZE_PAGE,
+		{ re: RE.summarizePage, rank: RANK.reading, confidence: 0.93, reason: "rule: summarizePage" },
+	],
+	[intents.READ_PAGE, { re: RE.readDocument, rank: RANK.reading, confidence: 0.93, reason: "rule: readDocument" }],
+	[
+		intents.READ_RECENT_MESSAGE,
+		{ re: RE.readRecentMessage, rank: RANK.reading, confidence: 0.95, reason: "rule: readRecentMessage" },
+	],
+	[
+		intents.INBOX_LIST,
+		{
+			re: RE.inboxList,
+			rank: RANK.reading,
+			confidence: 0.93,
+			when: (u) => !RE.readRecentMessage.test(u),
+			reason: "rule: inboxList",
+			slots: inboxSlots,
+		},
+	],
+	[
+		intents.READ_DISCUSSION,
+		{
+			re: RE.readDiscussion,
+			rank: RANK.reading,
+			confidence: 0.94,
+			reason: "rule: readDiscussion",
+			slots: (m, u) => ({ unread: /\b(unread|new)\b/.test(u) }),
+		},
+	],
+	[intents.READ_PAGE, { re: RE.readPage, rank: RANK.reading, confidence: 0.95, reason: "rule: readPage" }],
+	[intents.READ_NEXT, { re: RE.readNext, rank: RANK.reading, confidence: 0.93, reason: "rule: readNext" }],
+	[intents.REPEAT, { re: RE.repeat, rank: RANK.reading, confidence: 0.9, reason: "rule: repeat" }],
+
+	// Auth + misc
+	[intents.OPEN_SETTINGS, { re: RE.openSettings, rank: RANK.misc, confidence: 0.97, reason: "rule: openSettings" }],
+	[intents.LOG_IN, { re: RE.logIn, rank: RANK.misc, confidence: 0.97, reason: "rule: logIn" }],
+	[
+		intents.COMPOSE_MESSAGE,
+		{
+			re: RE.composeMessage,
+			rank: RANK.misc,
+			confidence: 0.95,
+			reason: "rule: composeMessage",
+			slots: (m, u, raw) => ({ utterance: raw }),
+		},
+	],
+	[
+		intents.ADD_DISCUSSION,
+		{
+			re: RE.addDiscussion,
+			rank: RANK.misc,
+			confidence: 0.95,
+			reason: "rule: addDiscussion",
+			slots: (m, u, raw) => ({ utterance: raw }),
+		},
+	],
+	[intents.HELP, { re: RE.help, rank: RANK.misc, confidence: 0.9, reason: "rule: help" }],
+	[intents.GO_BACK, { re: RE.goBack, rank: RANK.misc, confidence: 0.92, reason: "rule: goBack" }],
+
+	// Assignment query (numeric)
+	[
+		intents.OPEN_ASSIGNMENT_QUERY,
+		{
+			re: RE.openAssignmentQuery,
+			rank: RANK.assignmentQuery,
+			confidence: 0.9,
+			reason: "rule: openAssignmentQuery",
+			slots: (m) => (m.groups?.q ? { q: `HW ${m.groups.q}` } : null),
+		},
+	],
+
+	// Course by number
+	[
+		intents.OPEN_COURSE_BY_NUMBER,
+		{
+			re: RE.openCourseByNumber,
+			rank: RANK.courseNumber,
+			confidence: 0.92,
+			reason: "rule: openCourseByNumber",
+			slots: (m) => {
+				const courseNum = m.groups?.courseNum || m.groups?.courseNum2;
+				return courseNum ? { courseNum } : null;
+			},
+		},
+	],
+
+	// Generic open <target>
+	[
+		intents.NAVIGATE_TO,
+		{
+			re: RE.openGeneric,
+			rank: RANK.generic,
+			confidence: 0.8,
+			reason: "rule: openGeneric",
+			slots: (m) => (m.groups?.target ? { target: m.groups.target.trim() } : null),
+		},
+	],
+
+	// Keyword fallbacks (helps "go dashboard")
+	[intents.OPEN_DASHBOARD, { re: RE.kwDashboard, rank: RANK.keyword, confidence: 0.75, reason: "kw: dashboard" }],
+	[intents.OPEN_HOME, { re: RE.kwHome, rank: RANK.keyword, confidence: 0.72, reason: "kw: home" }],
+	[intents.OPEN_GRADES, { re: RE.kwGrades, rank: RANK.keyword, confidence: 0.7, reason: "kw: grades" }],
+	[intents.OPEN_ASSIGNMENTS, { re: RE.kwAssignments, rank: RANK.keyword, confidence: 0.7, reason: "kw: assignments" }],
+	[intents.OPEN_COURSES, { re: RE.kwCourses, rank: RANK.keyword, confidence: 0.65, reason: "kw: courses" }],
+	[intents.READ_NEXT, { re: RE.kwReadNext, rank: RANK.keyword, confidence: 0.6, reason: "kw: next" }],
+];
+
+for (const [intent, pattern] of CORE_PATTERNS) registerIntent({ intent, patterns: [pattern] });
+
 export class Memory {
 	constructor(namespace = "convox_nlu") {
 		this.ns = namespace;
@@ -273,6 +667,29 @@ function scored(intent, confidence, slots = {}, reason = "") {
 	return { intent, confidence, slots, reason };
 }
 
+// Rule results below this go to the language model
+const LLM_GATE_CONFIDENCE = 0.6;
+// Model guesses at or above this run directly; between the minimum and this the user confirms first
+const LLM_ACCEPT_CONFIDENCE = 0.8;
+const LLM_CONFIRM_MIN = 0.5;
+
+// Intents the model may pick: anything with a handler, minus the ones that only make sense as replies
+const LLM_EXCLUDED = new Set([intents.AFFIRM, intents.DENY, intents.CHOOSE_OPTION]);
+
+async function llmFallback(rawUtterance, context, rule) {
+	const allowIntents = listIntentDefs()
+		.filter((d) => d.handler && !LLM_EXCLUDED.has(d.intent))
+		.map((d) => d.intent);
+	const guess = await classifyWithLLM(rawUtterance, { allowIntents: [...allowIntents, intents.UNKNOWN], context });
+	if (!guess || guess.intent === intents.UNKNOWN || guess.confidence <= rule.confidence) return rule;
+	if (guess.confidence < LLM_CONFIRM_MIN) return rule;
+
+	const out = scored(guess.intent, guess.confidence, guess.slots, `llm: ${guess.reason}`);
+	// handleUtterance asks "Did you mean …?" before running these
+	if (guess.confidence < LLM_ACCEPT_CONFIDENCE) out.confirm = true;
+	return out;
+}
+
 export async function detectIntent(rawUtterance = "", context = {}) {
 	const u = normalize(rawUtterance);
 	if (!u) return scored(intents.UNKNOWN, 0.0, {}, "empty");
@@ -291,114 +708,10 @@ export async function detectIntent(rawUtterance = "", context = {}) {
 		if (RE.deny.test(u)) return scored(intents.DENY, 0.9, {}, "context: deny");
 	}
 
-	// -------------------------------------------------------------------------
-	// Compound (multi-step) rules FIRST (must beat the course matcher)
-	// -------------------------------------------------------------------------
-
-	// "open assignments for/in/of course csce 4901"
-	if (RE.openAssignmentsForCourse.test(u)) {
-		const courseNum = extractCourseNum(u);
-		if (courseNum)
-			return scored(intents.OPEN_ASSIGNMENTS_FOR_COURSE, 0.96, { courseNum }, "compound: assignmentsForCourse");
-	}
-
-	// "open assignment <something> for course csce 4901"
-	if (RE.openAssignmentForCourse.test(u)) {
-		const courseNum = extractCourseNum(u);
-		const q = stripCourseTail(u)
-			.replace(/\b(open|go|go to|navigate to|show)\b/gi, "")
-			.replace(/\bassignment\b/gi, "")
-			.replace(/\s+/g, " ")
-			.trim();
-
-		if (courseNum) {
-			return scored(
-				intents.OPEN_ASSIGNMENT_FOR_COURSE,
-				0.96,
-				{ courseNum, q: q || "" },
-				"compound: assignmentForCourse",
-			);
-		}
-	}
-
-	// “Real helper” queries
-	if (RE.dueToday.test(u)) return scored(intents.DUE_TODAY, 0.95, {}, "rule: dueToday");
-	if (RE.dueThisWeek.test(u)) return scored(intents.DUE_THIS_WEEK, 0.95, {}, "rule: dueThisWeek");
-	if (RE.nextDue.test(u)) return scored(intents.NEXT_DUE, 0.92, {}, "rule: nextDue");
-	if (RE.overdue.test(u)) return scored(intents.OVERDUE, 0.92, {}, "rule: overdue");
-	if (RE.listUpcoming.test(u)) return scored(intents.LIST_UPCOMING, 0.88, {}, "rule: listUpcoming");
-
-	// One-shot: "open assignments of csce 3530"
-	const cs = u.match(RE.openCourseSection);
-	if (cs?.groups?.courseNum && cs?.groups?.section) {
-		return scored(
-			intents.OPEN_COURSE_SECTION,
-			0.93,
-			{
-				courseNum: cs.groups.courseNum,
-				section: cs.groups.section,
-			},
-			"rule: openCourseSection",
-		);
-	}
-
-	// Strong rules
-	if (RE.openDashboard.test(u)) return scored(intents.OPEN_DASHBOARD, 0.98, {}, "rule: openDashboard");
-	if (RE.openHome.test(u)) return scored(intents.OPEN_HOME, 0.95, {}, "rule: openHome");
-
-	if (RE.openGrades.test(u)) return scored(intents.OPEN_GRADES, 0.98, {}, "rule: openGrades");
-	if (RE.submitAssignment.test(u)) return scored(intents.SUBMIT_ASSIGNMENT, 0.97, {}, "rule: submitAssignment");
-	if (RE.openAssignments.test(u)) return scored(intents.OPEN_ASSIGNMENTS, 0.97, {}, "rule: openAssignments");
-	if (RE.openModules.test(u)) return scored(intents.OPEN_MODULES, 0.97, {}, "rule: openModules");
-	if (RE.openQuizzes.test(u)) return scored(intents.OPEN_QUIZZES, 0.97, {}, "rule: openQuizzes");
-	if (RE.openFiles.test(u)) return scored(intents.OPEN_FILES, 0.97, {}, "rule: openFiles");
-	if (RE.openInbox.test(u)) return scored(intents.OPEN_INBOX, 0.97, {}, "rule: openInbox");
-	if (RE.openCourses.test(u)) return scored(intents.OPEN_COURSES, 0.96, {}, "rule: openCourses");
-
-	// Summarize / reading
-	if (RE.summarizePage.test(u)) return scored(intents.SUMMARIZE_PAGE, 0.93, {}, "rule: summarizePage");
-	if (RE.readDocument.test(u)) return scored(intents.READ_PAGE, 0.93, {}, "rule: readDocument");
-	if (RE.readRecentMessage.test(u)) return scored(intents.READ_RECENT_MESSAGE, 0.95, {}, "rule: readRecentMessage");
-	if (RE.readPage.test(u)) return scored(intents.READ_PAGE, 0.95, {}, "rule: readPage");
-	if (RE.readNext.test(u)) return scored(intents.READ_NEXT, 0.93, {}, "rule: readNext");
-	if (RE.repeat.test(u)) return scored(intents.REPEAT, 0.9, {}, "rule: repeat");
-
-	// Auth + misc
-	if (RE.openSettings.test(u)) return scored(intents.OPEN_SETTINGS, 0.97, {}, "rule: openSettings");
-	if (RE.logIn.test(u)) return scored(intents.LOG_IN, 0.97, {}, "rule: logIn");
-	if (RE.composeMessage.test(u))
-		return scored(intents.COMPOSE_MESSAGE, 0.95, { utterance: rawUtterance }, "rule: composeMessage");
-	if (RE.addDiscussion.test(u))
-		return scored(intents.ADD_DISCUSSION, 0.95, { utterance: rawUtterance }, "rule: addDiscussion");
-	if (RE.help.test(u)) return scored(intents.HELP, 0.9, {}, "rule: help");
-	if (RE.goBack.test(u)) return scored(intents.GO_BACK, 0.92, {}, "rule: goBack");
+	// Everything else is a registered pattern (core rules below, plus any
+	// intent another module registered).
+	const rule = matchIntentPatterns(u, rawUtterance) || scored(intents.UNKNOWN, 0.25, {}, "default");
+	if (rule.confidence >= LLM_GATE_CONFIDENCE) return rule;
 
-	// Assignment query (numeric)
-	const am = u.match(RE.openAssignmentQuery);
-	if (am?.groups?.q) {
-		return scored(intents.OPEN_ASSIGNMENT_QUERY, 0.9, { q: `HW ${am.groups.q}` }, "rule: openAssignmentQuery");
-	}
-
-	// Course by number
-	const cm = u.match(RE.openCourseByNumber);
-	const courseNum = cm?.groups?.courseNum || cm?.groups?.courseNum2;
-	if (courseNum) return scored(intents.OPEN_COURSE_BY_NUMBER, 0.92, { courseNum }, "rule: openCourseByNumber");
-
-	// Generic open <target>
-	const og = u.match(RE.openGeneric);
-	if (og?.groups?.target) {
-		const target = og.groups.target.trim();
-		return scored(intents.NAVIGATE_TO, 0.8, { target }, "rule: openGeneric");
-	}
-
-	// Keyword fallbacks (helps "go dashboard")
-	if (RE.kwDashboard.test(u)) return scored(intents.OPEN_DASHBOARD, 0.75, {}, "kw: dashboard");
-	if (RE.kwHome.test(u)) return scored(intents.OPEN_HOME, 0.72, {}, "kw: home");
-	if (RE.kwGrades.test(u)) return scored(intents.OPEN_GRADES, 0.7, {}, "kw: grades");
-	if (RE.kwAssignments.test(u)) return scored(intents.OPEN_ASSIGNMENTS, 0.7, {}, "kw: assignments");
-	if (RE.kwCourses.test(u)) return scored(intents.OPEN_COURSES, 0.65, {}, "kw: courses");
-	if (RE.kwReadNext.test(u)) return scored(intents.READ_NEXT, 0.6, {}, "kw: next");
-
-	// No LLM fallback
-	return scored(intents.UNKNOWN, 0.25, {}, "default");
+	return llmFallback(rawUtterance, context, rule);
 }
@@ -0,0 +1,119 @@
+// lib/intent_registry.js
+// Declarative intent registry.
+//
+// Every command is one entry: how it is detected (patterns), what runs it
+// (handler), how it is advertised (help), and how the planner treats it
+// (navigates / confirm). lib/intent.js registers the core patterns and
+// lib/actions.js attaches the core handlers; any other module can call
+// registerIntent() to add a command without editing either file.
+//
+// Entries with the same name are merged, so detection and handling can be
+// declared in different modules.
+
+const REGISTRY = new Map();
+let seq = 0;
+
+// Rank for patterns that don't give one: after the core rules, but ahead of
+// the generic "open <target>" catch-all and the keyword fallbacks.
+export const DEFAULT_PATTERN_RANK = 1150;
+
+/**
+ * @typedef {Object} IntentPattern
+ * @property {RegExp} re
+ * @property {number} [confidence]   default 0.9
+ * @property {number} [rank]         lower is tried first
+ * @property {(u: string) => boolean} [when]  extra guard on the normalized text
+ * @property {(m: RegExpMatchArray, u: string, raw: string) => (Object|null)} [slots]
+ *   builds the slots; returning null skips this pattern
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} IntentDef
+ * @property {string} intent
+ * @property {Array<IntentPattern|RegExp>} [patterns]
+ * @property {string[]} [slots]      slot names the handler reads (documentation)
+ * @property {Object[]} [required]  slots to ask for when missing (dialogue slots, see section 17.4 of lib/actions.js)
+ * @property {(slots: Object, ctx: Object) => Promise<{ok: boolean, message: string}>} [handler]
+ * @property {string|string[]} [help]   phrases for the spoken help
+ * @property {boolean} [navigates]   the handler leaves the page (plans save resume state)
+ * @property {boolean|string} [confirm]  ask yes/no first; a string is the question
+ */
+
+function toPattern(p, intent) {
+	const pat = p instanceof RegExp ? { re: p } : { ...p };
+	pat.confidence ??= 0.9;
+	pat.rank ??= DEFAULT_PATTERN_RANK;
+	pat.reason ||= `rule: ${intent}`;
+	pat.seq = seq++;
+	return pat;
+}
+
+/**
+ * Add or extend an intent. Returns the merged definition.
+ * @param {IntentDef} def
+ */
+export function registerIntent(def = {}) {
+	const name = String(def.intent || "").trim();
+	if (!name) throw new Error("registerIntent: intent name is required");
+
+	const prev = REGISTRY.get(name) || { intent: name, patterns: [], slots: [], order: seq++ };
+	const { patterns = [], slots = [], ...rest } = def;
+	const next = {
+		...prev,
+		...rest,
+		intent: name,
+		patterns: [...prev.patterns, ...patterns.map((p) => toPattern(p, name))],
+		slots: [...new Set([...prev.slots, ...slots])],
+	};
+	// Help is spoken in the order it was declared, not the order detection
+	// rules happened to be registered in.
+	if (rest.help && prev.helpOrder == null) next.helpOrder = seq++;
+	REGISTRY.set(name, next);
+	return next;
+}
+
+export function unregisterIntent(name) {
+	return REGISTRY.delete(name);
+}
+
+export function getIntentDef(name) {
+	return REGISTRY.get(name) || null;
+}
+
+export function listIntentDefs() {
+	return [...REGISTRY.values()].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * First pattern (by rank, then registration order) that matches.
+ * @returns {{intent: string, confidence: number, slots: Object, reason: string}|null}
+ */
+export function matchIntentPatterns(u = "", raw = u) {
+	const all = [];
+	for (const def of REGISTRY.values()) {
+		for (const pat of def.patterns) all.push([def.intent, pat]);
+	}
+	all.sort((a, b) => a[1].rank - b[1].rank || a[1].seq - b[1].seq);
+
+	for (const [intent, pat] of all) {
+		if (pat.when && !pat.when(u)) continue;
+		const m = u.match(pat.re);
+		if (!m) continue;
+		const slots = pat.slots ? pat.slots(m, u, raw) : {};
+		if (!slots) continue;
+		return { intent, confidence: pat.confidence, slots, reason: pat.reason };
+	}
+	return null;
+}
+
+export function isNavIntent(name) {
+	return !!REGISTRY.get(name)?.navigates;
+}
+
+export function helpPhrases() {
+	return [...REGISTRY.values()]
+		.filter((d) => d.help)
+		.sort((a, b) => a.helpOrder - b.helpOrder)
+		.flatMap((d) => (Array.isArray(d.help) ? d.help : [d.help]));
+}
@@ -0,0 +1,278 @@
+// lib/llm.js
+// Language-model providers behind one call: llmComplete().
+//
+// Providers:
+//   none   — no model; every call returns "" and callers use their deterministic rules (default)
+//   webllm — @mlc-ai/web-llm running the model inside the browser (WebGPU + WASM, no server).
+//            Loaded from lib/vendor/web-llm.js (`npm run vendor`); the first calls fall back while the model downloads.
+//   ollama — an Ollama daemon (POST /api/chat)
+//   openai — any OpenAI-compatible server (llama.cpp, LM Studio, vLLM…: POST /chat/completions)
+//
+// Nothing here throws or waits forever: failures, timeouts and missing models all resolve to "".
+// Settings live in chrome.storage.sync under "llmSettings".
+// Prompts for a server off this machine need the "llm" consent and are redacted (lib/privacy.js).
+
+import { prepareOutbound } from "./privacy.js";
+
+export const LLM_SETTINGS_KEY = "llmSettings";
+
+export const DEFAULT_LLM_SETTINGS = {
+	provider: "none",
+	timeoutMs: 8000,
+	providers: {
+		webllm: { model: "Qwen2.5-0.5B-Instruct-q4f16_1-MLC" },
+		ollama: { url: "http://localhost:11434", model: "llama3.2" },
+		openai: { url: "http://localhost:8080/v1", model: "", apiKey: "" },
+	},
+};
+
+// Built by `npm run vendor` (git-ignored); the extension loads no other copy of WebLLM
+const WEBLLM_MODULE = "lib/vendor/web-llm.js";
+
+// ─────────────────────────────────────────────────────────────
+// Providers
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} label
+ * @property {() => boolean} available
+ * @property {boolean} [inBrowser]  runs in the page; prompts never leave the browser
+ * @property {(messages: {role: string, content: string}[], cfg: Object, signal: AbortSignal) => Promise<string>} complete
+ *   resolves with the reply text, rejects when the provider can't answer
+ */
+
+const PROVIDERS = new Map();
+
+export function registerLlmProvider(name, provider) {
+	if (!name || typeof provider?.complete !== "function") {
+		throw new Error("registerLlmProvider: name and complete() are required");
+	}
+	PROVIDERS.set(name, { label: name, available: () => true, ...provider });
+}
+
+export function listLlmProviders() {
+	return [...PROVIDERS.entries()].map(([name, p]) => ({ name, label: p.label, available: !!p.available() }));
+}
+
+async function postJson(url, body, signal, headers = {}) {
+	const res = await fetch(url, {
+		method: "POST",
+		headers: { "Content-Type": "application/json", ...headers },
+		body: JSON.stringify(body),
+		signal,
+	});
+	if (!res.ok) {
+		const txt = await res.text().catch(() => "");
+		throw new Error(`${url} responded with ${res.status}: ${txt.slice(0, 200)}`);
+	}
+	return res.json();
+}
+
+registerLlmProvider("ollama", {
+	label: "Ollama",
+	available: () => typeof fetch === "function",
+	async complete(messages, cfg, signal) {
+		const data = await postJson(
+			`${cfg.url.replace(/\/+$/, "")}/api/chat`,
+			{
+				model: cfg.model,
+				messages,
+				stream: false,
+				// Ollama takes a JSON schema directly as the output format
+				format: cfg.schema || (cfg.json ? "json" : undefined),
+				options: { temperature: cfg.temperature, num_predict: cfg.maxTokens },
+			},
+			signal,
+		);
+		return data?.message?.content || "";
+	},
+});
+
+registerLlmProvider("openai", {
+	label: "OpenAI-compatible server",
+	available: () => typeof fetch === "function",
+	async complete(messages, cfg, signal) {
+		const data = await postJson(
+			`${cfg.url.replace(/\/+$/, "")}/chat/completions`,
+			{
+				model: cfg.model || undefined,
+				messages,
+				temperature: cfg.temperature,
+				max_tokens: cfg.maxTokens,
+				response_format: cfg.schema
+					? { type: "json_schema", json_schema: { name: "reply", schema: cfg.schema } }
+					: cfg.json
+						? { type: "json_object" }
+						: undefined,
+			},
+			signal,
+			cfg.apiKey ? { Authorization: `Bearer ${cfg.apiKey}` } : {},
+		);
+		return data?.choices?.[0]?.message?.content || "";
+	},
+});
+
+// One in-page engine per tab; switching models replaces it
+const webllm = { model: null, engine: null, loading: null };
+
+function loadWebLlm(model) {
+	if (webllm.model === model && (webllm.engine || webllm.loading)) return webllm.loading;
+	webllm.model = model;
+	webllm.engine = null;
+	webllm.loading = import(chrome.runtime.getURL(WEBLLM_MODULE))
+		.then(({ CreateMLCEngine }) => CreateMLCEngine(model))
+		.then((engine) => {
+			if (webllm.model === model) webllm.engine = engine;
+			return engine;
+		})
+		.catch((e) => {
+			console.warn("[llm] WebLLM failed to load:", e);
+			if (webllm.model === model) webllm.loading = null;
+			throw e;
+		});
+	return webllm.loading;
+}
+
+registerLlmProvider("webllm", {
+	label: "In-browser (WebLLM)",
+	inBrowser: true,
+	available: () => typeof navigator !== "undefined" && !!navigator.gpu,
+	async complete(messages, cfg, signal) {
+		// Downloading a model takes minutes; don't make the user wait on it
+		if (webllm.model !== cfg.model || !webllm.engine) {
+			loadWebLlm(cfg.model).catch(() => {});
+			throw new Error("WebLLM model is still loading");
+		}
+		const engine = webllm.engine;
+		const onAbort = () => engine.interruptGenerate();
+		signal.addEventListener("abort", onAbort, { once: true });
+		try {
+			const reply = await engine.chat.completions.create({
+				messages,
+				temperature: cfg.temperature,
+				max_tokens: cfg.maxTokens,
+				// WebLLM constrains the output to a schema given as a string
+				response_format:
+					cfg.json || cfg.schema
+						? { type: "json_object", schema: cfg.schema ? JSON.stringify(cfg.schema) : undefined }
+						: undefined,
+			});
+			return reply?.choices?.[0]?.message?.content || "";
+		} finally {
+			signal.removeEventListener("abort", onAbort);
+		}
+	},
+});
+
+// ─────────────────────────────────────────────────────────────
+// Settings
+// ─────────────────────────────────────────────────────────────
+
+let settingsCache = null;
+
+// Stored settings over the defaults, provider by provider
+export function mergeLlmSettings(stored = {}) {
+	const providers = { ...DEFAULT_LLM_SETTINGS.providers };
+	for (const [name, cfg] of Object.entries(stored?.providers || {})) {
+		providers[name] = { ...providers[name], ...cfg };
+	}
+	return { ...DEFAULT_LLM_SETTINGS, ...stored, providers };
+}
+
+export async function getLlmSettings() {
+	if (settingsCache) return settingsCache;
+	try {
+		const data = await chrome.storage.sync.get(LLM_SETTINGS_KEY);
+		settingsCache = mergeLlmSettings(data[LLM_SETTINGS_KEY]);
+	} catch (e) {
+		console.warn("[llm] settings unavailable:", e);
+		settingsCache = mergeLlmSettings();
+	}
+	return settingsCache;
+}
+
+try {
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area === "sync" && changes[LLM_SETTINGS_KEY]) settingsCache = null;
+	});
+} catch {}
+
+// True when a provider is selected and can run here (it may still fail or time out)
+export async function llmAvailable() {
+	const s = await getLlmSettings();
+	return !!PROVIDERS.get(s.provider)?.available();
+}
+
+// Start downloading the in-browser model early so it's ready by the first question
+export async function warmUpLlm() {
+	const s = await getLlmSettings();
+	if (s.provider === "webllm" && PROVIDERS.get("webllm").available()) {
+		loadWebLlm(s.providers.webllm.model).catch(() => {});
+	}
+}
+
+// ─────────────────────────────────────────────────────────────
+// Completion
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Ask the selected model.
+ * @param {string|{role: string, content: string}[]} prompt  user prompt or a full message list
+ * @param {Object} [opts]
+ * @param {string} [opts.system]       system message (string prompts only)
+ * @param {number} [opts.temperature=0.2]
+ * @param {number} [opts.maxTokens=256]
+ * @param {boolean} [opts.json]        ask for a JSON object reply
+ * @param {Object} [opts.schema]       JSON schema the reply must follow (implies json)
+ * @param {number} [opts.timeoutMs]    defaults to the "timeoutMs" setting
+ * @returns {Promise<string>} the reply, or "" when no model answered in time
+ */
+export async function llmComplete(prompt, opts = {}) {
+	const settings = await getLlmSettings();
+	const provider = PROVIDERS.get(settings.provider);
+	if (!provider || !provider.available()) return "";
+
+	let messages = Array.isArray(prompt)
+		? prompt
+		: [...(opts.system ? [{ role: "system", content: opts.system }] : []), { role: "user", content: String(prompt) }];
+	const cfg = {
+		...settings.providers[settings.provider],
+		temperature: opts.temperature ?? 0.2,
+		maxTokens: opts.maxTokens ?? 256,
+		json: !!(opts.json || opts.schema),
+		schema: opts.schema || null,
+	};
+
+	if (!provider.inBrowser) {
+		const outbound = await prepareOutbound({
+			feature: "llm",
+			url: cfg.url,
+			kind: "prompt",
+			text: messages.map((m) => m.content),
+		});
+		if (!outbound.allowed) return "";
+		messages = messages.map((m, i) => ({ ...m, content: outbound.text[i] }));
+	}
+
+	const controller = new AbortController();
+	const timeoutMs = opts.timeoutMs ?? settings.timeoutMs;
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => {
+			controller.abort();
+			reject(new Error(`timed out after ${timeoutMs}ms`));
+		}, timeoutMs);
+	});
+
+	try {
+		// Race as well as abort: not every provider stops promptly
+		const out = await Promise.race([provider.complete(messages, cfg, controller.signal), timeout]);
+		return String(out || "").trim();
+	} catch (e) {
+		console.warn(`[llm] ${settings.provider} failed:`, e);
+		return "";
+	} finally {
+		clearTimeout(timer);
+	}
+}
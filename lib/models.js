@@ -1,14 +1,29 @@
 // models.js
 // Optional model hooks: LLM or TF.js fallback for intent enhancement
 
-export async function classifyWithLLM(text) {
-	// Placeholder: Use OpenAI, local LLM, or TF.js if enabled
-	const fakeModelResponse = {
-		intent: "OPEN_GRADES",
-		confidence: 0.87,
-		slots: {},
-	};
-	return fakeModelResponse;
+import { llmAvailable } from "./llm.js";
+import { llmClassifyIntent } from "./tiny_llm.js";
+
+// Per-user switch (chrome.storage.sync); the model itself is chosen in lib/llm.js
+export const LLM_INTENT_SETTING = "llmIntentFallback";
+
+async function llmIntentEnabled() {
+	try {
+		const data = await chrome.storage.sync.get(LLM_INTENT_SETTING);
+		return data[LLM_INTENT_SETTING] !== false;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Ask the selected language model for an intent, limited to allowIntents.
+ * @returns {Promise<{intent: string, confidence: number, slots: Object, reason: string}|null>}
+ *   null when the setting is off, no model is selected, or it didn't answer
+ */
+export async function classifyWithLLM(text, { allowIntents = [], context = {} } = {}) {
+	if (!allowIntents.length || !(await llmIntentEnabled()) || !(await llmAvailable())) return null;
+	return llmClassifyIntent({ utterance: text, allowIntents, context });
 }
 
 export async function extractEntities(text) {
@@ -1,12 +1,14 @@
 // options.js
 // Voice-navigable credential setup page for Convox.
-// Storage key: "convox_credentials"  →  { username, password }
+// Credentials are kept encrypted in the vault (lib/vault.js) and unlocked with a PIN.
+// ?host=<login host> picks the profile to edit; without it the login applies to any site.
 
-const CRED_KEY = "convox_credentials";
+const PROFILE_HOST = new URLSearchParams(window.location.search).get("host") || "*";
 
 // ── DOM refs ──────────────────────────────────────────────────────────────────
 const usernameInput = document.getElementById("username");
 const passwordInput = document.getElementById("password");
+const pinInput = document.getElementById("pin");
 const saveBtn = document.getElementById("saveBtn");
 const clearBtn = document.getElementById("clearBtn");
 const statusEl = document.getElementById("status");
@@ -17,24 +19,23 @@ const transcriptEl = document.getElementById("transcript-display");
 let recognition = null;
 let recognitionRunning = false;
 
-function speak(text) {
-	return new Promise((resolve) => {
-		window.speechSynthesis.cancel();
-		setMicState("speaking");
+// Speech goes through the shared TTS service (lib/tts.js) so the user's engine and voice apply here too.
+let tts = null;
 
-		const utter = new SpeechSynthesisUtterance(text);
-		utter.rate = 1.0;
-		utter.lang = "en-US";
-		utter.onend = () => {
-			resolve();
-			restartRecognition();
-		};
-		utter.onerror = () => {
-			resolve();
-			restartRecognition();
-		};
-		window.speechSynthesis.speak(utter);
-	});
+async function loadTts() {
+	tts ||= await import(chrome.runtime.getURL("lib/tts.js"));
+	return tts;
+}
+
+async function speak(text) {
+	setMicState("speaking");
+	try {
+		const { speakText } = await loadTts();
+		await speakText(text);
+	} catch (e) {
+		console.warn("TTS error:", e);
+	}
+	restartRecognition();
 }
 
 // ── Mic state indicator ───────────────────────────────────────────────────────
@@ -62,21 +63,50 @@ function highlightField(el) {
 }
 
 // ── Storage helpers ───────────────────────────────────────────────────────────
-function loadCredentials() {
-	return new Promise((res) => chrome.storage.local.get(CRED_KEY, (d) => res(d?.[CRED_KEY] || {})));
+// Entries wait here until the vault is unlocked, then go straight into it
+let vault = null;
+let draft = {};
+
+async function loadVault() {
+	vault ||= await import(chrome.runtime.getURL("lib/vault.js"));
+	return vault;
+}
+
+async function loadCredentials() {
+	const v = await loadVault();
+	const saved = v.isVaultUnlocked() ? await v.getProfile(PROFILE_HOST) : null;
+	return { ...saved, ...draft };
+}
+
+async function saveCredentials(patch) {
+	draft = { ...draft, ...patch };
+	const v = await loadVault();
+	if (!v.isVaultUnlocked()) return draft;
+	const next = await v.saveProfile(PROFILE_HOST, draft);
+	draft = {};
+	return next;
 }
 
-function saveCredentials(patch) {
-	return new Promise((res) =>
-		loadCredentials().then((current) => {
-			const next = { ...current, ...patch };
-			chrome.storage.local.set({ [CRED_KEY]: next }, () => res(next));
-		}),
-	);
+// Locked and the PIN is forgotten: clearing starts the vault over
+async function clearCredentials() {
+	draft = {};
+	const v = await loadVault();
+	if (v.isVaultUnlocked()) await v.removeProfile(PROFILE_HOST);
+	else await v.deleteVault();
 }
 
-function clearCredentials() {
-	return new Promise((res) => chrome.storage.local.remove(CRED_KEY, res));
+// Create the vault with this PIN, or unlock it; saves any pending entries
+async function usePin(pin) {
+	const v = await loadVault();
+	if (!(await v.vaultExists())) await v.createVault(pin);
+	else if (!(await v.unlockVault(pin))) return false;
+	if (draft.username || draft.password) await saveCredentials({});
+	return true;
+}
+
+async function isLocked() {
+	const v = await loadVault();
+	return !v.isVaultUnlocked();
 }
 
 // ── Instructions ──────────────────────────────────────────────────────────────
@@ -85,6 +115,7 @@ const INSTRUCTIONS =
 	"Here are your voice commands. " +
 	"Say: set username, then your username or EUID. " +
 	"Say: set password, then your password. " +
+	"Say: set pin, then six or more digits, to lock them with a PIN. " +
 	"Say: save, to store your credentials. " +
 	"Say: clear, to delete saved credentials. " +
 	"Say: what did you save, to confirm what is stored. " +
@@ -131,6 +162,35 @@ async function handleCommand(raw) {
 		return;
 	}
 
+	// set pin <digits> (a bare PIN is enough while the vault is locked)
+	const { parseSpokenPin } = await loadVault();
+	const pin = /\b(pin|passcode)\b/.test(u) || (await isLocked()) ? parseSpokenPin(u) : null;
+	if (pin) {
+		if (pinInput) pinInput.value = "";
+		if (!(await usePin(pin))) {
+			const wait = await (await loadVault()).vaultLockedOutFor();
+			if (wait) {
+				const minutes = Math.ceil(wait / 60000);
+				showStatus("Too many wrong PINs.", "err");
+				await speak(`Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`);
+				return;
+			}
+			showStatus("Wrong PIN.", "err");
+			await speak("That PIN doesn't match. Try again, or say clear to delete your saved login and start over.");
+			return;
+		}
+		const creds = await loadCredentials();
+		if (creds.username) usernameInput.value = creds.username;
+		if (creds.password) passwordInput.value = creds.password;
+		showStatus("Vault unlocked.", "ok");
+		await speak(
+			creds.username || creds.password
+				? "Unlocked. Your login is saved encrypted. Say what did you save to check it."
+				: "PIN set. Say set username, then your username, and set password, then your password.",
+		);
+		return;
+	}
+
 	// save
 	if (/^\s*(save|confirm|done|yes)\s*$/.test(u)) {
 		const creds = await loadCredentials();
@@ -138,6 +198,10 @@ async function handleCommand(raw) {
 			await speak("Nothing to save yet. Say set username, then your username, and set password, then your password.");
 			return;
 		}
+		if (await isLocked()) {
+			await speak("Say set pin, then six or more digits, to lock and save your login.");
+			return;
+		}
 		showStatus("Credentials saved.", "ok");
 		await speak(
 			`Saved. Username is ${creds.username || "not set"}. Password is ${creds.password ? "set" : "not set"}. ` +
@@ -174,14 +238,21 @@ async function handleCommand(raw) {
 }
 
 // ── Speech recognition ────────────────────────────────────────────────────────
-function startRecognition() {
-	const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-	if (!SR) {
+// Backend (Web Speech or a local Whisper server) comes from lib/stt.js
+let stt = null;
+
+async function startRecognition() {
+	try {
+		stt ||= await import(chrome.runtime.getURL("lib/stt.js"));
+	} catch (e) {
+		console.warn("STT load error:", e);
+	}
+	if (!stt?.recognitionSupported()) {
 		transcriptEl.textContent = "Speech recognition not supported.";
 		return;
 	}
 
-	recognition = new SR();
+	recognition = stt.createRecognizer();
 	recognition.lang = "en-US";
 	recognition.continuous = false;
 	recognition.interimResults = false;
@@ -205,7 +276,7 @@ function startRecognition() {
 	recognition.onend = () => {
 		recognitionRunning = false;
 		// only restart if we're not currently speaking (speak() calls restartRecognition on end)
-		if (!window.speechSynthesis.speaking) setTimeout(startRecognition, 300);
+		if (!tts?.isSpeaking()) setTimeout(startRecognition, 300);
 	};
 
 	recognition.start();
@@ -224,6 +295,15 @@ saveBtn.addEventListener("click", async () => {
 		return;
 	}
 	await saveCredentials(creds);
+	if (await isLocked()) {
+		const pin = (await loadVault()).parseSpokenPin(pinInput?.value);
+		if (!pin || !(await usePin(pin))) {
+			showStatus("Enter your vault PIN (6 or more digits) to save.", "err");
+			await speak("Please enter your PIN to save.");
+			return;
+		}
+		pinInput.value = "";
+	}
 	showStatus("Credentials saved.", "ok");
 	await speak(`Saved. Username is ${creds.username || "not set"}. Password is ${creds.password ? "set" : "not set"}.`);
 });
@@ -238,6 +318,12 @@ clearBtn.addEventListener("click", async () => {
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 async function init() {
+	const v = await loadVault();
+	if ((await v.vaultExists()) && !v.isVaultUnlocked()) {
+		await speak("Your saved logins are locked. Say your PIN to unlock them, or say clear to start over.");
+		return;
+	}
+
 	const creds = await loadCredentials();
 	if (creds.username) usernameInput.value = creds.username;
 	if (creds.password) passwordInput.value = creds.password;
@@ -267,6 +353,10 @@ async function promptPasswordEntry() {
 	await speak("Got it. Now type or say your password.");
 	await waitForField(passwordInput, "password", async () => {
 		const creds = await loadCredentials();
+		if (await isLocked()) {
+			await speak("Got it. Now say set pin, then six or more digits. The PIN locks your login on this computer.");
+			return;
+		}
 		await speak(
 			`Setup complete. Username is ${creds.username || "not set"} and password is ${creds.password ? "set" : "not set"}. ` +
 				"You can close this page and say log in again.",
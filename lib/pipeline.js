@@ -0,0 +1,178 @@
+// lib/pipeline.js
+// The one routing pipeline. Speech, typed input and popup commands all go through routeUtterance():
+//
+//   utterance → nlpPreprocessUtterance → "pre" stages → handleUtterance (intent → plan → action)
+//                                                          ↳ "fallback" stages when no intent matched
+//
+// Stages are pluggable (registerStage). Built in:
+//   part-c-reader — Part C section reading the intent layer doesn't cover ("previous section", "read full")
+//   legacy-gpt    — the old src/model/gpt.js destination picker; off unless the "legacyGptFallback" setting is on
+//
+// Entry points load only this module, so the actions runtime hooks they need are re-exported here
+// (importing actions.js separately under another URL would create a second instance).
+
+import { handleUtterance, initAutoResume, resumePendingAnnouncementRead, speak } from "./actions.js";
+import { Memory } from "./intent.js";
+import { nlpPreprocessUtterance } from "./nlp.js";
+import { warmUpLlm } from "./llm.js";
+
+export { initAutoResume, resumePendingAnnouncementRead, speak };
+
+const mem = new Memory();
+
+// An in-browser model takes a while to load; start before the first question
+warmUpLlm().catch(() => {});
+
+/**
+ * @typedef {Object} RouteContext
+ * @property {string} raw        what was heard or typed
+ * @property {string} text       after preprocessing
+ * @property {"speech"|"typed"|"popup"} source
+ * @property {Object} [recognitionState]
+ * @property {string[]} notes    preprocessing notes
+ */
+
+/**
+ * @typedef {Object} RouteStage
+ * @property {string} name
+ * @property {"pre"|"fallback"} [phase="pre"]  pre: before intent detection; fallback: when no intent matched
+ * @property {number} [order=500]             lower runs first
+ * @property {(ctx: RouteContext) => boolean|Promise<boolean>} [match]  skip the stage when false
+ * @property {(ctx: RouteContext) => Promise<{intent: string, result: Object}|null>} run
+ *   return a result to stop routing, or null to let the next stage try
+ */
+
+const STAGES = [];
+
+export function registerStage(stage) {
+	if (!stage?.name || typeof stage.run !== "function") throw new Error("registerStage: name and run() are required");
+	unregisterStage(stage.name);
+	STAGES.push({ phase: "pre", order: 500, ...stage });
+	STAGES.sort((a, b) => a.order - b.order);
+}
+
+export function unregisterStage(name) {
+	const i = STAGES.findIndex((s) => s.name === name);
+	if (i >= 0) STAGES.splice(i, 1);
+}
+
+export function listStages() {
+	return STAGES.map(({ name, phase, order }) => ({ name, phase, order }));
+}
+
+async function runStages(phase, ctx) {
+	for (const stage of STAGES) {
+		if (stage.phase !== phase) continue;
+		try {
+			if (stage.match && !(await stage.match(ctx))) continue;
+			const out = await stage.run(ctx);
+			if (out) return { ...out, stage: stage.name };
+		} catch (e) {
+			console.warn(`[pipeline] stage "${stage.name}" failed:`, e);
+		}
+	}
+	return null;
+}
+
+/**
+ * Route one utterance.
+ * @param {string} utterance
+ * @param {Object} [opts]
+ * @param {"speech"|"typed"|"popup"} [opts.source="speech"]
+ * @param {Object} [opts.recognitionState]  passed to stages that talk through src/model/tts.js
+ * @param {Function} [opts.detector]        intent detector override (defaults to lib/intent.js)
+ * @returns {Promise<{intent: string, result: Object, stage?: string}|null>}
+ */
+export async function routeUtterance(utterance, opts = {}) {
+	const raw = String(utterance ?? "").trim();
+	if (!raw) return null;
+
+	const memory = await mem.get().catch(() => ({}));
+	const pre = nlpPreprocessUtterance(raw, memory);
+	const ctx = {
+		raw,
+		text: pre.text || raw,
+		source: opts.source || "speech",
+		recognitionState: opts.recognitionState,
+		notes: pre.meta.notes,
+	};
+
+	const early = await runStages("pre", ctx);
+	if (early) return early;
+
+	return handleUtterance(ctx.text, opts.detector, {
+		onUnknown: (text) => runStages("fallback", { ...ctx, text }),
+	});
+}
+
+// ─────────────────────────────────────────────────────────────
+// Built-in stages
+// ─────────────────────────────────────────────────────────────
+
+function stageResult(intent, message, reason) {
+	return { intent, result: { ok: true, message, confidence: 0.9, reason } };
+}
+
+// Summaries, due dates, "next section" and submitting are intents in lib; Part C keeps the rest
+registerStage({
+	name: "part-c-reader",
+	phase: "pre",
+	order: 100,
+	match: ({ text }) => /\b(previous|prev|last)\s+section\b|\bread\s+(?:the\s+)?full\b/i.test(text),
+	async run({ text, recognitionState }) {
+		const reader = await import("../src/part C/reader.js");
+		if (/\bread\s+(?:the\s+)?full\b/i.test(text)) {
+			await reader.readFullCommand(recognitionState);
+			return stageResult("PART_C_READ_FULL", "Reading the full page.", "stage: part-c-reader");
+		}
+		await reader.prevSectionCommand(recognitionState);
+		return stageResult("PART_C_PREVIOUS_SECTION", "Reading the previous section.", "stage: part-c-reader");
+	},
+});
+
+registerStage({
+	name: "legacy-gpt",
+	phase: "fallback",
+	order: 900,
+	async match() {
+		try {
+			const { legacyGptFallback } = await chrome.storage.sync.get("legacyGptFallback");
+			return legacyGptFallback === true;
+		} catch {
+			return false;
+		}
+	},
+	async run({ text, recognitionState }) {
+		const { useGPT } = await import("../src/model/gpt.js");
+		await useGPT(text, recognitionState);
+		return stageResult("LEGACY_GPT", "Handled by the legacy GPT fallback.", "stage: legacy-gpt");
+	},
+});
+
+// ─────────────────────────────────────────────────────────────
+// Popup commands
+// ─────────────────────────────────────────────────────────────
+
+let listening = false;
+
+/**
+ * The popup sends { action: "runCommand", text } to the active tab. Safe to call more than once.
+ * @param {(text: string) => Promise<Object|null>} [run]  defaults to routeUtterance with source "popup"
+ */
+export function listenForPopupCommands(run = (text) => routeUtterance(text, { source: "popup" })) {
+	if (listening || typeof chrome === "undefined" || !chrome.runtime?.onMessage) return;
+	listening = true;
+
+	chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+		if (message?.action !== "runCommand") return false;
+		Promise.resolve(run(String(message.text || "")))
+			.then((out) =>
+				sendResponse({ ok: out?.result?.ok !== false, intent: out?.intent, message: out?.result?.message }),
+			)
+			.catch((e) => {
+				console.warn("[pipeline] popup command failed:", e);
+				sendResponse({ ok: false, message: e.message });
+			});
+		return true;
+	});
+}
@@ -12,8 +12,8 @@ export async function planAndExecute(command) {
 	const results = [];
 
 	for (const step of steps) {
-		const { intent } = await detectIntent(step);
-		const result = await runAction(intent);
+		const { intent, slots } = await detectIntent(step);
+		const result = await runAction(intent, slots);
 		results.push({ step, intent, result });
 	}
 	return results;
@@ -0,0 +1,263 @@
+// lib/privacy.js
+// Everything that leaves the browser goes through prepareOutbound() first:
+//   consent — each remote feature is off until the user opts in (servers on this machine are exempt)
+//   redact  — emails, EUIDs, student IDs, phone numbers, grades and saved credentials are masked
+//   audit   — a local log (chrome.storage.local "privacyAudit") records what was sent where
+//
+// Consent lives in chrome.storage.sync under "privacy".
+
+import { getAllProfiles } from "./vault.js";
+
+export const PRIVACY_SETTINGS_KEY = "privacy";
+export const AUDIT_LOG_KEY = "privacyAudit";
+
+// Remote features that need opt-in, with the label the popup shows
+export const REMOTE_FEATURES = {
+	tts: "Online voices (sends text being read)",
+	stt: "Whisper server (sends microphone audio)",
+	llm: "Language model server (sends commands and page text)",
+	hosted: "Canvox hosted service (narration, navigation, login)",
+};
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+	consent: { tts: false, stt: false, llm: false, hosted: false },
+	// Keep the local audit log
+	audit: true,
+};
+
+const AUDIT_MAX = 200;
+const PREVIEW_CHARS = 160;
+
+// ─────────────────────────────────────────────────────────────
+// Redaction
+// ─────────────────────────────────────────────────────────────
+
+// Order matters: credentials and emails before the number patterns eat their parts
+const REDACTIONS = [
+	{
+		kind: "credential",
+		re: /\b(password|passcode|pin|user ?name)(?:\s+is\s+|\s*[:=]\s*)\S+/gi,
+		to: (_m, label) => `${label} [credential]`,
+	},
+	// Login commands without "is": "password hunter2", "my username ab1234". Only at the start
+	// of a sentence, so "reset my password please" keeps its words
+	{
+		kind: "credential",
+		re: /(^|[.!?]\s+)((?:my\s+)?(?:password|passcode|user ?name))(?:'s)?\s+(?!\[credential\])\S+/gim,
+		to: (_m, start, label) => `${start}${label} [credential]`,
+	},
+	{ kind: "email", re: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, to: "[email]" },
+	{ kind: "phone", re: /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g, to: "[phone]" },
+	// UNT-style EUIDs: two or three initials and four digits, lowercase. Course codes survive:
+	// "CSCE 4901", the run-together "cs4901" / "cse4901", and anything after "course"
+	{
+		kind: "euid",
+		re: /(?<!\b(?:course|class)\s+)\b(?!(?:cs|cse|csc)\d)[a-z]{2,3}\d{4}\b/g,
+		to: "[euid]",
+	},
+	{ kind: "student id", re: /\b\d{8,11}\b/g, to: "[id]" },
+	// Grades only with grade context: "due 10/15" and "chapters 3/4" are not scores
+	{
+		kind: "grade",
+		re: /\b\d{1,3}(?:\.\d+)?\s*out of\s*\d{1,3}(?:\.\d+)?\b|\b\d{1,3}(?:\.\d+)?\s*\/\s*\d{1,3}(?:\.\d+)?\s*(?:points?|pts)\b|\b\d{1,3}(?:\.\d+)?\s*%/gi,
+		to: "[grade]",
+	},
+	{
+		kind: "grade",
+		re: /\b((?:grade|score|scored|points|mark)\s*(?:is|of|was|:)?\s+)\d{1,3}(?:\.\d+)?(?:\s*\/\s*\d{1,3}(?:\.\d+)?)?(?![\d.\/])/gi,
+		to: (_m, lead) => `${lead}[grade]`,
+	},
+	{
+		kind: "grade",
+		re: /\b((?:grade|score|scored|got an?|mark)\s*(?:is|of|:)?\s+)[A-F][+-]?(?![\w+-])/g,
+		to: (_m, lead) => `${lead}[grade]`,
+	},
+];
+
+function escapeRegExp(s) {
+	return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Mask personal details.
+ * @param {string} text
+ * @param {string[]} [secrets]  exact strings to mask as well (e.g. saved credentials)
+ * @returns {{text: string, found: string[]}} found: kinds that were masked
+ */
+export function redactText(text, secrets = []) {
+	let out = String(text ?? "");
+	const found = new Set();
+
+	for (const secret of secrets) {
+		if (!secret || secret.length < 3) continue;
+		const re = new RegExp(escapeRegExp(secret), "gi");
+		if (re.test(out)) {
+			found.add("credential");
+			out = out.replace(re, "[credential]");
+		}
+	}
+
+	for (const { kind, re, to } of REDACTIONS) {
+		out = out.replace(re, (...args) => {
+			found.add(kind);
+			return typeof to === "function" ? to(...args) : to;
+		});
+	}
+
+	return { text: out, found: [...found] };
+}
+
+// Saved login details, masked wherever they show up (vault logins are only readable while it's unlocked)
+async function savedSecrets() {
+	try {
+		const data = await chrome.storage.local.get("convox_credentials");
+		const legacy = data?.convox_credentials || {};
+		const profiles = await getAllProfiles();
+		return [legacy, ...profiles].flatMap((c) => [c.username, c.password]).filter(Boolean);
+	} catch {
+		return [];
+	}
+}
+
+// ─────────────────────────────────────────────────────────────
+// Consent
+// ─────────────────────────────────────────────────────────────
+
+export function mergePrivacySettings(stored = {}) {
+	return {
+		...DEFAULT_PRIVACY_SETTINGS,
+		...stored,
+		consent: { ...DEFAULT_PRIVACY_SETTINGS.consent, ...stored?.consent },
+	};
+}
+
+let settingsCache = null;
+
+export async function getPrivacySettings() {
+	if (settingsCache) return settingsCache;
+	try {
+		const data = await chrome.storage.sync.get(PRIVACY_SETTINGS_KEY);
+		settingsCache = mergePrivacySettings(data[PRIVACY_SETTINGS_KEY]);
+	} catch (e) {
+		console.warn("[privacy] settings unavailable:", e);
+		settingsCache = mergePrivacySettings();
+	}
+	return settingsCache;
+}
+
+try {
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area === "sync" && changes[PRIVACY_SETTINGS_KEY]) settingsCache = null;
+	});
+} catch {}
+
+// Servers on this machine don't count as leaving the browser
+export function isLocalUrl(url) {
+	try {
+		const { hostname } = new URL(url);
+		return /^(localhost|127(?:\.\d+){3}|\[::1\])$/.test(hostname);
+	} catch {
+		return false;
+	}
+}
+
+function hostOf(url) {
+	try {
+		return new URL(url).host;
+	} catch {
+		return String(url || "");
+	}
+}
+
+// True when a request for this feature may go to url (no audit entry)
+export async function outboundAllowed(feature, url) {
+	if (isLocalUrl(url)) return true;
+	const { consent } = await getPrivacySettings();
+	return consent[feature] === true;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Audit log
+// ─────────────────────────────────────────────────────────────
+
+// Appends run one at a time, so concurrent requests don't overwrite each other's entries
+let auditChain = Promise.resolve();
+
+async function audit(entry) {
+	const { audit: enabled } = await getPrivacySettings();
+	if (!enabled) return;
+	const at = Date.now();
+	auditChain = auditChain.then(async () => {
+		try {
+			const data = await chrome.storage.local.get(AUDIT_LOG_KEY);
+			const log = Array.isArray(data[AUDIT_LOG_KEY]) ? data[AUDIT_LOG_KEY] : [];
+			log.push({ at, ...entry });
+			await chrome.storage.local.set({ [AUDIT_LOG_KEY]: log.slice(-AUDIT_MAX) });
+		} catch (e) {
+			console.warn("[privacy] audit log unavailable:", e);
+		}
+	});
+	await auditChain;
+}
+
+// Newest first
+export async function getAuditLog() {
+	try {
+		const data = await chrome.storage.local.get(AUDIT_LOG_KEY);
+		return (Array.isArray(data[AUDIT_LOG_KEY]) ? data[AUDIT_LOG_KEY] : []).slice().reverse();
+	} catch {
+		return [];
+	}
+}
+
+export async function clearAuditLog() {
+	auditChain = auditChain.then(async () => {
+		try {
+			await chrome.storage.local.remove(AUDIT_LOG_KEY);
+		} catch (e) {
+			console.warn("[privacy] could not clear the audit log:", e);
+		}
+	});
+	await auditChain;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Gate
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Check consent, redact and log one outbound request.
+ * @param {Object} req
+ * @param {keyof REMOTE_FEATURES} req.feature
+ * @param {string} req.url
+ * @param {string} req.kind            what is being sent, for the log ("speech text", "audio", "prompt"…)
+ * @param {string|string[]} [req.text] text to redact; an array is redacted item by item
+ * @param {number} [req.bytes]         size of a binary payload (audio), for the log
+ * @returns {Promise<{allowed: boolean, text?: string|string[], found: string[]}>}
+ *   text: the redacted text to send; found: kinds that were masked
+ */
+export async function prepareOutbound({ feature, url, kind, text, bytes }) {
+	const host = hostOf(url);
+	if (!(await outboundAllowed(feature, url))) {
+		await audit({ feature, host, kind, blocked: true });
+		return { allowed: false, found: [] };
+	}
+
+	const secrets = await savedSecrets();
+	const parts = Array.isArray(text) ? text : text == null ? [] : [text];
+	const redacted = parts.map((t) => redactText(t, secrets));
+	const found = [...new Set(redacted.flatMap((r) => r.found))];
+	const sent = redacted.map((r) => r.text);
+
+	await audit({
+		feature,
+		host,
+		kind,
+		chars: sent.reduce((n, t) => n + t.length, 0) || undefined,
+		bytes,
+		redacted: found,
+		preview: sent.join(" | ").slice(0, PREVIEW_CHARS) || undefined,
+	});
+
+	return { allowed: true, text: Array.isArray(text) ? sent : sent[0], found };
+}
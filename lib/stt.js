@@ -0,0 +1,397 @@
+// lib/stt.js
+// Speech-recognition backends behind one SpeechRecognition-shaped object.
+//
+// Backends:
+//   webspeech — the browser's SpeechRecognition (Chrome streams audio to a cloud service)
+//   whisper   — 16 kHz PCM capture, split on pauses, each phrase POSTed as WAV to a local
+//               whisper.cpp-style server (multipart "file" → JSON { text }).
+//               whisper.cpp: `whisper-server -m <model>`.
+//
+// createRecognizer() returns an EventTarget with start/stop/abort, the usual
+// on* handlers and result events shaped like Web Speech ones, so callers don't
+// care which backend is running. The backend and the microphone ("audioInput")
+// are read from chrome.storage.sync when start() is called.
+// A Whisper server off this machine needs the "stt" consent (lib/privacy.js);
+// every phrase sent is written to the audit log.
+
+import { outboundAllowed, prepareOutbound } from "./privacy.js";
+
+export const STT_SETTINGS_KEY = "sttSettings";
+
+export const DEFAULT_STT_SETTINGS = {
+	backend: "webspeech",
+	whisper: {
+		url: "http://127.0.0.1:8080/inference",
+		language: "en",
+		// Sent as "model" for OpenAI-compatible servers; whisper.cpp ignores it
+		model: "",
+	},
+};
+
+// Phrase segmentation for the whisper backend
+const LEVEL_TICK_MS = 100;
+const SPEECH_RMS = 0.02;
+const END_SILENCE_MS = 800;
+const MAX_PHRASE_MS = 15000;
+const NO_SPEECH_MS = 8000;
+// Audio kept from before the level crosses SPEECH_RMS, so the first syllable isn't clipped
+const PRE_ROLL_MS = 500;
+const WHISPER_SAMPLE_RATE = 16000;
+const CAPTURE_FRAMES = 2048;
+const TRANSCRIBE_TIMEOUT_MS = 20000;
+
+function nativeRecognition() {
+	return typeof window !== "undefined" ? window.SpeechRecognition || window.webkitSpeechRecognition || null : null;
+}
+
+function canRecordAudio() {
+	return (
+		typeof window !== "undefined" && typeof window.AudioContext === "function" && !!navigator.mediaDevices?.getUserMedia
+	);
+}
+
+// True when at least one backend can run in this page
+export function recognitionSupported() {
+	return !!nativeRecognition() || canRecordAudio();
+}
+
+// Stored settings over the defaults
+export function mergeSttSettings(stored = {}) {
+	return { ...DEFAULT_STT_SETTINGS, ...stored, whisper: { ...DEFAULT_STT_SETTINGS.whisper, ...stored?.whisper } };
+}
+
+async function loadSttSettings() {
+	try {
+		const data = await chrome.storage.sync.get([STT_SETTINGS_KEY, "audioInput"]);
+		return { ...mergeSttSettings(data[STT_SETTINGS_KEY]), deviceId: data.audioInput || "default" };
+	} catch (e) {
+		console.warn("[stt] settings unavailable:", e);
+		return { ...mergeSttSettings(), deviceId: "default" };
+	}
+}
+
+function resultEvent(results, resultIndex) {
+	return Object.assign(new Event("result"), { results, resultIndex });
+}
+
+function errorEvent(error, message = "") {
+	return Object.assign(new Event("error"), { error, message });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Web Speech backend
+// ─────────────────────────────────────────────────────────────
+
+function webSpeechBackend(rec, cfg) {
+	const SR = nativeRecognition();
+	const native = new SR();
+	native.continuous = rec.continuous;
+	native.interimResults = rec.interimResults;
+	native.lang = rec.lang;
+
+	if (cfg.deviceId && cfg.deviceId !== "default") {
+		try {
+			// Non-standard; Chrome ignores it today but some builds honor it
+			native.mediaDeviceId = cfg.deviceId;
+		} catch (e) {
+			console.warn("This browser doesn't support selecting audio input devices for SpeechRecognition:", e);
+		}
+	}
+
+	native.onstart = () => rec._emit(new Event("start"));
+	native.onspeechend = () => rec._emit(new Event("speechend"));
+	native.onresult = (e) => rec._emit(resultEvent(e.results, e.resultIndex));
+	native.onerror = (e) => rec._emit(errorEvent(e.error, e.message));
+	native.onend = () => rec._finish();
+
+	native.start();
+	return {
+		stop: () => native.stop(),
+		abort: () => native.abort(),
+	};
+}
+
+// ─────────────────────────────────────────────────────────────
+// Local Whisper backend
+// ─────────────────────────────────────────────────────────────
+
+function cleanWhisperText(text) {
+	// Drop non-speech markers such as [BLANK_AUDIO] or (music)
+	return String(text || "")
+		.replace(/\[[^\]]*\]|\([^)]*\)/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+// 16-bit mono WAV from captured Float32 chunks
+function encodeWav(chunks, sampleRate) {
+	const count = chunks.reduce((n, c) => n + c.length, 0);
+	const view = new DataView(new ArrayBuffer(44 + count * 2));
+	const ascii = (at, str) => [...str].forEach((ch, i) => view.setUint8(at + i, ch.charCodeAt(0)));
+	ascii(0, "RIFF");
+	view.setUint32(4, 36 + count * 2, true);
+	ascii(8, "WAVE");
+	ascii(12, "fmt ");
+	view.setUint32(16, 16, true);
+	view.setUint16(20, 1, true);
+	view.setUint16(22, 1, true);
+	view.setUint32(24, sampleRate, true);
+	view.setUint32(28, sampleRate * 2, true);
+	view.setUint16(32, 2, true);
+	view.setUint16(34, 16, true);
+	ascii(36, "data");
+	view.setUint32(40, count * 2, true);
+	let at = 44;
+	for (const chunk of chunks) {
+		for (const sample of chunk) {
+			const clamped = Math.max(-1, Math.min(1, sample));
+			view.setInt16(at, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+			at += 2;
+		}
+	}
+	return new Blob([view], { type: "audio/wav" });
+}
+
+async function transcribe(blob, whisper) {
+	const outbound = await prepareOutbound({ feature: "stt", url: whisper.url, kind: "audio", bytes: blob.size });
+	if (!outbound.allowed) throw new Error("Sending audio to this Whisper server is not allowed in privacy settings");
+
+	const form = new FormData();
+	form.append("file", blob, "speech.wav");
+	form.append("response_format", "json");
+	form.append("temperature", "0");
+	if (whisper.language) form.append("language", whisper.language);
+	if (whisper.model) form.append("model", whisper.model);
+
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), TRANSCRIBE_TIMEOUT_MS);
+	try {
+		const res = await fetch(whisper.url, { method: "POST", body: form, signal: controller.signal });
+		if (!res.ok) throw new Error(`Whisper server responded with ${res.status} ${res.statusText}`);
+		const data = await res.json();
+		return cleanWhisperText(data?.text);
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+async function whisperBackend(rec, cfg) {
+	if (!canRecordAudio()) throw Object.assign(new Error("Audio capture is not available"), { code: "audio-capture" });
+	if (!cfg.whisper.url) throw Object.assign(new Error("No Whisper endpoint configured"), { code: "network" });
+	if (!(await outboundAllowed("stt", cfg.whisper.url))) {
+		throw Object.assign(new Error("Sending audio to this Whisper server is not allowed in privacy settings"), {
+			code: "not-allowed",
+		});
+	}
+
+	let stream;
+	try {
+		const audio =
+			cfg.deviceId && cfg.deviceId !== "default"
+				? { deviceId: { exact: cfg.deviceId }, echoCancellation: true, noiseSuppression: true }
+				: { echoCancellation: true, noiseSuppression: true };
+		stream = await navigator.mediaDevices.getUserMedia({ audio });
+	} catch (e) {
+		// getUserMedia rejects with a DOMException, whose properties can't be reassigned
+		throw Object.assign(new Error(e.message, { cause: e }), {
+			code: e.name === "NotAllowedError" ? "not-allowed" : "audio-capture",
+		});
+	}
+
+	// Chrome resamples the mic to the rate whisper.cpp expects
+	const ctx = new AudioContext({ sampleRate: WHISPER_SAMPLE_RATE });
+	await ctx.resume();
+	const source = ctx.createMediaStreamSource(stream);
+	const analyser = ctx.createAnalyser();
+	analyser.fftSize = 1024;
+	source.connect(analyser);
+	const samples = new Float32Array(analyser.fftSize);
+
+	// Audio is captured all the time: a rolling pre-roll while it's quiet, the whole phrase once speech starts
+	const capture = ctx.createScriptProcessor(CAPTURE_FRAMES, 1, 1);
+	source.connect(capture);
+	capture.connect(ctx.destination);
+	const preRollFrames = Math.ceil((PRE_ROLL_MS / 1000) * ctx.sampleRate);
+	let preRoll = [];
+	let phrase = null;
+	capture.onaudioprocess = (e) => {
+		const chunk = new Float32Array(e.inputBuffer.getChannelData(0));
+		if (phrase) {
+			phrase.push(chunk);
+			return;
+		}
+		preRoll.push(chunk);
+		while (preRoll.length > 1 && (preRoll.length - 1) * CAPTURE_FRAMES >= preRollFrames) preRoll.shift();
+	};
+
+	const results = [];
+	let phraseStart = 0;
+	let lastVoice = 0;
+	let heardSpeech = false;
+	let stopping = false;
+	let aborted = false;
+	let pending = Promise.resolve();
+	const startedAt = Date.now();
+
+	function level() {
+		analyser.getFloatTimeDomainData(samples);
+		let sum = 0;
+		for (const s of samples) sum += s * s;
+		return Math.sqrt(sum / samples.length);
+	}
+
+	function beginPhrase() {
+		phrase = preRoll;
+		preRoll = [];
+		phraseStart = Date.now();
+	}
+
+	function endPhrase() {
+		const chunks = phrase;
+		phrase = null;
+		if (chunks?.length) {
+			const blob = encodeWav(chunks, ctx.sampleRate);
+			// Keep results in phrase order even if the server answers out of order
+			pending = pending.then(() => handlePhrase(blob));
+		}
+		return pending;
+	}
+
+	async function handlePhrase(blob) {
+		if (aborted || !blob.size) return;
+		try {
+			const text = await transcribe(blob, cfg.whisper);
+			if (!text || aborted) return;
+			// Results are concatenated by callers, so later phrases carry their own leading space
+			const transcript = results.length ? ` ${text}` : text;
+			const result = Object.assign([{ transcript, confidence: 1 }], { isFinal: true });
+			results.push(result);
+			rec._emit(resultEvent(results, results.length - 1));
+			if (!rec.continuous) shutdown();
+		} catch (e) {
+			console.warn("[stt] whisper transcription failed:", e);
+			rec._emit(errorEvent("network", e.message));
+			shutdown();
+		}
+	}
+
+	const ticker = setInterval(() => {
+		const now = Date.now();
+		if (level() > SPEECH_RMS) {
+			lastVoice = now;
+			heardSpeech = true;
+			if (!phrase && !stopping) beginPhrase();
+		} else if (phrase && now - lastVoice > END_SILENCE_MS) {
+			rec._emit(new Event("speechend"));
+			// Single-shot recognizers stop after one phrase, like Web Speech does
+			if (rec.continuous) endPhrase();
+			else shutdown();
+		}
+		if (phrase && now - phraseStart > MAX_PHRASE_MS) endPhrase();
+		if (!rec.continuous && !heardSpeech && now - startedAt > NO_SPEECH_MS) {
+			rec._emit(errorEvent("no-speech"));
+			shutdown();
+		}
+	}, LEVEL_TICK_MS);
+
+	function shutdown() {
+		if (stopping) return;
+		stopping = true;
+		clearInterval(ticker);
+		capture.onaudioprocess = null;
+		// Let the last phrase finish transcribing before reporting "end"
+		endPhrase().finally(() => {
+			stream.getTracks().forEach((t) => t.stop());
+			ctx.close().catch(() => {});
+			rec._finish();
+		});
+	}
+
+	rec._emit(new Event("start"));
+	return {
+		stop: shutdown,
+		abort: () => {
+			aborted = true;
+			shutdown();
+		},
+	};
+}
+
+const BACKENDS = {
+	webspeech: webSpeechBackend,
+	whisper: whisperBackend,
+};
+
+// ─────────────────────────────────────────────────────────────
+// Recognizer
+// ─────────────────────────────────────────────────────────────
+
+class Recognizer extends EventTarget {
+	constructor(opts = {}) {
+		super();
+		this.continuous = false;
+		this.interimResults = false;
+		this.lang = "en-US";
+		this.backend = opts.backend || null; // null = from settings
+		this.deviceId = opts.deviceId || null; // null = the "audioInput" setting
+		this.onstart = this.onend = this.onresult = this.onerror = this.onspeechend = null;
+		this._active = null;
+		this._running = false;
+		this._stopRequested = null;
+	}
+
+	_emit(event) {
+		this.dispatchEvent(event);
+		const handler = this[`on${event.type}`];
+		if (typeof handler === "function") handler.call(this, event);
+	}
+
+	_finish() {
+		if (!this._running) return;
+		this._running = false;
+		this._active = null;
+		this._emit(new Event("end"));
+	}
+
+	start() {
+		if (this._running) throw new DOMException("recognition has already started", "InvalidStateError");
+		this._running = true;
+		this._stopRequested = null;
+
+		loadSttSettings()
+			.then(async (settings) => {
+				const cfg = { ...settings, deviceId: this.deviceId || settings.deviceId };
+				let name = this.backend || settings.backend;
+				// Chromium builds without Web Speech fall through to the local server
+				if (name === "webspeech" && !nativeRecognition()) name = "whisper";
+
+				const control = await (BACKENDS[name] || BACKENDS.webspeech)(this, cfg);
+				this._active = control;
+				if (this._stopRequested) control[this._stopRequested]();
+			})
+			.catch((e) => {
+				console.warn("[stt] could not start recognition:", e);
+				this._emit(errorEvent(e.code || "audio-capture", e.message));
+				this._finish();
+			});
+	}
+
+	stop() {
+		if (this._active) this._active.stop();
+		else if (this._running) this._stopRequested = "stop";
+	}
+
+	abort() {
+		if (this._active) this._active.abort();
+		else if (this._running) this._stopRequested = "abort";
+	}
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.backend]  "webspeech" | "whisper"; default from settings
+ * @param {string} [opts.deviceId] microphone; default the "audioInput" setting
+ */
+export function createRecognizer(opts = {}) {
+	return new Recognizer(opts);
+}
@@ -1,31 +1,15 @@
 // lib/tiny_llm.js
-// Ollama-backed LLM utilities for Convox.
+// LLM utilities for Convox, on top of the provider layer in lib/llm.js
+// (WebLLM in the browser, Ollama, or an OpenAI-compatible local server).
 // - MV3-safe (no npm bare imports)
 // - Intent routing + small talk/general Q&A
+// - Every helper has a safe result when no model answers: null / "" / the
+//   input text / the heuristic summary, so callers keep their deterministic path.
 
-const OLLAMA_URL = "http://localhost:11434/api/generate";
-const DEFAULT_OLLAMA_MODEL = "llama3.2"; // change to what you have in `ollama list`
-
-async function ollamaOneShot(prompt, { model = DEFAULT_OLLAMA_MODEL, temperature = 0.2 } = {}) {
-	const res = await fetch(OLLAMA_URL, {
-		method: "POST",
-		headers: { "Content-Type": "application/json" },
-		body: JSON.stringify({
-			model,
-			prompt,
-			stream: false,
-			options: { temperature },
-		}),
-	});
-
-	if (!res.ok) {
-		const txt = await res.text().catch(() => "");
-		throw new Error(`Ollama failed (${res.status}): ${txt.slice(0, 200)}`);
-	}
-
-	const data = await res.json();
-	return (data?.response || "").trim();
-}
+import { llmComplete } from "./llm.js";
+import { summarizeTextForSpeech } from "./page_summarize.js";
+import { bestFuzzyMatch, normalizeSpoken } from "./fuzzy_match.js";
+import { getIntentDef } from "./intent_registry.js";
 
 function safeJsonParse(s) {
 	try {
@@ -48,6 +32,33 @@ function clamp01(x) {
 	return Math.max(0, Math.min(1, n));
 }
 
+// Slot names an intent's handler reads, plus the ones its dialogue asks for
+function intentSlotNames(intent) {
+	const def = getIntentDef(intent);
+	return [...new Set([...(def?.slots || []), ...(def?.required || []).map((s) => s.name)])];
+}
+
+// Output schema for llmClassifyIntent: the intent can only be one of the allowed
+// names, and the slots only ones those intents declare in the registry
+function intentSchema(allow) {
+	const slotNames = [...new Set(allow.flatMap(intentSlotNames))];
+	return {
+		type: "object",
+		properties: {
+			intent: { type: "string", enum: allow },
+			confidence: { type: "number", minimum: 0, maximum: 1 },
+			slots: {
+				type: "object",
+				properties: Object.fromEntries(slotNames.map((n) => [n, { type: ["string", "boolean"] }])),
+				additionalProperties: false,
+			},
+			reason: { type: "string" },
+		},
+		required: ["intent", "confidence", "slots", "reason"],
+		additionalProperties: false,
+	};
+}
+
 export async function llmClassifyIntent({ utterance, allowIntents, context }) {
 	const u = String(utterance || "").trim();
 	if (!u) return null;
@@ -78,9 +89,15 @@ Rules:
   - section: short string like "assignments", "grades", "modules"
   - target: navigation target phrase (e.g., "inbox", "calendar")
   - q: search query (e.g., "HW 2", "final reflection report")
+  - Only fill the slots listed next to the chosen intent.
 
-Allowed intents:
-${allow.map((x) => `- ${x}`).join("\n")}
+Allowed intents (with their slots):
+${allow
+	.map((x) => {
+		const names = intentSlotNames(x);
+		return names.length ? `- ${x} (${names.join(", ")})` : `- ${x}`;
+	})
+	.join("\n")}
 
 Context:
 ${JSON.stringify(
@@ -100,7 +117,7 @@ ${u}
 `.trim();
 
 	try {
-		const out = await ollamaOneShot(prompt, { temperature: 0.1 });
+		const out = await llmComplete(prompt, { temperature: 0.1, schema: intentSchema(allow) });
 		const obj = safeJsonParse(out);
 		if (!obj || typeof obj !== "object") return null;
 
@@ -108,7 +125,10 @@ ${u}
 		if (!allow.includes(intent)) return null;
 
 		const confidence = clamp01(obj.confidence);
-		const slots = obj.slots && typeof obj.slots === "object" ? obj.slots : {};
+		const names = intentSlotNames(intent);
+		const slots = Object.fromEntries(
+			Object.entries(obj.slots && typeof obj.slots === "object" ? obj.slots : {}).filter(([k]) => names.includes(k)),
+		);
 		const reason = String(obj.reason || "llm").slice(0, 120);
 
 		return { intent, confidence, slots, reason };
@@ -150,12 +170,7 @@ User:
 ${u}
 `.trim();
 
-	try {
-		return await ollamaOneShot(prompt, { temperature: 0.4 });
-	} catch (e) {
-		console.warn("[tiny_llm] chat fallback:", e);
-		return "";
-	}
+	return llmComplete(prompt, { temperature: 0.4 });
 }
 
 // Existing helpers (kept)
@@ -183,28 +198,21 @@ Content:
 ${text}`.trim();
 }
 
-export async function llmRewriteForSpeech(text, { model } = {}) {
+export async function llmRewriteForSpeech(text) {
 	const t = String(text || "").trim();
 	if (!t) return t;
 
-	try {
-		const out = await ollamaOneShot(buildRewritePrompt(t), { model });
-		return out || t;
-	} catch {
-		return t;
-	}
+	const out = await llmComplete(buildRewritePrompt(t));
+	return out || t;
 }
 
-export async function llmSummarizeForSpeech(text, { model } = {}) {
+// Falls back to the Summarizer API / heuristic summary in lib/page_summarize.js
+export async function llmSummarizeForSpeech(text) {
 	const t = String(text || "").trim();
 	if (!t) return t;
 
-	try {
-		const out = await ollamaOneShot(buildSummaryPrompt(t), { model });
-		return out || t;
-	} catch {
-		return t;
-	}
+	const out = await llmComplete(buildSummaryPrompt(t), { maxTokens: 400 });
+	return out || (await summarizeTextForSpeech(t, { maxSentences: 3 })) || t;
 }
 
 // -----------------------------------------------------------------------------
@@ -232,21 +240,57 @@ ${JSON.stringify(items, null, 2)}
 `.trim();
 }
 
-export async function llmAnswerQuestion(
-	{ question, items, tz = "America/Chicago", todayISO = new Date().toISOString().slice(0, 10) },
-	{ model } = {},
-) {
+export async function llmAnswerQuestion({
+	question,
+	items,
+	tz = Intl.DateTimeFormat().resolvedOptions().timeZone,
+	todayISO = new Date().toISOString().slice(0, 10),
+}) {
 	const q = String(question || "").trim();
 	if (!q) return "";
 
-	try {
-		const out = await ollamaOneShot(buildAnswerPrompt({ question: q, tz, todayISO, items: items || [] }), {
-			model,
-			temperature: 0.2,
-		});
-		return (out || "").trim();
-	} catch (e) {
-		console.warn("[tiny_llm] llmAnswerQuestion fallback:", e);
-		return "";
-	}
+	return llmComplete(buildAnswerPrompt({ question: q, tz, todayISO, items: items || [] }), { temperature: 0.2 });
+}
+
+// -----------------------------------------------------------------------------
+// Destination picking (src/model/gpt.js, formerly the hosted /api/gpt endpoint)
+// -----------------------------------------------------------------------------
+function buildDestinationPrompt(utterance, destinations) {
+	return `A blind student using Canvas said a command. Pick where it should go.
+
+Return ONLY valid JSON: { "destination": "<one option exactly as written, or none>" }
+
+Rules:
+- "narrate" means the user wants something on the current page read aloud.
+- If nothing fits, use "none".
+
+Options:
+${destinations.map((d) => `- ${d}`).join("\n")}
+
+User said:
+${utterance}`.trim();
+}
+
+/**
+ * Choose one of the destinations for a command the rules didn't understand.
+ * Without a model, picks the closest-sounding option instead.
+ * @returns {Promise<string|null>} the option (lowercased) or null when nothing fits
+ */
+export async function llmPickDestination(utterance, destinations) {
+	const u = String(utterance || "").trim();
+	const options = [...new Set((destinations || []).map((d) => String(d).toLowerCase()))];
+	if (!u || !options.length) return null;
+
+	const out = await llmComplete(buildDestinationPrompt(u, ["narrate", ...options]), { temperature: 0, json: true });
+	const picked = String(safeJsonParse(out)?.destination || "")
+		.trim()
+		.toLowerCase();
+	if (picked === "narrate" || options.includes(picked)) return picked;
+
+	// Deterministic fallback: the spoken target against each option
+	const target = normalizeSpoken(u).replace(
+		/^(?:please\s+)?(?:open|go to|show|take me to|navigate to)\s+(?:my\s+|the\s+)?/,
+		"",
+	);
+	return bestFuzzyMatch(target, options, (d) => d)?.item ?? null;
 }
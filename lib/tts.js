@@ -0,0 +1,383 @@
+// lib/tts.js
+// Text-to-speech service. Every module that talks goes through speakText().
+//
+// Engines are interchangeable:
+//   browser — Web Speech voices (speechSynthesis); offline, always the fallback
+//   http    — a remote endpoint that takes JSON text and returns audio (default: the hosted Canvox /api/tts)
+//   local   — the same protocol against a server on this machine (e.g. Piper or Coqui behind a small wrapper)
+//
+// Remote protocol: POST { text, narrate_Content, voice, rate, pitch } → audio/* body.
+// Utterances share one queue, so two modules never talk over each other.
+// Settings live in chrome.storage.sync under "ttsSettings"; the readout volume
+// and audio output device are the existing "volume" / "audioOutput" settings.
+// Remote engines need the "tts" consent (lib/privacy.js). Text with credentials,
+// IDs or grades in it is read by browser voices instead; other details are masked.
+
+import { prepareOutbound } from "./privacy.js";
+
+export const TTS_SETTINGS_KEY = "ttsSettings";
+
+export const DEFAULT_TTS_SETTINGS = {
+	engine: "browser",
+	// Retry on browser voices when a remote engine fails
+	fallback: true,
+	engines: {
+		browser: { voice: "", rate: 1, pitch: 1 },
+		http: { url: "https://glacial-sea-18791-40c840bc91e9.herokuapp.com/api/tts", voice: "", rate: 1, pitch: 1 },
+		local: { url: "http://localhost:3000/api/tts", voice: "", rate: 1, pitch: 1 },
+	},
+};
+
+// Fired on document for every utterance: detail { text, engine, phase: "start" | "end" | "fallback" }
+export const TTS_EVENT = "convox-tts";
+
+const REMOTE_TIMEOUT_MS = 8000;
+
+// ─────────────────────────────────────────────────────────────
+// Engines
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} TtsEngine
+ * @property {string} label
+ * @property {() => boolean} available
+ * @property {(text: string, cfg: Object, signal: AbortSignal) => Promise<void>} speak
+ *   resolves when playback ends (or is aborted), rejects when the engine can't speak
+ * @property {() => void} [pause]   hold the current utterance (barge-in)
+ * @property {() => void} [resume]
+ */
+
+const ENGINES = new Map();
+
+export function registerTtsEngine(name, engine) {
+	if (!name || typeof engine?.speak !== "function") throw new Error("registerTtsEngine: name and speak() are required");
+	ENGINES.set(name, { label: name, available: () => true, ...engine });
+}
+
+export function listTtsEngines() {
+	return [...ENGINES.entries()].map(([name, e]) => ({ name, label: e.label, available: !!e.available() }));
+}
+
+function pickBrowserVoice(name, lang) {
+	const voices = window.speechSynthesis.getVoices() || [];
+	if (name) {
+		const exact = voices.find((v) => v.name === name || v.voiceURI === name);
+		if (exact) return exact;
+	}
+	return voices.find((v) => v.lang === lang && v.default) || null;
+}
+
+registerTtsEngine("browser", {
+	label: "Browser voices",
+	available: () => typeof window !== "undefined" && "speechSynthesis" in window,
+	speak(text, cfg, signal) {
+		return new Promise((resolve, reject) => {
+			const synth = window.speechSynthesis;
+			const utter = new SpeechSynthesisUtterance(text);
+			utter.rate = cfg.rate;
+			utter.pitch = cfg.pitch;
+			utter.volume = cfg.volume;
+			utter.lang = cfg.lang;
+			const voice = pickBrowserVoice(cfg.voice, cfg.lang);
+			if (voice) utter.voice = voice;
+
+			utter.onstart = () => cfg.onStart?.();
+			utter.onend = () => resolve();
+			utter.onerror = (e) => {
+				// cancel() from our own queue reports as interrupted/canceled
+				if (signal.aborted || e.error === "interrupted" || e.error === "canceled") resolve();
+				else reject(new Error(`speechSynthesis: ${e.error}`));
+			};
+			signal.addEventListener("abort", () => synth.cancel(), { once: true });
+
+			synth.cancel();
+			synth.speak(utter);
+		});
+	},
+	pause: () => window.speechSynthesis.pause(),
+	resume: () => window.speechSynthesis.resume(),
+});
+
+// Audio element of the remote utterance being played, for pause/resume
+let playingAudio = null;
+
+async function playAudioBlob(blob, cfg, signal) {
+	const url = URL.createObjectURL(blob);
+	const audio = new Audio(url);
+	audio.volume = cfg.volume;
+	if (cfg.sinkId && cfg.sinkId !== "default" && typeof audio.setSinkId === "function") {
+		await audio.setSinkId(cfg.sinkId).catch((e) => console.warn("[tts] output device:", e));
+	}
+
+	try {
+		await new Promise((resolve, reject) => {
+			audio.onended = () => resolve();
+			audio.onerror = () => reject(new Error("audio playback failed"));
+			signal.addEventListener(
+				"abort",
+				() => {
+					audio.pause();
+					resolve();
+				},
+				{ once: true },
+			);
+			audio.play().then(() => cfg.onStart?.(), reject);
+			playingAudio = audio;
+		});
+	} finally {
+		if (playingAudio === audio) playingAudio = null;
+		URL.revokeObjectURL(url);
+	}
+}
+
+// Redaction kinds (lib/privacy.js) a remote voice never gets, even masked
+const KEEP_LOCAL_KINDS = ["credential", "euid", "student id", "grade"];
+
+// Engines throw these when the text may not leave the browser; browser voices take over
+function privacyError(message) {
+	return Object.assign(new Error(message), { privacy: true });
+}
+
+function remoteEngine(label) {
+	return {
+		label,
+		available: () => typeof fetch === "function",
+		async speak(text, cfg, signal) {
+			if (!cfg.url) throw new Error(`${label}: no endpoint configured`);
+
+			const outbound = await prepareOutbound({ feature: "tts", url: cfg.url, kind: "speech text", text });
+			if (!outbound.allowed) throw privacyError(`${label}: online voices are not allowed in privacy settings`);
+			// Readouts with these stay on the device; anything else goes out masked
+			const kept = outbound.found.filter((kind) => KEEP_LOCAL_KINDS.includes(kind));
+			if (kept.length) throw privacyError(`${label}: text contains ${kept.join(", ")}`);
+			const sent = outbound.text;
+
+			const timeout = new AbortController();
+			const timer = setTimeout(() => timeout.abort(), REMOTE_TIMEOUT_MS);
+			const onAbort = () => timeout.abort();
+			signal.addEventListener("abort", onAbort, { once: true });
+
+			let res;
+			try {
+				res = await fetch(cfg.url, {
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({
+						text: sent,
+						narrate_Content: sent,
+						voice: cfg.voice || undefined,
+						rate: cfg.rate,
+						pitch: cfg.pitch,
+					}),
+					signal: timeout.signal,
+				});
+			} catch (e) {
+				if (signal.aborted) return;
+				throw new Error(`${label}: ${timeout.signal.aborted ? "timed out" : e.message}`);
+			} finally {
+				clearTimeout(timer);
+				signal.removeEventListener("abort", onAbort);
+			}
+
+			if (!res.ok) throw new Error(`${label}: server responded with ${res.status} ${res.statusText}`);
+			const blob = await res.blob();
+			if (signal.aborted) return;
+			if (!blob.size) throw new Error(`${label}: empty audio`);
+			await playAudioBlob(blob, cfg, signal);
+		},
+		pause: () => playingAudio?.pause(),
+		resume: () => playingAudio?.play().catch((e) => console.warn("[tts] resume:", e)),
+	};
+}
+
+registerTtsEngine("http", remoteEngine("Hosted service"));
+registerTtsEngine("local", remoteEngine("Local server"));
+
+// ─────────────────────────────────────────────────────────────
+// Settings
+// ─────────────────────────────────────────────────────────────
+
+let settingsCache = null;
+
+// Stored settings over the defaults, engine by engine
+export function mergeTtsSettings(stored = {}) {
+	const engines = { ...DEFAULT_TTS_SETTINGS.engines };
+	for (const [name, cfg] of Object.entries(stored?.engines || {})) {
+		engines[name] = { ...engines[name], ...cfg };
+	}
+	return { ...DEFAULT_TTS_SETTINGS, ...stored, engines };
+}
+
+export async function getTtsSettings() {
+	if (settingsCache) return settingsCache;
+	try {
+		const data = await chrome.storage.sync.get([TTS_SETTINGS_KEY, "volume", "audioOutput"]);
+		const volume = Number(data.volume);
+		settingsCache = {
+			...mergeTtsSettings(data[TTS_SETTINGS_KEY]),
+			volume: Number.isFinite(volume) ? Math.max(0, Math.min(1, volume / 100)) : 1,
+			sinkId: data.audioOutput || "default",
+		};
+	} catch (e) {
+		// Pages without extension storage (or an invalidated context) use the defaults
+		console.warn("[tts] settings unavailable:", e);
+		settingsCache = { ...mergeTtsSettings(), volume: 1, sinkId: "default" };
+	}
+	return settingsCache;
+}
+
+try {
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area !== "sync") return;
+		if (changes[TTS_SETTINGS_KEY] || changes.volume || changes.audioOutput) settingsCache = null;
+	});
+} catch {}
+
+// True when the selected engine has to fetch audio before it can talk
+export async function ttsUsesNetwork() {
+	const s = await getTtsSettings();
+	return s.engine !== "browser" && ENGINES.has(s.engine);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Queue
+// ─────────────────────────────────────────────────────────────
+
+const queue = [];
+let current = null;
+// Recently finished utterances, so a late recognition result can still be matched as echo
+const recent = [];
+const RECENT_MS = 4000;
+
+function emit(phase, item, engine) {
+	try {
+		document.dispatchEvent(new CustomEvent(TTS_EVENT, { detail: { text: item.text, engine, phase } }));
+	} catch {}
+}
+
+function engineConfig(settings, name, opts) {
+	const cfg = settings.engines[name] || {};
+	return {
+		url: cfg.url,
+		voice: opts.voice ?? cfg.voice,
+		rate: opts.rate ?? cfg.rate ?? 1,
+		pitch: opts.pitch ?? cfg.pitch ?? 1,
+		volume: opts.volume ?? settings.volume,
+		lang: opts.lang ?? "en-US",
+		sinkId: settings.sinkId,
+		onStart: opts.onStart,
+	};
+}
+
+async function runItem(item) {
+	const settings = await getTtsSettings();
+	const chosen = item.opts.engine || settings.engine;
+	const order = [chosen];
+	if (chosen !== "browser" && settings.fallback !== false) order.push("browser");
+
+	for (const name of order) {
+		const engine = ENGINES.get(name);
+		if (!engine || !engine.available()) {
+			console.warn(`[tts] engine "${name}" is not available`);
+			continue;
+		}
+		if (item.controller.signal.aborted) return;
+		if (name !== chosen) emit("fallback", item, name);
+		item.engine = name;
+		emit("start", item, name);
+		try {
+			await engine.speak(item.text, engineConfig(settings, name, item.opts), item.controller.signal);
+			emit("end", item, name);
+			return;
+		} catch (e) {
+			console.warn(`[tts] ${name} failed:`, e);
+			if (e.privacy && !order.includes("browser")) order.push("browser");
+		}
+	}
+}
+
+async function pump() {
+	if (current) return;
+	while (queue.length) {
+		current = queue.shift();
+		try {
+			await runItem(current);
+		} catch (e) {
+			console.warn("[tts] speak error:", e);
+		}
+		recent.push({ text: current.text, endedAt: Date.now() });
+		while (recent.length > 5) recent.shift();
+		current.done();
+		current = null;
+	}
+}
+
+/**
+ * Speak text through the selected engine.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {boolean} [opts.interrupt=true]  stop whatever is playing and drop the queue first
+ * @param {string} [opts.engine]   override the selected engine for this utterance
+ * @param {string} [opts.voice]
+ * @param {number} [opts.rate]
+ * @param {number} [opts.pitch]
+ * @param {number} [opts.volume]   0..1; defaults to the readout volume setting
+ * @param {string} [opts.lang]
+ * @param {() => void} [opts.onStart]  called when audio actually starts
+ * @returns {Promise<void>} resolves when this utterance finishes or is dropped
+ */
+export function speakText(text, opts = {}) {
+	const clean = String(text ?? "").trim();
+	if (!clean) return Promise.resolve();
+	if (opts.interrupt !== false) stopSpeaking();
+
+	return new Promise((resolve) => {
+		queue.push({ text: clean, opts, controller: new AbortController(), done: resolve });
+		pump();
+	});
+}
+
+export function stopSpeaking() {
+	const dropped = queue.splice(0);
+	for (const item of dropped) item.done();
+	if (current) current.controller.abort();
+	try {
+		window.speechSynthesis?.cancel();
+	} catch {}
+	return dropped.length > 0 || !!current;
+}
+
+export function isSpeaking() {
+	return (!!current && !current.controller.signal.aborted) || queue.length > 0;
+}
+
+// Hold the current utterance without dropping it; resumeSpeaking() picks up where it stopped
+export function pauseSpeaking() {
+	if (!current?.engine || current.paused) return false;
+	current.paused = true;
+	ENGINES.get(current.engine)?.pause?.();
+	return true;
+}
+
+export function resumeSpeaking() {
+	if (!current?.paused) return false;
+	current.paused = false;
+	ENGINES.get(current.engine)?.resume?.();
+	return true;
+}
+
+export function isPaused() {
+	return !!current?.paused;
+}
+
+/**
+ * The utterance playing now, or the one that just finished within `withinMs`
+ * (recognition lags the audio), for echo checks. Empty when nothing qualifies.
+ * @param {number} [withinMs]
+ * @returns {string}
+ */
+export function currentSpeech(withinMs = RECENT_MS) {
+	if (current) return current.text;
+	const last = recent[recent.length - 1];
+	return last && last.endedAt >= Date.now() - withinMs ? last.text : "";
+}
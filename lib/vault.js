@@ -0,0 +1,369 @@
+// lib/vault.js
+// Encrypted credential vault for voice login.
+//
+// Credentials are encrypted with AES-GCM under a key derived (PBKDF2-SHA-256) from a PIN the user
+// says or types. Only ciphertext is stored, in chrome.storage.local under "convoxVault":
+//   { v, salt, iterations, check, profiles: { [loginHost]: { iv, data } }, links, failures }
+// Each profile is one institution / SSO login, keyed by the host of its login page. links maps other
+// login hosts (an SSO page) to a profile, and only the user adds them. "*" is the profile for any site
+// (credentials saved before profiles existed land there); it is never used without asking.
+// failures counts wrong PINs across reloads; too many lock unlocking out for a while.
+//
+// The derived key lives only in memory for this page and is dropped after "vaultAutoLockMinutes"
+// without use. Nothing here speaks; callers decide what to say.
+
+export const VAULT_KEY = "convoxVault";
+export const ANY_HOST = "*";
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+// Plain-text credentials from before the vault; moved in and deleted on first unlock
+const LEGACY_KEY = "convox_credentials";
+
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+export const MIN_PIN_LENGTH = 6;
+// Every PIN_TRIES wrong PINs lock unlocking for LOCKOUT_MS, doubling each time up to LOCKOUT_MAX_MS
+const PIN_TRIES = 3;
+const LOCKOUT_MS = 5 * 60000;
+const LOCKOUT_MAX_MS = 60 * 60000;
+const CHECK_TEXT = "convox-vault";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+// ─────────────────────────────────────────────────────────────
+// Storage + crypto helpers
+// ─────────────────────────────────────────────────────────────
+
+function toBase64(bytes) {
+	return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(b64) {
+	return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+async function readVault() {
+	const data = await chrome.storage.local.get(VAULT_KEY);
+	return data?.[VAULT_KEY] || null;
+}
+
+async function writeVault(vault) {
+	await chrome.storage.local.set({ [VAULT_KEY]: vault });
+}
+
+async function deriveKey(pin, salt, iterations) {
+	const material = await crypto.subtle.importKey("raw", enc.encode(pin), "PBKDF2", false, ["deriveKey"]);
+	return crypto.subtle.deriveKey(
+		{ name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+		material,
+		{ name: "AES-GCM", length: 256 },
+		false,
+		["encrypt", "decrypt"],
+	);
+}
+
+async function encryptJson(key, value) {
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, enc.encode(JSON.stringify(value)));
+	return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+// Rejects when the key is wrong or the data was tampered with
+async function decryptJson(key, box) {
+	const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(box.iv) }, key, fromBase64(box.data));
+	return JSON.parse(dec.decode(plain));
+}
+
+// ─────────────────────────────────────────────────────────────
+// PIN
+// ─────────────────────────────────────────────────────────────
+
+const SPOKEN_DIGITS = {
+	zero: "0",
+	oh: "0",
+	one: "1",
+	won: "1",
+	two: "2",
+	too: "2",
+	three: "3",
+	four: "4",
+	five: "5",
+	six: "6",
+	seven: "7",
+	eight: "8",
+	ate: "8",
+	nine: "9",
+};
+
+/**
+ * Pull a PIN out of what was said or typed: "my pin is 4 7 1 9 2 6", "pin one two three four five six".
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {number} [opts.minLength]  fewest digits that count (one-time codes can be shorter than PINs)
+ * @returns {string|null} the digits, or null when there aren't enough of them
+ */
+export function parseSpokenPin(text, { minLength = MIN_PIN_LENGTH } = {}) {
+	const t = String(text || "").toLowerCase();
+	// Only what follows "pin"/"passcode" when it's mentioned
+	const after = t.match(/\b(?:pin|passcode|code)\b(?:\s+(?:is|number))?(.*)$/)?.[1] ?? t;
+	const digits = after
+		.split(/[^a-z0-9]+/)
+		.filter(Boolean)
+		.map((w) => (/^\d+$/.test(w) ? w : SPOKEN_DIGITS[w] || ""))
+		.join("");
+	return digits.length >= minLength ? digits : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Lock state
+// ─────────────────────────────────────────────────────────────
+
+const session = { key: null, timer: null, lockMs: DEFAULT_AUTO_LOCK_MINUTES * 60000 };
+
+async function loadAutoLock() {
+	try {
+		const { vaultAutoLockMinutes } = await chrome.storage.sync.get("vaultAutoLockMinutes");
+		const minutes = Number(vaultAutoLockMinutes);
+		session.lockMs = (minutes > 0 ? minutes : DEFAULT_AUTO_LOCK_MINUTES) * 60000;
+	} catch {}
+}
+
+try {
+	loadAutoLock();
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area === "sync" && changes.vaultAutoLockMinutes) loadAutoLock();
+		// Vault removed or replaced in another page: this key no longer opens it
+		if (area === "local" && changes[VAULT_KEY]) {
+			const { oldValue, newValue } = changes[VAULT_KEY];
+			if (!newValue || newValue.salt !== oldValue?.salt) lockVault();
+		}
+	});
+} catch {}
+
+// Every use restarts the auto-lock countdown
+function touch() {
+	clearTimeout(session.timer);
+	session.timer = setTimeout(lockVault, session.lockMs);
+}
+
+export function lockVault() {
+	clearTimeout(session.timer);
+	session.timer = null;
+	session.key = null;
+}
+
+export function isVaultUnlocked() {
+	return !!session.key;
+}
+
+export async function vaultExists() {
+	try {
+		return !!(await readVault());
+	} catch {
+		return false;
+	}
+}
+
+// True when plain-text credentials from before the vault are still stored
+export async function hasLegacyCredentials() {
+	try {
+		const data = await chrome.storage.local.get(LEGACY_KEY);
+		const creds = data?.[LEGACY_KEY];
+		return !!(creds?.username || creds?.password);
+	} catch {
+		return false;
+	}
+}
+
+async function migrateLegacyCredentials() {
+	const data = await chrome.storage.local.get(LEGACY_KEY);
+	const creds = data?.[LEGACY_KEY];
+	if (creds?.username || creds?.password) {
+		await saveProfile(ANY_HOST, { username: creds.username || "", password: creds.password || "" });
+	}
+	await chrome.storage.local.remove(LEGACY_KEY);
+}
+
+/**
+ * Create an empty vault locked with this PIN and unlock it. Replaces any existing vault.
+ * @param {string} pin  at least MIN_PIN_LENGTH (6) digits or characters
+ */
+export async function createVault(pin) {
+	pin = String(pin || "");
+	if (pin.length < MIN_PIN_LENGTH) throw new Error(`createVault: the PIN needs at least ${MIN_PIN_LENGTH} characters`);
+
+	const salt = crypto.getRandomValues(new Uint8Array(16));
+	const key = await deriveKey(pin, salt, PBKDF2_ITERATIONS);
+	await writeVault({
+		v: VAULT_VERSION,
+		salt: toBase64(salt),
+		iterations: PBKDF2_ITERATIONS,
+		check: await encryptJson(key, CHECK_TEXT),
+		profiles: {},
+	});
+	session.key = key;
+	touch();
+	await migrateLegacyCredentials().catch((e) => console.warn("[vault] could not move old credentials in:", e));
+}
+
+// Milliseconds until another PIN may be tried; 0 when it may be tried now
+export async function vaultLockedOutFor() {
+	const vault = await readVault().catch(() => null);
+	return Math.max(0, (vault?.failures?.lockedUntil || 0) - Date.now());
+}
+
+async function recordPinFailure() {
+	const vault = await readVault();
+	if (!vault) return;
+	const count = (vault.failures?.count || 0) + 1;
+	const lockouts = Math.floor(count / PIN_TRIES);
+	const lockedUntil =
+		count % PIN_TRIES === 0
+			? Date.now() + Math.min(LOCKOUT_MS * 2 ** (lockouts - 1), LOCKOUT_MAX_MS)
+			: vault.failures?.lockedUntil || 0;
+	await writeVault({ ...vault, failures: { count, lockedUntil } });
+}
+
+/**
+ * Unlock with a PIN. Wrong PINs are counted in storage (see vaultLockedOutFor).
+ * @returns {Promise<boolean>} false for a wrong PIN, no vault, or while locked out
+ */
+export async function unlockVault(pin) {
+	const vault = await readVault();
+	if (!vault || !pin) return false;
+	if ((vault.failures?.lockedUntil || 0) > Date.now()) return false;
+	let key;
+	try {
+		key = await deriveKey(String(pin), fromBase64(vault.salt), vault.iterations);
+		if ((await decryptJson(key, vault.check)) !== CHECK_TEXT) throw new Error("wrong PIN");
+	} catch {
+		await recordPinFailure();
+		return false;
+	}
+	if (vault.failures) {
+		const { failures, ...rest } = vault;
+		await writeVault(rest);
+	}
+	session.key = key;
+	touch();
+	await migrateLegacyCredentials().catch((e) => console.warn("[vault] could not move old credentials in:", e));
+	return true;
+}
+
+function requireKey() {
+	if (!session.key) throw new Error("The credential vault is locked");
+	touch();
+	return session.key;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Profiles
+// ─────────────────────────────────────────────────────────────
+
+function normalizeHost(host) {
+	return String(host || ANY_HOST)
+		.trim()
+		.toLowerCase()
+		.replace(/^https?:\/\//, "")
+		.replace(/\/.*$/, "");
+}
+
+// Hosts with saved logins; readable while locked (the credentials themselves are not)
+export async function listProfileHosts() {
+	const vault = await readVault().catch(() => null);
+	return Object.keys(vault?.profiles || {});
+}
+
+// The exact host, else a profile the user linked this host to. Never a guess and never "*".
+function pickProfileHost(vault, host) {
+	const want = normalizeHost(host);
+	const profiles = vault?.profiles || {};
+	if (profiles[want]) return want;
+	const linked = vault?.links?.[want];
+	return linked && profiles[linked] ? linked : null;
+}
+
+/**
+ * The login to offer on a host that has none: "*", when saved. Only an offer: ask the user,
+ * then linkProfileHost() on a yes. Other hosts' logins are never offered (schoolA.instructure.com
+ * and schoolB.instructure.com are different schools). Readable while locked.
+ * @returns {Promise<string|null>} the profile's host
+ */
+export async function suggestProfileHost(host) {
+	const vault = await readVault().catch(() => null);
+	if (pickProfileHost(vault, host)) return null;
+	return vault?.profiles?.[ANY_HOST] ? ANY_HOST : null;
+}
+
+// Use the login saved for profileHost on host too (an SSO page the user confirmed)
+export async function linkProfileHost(profileHost, host) {
+	requireKey();
+	const vault = await readVault();
+	const id = normalizeHost(profileHost);
+	if (!vault?.profiles[id]) throw new Error(`linkProfileHost: no profile for ${id}`);
+	vault.links = { ...vault.links, [normalizeHost(host)]: id };
+	await writeVault(vault);
+}
+
+/**
+ * Save (or update) the login for a host. The vault must be unlocked.
+ * @param {string} host  login page host, or "*" for any site
+ * @param {{username?: string, password?: string, label?: string}} patch
+ * @returns {Promise<Object>} the saved profile
+ */
+export async function saveProfile(host, patch) {
+	const key = requireKey();
+	const vault = await readVault();
+	if (!vault) throw new Error("saveProfile: no vault");
+	const id = normalizeHost(host);
+	const current = vault.profiles[id] ? await decryptJson(key, vault.profiles[id]) : {};
+	const next = { ...current, ...patch, host: id, updatedAt: Date.now() };
+	vault.profiles[id] = await encryptJson(key, next);
+	await writeVault(vault);
+	return next;
+}
+
+/**
+ * The login for a host: saved for it, or linked to it (see pickProfileHost). The vault must be unlocked.
+ * @returns {Promise<{host: string, username?: string, password?: string, label?: string}|null>}
+ */
+export async function getProfile(host) {
+	const key = requireKey();
+	const vault = await readVault();
+	const id = pickProfileHost(vault, host);
+	return id ? decryptJson(key, vault.profiles[id]) : null;
+}
+
+// Every saved login, decrypted; empty while locked
+export async function getAllProfiles() {
+	if (!session.key) return [];
+	const key = requireKey();
+	const vault = await readVault();
+	const out = [];
+	for (const box of Object.values(vault?.profiles || {})) {
+		try {
+			out.push(await decryptJson(key, box));
+		} catch (e) {
+			console.warn("[vault] could not decrypt a profile:", e);
+		}
+	}
+	return out;
+}
+
+export async function removeProfile(host) {
+	requireKey();
+	const vault = await readVault();
+	const id = normalizeHost(host);
+	if (!vault?.profiles[id]) return false;
+	delete vault.profiles[id];
+	vault.links = Object.fromEntries(Object.entries(vault.links || {}).filter(([, to]) => to !== id));
+	await writeVault(vault);
+	return true;
+}
+
+// Forget everything, including plain-text leftovers
+export async function deleteVault() {
+	lockVault();
+	await chrome.storage.local.remove([VAULT_KEY, LEGACY_KEY]);
+}
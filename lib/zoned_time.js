@@ -0,0 +1,46 @@
+// lib/zoned_time.js
+// Wall-clock time in an IANA time zone <-> Date, with the DST switches handled.
+// The user's zone is resolved in actions.js (settings, then the Canvas profile);
+// these take it as an argument. Pure functions only (no DOM), so they can be tested in Node.
+
+// Wall-clock parts of `date` in `timeZone`, as zero-padded strings
+export function dtParts(date, timeZone) {
+	const dtf = new Intl.DateTimeFormat("en-US", {
+		timeZone,
+		hourCycle: "h23",
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+		hour: "2-digit",
+		minute: "2-digit",
+		second: "2-digit",
+	});
+	const parts = dtf.formatToParts(date);
+	const map = {};
+	for (const p of parts) if (p.type !== "literal") map[p.type] = p.value;
+	return map;
+}
+
+// UTC offset of `timeZone` at `date`, in ms (positive east of Greenwich)
+export function getOffsetMs(date, timeZone) {
+	const p = dtParts(date, timeZone);
+	const asUTC = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+	// formatToParts has no milliseconds; compare whole seconds.
+	return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock time in `timeZone` -> Date. Tries the offsets in force a day
+// either side (covers any DST switch that day) and keeps the ones that round-trip.
+// Repeated fall-back times resolve to the first occurrence; times skipped by
+// spring-forward are read with the pre-switch offset (landing just after the gap).
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone) {
+	const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+	const DAY = 24 * 60 * 60 * 1000;
+	const before = getOffsetMs(new Date(wall - DAY), timeZone);
+	const after = getOffsetMs(new Date(wall + DAY), timeZone);
+
+	const valid = [...new Set([before, after])]
+		.map((offset) => wall - offset)
+		.filter((t) => wall - getOffsetMs(new Date(t), timeZone) === t);
+	return new Date(valid.length ? Math.min(...valid) : wall - before);
+}
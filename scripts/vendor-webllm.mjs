@@ -0,0 +1,17 @@
+// Copies the WebLLM ES module bundle into lib/vendor, the only copy the extension loads.
+// Run after updating @mlc-ai/web-llm: npm install && npm run vendor
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { version } = require("@mlc-ai/web-llm/package.json");
+const source = readFileSync(new URL("../node_modules/@mlc-ai/web-llm/lib/index.js", import.meta.url), "utf8");
+
+mkdirSync(new URL("../lib/vendor/", import.meta.url), { recursive: true });
+writeFileSync(
+	new URL("../lib/vendor/web-llm.js", import.meta.url),
+	// The source map isn't shipped
+	`// @mlc-ai/web-llm ${version}, copied by scripts/vendor-webllm.mjs. Do not edit.\n` +
+		source.replace(/\n\/\/# sourceMappingURL=\S+\s*$/, "\n"),
+);
+console.log(`lib/vendor/web-llm.js: @mlc-ai/web-llm ${version}`);
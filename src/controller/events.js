@@ -4,7 +4,8 @@ import { DEFAULT_SETTINGS, getSettingWithDefault, isHotkeyMatch, toggleMicrophon
 import { giveNavigationFeedback } from "../model/tts.js";
 import { assignMessages } from "./inbox.js";
 import { stopAudio, toggleTranscript } from "./injectElements.js";
-import { routeActions } from "./router.js";
+import { listenForCommands, routeActions } from "./router.js";
+import { getListenMode, initListenGate, pushToTalkDown, pushToTalkUp } from "../model/wakeWord.js";
 
 // Add a function to play audio feedback
 async function playAudioFeedback(audioFile) {
@@ -44,11 +45,29 @@ function setupListeners(recognitionState) {
 	// Also check on hash change (for single-page applications)
 	window.addEventListener("hashchange", checkAndAssignMessages);
 
+	// Wake word / push-to-talk settings
+	initListenGate();
+
+	// Push-to-talk release. Modifiers may come up first, so only the key itself is compared.
+	document.addEventListener("keyup", async (e) => {
+		if (getListenMode() !== "pushToTalk") return;
+		const hotkey = await getSettingWithDefault("hotkeyMicrophone", DEFAULT_SETTINGS.hotkeyMicrophone);
+		const key = typeof hotkey === "string" ? hotkey : hotkey.key;
+		if (e.key.toLowerCase() === String(key || "").toLowerCase()) pushToTalkUp(recognitionState);
+	});
+
 	//Hotkeys event listener
 	document.addEventListener("keydown", async (e) => {
 		// Microphone hotkey
 		const hotkey = await getSettingWithDefault("hotkeyMicrophone", DEFAULT_SETTINGS.hotkeyMicrophone);
-		if (isHotkeyMatch(e, hotkey)) {
+		if (isHotkeyMatch(e, hotkey) && getListenMode() === "pushToTalk") {
+			// Push-to-talk: listen only while the key is held (keyup below closes the window)
+			if (!e.repeat) {
+				stopAudio();
+				pushToTalkDown(recognitionState);
+			}
+			e.preventDefault();
+		} else if (isHotkeyMatch(e, hotkey)) {
 			// Check if we're turning the mic on or off
 			if (!recognitionState.isRecognizing) {
 				stopAudio();
@@ -71,35 +90,6 @@ function setupListeners(recognitionState) {
 		});
 	});
 
-	// Listen for the TTS events
-	document.addEventListener("tts-ready", async (event) => {
-		const audioElement = event.detail.audioElement;
-
-		// Add event listeners for tracking playback
-		audioElement.addEventListener("play", () => {
-			console.log("TTS audio playback started");
-		});
-
-		audioElement.addEventListener("ended", () => {
-			console.log("TTS audio playback completed");
-			// Remove the audio element after playback
-			document.body.removeChild(audioElement);
-		});
-
-		audioElement.addEventListener("error", (e) => {
-			console.error("Audio playback error:", e);
-			document.body.removeChild(audioElement);
-		});
-
-		// Start playing the audio
-		try {
-			await audioElement.play();
-			console.log("Playing TTS audio");
-		} catch (error) {
-			console.error("Error playing TTS audio:", error);
-		}
-	});
-
 	// Listen for changes to the microphone state from the popup
 	chrome.storage.onChanged.addListener(async (changes) => {
 		if (changes.microphoneActive && changes.microphoneActive.newValue !== recognitionState.isRecognizing) {
@@ -147,10 +137,13 @@ function setupListeners(recognitionState) {
 		}
 	});
 
+	// Commands typed in the toolbar popup
+	listenForCommands(recognitionState);
+
 	// This is for users who may not want to use the microphone or have accessibility needs
 	document.querySelector(".voice-input").addEventListener("keydown", async (e) => {
 		if (e.key === "Enter") {
-			await routeActions(e.target.value);
+			await routeActions(e.target.value, recognitionState, "typed");
 			e.target.value = ""; // Clear the input after processing
 		}
 	});
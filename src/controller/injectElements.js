@@ -1,4 +1,5 @@
 import { toggleMicrophone } from "../model/settings.js";
+import { stopSpeaking } from "../../lib/tts.js";
 
 let speechContainer;
 let globalAudioElement;
@@ -130,14 +131,15 @@ async function playAudio(audioUrl, volume, recognitionState) {
 	}
 }
 
-// Function to stop audio if playing
+// Function to stop audio if playing (narration element and the TTS queue)
 function stopAudio() {
+	const stoppedSpeech = stopSpeaking();
 	if (globalAudioElement && !globalAudioElement.paused) {
 		globalAudioElement.pause();
 		globalAudioElement.currentTime = 0;
 		return true;
 	}
-	return false;
+	return stoppedSpeech;
 }
 
 export { injectElements, toggleTranscript, getAudioElement, playAudio, stopAudio };
@@ -1,16 +1,45 @@
 import { textToSpeech } from "../model/tts.js";
+import { prepareOutbound } from "../../lib/privacy.js";
 
 function onLoginPage() {
 	const path = window.location.pathname;
 	return path.includes("/login") || path.includes("/login/") || path.includes("/login?") || path.includes("/login#");
 }
 
+const LOGIN_URL = "https://glacial-sea-18791-40c840bc91e9.herokuapp.com/api/login";
+
+// Common phrasings are understood here, so credentials never leave the browser
+function parseLoginCommand(transcript) {
+	const t = String(transcript || "").trim();
+	const clean = (v) => v?.replace(/[.,!?]+$/, "");
+	// "password is x", "password: x", "my password x"
+	const username = clean(t.match(/\b(?:user ?name|euid|email)(?:\s+is|\s*[:=]|'s)?\s+(\S+)/i)?.[1]);
+	const password = clean(t.match(/\b(?:password|passcode)(?:\s+is|\s*[:=]|'s)?\s+(\S+)/i)?.[1]);
+	if (username || password) return { username, password };
+
+	if (/\b(stay|keep me) (signed|logged) in\b|\bremember me\b/i.test(t)) return "persist";
+	if (/^(submit|log ?in|sign ?in|log me in|sign me in)\b/i.test(t)) return "submit";
+	return null;
+}
+
 async function useLoginGPT(transcript) {
-	const response = await fetch("https://glacial-sea-18791-40c840bc91e9.herokuapp.com/api/login", {
+	const local = parseLoginCommand(transcript);
+	if (local) return local;
+
+	// Anything else goes to the hosted service, with consent and redaction (lib/privacy.js)
+	const outbound = await prepareOutbound({
+		feature: "hosted",
+		url: LOGIN_URL,
+		kind: "login command",
+		text: transcript,
+	});
+	if (!outbound.allowed) return null;
+
+	const response = await fetch(LOGIN_URL, {
 		method: "POST",
 		headers: { "Content-Type": "application/json" },
 		body: JSON.stringify({
-			transcript,
+			transcript: outbound.text,
 		}),
 	});
 	const data = await response.json();
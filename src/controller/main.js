@@ -4,6 +4,7 @@ import { injectElements, toggleTranscript } from "./injectElements.js";
 import { setupListeners } from "./events.js";
 import { giveNavigationFeedback } from "../model/tts.js";
 import { initRecognition } from "../model/recognition.js";
+import { recognitionSupported } from "../../lib/stt.js";
 import { DEFAULT_SETTINGS, getSettingWithDefault } from "../model/settings.js";
 
 //Entry point for the extension
@@ -11,9 +12,8 @@ export async function main() {
 	//Initialize Transcript bar
 	const { speechDisplay } = injectElements();
 
-	// Check if the browser supports the SpeechRecognition API
-	const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-	if (!SpeechRecognition) {
+	// Check that some recognition backend (Web Speech or audio capture) can run here
+	if (!recognitionSupported()) {
 		speechDisplay.innerHTML = "Speech Recognition not supported in this browser.";
 		return;
 	}
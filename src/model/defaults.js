@@ -0,0 +1,69 @@
+import { DEFAULT_TTS_SETTINGS, TTS_SETTINGS_KEY } from "../../lib/tts.js";
+import { DEFAULT_STT_SETTINGS, STT_SETTINGS_KEY } from "../../lib/stt.js";
+import { BARGE_IN_SETTINGS_KEY, DEFAULT_BARGE_IN_SETTINGS } from "../../lib/barge_in.js";
+import { DEFAULT_LLM_SETTINGS, LLM_SETTINGS_KEY } from "../../lib/llm.js";
+import { DEFAULT_PRIVACY_SETTINGS, PRIVACY_SETTINGS_KEY } from "../../lib/privacy.js";
+
+/**
+ * Default settings for Canvox extension
+ * This file centralizes all default values used across the application.
+ * It stays free of DOM code: background.js seeds storage from it.
+ */
+export const DEFAULT_SETTINGS = {
+	// Theme
+	theme: "dark",
+
+	// Hotkeys - now using objects for key combinations
+	hotkeyMicrophone: { ctrl: false, alt: false, shift: false, key: "x" },
+	hotkeyTranscript: { ctrl: true, alt: false, shift: false, key: " " }, // Ctrl + Space
+	hotkeyReadoutDown: { ctrl: false, alt: false, shift: false, key: "Down" },
+	hotkeyReadoutUp: { ctrl: false, alt: false, shift: false, key: "Up" },
+
+	// Microphone state
+	microphoneActive: false,
+	preserveMic: true,
+
+	// Transcript visibility
+	transcriptVisible: true,
+
+	// Audio preferences
+	audioInput: "default",
+	audioOutput: "default",
+
+	// Volume
+	volume: 100, // Scale 0-100
+
+	// Quiz mode: minutes between spoken timer updates (0 = only the 5 and 1 minute warnings)
+	quizTimerAnnounceMinutes: 5,
+
+	// Time zone for due dates and "what time is it" (IANA name; empty = Canvas profile)
+	timeZone: "",
+
+	// Speech output: engine ("browser" | "http" | "local"), fallback, and per-engine voice/rate/pitch/url
+	[TTS_SETTINGS_KEY]: DEFAULT_TTS_SETTINGS,
+
+	// Speech input: backend ("webspeech" | "whisper") and the local Whisper server
+	[STT_SETTINGS_KEY]: DEFAULT_STT_SETTINGS,
+
+	// Hands-free: "always" routes every sentence, "wakeWord" only speech after the wake phrase,
+	// "pushToTalk" only speech while the microphone hotkey is held
+	listenMode: "always",
+	wakePhrase: "hey canvox",
+	wakeWindowSeconds: 8, // how long the window stays open after the wake phrase or a reply
+
+	// Barge-in: talking over Convox stops it; voiceTrigger pauses on any speech above threshold
+	[BARGE_IN_SETTINGS_KEY]: DEFAULT_BARGE_IN_SETTINGS,
+
+	// Unrecognized commands go to the old destination picker in gpt.js (lib/pipeline.js)
+	legacyGptFallback: false,
+
+	// Language model: provider ("none" | "webllm" | "ollama" | "openai"), timeout and per-provider url/model
+	[LLM_SETTINGS_KEY]: DEFAULT_LLM_SETTINGS,
+	// Ask that model when the rules can't tell what a command means (lib/models.js)
+	llmIntentFallback: true,
+
+	// Privacy: opt-in consent per remote feature ("tts" | "stt" | "llm" | "hosted") and the audit log
+	[PRIVACY_SETTINGS_KEY]: DEFAULT_PRIVACY_SETTINGS,
+	// Saved logins (lib/vault.js) lock again after this long without use
+	vaultAutoLockMinutes: 5,
+};
@@ -1,39 +1,44 @@
 import { routeActions } from "../controller/router.js";
+import { createRecognizer } from "../../lib/stt.js";
+import { screenTranscript, startVoiceTrigger } from "../../lib/barge_in.js";
+import { gateTranscript, isListenWindowOpen } from "./wakeWord.js";
 
 // start speech recognition with appropriate audio device
 function initRecognition(recognitionState, deviceId = null) {
-	const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-
 	// If there's an existing recognition object and it's active, stop it
 	if (recognitionState.recognition && recognitionState.isRecognizing) {
 		recognitionState.recognition.stop();
 		recognitionState.isRecognizing = false;
 	}
 
-	// Create a new recognition instance
-	const newRecognition = new SpeechRecognition();
+	// Create a new recognition instance. The backend (Web Speech or a local Whisper
+	// server) comes from the speech settings; see lib/stt.js.
+	const newRecognition = createRecognizer({ deviceId });
 	newRecognition.continuous = true;
 	newRecognition.interimResults = true;
 	newRecognition.lang = "en-US";
 	recognitionState.recognition = newRecognition;
 
-	// If a specific device ID is provided and it's not the default
-	if (deviceId && deviceId !== "default") {
-		try {
-			// Use the SpeechRecognition API's mediaDeviceId option if supported
-			newRecognition.mediaDeviceId = deviceId;
-		} catch (e) {
-			console.warn("This browser doesn't support selecting audio input devices for SpeechRecognition:", e);
-		}
-	}
-
 	// This event is fired when speech recognition starts
 	newRecognition.onresult = (event) => {
 		let transcript = "";
 		for (let i = event.resultIndex; i < event.results.length; i++) {
 			transcript += event.results[i][0].transcript;
 		}
-		recognitionState.speechDisplay.textContent = transcript;
+
+		// Wake word / push-to-talk: speech outside the listening window isn't for us
+		const forUs = gateTranscript(transcript);
+		if (forUs === null) return;
+
+		// Barge-in: drop our own voice coming back, and stop talking when the user talks over us
+		const heard = screenTranscript(forUs);
+		if (heard.action === "echo") return;
+		recognitionState.speechDisplay.textContent = forUs;
+		if (heard.action === "stop" && !heard.text) {
+			clearTimeout(window.debounceTimer);
+			return;
+		}
+		transcript = heard.text;
 
 		// We want to wait a bit before sending the transcript to actions to avoid flooding it with too many calls
 		// This debounce mechanism ensures that we only call actions once the user has paused speaking
@@ -63,6 +68,16 @@ function initRecognition(recognitionState, deviceId = null) {
 		}, 1000);
 	};
 
+	// While listening, a voice over our speech pauses it before the transcript arrives
+	let voiceTrigger = null;
+	newRecognition.addEventListener("start", () => {
+		voiceTrigger = startVoiceTrigger({ deviceId, active: isListenWindowOpen });
+	});
+	newRecognition.addEventListener("end", () => {
+		voiceTrigger?.then((stop) => stop());
+		voiceTrigger = null;
+	});
+
 	// This event is fired when speech recognition detects no speech for a while and stops
 	newRecognition.onend = () => {
 		recognitionState.isRecognizing = false;
@@ -1,34 +1,6 @@
 import { initRecognition } from "./recognition.js";
 import { toggleTranscript } from "../controller/injectElements.js";
-
-/**
- * Default settings for Canvox extension
- * This file centralizes all default values used across the application
- */
-const DEFAULT_SETTINGS = {
-	// Theme
-	theme: "dark",
-
-	// Hotkeys - now using objects for key combinations
-	hotkeyMicrophone: { ctrl: false, alt: false, shift: false, key: "x" },
-	hotkeyTranscript: { ctrl: true, alt: false, shift: false, key: " " }, // Ctrl + Space
-	hotkeyReadoutDown: { ctrl: false, alt: false, shift: false, key: "Down" },
-	hotkeyReadoutUp: { ctrl: false, alt: false, shift: false, key: "Up" },
-
-	// Microphone state
-	microphoneActive: false,
-	preserveMic: true,
-
-	// Transcript visibility
-	transcriptVisible: true,
-
-	// Audio preferences
-	audioInput: "default",
-	audioOutput: "default",
-
-	// Volume
-	volume: 100, // Scale 0-100
-};
+import { DEFAULT_SETTINGS } from "./defaults.js";
 
 /**
  * Helper function to get setting with default
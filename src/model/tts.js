@@ -1,5 +1,16 @@
 import { playAudio } from "../controller/injectElements.js";
 import { playAudioFeedback } from "../controller/events.js"; // Import the function
+import { speakText, ttsUsesNetwork } from "../../lib/tts.js";
+import { prepareOutbound } from "../../lib/privacy.js";
+import { summarizeTextForSpeech } from "../../lib/page_summarize.js";
+import { getBargeInSettings } from "../../lib/barge_in.js";
+import { toggleMicrophone } from "./settings.js";
+
+// Hosted Canvox endpoints; used only with the "hosted" consent (lib/privacy.js)
+const NAVIGATE_URL = "https://glacial-sea-18791-40c840bc91e9.herokuapp.com/api/navigate";
+const NARRATE_URL = "https://glacial-sea-18791-40c840bc91e9.herokuapp.com/api/narrate";
+// Uncomment the line below, and comment the line above to test locally
+// const NARRATE_URL = "http://localhost:3000/api/narrate";
 
 // Replace your playLoadingAudio function with this
 async function playLoadingAudio() {
@@ -17,6 +28,18 @@ async function giveNavigationFeedback(recognitionState) {
 			if (Date.now() - timestamp < 5000) {
 				// Small delay to ensure the page has loaded
 				setTimeout(async () => {
+					const outbound = await prepareOutbound({
+						feature: "hosted",
+						url: NAVIGATE_URL,
+						kind: "navigation message",
+						text: message,
+					});
+					// Without consent the confirmation is read on the device
+					if (!outbound.allowed) {
+						await textToSpeech(message, recognitionState);
+						return;
+					}
+
 					// Get the volume setting
 					const data = await chrome.storage.sync.get("volume");
 					const volume = parseInt(data.volume) / 100;
@@ -25,11 +48,11 @@ async function giveNavigationFeedback(recognitionState) {
 					const loadingAudio = await playLoadingAudio();
 
 					try {
-						const response = await fetch("https://glacial-sea-18791-40c840bc91e9.herokuapp.com/api/navigate", {
+						const response = await fetch(NAVIGATE_URL, {
 							method: "POST",
 							headers: { "Content-Type": "application/json" },
 							body: JSON.stringify({
-								narrate_Content: message,
+								narrate_Content: outbound.text,
 								is_navigation: true,
 							}),
 						});
@@ -88,6 +111,20 @@ async function narratePage(transcript = "", recognitionState) {
 		// Create a summary prompt
 		const narrateText = `Page title: ${pageTitle}. Content: ${pageContent}`;
 
+		const outbound = await prepareOutbound({
+			feature: "hosted",
+			url: NARRATE_URL,
+			kind: "page text",
+			text: [narrateText, transcript],
+		});
+		// Without consent the page is summarized and read on the device
+		if (!outbound.allowed) {
+			const summary = await summarizeTextForSpeech(pageContent, { maxSentences: 3 });
+			await textToSpeech(`${pageTitle}. ${summary}`, recognitionState);
+			return true;
+		}
+		const [pageText, userTranscript] = outbound.text;
+
 		// Get the volume setting
 		const data = await chrome.storage.sync.get("volume");
 		const volume = parseInt(data.volume) / 100;
@@ -96,20 +133,15 @@ async function narratePage(transcript = "", recognitionState) {
 		const loadingAudio = await playLoadingAudio();
 
 		// Make a direct call to the narration API endpoint
-		const response = await fetch(
-			"https://glacial-sea-18791-40c840bc91e9.herokuapp.com/api/narrate",
-			// Uncomment the line below, and comment the line above to test locally
-			// 'http://localhost:3000/api/narrate',
-			{
-				method: "POST",
-				headers: { "Content-Type": "application/json" },
-				body: JSON.stringify({
-					page_content: narrateText,
-					user_transcript: transcript,
-					summarize: true,
-				}),
-			},
-		);
+		const response = await fetch(NARRATE_URL, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({
+				page_content: pageText,
+				user_transcript: userTranscript,
+				summarize: true,
+			}),
+		});
 
 		if (!response.ok) {
 			throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
@@ -153,53 +185,35 @@ function collectMainContent() {
 	return "";
 }
 
+// Short confirmations and readouts. The engine (browser voices, hosted service or a
+// local server) comes from the TTS settings; see lib/tts.js.
 async function textToSpeech(narrateContent, recognitionState) {
+	let loadingAudio = null;
 	try {
-		console.log("Calling API (TTS)...");
-
-		// Get the volume setting
-		const data = await chrome.storage.sync.get("volume");
-		const volume = parseInt(data.volume) / 100;
-
-		// Start playing loading audio
-		const loadingAudio = await playLoadingAudio();
-
-		const response = await fetch(
-			"https://glacial-sea-18791-40c840bc91e9.herokuapp.com/api/tts",
-			// Uncomment the line below, and comment the line above to test locally
-			// 'http://localhost:3000/api/tts',
-			{
-				method: "POST",
-				headers: { "Content-Type": "application/json" },
-				body: JSON.stringify({ narrate_Content: narrateContent }),
-			},
-		);
-
-		if (!response.ok) {
-			throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+		// With barge-in the mic stays on while we talk (lib/barge_in.js drops our own
+		// echo); without it, keep the mic from transcribing our own voice
+		if (recognitionState?.isRecognizing && !(await getBargeInSettings()).enabled) {
+			await toggleMicrophone(recognitionState);
 		}
 
-		// Create a URL for the audio blob
-		const audioBlob = await response.blob();
-		const audioUrl = URL.createObjectURL(audioBlob);
+		// Remote engines take a moment to return audio
+		if (await ttsUsesNetwork()) loadingAudio = await playLoadingAudio();
 
-		// Stop loading audio
-		loadingAudio.pause();
-		loadingAudio.currentTime = 0;
-
-		// Use the shared audio element to play
-		const audioElement = await playAudio(audioUrl, volume, recognitionState);
-
-		// Dispatch a custom event that content.js will listen for
-		const ttsEvent = new CustomEvent("tts-ready", { detail: { audioElement } });
-		document.dispatchEvent(ttsEvent);
+		await speakText(narrateContent, {
+			onStart: () => {
+				if (loadingAudio) {
+					loadingAudio.pause();
+					loadingAudio.currentTime = 0;
+				}
+			},
+		});
 	} catch (error) {
 		console.error("Error in textToSpeech function:", error);
-
-		// Make sure loading audio stops if there was an error
-		if (window.currentLoadingAudio) {
-			window.currentLoadingAudio.pause();
-			window.currentLoadingAudio.currentTime = 0;
+	} finally {
+		// Make sure loading audio stops even if nothing was spoken
+		if (loadingAudio) {
+			loadingAudio.pause();
+			loadingAudio.currentTime = 0;
 		}
 	}
 }
@@ -0,0 +1,172 @@
+import { playAudioFeedback } from "../controller/events.js";
+import { DEFAULT_SETTINGS, getSettingWithDefault, toggleMicrophone } from "./settings.js";
+import { fuzzyScore, normalizeSpoken } from "../../lib/fuzzy_match.js";
+import { TTS_EVENT, isSpeaking } from "../../lib/tts.js";
+
+// Listening modes (setting "listenMode"):
+//   "always"     - every sentence is routed (the original behaviour)
+//   "wakeWord"   - only speech after the wake phrase is routed; the window stays open
+//                  for follow-ups until "wakeWindowSeconds" pass without speech
+//   "pushToTalk" - only speech while the microphone hotkey is held is routed
+// mic_on.mp3 / mic_off.mp3 mark the window opening and closing.
+
+// Results still arrive for a moment after the push-to-talk key is released
+const PUSH_TO_TALK_GRACE_MS = 1500;
+const WAKE_MATCH_MIN = 0.8;
+
+const gate = {
+	mode: "always",
+	phrase: "hey canvox",
+	windowMs: 8000,
+	open: false,
+	held: false,
+	timer: null,
+	startedMic: false,
+};
+
+async function loadListenSettings() {
+	const [mode, phrase, seconds] = await Promise.all([
+		getSettingWithDefault("listenMode", DEFAULT_SETTINGS.listenMode),
+		getSettingWithDefault("wakePhrase", DEFAULT_SETTINGS.wakePhrase),
+		getSettingWithDefault("wakeWindowSeconds", DEFAULT_SETTINGS.wakeWindowSeconds),
+	]);
+	gate.mode = mode;
+	gate.phrase = phrase || DEFAULT_SETTINGS.wakePhrase;
+	gate.windowMs = Math.max(2, Number(seconds) || DEFAULT_SETTINGS.wakeWindowSeconds) * 1000;
+	if (gate.mode === "always") closeListenWindow({ quiet: true });
+}
+
+// Load the settings and keep them current
+function initListenGate() {
+	loadListenSettings();
+
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area !== "sync") return;
+		if (changes.listenMode || changes.wakePhrase || changes.wakeWindowSeconds) loadListenSettings();
+	});
+
+	// Give the user the full window to answer once we finish talking
+	document.addEventListener(TTS_EVENT, (e) => {
+		if (e.detail?.phase === "end" && gate.open && !gate.held) scheduleClose(gate.windowMs);
+	});
+}
+
+function scheduleClose(ms) {
+	clearTimeout(gate.timer);
+	gate.timer = setTimeout(() => {
+		// Don't cut the window while we're still answering
+		if (isSpeaking()) return scheduleClose(ms);
+		closeListenWindow();
+	}, ms);
+}
+
+function openListenWindow({ hold = false } = {}) {
+	const wasOpen = gate.open;
+	gate.open = true;
+	gate.held = hold;
+	clearTimeout(gate.timer);
+	if (!hold) scheduleClose(gate.windowMs);
+	if (!wasOpen) playAudioFeedback("mic_on.mp3");
+}
+
+function closeListenWindow({ quiet = false } = {}) {
+	clearTimeout(gate.timer);
+	gate.timer = null;
+	gate.held = false;
+	if (!gate.open) return;
+	gate.open = false;
+	if (!quiet) playAudioFeedback("mic_off.mp3");
+}
+
+// True when speech would be routed right now
+function isListenWindowOpen() {
+	return gate.mode === "always" || gate.open;
+}
+
+// The assistant goes by Canvox and Convox, and recognizers usually hear "canvas"
+function foldProductName(text) {
+	return normalizeSpoken(text).replace(/\b(?:canvas|convox|canvox)\b/g, "canvox");
+}
+
+// Find the wake phrase near the start of the transcript; returns the text after it
+function stripWakePhrase(transcript) {
+	const words = foldProductName(transcript).split(" ").filter(Boolean);
+	const phrase = foldProductName(gate.phrase);
+	const phraseWords = phrase.split(" ").length;
+	const phraseLen = phrase.replace(/\s+/g, "").length;
+
+	// Allow a little lead-in ("okay hey canvox") and a split word ("can vox")
+	for (let start = 0; start <= Math.min(2, words.length - 1); start++) {
+		for (const len of [phraseWords, phraseWords + 1]) {
+			const candidate = words.slice(start, start + len);
+			if (candidate.length < phraseWords) continue;
+			if (candidate.join("").length < phraseLen * 0.7) continue;
+			if (fuzzyScore(candidate.join(" "), phrase) >= WAKE_MATCH_MIN) {
+				return wordsAfter(transcript, start + len);
+			}
+		}
+	}
+	return null;
+}
+
+// The original text after the first `count` normalized words, so commands keep their wording
+function wordsAfter(transcript, count) {
+	const original = String(transcript).trim().split(/\s+/);
+	for (let k = 1; k <= original.length; k++) {
+		const seen = foldProductName(original.slice(0, k).join(" ")).split(" ").filter(Boolean).length;
+		if (seen >= count) {
+			return original
+				.slice(k)
+				.join(" ")
+				.replace(/^[\s,.!?:;-]+/, "");
+		}
+	}
+	return "";
+}
+
+/**
+ * Decide whether a transcript should be routed.
+ * Returns the text to route (wake phrase removed), or null when it isn't meant for us.
+ */
+function gateTranscript(transcript) {
+	if (gate.mode === "always") return transcript;
+
+	if (gate.mode === "wakeWord") {
+		const rest = stripWakePhrase(transcript);
+		if (rest !== null) {
+			openListenWindow();
+			return rest || null;
+		}
+	}
+
+	if (!gate.open) return null;
+	if (!gate.held) scheduleClose(gate.windowMs);
+	return transcript;
+}
+
+// Push-to-talk: hotkey pressed
+async function pushToTalkDown(recognitionState) {
+	openListenWindow({ hold: true });
+	if (!recognitionState.isRecognizing) {
+		gate.startedMic = true;
+		await toggleMicrophone(recognitionState);
+	}
+}
+
+// Push-to-talk: hotkey released
+function pushToTalkUp(recognitionState) {
+	if (!gate.held) return;
+	gate.held = false;
+	clearTimeout(gate.timer);
+	gate.timer = setTimeout(() => {
+		closeListenWindow();
+		if (gate.startedMic && recognitionState.isRecognizing) toggleMicrophone(recognitionState);
+		gate.startedMic = false;
+	}, PUSH_TO_TALK_GRACE_MS);
+}
+
+function getListenMode() {
+	return gate.mode;
+}
+
+export { initListenGate, gateTranscript, isListenWindowOpen, pushToTalkDown, pushToTalkUp, getListenMode };
@@ -1,13 +1,29 @@
 "use strict";
+import { DEFAULT_TTS_SETTINGS, TTS_SETTINGS_KEY, mergeTtsSettings, speakText } from "../../lib/tts.js";
+import { DEFAULT_STT_SETTINGS, STT_SETTINGS_KEY, mergeSttSettings } from "../../lib/stt.js";
+import { BARGE_IN_SETTINGS_KEY, DEFAULT_BARGE_IN_SETTINGS } from "../../lib/barge_in.js";
+import { DEFAULT_LLM_SETTINGS, LLM_SETTINGS_KEY, mergeLlmSettings } from "../../lib/llm.js";
+import {
+	DEFAULT_PRIVACY_SETTINGS,
+	PRIVACY_SETTINGS_KEY,
+	REMOTE_FEATURES,
+	clearAuditLog,
+	getAuditLog,
+	mergePrivacySettings,
+} from "../../lib/privacy.js";
 
 document.addEventListener("DOMContentLoaded", () => {
 	const toggleButton = document.querySelector(".theme-toggle");
 	const transcriptButton = document.querySelector(".transcript");
 	const hotkeyButton = document.querySelector(".change-hotkeys");
+	const speechButton = document.querySelector(".speech-settings");
+	const privacyButton = document.querySelector(".privacy-settings-button");
 	const micToggle = document.getElementById("micToggle");
 	const audioInput = document.getElementById("audioInput");
 	const audioOutput = document.getElementById("audioOutput");
 	const volumeSlider = document.getElementById("volumeAdjust");
+	const quizTimerSelect = document.getElementById("quizTimerAnnounce");
+	const timeZoneSelect = document.getElementById("timeZoneSelect");
 	const feedbackSoundsToggle = document.getElementById("feedbackSoundsToggle"); // Add this line
 
 	// Default settings (fallback in case defaults.js hasn't loaded)
@@ -21,6 +37,19 @@ document.addEventListener("DOMContentLoaded", () => {
 		audioInput: "default",
 		audioOutput: "default",
 		volume: 100,
+		quizTimerAnnounceMinutes: 5,
+		timeZone: "",
+		[TTS_SETTINGS_KEY]: DEFAULT_TTS_SETTINGS,
+		[STT_SETTINGS_KEY]: DEFAULT_STT_SETTINGS,
+		[BARGE_IN_SETTINGS_KEY]: DEFAULT_BARGE_IN_SETTINGS,
+		listenMode: "always",
+		wakePhrase: "hey canvox",
+		wakeWindowSeconds: 8,
+		legacyGptFallback: false,
+		[LLM_SETTINGS_KEY]: DEFAULT_LLM_SETTINGS,
+		llmIntentFallback: true,
+		[PRIVACY_SETTINGS_KEY]: DEFAULT_PRIVACY_SETTINGS,
+		vaultAutoLockMinutes: 5,
 		feedbackSoundsEnabled: true, // Add this line
 	};
 
@@ -58,6 +87,8 @@ document.addEventListener("DOMContentLoaded", () => {
 		toggleButton.classList.toggle("button-light-mode");
 		transcriptButton.classList.toggle("button-light-mode");
 		hotkeyButton.classList.toggle("button-light-mode");
+		if (speechButton) speechButton.classList.toggle("button-light-mode");
+		if (privacyButton) privacyButton.classList.toggle("button-light-mode");
 
 		const currentTheme = document.body.classList.contains("light-mode") ? "light" : "dark";
 		chrome.storage.sync.set({ theme: currentTheme }, () => {
@@ -76,6 +107,8 @@ document.addEventListener("DOMContentLoaded", () => {
 			if (toggleButton) toggleButton.classList.add("button-light-mode");
 			if (transcriptButton) transcriptButton.classList.add("button-light-mode");
 			if (hotkeyButton) hotkeyButton.classList.add("button-light-mode");
+			if (speechButton) speechButton.classList.add("button-light-mode");
+			if (privacyButton) privacyButton.classList.add("button-light-mode");
 		}
 	});
 
@@ -404,6 +437,386 @@ document.addEventListener("DOMContentLoaded", () => {
 		volumeSlider.value = vol;
 	});
 
+	// Quiz timer announcement interval
+	if (quizTimerSelect) {
+		quizTimerSelect.addEventListener("change", () => {
+			chrome.storage.sync.set({ quizTimerAnnounceMinutes: Number(quizTimerSelect.value) });
+		});
+
+		getSettingWithDefault("quizTimerAnnounceMinutes", DEFAULT_SETTINGS.quizTimerAnnounceMinutes).then((mins) => {
+			quizTimerSelect.value = String(mins);
+		});
+	}
+
+	// Time zone override ("" = follow the Canvas profile)
+	if (timeZoneSelect) {
+		const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+		zones.forEach((zone) => {
+			const option = document.createElement("option");
+			option.value = zone;
+			option.textContent = zone.replace(/_/g, " ");
+			timeZoneSelect.appendChild(option);
+		});
+
+		timeZoneSelect.addEventListener("change", () => {
+			chrome.storage.sync.set({ timeZone: timeZoneSelect.value });
+		});
+
+		getSettingWithDefault("timeZone", DEFAULT_SETTINGS.timeZone).then((zone) => {
+			timeZoneSelect.value = zone || "";
+		});
+	}
+
+	// Speech engine panel: engine choice plus voice/rate/pitch/URL for the selected engine
+	const ttsPanel = document.querySelector(".tts-settings");
+	const ttsEngineSelect = document.getElementById("ttsEngine");
+	const ttsVoiceSelect = document.getElementById("ttsVoiceSelect");
+	const ttsVoiceText = document.getElementById("ttsVoiceText");
+	const ttsUrl = document.getElementById("ttsUrl");
+	const ttsRate = document.getElementById("ttsRate");
+	const ttsPitch = document.getElementById("ttsPitch");
+	const ttsFallback = document.getElementById("ttsFallback");
+
+	if (speechButton && ttsPanel) {
+		let tts = mergeTtsSettings();
+
+		function fillBrowserVoices() {
+			const voices = window.speechSynthesis?.getVoices() || [];
+			while (ttsVoiceSelect.options.length > 1) {
+				ttsVoiceSelect.options.remove(1);
+			}
+			voices.forEach((voice) => {
+				const option = document.createElement("option");
+				option.value = voice.name;
+				option.textContent = `${voice.name} (${voice.lang})`;
+				ttsVoiceSelect.appendChild(option);
+			});
+		}
+
+		function renderTtsSettings() {
+			const name = tts.engine;
+			const cfg = tts.engines[name] || {};
+			const isBrowser = name === "browser";
+
+			ttsEngineSelect.value = name;
+			ttsVoiceSelect.style.display = isBrowser ? "" : "none";
+			ttsVoiceText.style.display = isBrowser ? "none" : "";
+			document.querySelectorAll(".tts-url").forEach((el) => (el.style.display = isBrowser ? "none" : ""));
+
+			if (isBrowser) ttsVoiceSelect.value = cfg.voice || "";
+			else ttsVoiceText.value = cfg.voice || "";
+			ttsUrl.value = cfg.url || "";
+			ttsRate.value = cfg.rate ?? 1;
+			ttsPitch.value = cfg.pitch ?? 1;
+			document.getElementById("ttsRateValue").textContent = ttsRate.value;
+			document.getElementById("ttsPitchValue").textContent = ttsPitch.value;
+			ttsFallback.checked = tts.fallback !== false;
+		}
+
+		function saveTtsSettings() {
+			chrome.storage.sync.set({ [TTS_SETTINGS_KEY]: tts });
+		}
+
+		function updateEngine(patch) {
+			tts.engines[tts.engine] = { ...tts.engines[tts.engine], ...patch };
+			saveTtsSettings();
+			renderTtsSettings();
+		}
+
+		speechButton.addEventListener("click", () => {
+			ttsPanel.style.display = "block";
+		});
+		document.getElementById("close-tts-settings").addEventListener("click", () => {
+			ttsPanel.style.display = "none";
+		});
+
+		ttsEngineSelect.addEventListener("change", () => {
+			tts.engine = ttsEngineSelect.value;
+			saveTtsSettings();
+			renderTtsSettings();
+		});
+		ttsVoiceSelect.addEventListener("change", () => updateEngine({ voice: ttsVoiceSelect.value }));
+		ttsVoiceText.addEventListener("change", () => updateEngine({ voice: ttsVoiceText.value.trim() }));
+		ttsUrl.addEventListener("change", () => updateEngine({ url: ttsUrl.value.trim() }));
+		ttsRate.addEventListener("change", () => updateEngine({ rate: Number(ttsRate.value) }));
+		ttsPitch.addEventListener("change", () => updateEngine({ pitch: Number(ttsPitch.value) }));
+		ttsFallback.addEventListener("change", () => {
+			tts.fallback = ttsFallback.checked;
+			saveTtsSettings();
+		});
+
+		document.getElementById("test-tts").addEventListener("click", () => {
+			speakText("This is how Convox will sound.");
+		});
+
+		// Voices load asynchronously in Chrome
+		fillBrowserVoices();
+		window.speechSynthesis?.addEventListener?.("voiceschanged", () => {
+			fillBrowserVoices();
+			renderTtsSettings();
+		});
+
+		getSettingWithDefault(TTS_SETTINGS_KEY, DEFAULT_SETTINGS[TTS_SETTINGS_KEY]).then((stored) => {
+			tts = mergeTtsSettings(stored);
+			renderTtsSettings();
+		});
+	}
+
+	// Recognition backend (same panel): Web Speech or a local Whisper server
+	const sttBackendSelect = document.getElementById("sttBackend");
+	const sttUrl = document.getElementById("sttUrl");
+
+	if (sttBackendSelect && sttUrl) {
+		let stt = mergeSttSettings();
+
+		function renderSttSettings() {
+			sttBackendSelect.value = stt.backend;
+			sttUrl.value = stt.whisper.url || "";
+			document
+				.querySelectorAll(".stt-url")
+				.forEach((el) => (el.style.display = stt.backend === "whisper" ? "" : "none"));
+		}
+
+		function saveSttSettings() {
+			chrome.storage.sync.set({ [STT_SETTINGS_KEY]: stt });
+			renderSttSettings();
+		}
+
+		sttBackendSelect.addEventListener("change", () => {
+			stt.backend = sttBackendSelect.value;
+			saveSttSettings();
+		});
+		sttUrl.addEventListener("change", () => {
+			stt.whisper = { ...stt.whisper, url: sttUrl.value.trim() };
+			saveSttSettings();
+		});
+
+		getSettingWithDefault(STT_SETTINGS_KEY, DEFAULT_SETTINGS[STT_SETTINGS_KEY]).then((stored) => {
+			stt = mergeSttSettings(stored);
+			renderSttSettings();
+		});
+	}
+
+	// Hands-free listening mode (same panel)
+	const listenModeSelect = document.getElementById("listenMode");
+	const wakePhraseInput = document.getElementById("wakePhrase");
+	const wakeWindowSelect = document.getElementById("wakeWindowSeconds");
+
+	if (listenModeSelect && wakePhraseInput && wakeWindowSelect) {
+		function showWakeSettings() {
+			const show = listenModeSelect.value === "wakeWord";
+			document.querySelectorAll(".wake-setting").forEach((el) => (el.style.display = show ? "" : "none"));
+		}
+
+		listenModeSelect.addEventListener("change", () => {
+			chrome.storage.sync.set({ listenMode: listenModeSelect.value });
+			showWakeSettings();
+		});
+		wakePhraseInput.addEventListener("change", () => {
+			const phrase = wakePhraseInput.value.trim() || DEFAULT_SETTINGS.wakePhrase;
+			wakePhraseInput.value = phrase;
+			chrome.storage.sync.set({ wakePhrase: phrase });
+		});
+		wakeWindowSelect.addEventListener("change", () => {
+			chrome.storage.sync.set({ wakeWindowSeconds: Number(wakeWindowSelect.value) });
+		});
+
+		Promise.all([
+			getSettingWithDefault("listenMode", DEFAULT_SETTINGS.listenMode),
+			getSettingWithDefault("wakePhrase", DEFAULT_SETTINGS.wakePhrase),
+			getSettingWithDefault("wakeWindowSeconds", DEFAULT_SETTINGS.wakeWindowSeconds),
+		]).then(([mode, phrase, seconds]) => {
+			listenModeSelect.value = mode;
+			wakePhraseInput.value = phrase;
+			wakeWindowSelect.value = String(seconds);
+			showWakeSettings();
+		});
+	}
+
+	// Barge-in toggle (same panel)
+	const bargeInToggle = document.getElementById("bargeInToggle");
+	if (bargeInToggle) {
+		let bargeIn = { ...DEFAULT_BARGE_IN_SETTINGS };
+
+		bargeInToggle.addEventListener("change", () => {
+			bargeIn = { ...bargeIn, enabled: bargeInToggle.checked };
+			chrome.storage.sync.set({ [BARGE_IN_SETTINGS_KEY]: bargeIn });
+		});
+
+		getSettingWithDefault(BARGE_IN_SETTINGS_KEY, DEFAULT_SETTINGS[BARGE_IN_SETTINGS_KEY]).then((stored) => {
+			bargeIn = { ...DEFAULT_BARGE_IN_SETTINGS, ...stored };
+			bargeInToggle.checked = bargeIn.enabled;
+		});
+	}
+
+	// Language model (same panel): provider, server URL and model
+	const llmProviderSelect = document.getElementById("llmProvider");
+	const llmUrl = document.getElementById("llmUrl");
+	const llmModel = document.getElementById("llmModel");
+
+	if (llmProviderSelect && llmUrl && llmModel) {
+		let llm = mergeLlmSettings();
+
+		function renderLlmSettings() {
+			const name = llm.provider;
+			const cfg = llm.providers[name] || {};
+			llmProviderSelect.value = name;
+			llmUrl.value = cfg.url || "";
+			llmModel.value = cfg.model || "";
+			document.querySelectorAll(".llm-url").forEach((el) => (el.style.display = "url" in cfg ? "" : "none"));
+			document.querySelectorAll(".llm-model").forEach((el) => (el.style.display = name === "none" ? "none" : ""));
+		}
+
+		function updateProvider(patch) {
+			llm.providers[llm.provider] = { ...llm.providers[llm.provider], ...patch };
+			chrome.storage.sync.set({ [LLM_SETTINGS_KEY]: llm });
+			renderLlmSettings();
+		}
+
+		llmProviderSelect.addEventListener("change", () => {
+			llm.provider = llmProviderSelect.value;
+			chrome.storage.sync.set({ [LLM_SETTINGS_KEY]: llm });
+			renderLlmSettings();
+		});
+		llmUrl.addEventListener("change", () => updateProvider({ url: llmUrl.value.trim() }));
+		llmModel.addEventListener("change", () => updateProvider({ model: llmModel.value.trim() }));
+
+		getSettingWithDefault(LLM_SETTINGS_KEY, DEFAULT_SETTINGS[LLM_SETTINGS_KEY]).then((stored) => {
+			llm = mergeLlmSettings(stored);
+			renderLlmSettings();
+		});
+	}
+
+	const llmIntentToggle = document.getElementById("llmIntentToggle");
+	if (llmIntentToggle) {
+		llmIntentToggle.addEventListener("change", () => {
+			chrome.storage.sync.set({ llmIntentFallback: llmIntentToggle.checked });
+		});
+
+		getSettingWithDefault("llmIntentFallback", DEFAULT_SETTINGS.llmIntentFallback).then((enabled) => {
+			llmIntentToggle.checked = enabled;
+		});
+	}
+
+	// Legacy GPT fallback toggle (same panel)
+	const legacyGptToggle = document.getElementById("legacyGptToggle");
+	if (legacyGptToggle) {
+		legacyGptToggle.addEventListener("change", () => {
+			chrome.storage.sync.set({ legacyGptFallback: legacyGptToggle.checked });
+		});
+
+		getSettingWithDefault("legacyGptFallback", DEFAULT_SETTINGS.legacyGptFallback).then((enabled) => {
+			legacyGptToggle.checked = enabled;
+		});
+	}
+
+	// Command box: runs the text through the same pipeline as speech on the active tab
+	const commandForm = document.getElementById("commandForm");
+	const commandInput = document.getElementById("commandInput");
+	const commandStatus = document.getElementById("commandStatus");
+	if (commandForm && commandInput) {
+		commandForm.addEventListener("submit", (e) => {
+			e.preventDefault();
+			const text = commandInput.value.trim();
+			if (!text) return;
+
+			chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+				if (!tabs[0]) return;
+				commandStatus.textContent = "Working…";
+				chrome.tabs.sendMessage(tabs[0].id, { action: "runCommand", text }, (response) => {
+					if (chrome.runtime.lastError || !response) {
+						commandStatus.textContent = "Convox isn't running on this page.";
+						return;
+					}
+					commandStatus.textContent = response.message || (response.ok ? "Done." : "Couldn't do that.");
+					if (response.ok) commandInput.value = "";
+				});
+			});
+		});
+	}
+
+	// Privacy: per-feature consent for remote servers and the local audit log
+	const privacyPanel = document.querySelector(".privacy-settings");
+	const privacyConsents = document.getElementById("privacyConsents");
+	const privacyAuditToggle = document.getElementById("privacyAuditToggle");
+	const privacyAuditLog = document.getElementById("privacyAuditLog");
+
+	if (privacyButton && privacyPanel) {
+		let privacy = mergePrivacySettings();
+
+		function savePrivacySettings() {
+			chrome.storage.sync.set({ [PRIVACY_SETTINGS_KEY]: privacy });
+		}
+
+		function renderPrivacySettings() {
+			privacyConsents.replaceChildren(
+				...Object.entries(REMOTE_FEATURES).map(([feature, label]) => {
+					const row = document.createElement("div");
+					row.className = "checkbox";
+					const box = document.createElement("input");
+					box.type = "checkbox";
+					box.id = `consent-${feature}`;
+					box.checked = privacy.consent[feature] === true;
+					box.addEventListener("change", () => {
+						privacy.consent = { ...privacy.consent, [feature]: box.checked };
+						savePrivacySettings();
+					});
+					const text = document.createElement("label");
+					text.htmlFor = box.id;
+					text.textContent = label;
+					row.append(box, text);
+					return row;
+				}),
+			);
+			privacyAuditToggle.checked = privacy.audit !== false;
+		}
+
+		async function renderAuditLog() {
+			const entries = (await getAuditLog()).slice(0, 20);
+			privacyAuditLog.replaceChildren(
+				...entries.map((e) => {
+					const item = document.createElement("li");
+					const when = new Date(e.at).toLocaleTimeString();
+					const what = e.blocked
+						? "blocked"
+						: [e.kind, e.redacted?.length ? `masked ${e.redacted.join(", ")}` : ""].filter(Boolean).join(", ");
+					item.textContent = `${when} ${e.feature} → ${e.host}: ${what}`;
+					return item;
+				}),
+			);
+			if (!entries.length) privacyAuditLog.textContent = "Nothing yet.";
+		}
+
+		privacyButton.addEventListener("click", () => {
+			privacyPanel.style.display = "block";
+			renderAuditLog();
+		});
+		document.getElementById("close-privacy-settings").addEventListener("click", () => {
+			privacyPanel.style.display = "none";
+		});
+		document.getElementById("clear-privacy-log").addEventListener("click", async () => {
+			await clearAuditLog();
+			renderAuditLog();
+		});
+		privacyAuditToggle.addEventListener("change", () => {
+			privacy.audit = privacyAuditToggle.checked;
+			savePrivacySettings();
+		});
+
+		getSettingWithDefault(PRIVACY_SETTINGS_KEY, DEFAULT_SETTINGS[PRIVACY_SETTINGS_KEY]).then((stored) => {
+			privacy = mergePrivacySettings(stored);
+			renderPrivacySettings();
+		});
+
+		const vaultLockSelect = document.getElementById("vaultAutoLockMinutes");
+		vaultLockSelect.addEventListener("change", () => {
+			chrome.storage.sync.set({ vaultAutoLockMinutes: Number(vaultLockSelect.value) });
+		});
+		getSettingWithDefault("vaultAutoLockMinutes", DEFAULT_SETTINGS.vaultAutoLockMinutes).then((minutes) => {
+			vaultLockSelect.value = String(minutes);
+		});
+	}
+
 	// Add event listener for feedback sounds toggle
 	if (feedbackSoundsToggle) {
 		feedbackSoundsToggle.addEventListener("change", () => {
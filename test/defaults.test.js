@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// The service worker has chrome.* but no window or document
+const storageArea = { get: async () => ({}), set: async () => {} };
+globalThis.chrome = {
+	storage: { sync: storageArea, local: storageArea, onChanged: { addListener: () => {} } },
+	runtime: { getURL: (path) => path },
+};
+
+test("default settings load without a page", async () => {
+	const { DEFAULT_SETTINGS } = await import("../src/model/defaults.js");
+	assert.equal(typeof globalThis.window, "undefined");
+	assert.equal(DEFAULT_SETTINGS.listenMode, "always");
+	assert.ok(DEFAULT_SETTINGS.hotkeyMicrophone.key);
+});
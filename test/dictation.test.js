@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+	UNDO_MAX,
+	applyDictation,
+	applySpokenPunctuation,
+	createDictationDoc,
+	docToHtml,
+	docToText,
+} from "../lib/dictation.js";
+
+// Runs the utterances in order and returns the last result
+function dictate(utterances, opts, doc = null) {
+	let res = { doc };
+	for (const u of utterances) res = applyDictation(res.doc, u, opts);
+	return res;
+}
+
+test("spoken punctuation becomes symbols", () => {
+	assert.equal(applySpokenPunctuation("see you then comma ok period"), "see you then, ok.");
+	assert.equal(applySpokenPunctuation("is it ready question mark"), "is it ready?");
+	assert.equal(applySpokenPunctuation("first semicolon then colon"), "first; then:");
+	assert.equal(applySpokenPunctuation("open paren draft close paren"), "(draft)");
+	assert.equal(applySpokenPunctuation("he said open quote hi close quote"), 'he said "hi"');
+	assert.equal(applySpokenPunctuation("a well hyphen known dash fact"), "a well-known - fact");
+});
+
+test("dictated text is capitalized by sentence", () => {
+	const { doc, command } = dictate(["hello there period this is a test", "comma isn't it question mark"]);
+	assert.equal(command, "insert");
+	assert.equal(docToText(doc), "Hello there. This is a test, isn't it?");
+});
+
+test("replace keeps the casing it was said with and picks the last whole-word match", () => {
+	const { doc, changed } = dictate(["the theme is the plan period", "replace the with Our"]);
+	assert.equal(changed, true);
+	assert.equal(docToText(doc), "The theme is Our plan.");
+
+	const missing = dictate(["hello there"], {}).doc;
+	const res = applyDictation(missing, "replace goodbye with hi");
+	assert.equal(res.changed, false);
+	assert.equal(res.detail, "goodbye");
+	assert.equal(res.doc, missing);
+});
+
+test("delete last sentence works back across paragraphs", () => {
+	let { doc } = dictate(["first one period second one period", "new paragraph", "third one period"]);
+	assert.equal(docToText(doc), "First one. Second one.\n\nThird one.");
+
+	({ doc } = dictate(["delete last sentence"], {}, doc));
+	assert.equal(docToText(doc), "First one. Second one.");
+	assert.equal(doc.paragraphs.length, 1);
+
+	({ doc } = dictate(["delete last sentence"], {}, doc));
+	assert.equal(docToText(doc), "First one.");
+});
+
+test("a trailing empty paragraph doesn't stop edits to the one before it", () => {
+	const { doc } = dictate(["one two three", "new paragraph", "delete last word"]);
+	assert.equal(docToText(doc), "One two");
+	assert.equal(doc.paragraphs.length, 1);
+});
+
+test("undo goes back at most UNDO_MAX changes", () => {
+	let { doc } = dictate(Array.from({ length: UNDO_MAX + 5 }, (_, i) => `word${i}`));
+	assert.equal(doc.undo.length, UNDO_MAX);
+
+	let undone = 0;
+	for (;;) {
+		const res = applyDictation(doc, "undo");
+		if (!res.changed) break;
+		doc = res.doc;
+		undone++;
+	}
+	assert.equal(undone, UNDO_MAX);
+	assert.equal(docToText(doc), "Word0 word1 word2 word3 word4");
+});
+
+test("bold that marks the last chunk, except in plain text boxes", () => {
+	const plain = dictate(["normal period", "loud part"], { rich: false }).doc;
+	const res = applyDictation(plain, "bold that", { rich: false });
+	assert.equal(res.changed, false);
+	assert.equal(res.detail, "plain");
+
+	const { doc } = dictate(["normal period", "loud part", "bold that"]);
+	assert.equal(docToHtml(doc), "<p>Normal. <strong>Loud part</strong></p>");
+	assert.equal(applyDictation(doc, "make it bold").changed, false);
+});
+
+test("existing field text is split into paragraphs", () => {
+	const doc = createDictationDoc("First para.\n\n  Second para.  ");
+	assert.equal(doc.paragraphs.length, 2);
+	assert.equal(docToText(applyDictation(doc, "scratch that").doc), "First para.");
+});
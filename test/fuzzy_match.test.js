@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { bestFuzzyMatch, normalizeSpoken, spokenLetter } from "../lib/fuzzy_match.js";
+
+// Real speech-recognition output for Canvas names, and what it should resolve to
+const corpus = JSON.parse(readFileSync(new URL("./fixtures/asr_misrecognitions.json", import.meta.url), "utf8"));
+
+test("spelled letters and numbers fold back into tokens", () => {
+	for (const { heard, expected } of corpus.normalize) {
+		assert.equal(normalizeSpoken(heard), expected, heard);
+	}
+});
+
+test("misheard names match the right Canvas label, or nothing", () => {
+	for (const { heard, in: list, expected } of corpus.match) {
+		const best = bestFuzzyMatch(heard, corpus.labels[list]);
+		assert.equal(best?.item ?? null, expected, heard);
+	}
+});
+
+test("every letter can be named by voice", () => {
+	const said = ["ay", "bee", "see", "dee", "ee", "ef", "gee", "aitch", "eye", "jay", "kay", "el", "em"];
+	said.push("en", "oh", "pee", "cue", "are", "ess", "tee", "you", "vee", "double you", "ex", "why", "zee");
+	assert.equal(said.map(spokenLetter).join(""), "abcdefghijklmnopqrstuvwxyz");
+	assert.equal(spokenLetter("Q"), "q");
+	assert.equal(spokenLetter("bee see"), null);
+	assert.equal(spokenLetter("true"), null);
+});
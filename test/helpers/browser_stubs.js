@@ -0,0 +1,28 @@
+// Just enough of the extension's page environment for lib/actions.js to load in Node.
+// Storage is empty, the DOM has no elements and nothing is sent anywhere.
+const noop = () => {};
+const storageArea = { get: async () => ({}), set: async () => {}, remove: async () => {} };
+const webStorage = { getItem: () => null, setItem: noop, removeItem: noop };
+
+Object.assign(globalThis, {
+	window: globalThis,
+	chrome: {
+		storage: { sync: storageArea, local: storageArea, session: storageArea, onChanged: { addListener: noop } },
+		runtime: { getURL: (path) => path, sendMessage: async () => ({}), onMessage: { addListener: noop } },
+	},
+	location: new URL("https://canvas.example.edu/"),
+	history: { pushState: noop, replaceState: noop },
+	document: {
+		readyState: "loading",
+		addEventListener: noop,
+		querySelector: () => null,
+		querySelectorAll: () => [],
+	},
+	sessionStorage: webStorage,
+	localStorage: webStorage,
+	addEventListener: noop,
+	MutationObserver: class {
+		observe() {}
+		disconnect() {}
+	},
+});
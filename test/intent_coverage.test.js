@@ -0,0 +1,48 @@
+import "./helpers/browser_stubs.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { intents, normalize } from "../lib/intent.js";
+import { getIntentDef, listIntentDefs, matchIntentPatterns } from "../lib/intent_registry.js";
+import { UNROUTED_INTENTS } from "../lib/actions.js";
+
+test("every intent the detector can emit has a runAction handler", () => {
+	const detectable = new Set([
+		...Object.values(intents),
+		...listIntentDefs()
+			.filter((d) => d.patterns.length)
+			.map((d) => d.intent),
+	]);
+	const missing = [...detectable].filter((i) => !UNROUTED_INTENTS.has(i) && !getIntentDef(i)?.handler);
+	assert.deepEqual(missing, []);
+});
+
+test("grade questions name the course by title or number", () => {
+	const match = (text) => {
+		const m = matchIntentPatterns(normalize(text), text);
+		return { intent: m?.intent, ...m?.slots };
+	};
+
+	assert.deepEqual(match("What's my grade in linear algebra?"), {
+		intent: intents.COURSE_GRADE,
+		course: "linear algebra",
+		courseNum: null,
+	});
+	assert.deepEqual(match("what did I get on hw 3 in linear algebra"), {
+		intent: intents.ASSIGNMENT_SCORE,
+		q: "hw 3",
+		course: "linear algebra",
+		courseNum: null,
+	});
+	assert.deepEqual(match("whats my grade in csce 4901"), {
+		intent: intents.COURSE_GRADE,
+		course: null,
+		courseNum: "4901",
+	});
+	assert.deepEqual(match("how am I doing in this course"), {
+		intent: intents.COURSE_GRADE,
+		course: null,
+		courseNum: null,
+	});
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { dtParts, zonedTimeToUtc } from "../lib/zoned_time.js";
+
+const HOUR = 60 * 60 * 1000;
+
+const utc = (wall, tz) => zonedTimeToUtc(wall, tz).toISOString();
+const dayLength = (day, tz) => (zonedTimeToUtc({ ...day, day: day.day + 1 }, tz) - zonedTimeToUtc(day, tz)) / HOUR;
+
+test("ordinary times and zones without DST", () => {
+	assert.equal(utc({ year: 2026, month: 1, day: 15, hour: 9 }, "America/Chicago"), "2026-01-15T15:00:00.000Z");
+	assert.equal(utc({ year: 2026, month: 7, day: 15, hour: 9 }, "America/Chicago"), "2026-07-15T14:00:00.000Z");
+	assert.equal(utc({ year: 2026, month: 3, day: 8, hour: 12 }, "Asia/Kolkata"), "2026-03-08T06:30:00.000Z");
+});
+
+test("spring forward: skipped times use the pre-switch offset", () => {
+	// 2:30 doesn't exist in Chicago on 2026-03-08; read as CST, i.e. 3:30 CDT
+	assert.equal(
+		utc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, "America/Chicago"),
+		"2026-03-08T08:30:00.000Z",
+	);
+	assert.equal(
+		utc({ year: 2026, month: 3, day: 29, hour: 1, minute: 30 }, "Europe/London"),
+		"2026-03-29T01:30:00.000Z",
+	);
+	assert.equal(
+		utc({ year: 2026, month: 10, day: 4, hour: 2, minute: 30 }, "Australia/Sydney"),
+		"2026-10-03T16:30:00.000Z",
+	);
+});
+
+test("spring forward: the times around the gap", () => {
+	assert.equal(
+		utc({ year: 2026, month: 3, day: 8, hour: 1, minute: 59 }, "America/Chicago"),
+		"2026-03-08T07:59:00.000Z",
+	);
+	assert.equal(utc({ year: 2026, month: 3, day: 8, hour: 3 }, "America/Chicago"), "2026-03-08T08:00:00.000Z");
+	assert.equal(utc({ year: 2026, month: 3, day: 8 }, "America/Chicago"), "2026-03-08T06:00:00.000Z");
+});
+
+test("fall back: repeated times resolve to the first occurrence", () => {
+	// 1:30 happens twice in Chicago on 2026-11-01; the CDT one comes first
+	assert.equal(
+		utc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, "America/Chicago"),
+		"2026-11-01T06:30:00.000Z",
+	);
+	assert.equal(
+		utc({ year: 2026, month: 10, day: 25, hour: 1, minute: 30 }, "Europe/London"),
+		"2026-10-25T00:30:00.000Z",
+	);
+	assert.equal(
+		utc({ year: 2026, month: 4, day: 5, hour: 2, minute: 30 }, "Australia/Sydney"),
+		"2026-04-04T15:30:00.000Z",
+	);
+});
+
+test("fall back: the times around the repeated hour", () => {
+	assert.equal(
+		utc({ year: 2026, month: 11, day: 1, hour: 0, minute: 59 }, "America/Chicago"),
+		"2026-11-01T05:59:00.000Z",
+	);
+	assert.equal(utc({ year: 2026, month: 11, day: 1, hour: 2 }, "America/Chicago"), "2026-11-01T08:00:00.000Z");
+});
+
+test("a switch day is 23 or 25 hours long", () => {
+	assert.equal(dayLength({ year: 2026, month: 3, day: 8 }, "America/Chicago"), 23);
+	assert.equal(dayLength({ year: 2026, month: 11, day: 1 }, "America/Chicago"), 25);
+	assert.equal(dayLength({ year: 2026, month: 4, day: 5 }, "Australia/Sydney"), 25);
+	assert.equal(dayLength({ year: 2026, month: 3, day: 9 }, "America/Chicago"), 24);
+	assert.equal(dayLength({ year: 2026, month: 3, day: 8 }, "Asia/Kolkata"), 24);
+});
+
+test("end of a switch day keeps its milliseconds and round-trips", () => {
+	const end = zonedTimeToUtc(
+		{ year: 2026, month: 11, day: 1, hour: 23, minute: 59, second: 59, ms: 999 },
+		"America/Chicago",
+	);
+	assert.equal(end.toISOString(), "2026-11-02T05:59:59.999Z");
+	const p = dtParts(end, "America/Chicago");
+	assert.deepEqual([p.year, p.month, p.day, p.hour, p.minute, p.second], ["2026", "11", "01", "23", "59", "59"]);
+});